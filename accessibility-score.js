@@ -0,0 +1,107 @@
+/**
+ * Accessibility Score for SentryPrime
+ * The 0-100 score stored with every scan and shown on the dashboard.
+ *
+ * Model (version SCORE_MODEL.version):
+ *   1. Issues are grouped into unique issues: one rule on one fingerprinted element
+ *      (see issue-deduplicator), however many pages or copies it appears on.
+ *   2. Each unique issue costs its impact weight (critical 10, serious 5, moderate 2, minor 1),
+ *      scaled by its reach: half the weight for appearing at all, the other half in
+ *      proportion to the share of scanned pages it appears on. A footer issue on every
+ *      page costs the full weight once, not once per page.
+ *   3. Extra copies of the same issue (same element pattern repeated on a page) add a
+ *      small, capped amount: repeatWeight per extra copy, at most maxRepeatFactor times.
+ *   4. score = 100 * halfScorePenalty / (halfScorePenalty + total penalty), rounded.
+ *      No issues scores 100, a penalty of 40 (e.g. four critical issues on every page)
+ *      scores 50, and the score approaches but never reaches 0.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const { deduplicateViolations } = require('./issue-deduplicator');
+
+const SCORE_MODEL = {
+    version: 1,
+    impactWeights: { critical: 10, serious: 5, moderate: 2, minor: 1 },
+    unknownImpactWeight: 1,
+    baseReach: 0.5,
+    repeatWeight: 0.1,
+    maxRepeatFactor: 2,
+    halfScorePenalty: 40
+};
+
+/**
+ * Score used for scans saved before the model existed
+ */
+function legacyScore(totalIssues) {
+    return totalIssues === 0 ? 100 : Math.max(0, 100 - totalIssues * 2);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Score a scan's violations
+ * @param {Array<Object>} violations - Raw violations; crawl violations carry pageUrl, journey ones journeyStep.url
+ * @param {Object} options - { url, pagesScanned }
+ * @returns {Object} { score, penalty, pagesScanned, uniqueIssues, occurrences, model, rules }
+ */
+function scoreViolations(violations, { url = null, pagesScanned = 1 } = {}) {
+    // Group by page so the same element on several pages becomes one unique issue
+    const pages = new Map();
+    (violations || []).forEach(violation => {
+        const pageUrl = violation.pageUrl || violation.journeyStep?.url || url;
+        if (!pages.has(pageUrl)) pages.set(pageUrl, { url: pageUrl, violations: [] });
+        pages.get(pageUrl).violations.push(violation);
+    });
+    const pageCount = Math.max(pagesScanned || 1, pages.size, 1);
+
+    const rules = deduplicateViolations(Array.from(pages.values())).map(rule => {
+        let penalty = 0;
+        rule.nodes.forEach(node => {
+            const impact = node.impact || rule.impact;
+            const weight = SCORE_MODEL.impactWeights[impact] || SCORE_MODEL.unknownImpactWeight;
+            const reach = SCORE_MODEL.baseReach + (1 - SCORE_MODEL.baseReach) * (node.pages.length / pageCount);
+            const extraCopies = Math.max(node.occurrences - node.pages.length, 0);
+            const repeat = Math.min(1 + extraCopies * SCORE_MODEL.repeatWeight, SCORE_MODEL.maxRepeatFactor);
+            penalty += weight * reach * repeat;
+        });
+
+        return {
+            ruleId: rule.id,
+            impact: rule.impact,
+            help: rule.help || rule.description || '',
+            uniqueElements: rule.uniqueElements,
+            occurrences: rule.occurrences,
+            pages: rule.pages.length,
+            penalty: round(penalty)
+        };
+    });
+
+    const penalty = rules.reduce((sum, rule) => sum + rule.penalty, 0);
+    const score = Math.round(100 * SCORE_MODEL.halfScorePenalty / (SCORE_MODEL.halfScorePenalty + penalty));
+
+    // Points each rule costs, shared out in proportion to its penalty
+    const pointsLost = 100 - score;
+    rules.forEach(rule => {
+        rule.pointsLost = penalty > 0 ? round(pointsLost * rule.penalty / penalty) : 0;
+    });
+
+    return {
+        score,
+        penalty: round(penalty),
+        pagesScanned: pageCount,
+        uniqueIssues: rules.reduce((sum, rule) => sum + rule.uniqueElements, 0),
+        occurrences: rules.reduce((sum, rule) => sum + rule.occurrences, 0),
+        model: SCORE_MODEL.version,
+        rules: rules.sort((a, b) => b.penalty - a.penalty || a.ruleId.localeCompare(b.ruleId))
+    };
+}
+
+module.exports = {
+    SCORE_MODEL,
+    scoreViolations,
+    legacyScore
+};
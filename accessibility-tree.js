@@ -0,0 +1,159 @@
+/**
+ * Accessibility Tree for SentryPrime
+ * Captures Chrome's accessibility tree for a page and linearizes it into the
+ * reading-order transcript a screen reader user would hear (role, name, state)
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const LANDMARK_ROLES = ['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'region', 'search', 'form'];
+const FORM_CONTROL_ROLES = ['textbox', 'searchbox', 'checkbox', 'radio', 'combobox', 'listbox', 'slider', 'spinbutton', 'switch'];
+const NAMED_ROLES = ['link', 'button', 'image', 'img', 'menuitem', 'tab', ...FORM_CONTROL_ROLES];
+const TEXT_ROLES = ['StaticText', 'text'];
+
+// Containers that screen readers pass through silently
+const SILENT_ROLES = ['generic', 'none', 'presentation', 'LineBreak', 'InlineTextBox', 'paragraph', 'Section', 'group'];
+
+const DEFAULT_MAX_LINES = 2000;
+
+/**
+ * States worth reading out, in the order screen readers tend to announce them
+ */
+function getStates(node) {
+    const states = [];
+    if (node.checked === 'mixed') states.push('partially checked');
+    else if (node.checked === true) states.push('checked');
+    else if (node.checked === false && ['checkbox', 'radio', 'switch', 'menuitemcheckbox'].includes(node.role)) states.push('not checked');
+    if (node.pressed === true) states.push('pressed');
+    if (node.selected) states.push('selected');
+    if (node.expanded === true) states.push('expanded');
+    if (node.expanded === false) states.push('collapsed');
+    if (node.haspopup && node.haspopup !== 'false') states.push('has popup');
+    if (node.required) states.push('required');
+    if (node.invalid && node.invalid !== 'false') states.push('invalid entry');
+    if (node.readonly) states.push('read only');
+    if (node.disabled) states.push('unavailable');
+    if (node.modal) states.push('modal');
+    if (node.focused) states.push('focused');
+    return states;
+}
+
+/**
+ * One transcript line as text, e.g. 'heading level 2 "Shipping"' or 'checkbox "Subscribe" (checked, required)'
+ */
+function formatLine(line) {
+    if (TEXT_ROLES.includes(line.role)) {
+        return line.name;
+    }
+
+    let text = line.role;
+    if (line.level) text += ` level ${line.level}`;
+    if (line.name) text += ` "${line.name}"`;
+    else if (NAMED_ROLES.includes(line.role)) text += ' (no name)';
+    if (line.value) text += ` value "${line.value}"`;
+    if (line.states.length > 0) text += ` (${line.states.join(', ')})`;
+    if (line.description) text += ` - ${line.description}`;
+    return text;
+}
+
+/**
+ * Walk the snapshot depth-first (reading order) and emit what a screen reader announces
+ * @param {Object} snapshot - Result of page.accessibility.snapshot()
+ * @param {Object} options - { maxLines }
+ * @returns {Object} { title, lines: [{ index, depth, role, name, level, value, states, description, text }], truncated }
+ */
+function linearizeTree(snapshot, options = {}) {
+    const maxLines = options.maxLines || DEFAULT_MAX_LINES;
+    const lines = [];
+    let truncated = false;
+
+    function visit(node, depth, parentName) {
+        if (!node || truncated) return;
+
+        const name = (node.name || '').trim();
+        const isText = TEXT_ROLES.includes(node.role);
+        // Text that only repeats its parent's accessible name ("link Products" > "Products") is read once
+        const repeatsParent = isText && name === parentName;
+        const silent = node.role === 'RootWebArea' || (SILENT_ROLES.includes(node.role) && !name);
+
+        if (!silent && !repeatsParent && (name || !isText)) {
+            if (lines.length >= maxLines) {
+                truncated = true;
+                return;
+            }
+            const line = {
+                index: lines.length,
+                depth: depth,
+                role: node.role,
+                name: name,
+                level: node.level || null,
+                value: node.valuetext || (node.value !== undefined && node.value !== '' ? String(node.value) : null),
+                states: getStates(node),
+                description: node.description || null
+            };
+            line.text = formatLine(line);
+            lines.push(line);
+        }
+
+        const childDepth = silent ? depth : depth + 1;
+        (node.children || []).forEach(child => visit(child, childDepth, name || parentName));
+    }
+
+    visit(snapshot, 0, null);
+
+    return {
+        title: snapshot ? snapshot.name || '' : '',
+        lines,
+        truncated
+    };
+}
+
+/**
+ * Counts QA usually looks at first
+ */
+function summarizeTranscript(lines) {
+    const count = roles => lines.filter(line => roles.includes(line.role)).length;
+    return {
+        lines: lines.length,
+        landmarks: count(LANDMARK_ROLES),
+        headings: count(['heading']),
+        links: count(['link']),
+        buttons: count(['button']),
+        formControls: count(FORM_CONTROL_ROLES),
+        images: count(['image', 'img']),
+        unnamed: lines.filter(line => NAMED_ROLES.includes(line.role) && !line.name).length
+    };
+}
+
+/**
+ * Snapshot a loaded page (or one element in it) and build its transcript
+ * @param {Object} page - Puppeteer page
+ * @param {Object} options - { root: ElementHandle, maxLines }
+ * @returns {Promise<Object>} { title, transcript, stats, truncated }
+ */
+async function captureAccessibilityTree(page, options = {}) {
+    const snapshot = await page.accessibility.snapshot({ interestingOnly: true, root: options.root || undefined });
+    const { title, lines, truncated } = linearizeTree(snapshot, options);
+
+    return {
+        title,
+        transcript: lines,
+        stats: summarizeTranscript(lines),
+        truncated
+    };
+}
+
+/**
+ * Plain-text transcript, indented by depth
+ */
+function transcriptToText(transcript) {
+    return transcript.map(line => '  '.repeat(line.depth) + line.text).join('\n');
+}
+
+module.exports = {
+    captureAccessibilityTree,
+    linearizeTree,
+    summarizeTranscript,
+    transcriptToText
+};
@@ -0,0 +1,441 @@
+/**
+ * Authentication Profile Manager for SentryPrime
+ * Stores per-site login details encrypted at rest and applies them to scan sessions.
+ *
+ * Supported profile types:
+ *   cookies - { cookies: [{ name, value, domain?, path? }], headers: { name: value } }
+ *   basic   - { username, password }
+ *   script  - { loginUrl, fields: [{ selector, value }], submitSelector, waitForSelector, timeout? }
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const crypto = require('crypto');
+
+const AUTH_TYPES = ['cookies', 'basic', 'script'];
+
+class AuthProfileManager {
+    constructor(db = null) {
+        this.db = db;
+        this.memoryProfiles = new Map(); // Fallback store when running without a database
+        this.nextMemoryId = 1;
+
+        this.hasSecret = !!process.env.AUTH_PROFILE_SECRET;
+        if (this.hasSecret) {
+            this.key = crypto.createHash('sha256').update(process.env.AUTH_PROFILE_SECRET).digest();
+        } else {
+            // Only good for this process: fine for the in-memory store, not for database rows
+            this.key = crypto.randomBytes(32);
+            console.log(this.db
+                ? '⚠️ AUTH_PROFILE_SECRET not set - auth profiles cannot be stored (inline logins still work)'
+                : '⚠️ AUTH_PROFILE_SECRET not set - stored auth profiles will not survive a restart');
+        }
+    }
+
+    /**
+     * Why profiles can't be stored right now
+     * @returns {string|null} Error message, or null when storing is possible
+     */
+    storageError() {
+        if (this.db && !this.hasSecret) {
+            return 'AUTH_PROFILE_SECRET must be set on the server to store auth profiles';
+        }
+        return null;
+    }
+
+    /**
+     * Encrypt a profile config with AES-256-GCM
+     * @param {Object} config - Plain profile config
+     * @returns {string} "v1:iv:tag:ciphertext" (base64 parts)
+     */
+    encrypt(config) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(config), 'utf8'), cipher.final()]);
+        const tag = cipher.getAuthTag();
+
+        return ['v1', iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+    }
+
+    /**
+     * Decrypt a stored profile config
+     * @param {string} payload - Output of encrypt()
+     * @returns {Object} Plain profile config
+     */
+    decrypt(payload) {
+        const [version, iv, tag, ciphertext] = String(payload).split(':');
+        if (version !== 'v1') {
+            throw new Error('Unsupported auth profile encryption version');
+        }
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        const plain = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+
+        return JSON.parse(plain.toString('utf8'));
+    }
+
+    /**
+     * Decrypt a stored row's config, with an error that says what to do when the key changed
+     */
+    decryptRow(row) {
+        try {
+            return this.decrypt(row.encrypted_config);
+        } catch (error) {
+            const unreadable = new Error(`Auth profile "${row.name}" can no longer be decrypted (AUTH_PROFILE_SECRET changed or was not set when it was saved) - re-enter its credentials`);
+            unreadable.code = 'AUTH_PROFILE_UNREADABLE';
+            throw unreadable;
+        }
+    }
+
+    /**
+     * Check a profile before it is stored or used
+     * @returns {string|null} Error message, or null when valid
+     */
+    validateProfile(profile) {
+        if (!profile || !AUTH_TYPES.includes(profile.type)) {
+            return `Auth profile type must be one of: ${AUTH_TYPES.join(', ')}`;
+        }
+
+        const config = profile.config || {};
+
+        if (profile.type === 'cookies') {
+            const hasCookies = Array.isArray(config.cookies) && config.cookies.length > 0;
+            const hasHeaders = config.headers && Object.keys(config.headers).length > 0;
+            if (!hasCookies && !hasHeaders) return 'Cookie profiles need at least one cookie or header';
+            if (hasCookies && config.cookies.some(c => !c.name || c.value === undefined)) return 'Every cookie needs a name and value';
+        } else if (profile.type === 'basic') {
+            if (!config.username || config.password === undefined) return 'Basic auth profiles need a username and password';
+        } else if (profile.type === 'script') {
+            if (!config.loginUrl) return 'Login script profiles need a loginUrl';
+            if (!Array.isArray(config.fields) || config.fields.some(f => !f.selector)) return 'Login script profiles need a fields list with a selector for each field';
+            if (!config.waitForSelector) return 'Login script profiles need a waitForSelector to confirm the login worked';
+        }
+
+        return null;
+    }
+
+    /**
+     * Origin used to match a profile to the site being scanned
+     */
+    getSiteOrigin(url) {
+        const withScheme = /^https?:\/\//.test(url) ? url : 'https://' + url;
+        return new URL(withScheme).origin;
+    }
+
+    /**
+     * Describe a profile without exposing any secrets
+     */
+    summarize(type, config) {
+        if (type === 'cookies') {
+            return {
+                cookieNames: (config.cookies || []).map(c => c.name),
+                headerNames: Object.keys(config.headers || {})
+            };
+        }
+        if (type === 'basic') {
+            return { username: config.username };
+        }
+        return {
+            loginUrl: config.loginUrl,
+            fieldCount: (config.fields || []).length,
+            waitForSelector: config.waitForSelector
+        };
+    }
+
+    formatProfile(row, config) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            websiteConnectionId: row.website_connection_id,
+            siteOrigin: row.site_origin,
+            name: row.name,
+            type: row.auth_type,
+            summary: this.summarize(row.auth_type, config),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            lastUsedAt: row.last_used_at
+        };
+    }
+
+    /**
+     * Store a new profile (encrypted)
+     * @param {Object} profile - { userId, siteUrl, name, type, config, websiteConnectionId }
+     * @returns {Promise<Object>} Stored profile summary
+     */
+    async saveProfile(profile) {
+        const storageError = this.storageError();
+        if (storageError) {
+            throw new Error(storageError);
+        }
+
+        const row = {
+            user_id: profile.userId || 1,
+            website_connection_id: profile.websiteConnectionId || null,
+            site_origin: this.getSiteOrigin(profile.siteUrl),
+            name: profile.name || `${profile.type} login`,
+            auth_type: profile.type,
+            encrypted_config: this.encrypt(profile.config),
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+            last_used_at: null
+        };
+
+        if (!this.db) {
+            row.id = this.nextMemoryId++;
+            this.memoryProfiles.set(row.id, row);
+            return this.formatProfile(row, profile.config);
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO auth_profiles
+            (user_id, website_connection_id, site_origin, name, auth_type, encrypted_config)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [row.user_id, row.website_connection_id, row.site_origin, row.name, row.auth_type, row.encrypted_config]);
+
+        console.log(`🔐 Stored ${row.auth_type} auth profile for ${row.site_origin}`);
+        return this.formatProfile(result.rows[0], profile.config);
+    }
+
+    /**
+     * Replace a stored profile's name and/or credentials
+     */
+    async updateProfile(profileId, userId, changes) {
+        const existing = await this.getProfileRow(profileId, userId);
+        if (!existing) return null;
+
+        const type = changes.type || existing.auth_type;
+        const config = changes.config || this.decryptRow(existing);
+        const name = changes.name || existing.name;
+        const encrypted = this.encrypt(config);
+
+        if (!this.db) {
+            Object.assign(existing, { auth_type: type, name, encrypted_config: encrypted, updated_at: new Date().toISOString() });
+            return this.formatProfile(existing, config);
+        }
+
+        const result = await this.db.query(`
+            UPDATE auth_profiles
+            SET auth_type = $1, name = $2, encrypted_config = $3, updated_at = NOW()
+            WHERE id = $4 AND user_id = $5
+            RETURNING *
+        `, [type, name, encrypted, profileId, userId]);
+
+        return this.formatProfile(result.rows[0], config);
+    }
+
+    async deleteProfile(profileId, userId) {
+        if (!this.db) {
+            const row = this.memoryProfiles.get(parseInt(profileId));
+            if (!row || row.user_id !== userId) return false;
+            return this.memoryProfiles.delete(row.id);
+        }
+
+        const result = await this.db.query('DELETE FROM auth_profiles WHERE id = $1 AND user_id = $2', [profileId, userId]);
+        return result.rowCount > 0;
+    }
+
+    async listProfiles(userId) {
+        const rows = this.db
+            ? (await this.db.query('SELECT * FROM auth_profiles WHERE user_id = $1 ORDER BY site_origin, name', [userId])).rows
+            : Array.from(this.memoryProfiles.values()).filter(row => row.user_id === userId);
+
+        return rows.map(row => {
+            try {
+                return this.formatProfile(row, this.decrypt(row.encrypted_config));
+            } catch (error) {
+                return { ...this.formatProfile(row, {}), error: 'Profile could not be decrypted' };
+            }
+        });
+    }
+
+    async getProfileRow(profileId, userId) {
+        if (!this.db) {
+            const row = this.memoryProfiles.get(parseInt(profileId));
+            return row && row.user_id === userId ? row : null;
+        }
+
+        const result = await this.db.query('SELECT * FROM auth_profiles WHERE id = $1 AND user_id = $2', [profileId, userId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Find the profile to use for a scan: an explicit ID, otherwise the newest profile stored for the site
+     * @returns {Promise<Object|null>} { id, type, siteOrigin, config } with decrypted config
+     */
+    async resolveProfile({ userId = 1, authProfileId = null, url }) {
+        let row = null;
+
+        if (authProfileId) {
+            row = await this.getProfileRow(authProfileId, userId);
+            if (!row) {
+                throw new Error('Auth profile not found');
+            }
+        } else {
+            const origin = this.getSiteOrigin(url);
+            if (this.db) {
+                try {
+                    const result = await this.db.query(`
+                        SELECT * FROM auth_profiles
+                        WHERE user_id = $1 AND site_origin = $2
+                        ORDER BY updated_at DESC
+                        LIMIT 1
+                    `, [userId, origin]);
+                    row = result.rows[0] || null;
+                } catch (error) {
+                    // A missing stored profile must not block public scans
+                    console.error('Failed to look up auth profile:', error.message);
+                    return null;
+                }
+            } else {
+                row = Array.from(this.memoryProfiles.values())
+                    .filter(r => r.user_id === userId && r.site_origin === origin)
+                    .pop() || null;
+            }
+        }
+
+        if (!row) return null;
+
+        await this.markUsed(row);
+        return { id: row.id, type: row.auth_type, siteOrigin: row.site_origin, config: this.decryptRow(row) };
+    }
+
+    async markUsed(row) {
+        if (!this.db) {
+            row.last_used_at = new Date().toISOString();
+            return;
+        }
+
+        try {
+            await this.db.query('UPDATE auth_profiles SET last_used_at = NOW() WHERE id = $1', [row.id]);
+        } catch (error) {
+            console.error('Failed to update auth profile usage:', error.message);
+        }
+    }
+
+    /**
+     * Authenticate a browser pool session for the whole scan.
+     * Cookies and scripted logins are set once on the isolated context; headers and basic
+     * auth credentials are sent from every page the returned session opens, to the site only.
+     * @param {Object} session - Browser pool session
+     * @param {Object} profile - { type, siteOrigin, config }
+     * @param {string} targetUrl - URL being scanned (default cookie scope, and the site for inline profiles)
+     * @returns {Promise<Object>} Session whose newPage() returns authenticated pages
+     */
+    async authenticateSession(session, profile, targetUrl) {
+        const config = profile.config;
+        const siteOrigin = profile.siteOrigin || this.getSiteOrigin(targetUrl);
+
+        if (profile.type === 'cookies' && Array.isArray(config.cookies) && config.cookies.length > 0) {
+            const page = await session.newPage();
+            try {
+                await page.setCookie(...config.cookies.map(cookie => ({
+                    ...cookie,
+                    ...(cookie.domain ? {} : { url: targetUrl })
+                })));
+            } finally {
+                await page.close();
+            }
+        }
+
+        if (profile.type === 'script') {
+            await this.runLoginScript(session, config);
+        }
+
+        return {
+            ...session,
+            newPage: async () => {
+                const page = await session.newPage();
+
+                // Not page.authenticate(): it answers a 401 from any host the page loads from
+                if (profile.type === 'basic') {
+                    const credentials = Buffer.from(`${config.username}:${config.password}`).toString('base64');
+                    await this.attachSiteHeaders(page, { Authorization: 'Basic ' + credentials }, siteOrigin);
+                }
+                if (profile.type === 'cookies' && config.headers && Object.keys(config.headers).length > 0) {
+                    await this.attachSiteHeaders(page, config.headers, siteOrigin);
+                }
+
+                return page;
+            }
+        };
+    }
+
+    /**
+     * Whether a request URL belongs to the profile's site. The site's usual redirect targets
+     * count too - http to https and the apex domain to www (or back) - but never a
+     * downgrade from https to http.
+     */
+    isSiteUrl(url, siteOrigin) {
+        let site;
+        let requested;
+        try {
+            site = new URL(siteOrigin);
+            requested = new URL(url);
+        } catch (error) {
+            return false; // data: and blob: URLs have no origin to match
+        }
+
+        const host = hostname => hostname.replace(/^www\./, '');
+        const secure = requested.protocol === 'https:' || (requested.protocol === 'http:' && site.protocol === 'http:');
+        return secure && requested.port === site.port && host(requested.hostname) === host(site.hostname);
+    }
+
+    /**
+     * Send the profile's headers only with requests to the scanned site, never to the
+     * CDNs, analytics or ad hosts the page also loads
+     */
+    async attachSiteHeaders(page, headers, siteOrigin) {
+        // request.headers() uses lower-case names, so match them to avoid sending a header twice
+        const siteHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            if (request.isInterceptResolutionHandled && request.isInterceptResolutionHandled()) return;
+
+            const overrides = this.isSiteUrl(request.url(), siteOrigin) ? { headers: { ...request.headers(), ...siteHeaders } } : {};
+            request.continue(overrides).catch(() => {});
+        });
+    }
+
+    /**
+     * Go to the login URL, fill the fields, submit and wait for proof of login
+     */
+    async runLoginScript(session, config) {
+        const timeout = config.timeout || 30000;
+        const page = await session.newPage();
+
+        try {
+            console.log('🔐 Running login script at: ' + config.loginUrl);
+            await page.goto(config.loginUrl, { waitUntil: 'domcontentloaded', timeout });
+
+            for (const field of config.fields) {
+                await page.waitForSelector(field.selector, { timeout });
+                await page.click(field.selector, { clickCount: 3 });
+                await page.type(field.selector, String(field.value ?? ''));
+            }
+
+            if (config.submitSelector) {
+                await Promise.all([
+                    page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout }).catch(() => null),
+                    page.click(config.submitSelector)
+                ]);
+            } else {
+                await page.keyboard.press('Enter');
+            }
+
+            try {
+                await page.waitForSelector(config.waitForSelector, { timeout });
+            } catch (error) {
+                throw new Error(`Login failed: "${config.waitForSelector}" did not appear after submitting the login form`);
+            }
+
+            console.log('✅ Login script completed');
+        } finally {
+            await page.close();
+        }
+    }
+}
+
+module.exports = AuthProfileManager;
@@ -0,0 +1,294 @@
+/**
+ * Browser Pool for SentryPrime
+ * Shares long-lived headless Chrome instances between scans and previews.
+ * Each job gets its own isolated browser context, the number of open pages is
+ * capped across the pool, and browsers are recycled after N uses or a crash.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const puppeteer = require('puppeteer');
+
+const DEFAULT_LAUNCH_OPTIONS = {
+    headless: 'new',
+    executablePath: '/usr/bin/google-chrome-stable',
+    args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu',
+        '--disable-web-security',
+        '--disable-features=VizDisplayCompositor',
+        '--disable-background-timer-throttling',
+        '--disable-backgrounding-occluded-windows',
+        '--disable-renderer-backgrounding'
+    ],
+    timeout: 60000
+};
+
+class BrowserPool {
+    constructor(options = {}) {
+        this.options = {
+            maxBrowsers: options.maxBrowsers || parseInt(process.env.BROWSER_POOL_SIZE) || 2,
+            maxConcurrentPages: options.maxConcurrentPages || parseInt(process.env.BROWSER_MAX_PAGES) || 6,
+            maxUsesPerBrowser: options.maxUsesPerBrowser || parseInt(process.env.BROWSER_MAX_USES) || 50,
+            launchOptions: options.launchOptions || DEFAULT_LAUNCH_OPTIONS
+        };
+
+        this.browsers = [];
+        this.pendingLaunch = null;
+        this.nextBrowserId = 1;
+        this.activePages = 0;
+        this.pageWaiters = [];
+        this.stats = {
+            launches: 0,
+            recycled: 0,
+            crashes: 0,
+            contextsCreated: 0,
+            pagesOpened: 0
+        };
+    }
+
+    /**
+     * Acquire an isolated browser context for one job
+     * @returns {Promise<Object>} Session with newPage() and release()
+     */
+    async acquire() {
+        const entry = await this.getBrowserEntry();
+
+        entry.uses++;
+        entry.activeContexts++;
+        if (entry.uses >= this.options.maxUsesPerBrowser) {
+            entry.retiring = true;
+        }
+
+        let context;
+        try {
+            context = await entry.browser.createBrowserContext();
+        } catch (error) {
+            entry.activeContexts--;
+            await this.retireIfIdle(entry);
+            throw error;
+        }
+        this.stats.contextsCreated++;
+
+        const pageSlotReleasers = new Set();
+        let released = false;
+
+        return {
+            browserId: entry.id,
+            context: context,
+
+            // Open a page in this context, waiting for a free slot in the pool
+            newPage: async () => {
+                await this.acquirePageSlot();
+
+                let page;
+                try {
+                    page = await context.newPage();
+                } catch (error) {
+                    this.releasePageSlot();
+                    throw error;
+                }
+                this.stats.pagesOpened++;
+
+                let slotReleased = false;
+                const releaseSlot = () => {
+                    if (slotReleased) return;
+                    slotReleased = true;
+                    pageSlotReleasers.delete(releaseSlot);
+                    this.releasePageSlot();
+                };
+                pageSlotReleasers.add(releaseSlot);
+                page.once('close', releaseSlot);
+
+                return page;
+            },
+
+            // Close the context and hand its page slots back to the pool
+            release: async () => {
+                if (released) return;
+                released = true;
+
+                try {
+                    await context.close();
+                } catch (error) {
+                    // Context is already gone if the browser crashed
+                }
+
+                Array.from(pageSlotReleasers).forEach(releaseSlot => releaseSlot());
+                entry.activeContexts--;
+                await this.retireIfIdle(entry);
+            }
+        };
+    }
+
+    /**
+     * Run a function with a session that is always released afterwards
+     * @param {Function} fn - async (session) => result
+     */
+    async withSession(fn) {
+        const session = await this.acquire();
+        try {
+            return await fn(session);
+        } finally {
+            await session.release();
+        }
+    }
+
+    /**
+     * Pick the least loaded healthy browser, launching one if the pool has room
+     */
+    async getBrowserEntry() {
+        while (true) {
+            const available = this.browsers.filter(entry => !entry.retiring && entry.browser.connected);
+            const idle = available.find(entry => entry.activeContexts === 0);
+
+            if (idle) {
+                return idle;
+            }
+
+            if (available.length < this.options.maxBrowsers) {
+                if (this.pendingLaunch) {
+                    // Another caller is already launching - wait for it and look again
+                    await this.pendingLaunch.catch(() => {});
+                    continue;
+                }
+
+                this.pendingLaunch = this.launchBrowser();
+                try {
+                    return await this.pendingLaunch;
+                } finally {
+                    this.pendingLaunch = null;
+                }
+            }
+
+            return available.reduce((least, entry) =>
+                entry.activeContexts < least.activeContexts ? entry : least
+            );
+        }
+    }
+
+    /**
+     * Launch a new browser and add it to the pool
+     */
+    async launchBrowser() {
+        console.log('🌐 Launching pooled browser...');
+        const browser = await puppeteer.launch(this.options.launchOptions);
+
+        const entry = {
+            id: this.nextBrowserId++,
+            browser: browser,
+            uses: 0,
+            activeContexts: 0,
+            retiring: false,
+            closing: false,
+            launchedAt: new Date().toISOString()
+        };
+
+        browser.on('disconnected', () => this.handleDisconnect(entry));
+
+        this.browsers.push(entry);
+        this.stats.launches++;
+        console.log(`✅ Pooled browser #${entry.id} ready (${this.browsers.length}/${this.options.maxBrowsers})`);
+        return entry;
+    }
+
+    /**
+     * Remove a browser that disconnected; unexpected disconnects count as crashes
+     */
+    handleDisconnect(entry) {
+        if (!this.browsers.includes(entry)) return;
+
+        this.browsers = this.browsers.filter(e => e !== entry);
+        if (!entry.closing) {
+            this.stats.crashes++;
+            console.log(`⚠️ Pooled browser #${entry.id} crashed - it will be replaced on next use`);
+        }
+    }
+
+    /**
+     * Close a retiring browser once its last context is released
+     */
+    async retireIfIdle(entry) {
+        if (!entry.retiring || entry.activeContexts > 0 || entry.closing) return;
+
+        entry.closing = true;
+        this.browsers = this.browsers.filter(e => e !== entry);
+        this.stats.recycled++;
+        console.log(`♻️ Recycling pooled browser #${entry.id} after ${entry.uses} uses`);
+
+        try {
+            await entry.browser.close();
+        } catch (error) {
+            console.error('❌ Error closing pooled browser:', error.message);
+        }
+    }
+
+    acquirePageSlot() {
+        if (this.activePages < this.options.maxConcurrentPages) {
+            this.activePages++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.pageWaiters.push(resolve));
+    }
+
+    releasePageSlot() {
+        const next = this.pageWaiters.shift();
+        if (next) {
+            // Hand the slot straight to the next waiter
+            next();
+        } else {
+            this.activePages = Math.max(0, this.activePages - 1);
+        }
+    }
+
+    /**
+     * Pool statistics for /health
+     * @returns {Object} Stats
+     */
+    getStats() {
+        return {
+            browsers: this.browsers.length,
+            maxBrowsers: this.options.maxBrowsers,
+            activeContexts: this.browsers.reduce((sum, entry) => sum + entry.activeContexts, 0),
+            activePages: this.activePages,
+            maxConcurrentPages: this.options.maxConcurrentPages,
+            queuedPages: this.pageWaiters.length,
+            maxUsesPerBrowser: this.options.maxUsesPerBrowser,
+            ...this.stats,
+            browserDetails: this.browsers.map(entry => ({
+                id: entry.id,
+                uses: entry.uses,
+                activeContexts: entry.activeContexts,
+                retiring: entry.retiring,
+                launchedAt: entry.launchedAt
+            }))
+        };
+    }
+
+    /**
+     * Close every browser in the pool
+     */
+    async shutdown() {
+        const entries = this.browsers;
+        this.browsers = [];
+
+        await Promise.all(entries.map(async entry => {
+            entry.closing = true;
+            try {
+                await entry.browser.close();
+            } catch (error) {
+                console.error('❌ Error closing pooled browser:', error.message);
+            }
+        }));
+
+        console.log('🔒 Browser pool shut down');
+    }
+}
+
+module.exports = BrowserPool;
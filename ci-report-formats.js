@@ -0,0 +1,248 @@
+/**
+ * CI Report Formats for SentryPrime
+ * Converts scan results to the formats CI systems already collect:
+ *   SARIF 2.1.0 - one result per violation node, with rule metadata, helpUri, the page URL
+ *                 plus selector as its location, and a level mapped from axe impact
+ *   JUnit XML   - one test suite per page, one failing test case per rule
+ * Formats are picked with a `format` parameter or the request's Accept header.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const { fingerprintNode } = require('./issue-deduplicator');
+const { version } = require('./package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_URI = 'https://github.com/SentryPrime1/enterprise-v2';
+
+// axe impact -> SARIF level
+const SARIF_LEVELS = {
+    critical: 'error',
+    serious: 'error',
+    moderate: 'warning',
+    minor: 'note'
+};
+
+const FORMATS = {
+    sarif: { contentType: 'application/sarif+json', extension: 'sarif' },
+    junit: { contentType: 'application/xml', extension: 'xml' }
+};
+
+// Accept header values that select a format
+const ACCEPT_TYPES = [
+    ['application/sarif+json', 'sarif'],
+    ['application/junit+xml', 'junit'],
+    ['application/xml', 'junit'],
+    ['text/xml', 'junit']
+];
+
+/**
+ * Export format from an explicit parameter or the Accept header
+ * @returns {string|null} 'sarif', 'junit' or null for the default JSON response
+ * @throws {Error} For an unknown `format` value
+ */
+function negotiateFormat(format, acceptHeader) {
+    if (format) {
+        const requested = String(format).toLowerCase();
+        if (requested === 'json') return null;
+        if (!FORMATS[requested]) {
+            throw new Error(`Unknown format "${format}" - use json, sarif or junit`);
+        }
+        return requested;
+    }
+
+    const accept = String(acceptHeader || '').toLowerCase();
+    const match = ACCEPT_TYPES.find(([type]) => accept.includes(type));
+    return match ? match[1] : null;
+}
+
+/**
+ * Pages a violation node was found on: grouped crawl nodes list theirs, raw ones carry
+ * pageUrl (crawls) or journeyStep.url (journeys); otherwise the scanned URL
+ */
+function nodePages(violation, node, scanUrl) {
+    if (Array.isArray(node.pages) && node.pages.length > 0) return node.pages;
+    return [violation.pageUrl || violation.journeyStep?.url || scanUrl];
+}
+
+function selectorText(target) {
+    return [].concat(target || []).map(part => (Array.isArray(part) ? part.join(' >>> ') : String(part))).join(' | ');
+}
+
+/**
+ * SARIF 2.1.0 log for a scan
+ * @param {Object} scan - { url, scanType, scanId, createdAt, score, violations }
+ */
+function toSarif(scan) {
+    const rules = [];
+    const ruleIndex = new Map();
+    const results = [];
+
+    (scan.violations || []).forEach(violation => {
+        if (!ruleIndex.has(violation.id)) {
+            ruleIndex.set(violation.id, rules.length);
+            rules.push({
+                id: violation.id,
+                name: violation.id,
+                shortDescription: { text: violation.help || violation.id },
+                fullDescription: { text: violation.description || violation.help || violation.id },
+                helpUri: violation.helpUrl || undefined,
+                help: { text: [violation.help, violation.helpUrl].filter(Boolean).join(' - ') || violation.id },
+                defaultConfiguration: { level: SARIF_LEVELS[violation.impact] || 'warning' },
+                properties: {
+                    impact: violation.impact || null,
+                    tags: violation.tags || [],
+                    source: violation.source || 'axe-core'
+                }
+            });
+        }
+
+        (violation.nodes || []).forEach(node => {
+            const impact = node.impact || violation.impact;
+            const selector = selectorText(node.target);
+            results.push({
+                ruleId: violation.id,
+                ruleIndex: ruleIndex.get(violation.id),
+                level: SARIF_LEVELS[impact] || 'warning',
+                message: {
+                    text: `${violation.help || violation.id}: ${selector}` + (node.failureSummary ? `\n${node.failureSummary}` : '')
+                },
+                locations: nodePages(violation, node, scan.url).map(pageUrl => ({
+                    physicalLocation: {
+                        artifactLocation: { uri: pageUrl },
+                        ...(node.html ? { region: { snippet: { text: node.html } } } : {})
+                    },
+                    logicalLocations: [{ fullyQualifiedName: selector, kind: 'element' }]
+                })),
+                partialFingerprints: {
+                    'sentryprimeElement/v1': node.fingerprint || fingerprintNode(violation.id, node)
+                },
+                properties: {
+                    impact: impact || null,
+                    selector: selector,
+                    journeyStep: violation.journeyStep?.name || undefined
+                }
+            });
+        });
+    });
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'SentryPrime',
+                    informationUri: TOOL_URI,
+                    version: version,
+                    rules: rules
+                }
+            },
+            automationDetails: scan.scanId ? { id: `sentryprime/scan/${scan.scanId}` } : undefined,
+            invocations: [{
+                executionSuccessful: true,
+                endTimeUtc: new Date(scan.createdAt || Date.now()).toISOString()
+            }],
+            originalUriBaseIds: { SITE: { uri: scan.url } },
+            results: results,
+            properties: {
+                url: scan.url,
+                scanType: scan.scanType || 'single',
+                scanId: scan.scanId || null,
+                score: typeof scan.score === 'number' ? scan.score : null
+            }
+        }]
+    };
+}
+
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters other than tab/newline aren't allowed in XML 1.0
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+/**
+ * JUnit XML for a scan: a suite per page, a failing case per rule found on it
+ * @param {Object} scan - { url, scanType, scanId, createdAt, violations }
+ */
+function toJUnit(scan) {
+    const suites = new Map();
+    const suiteFor = pageUrl => {
+        if (!suites.has(pageUrl)) suites.set(pageUrl, new Map());
+        return suites.get(pageUrl);
+    };
+
+    (scan.violations || []).forEach(violation => {
+        (violation.nodes || []).forEach(node => {
+            nodePages(violation, node, scan.url).forEach(pageUrl => {
+                const cases = suiteFor(pageUrl);
+                if (!cases.has(violation.id)) cases.set(violation.id, { violation, nodes: [] });
+                cases.get(violation.id).nodes.push(node);
+            });
+        });
+    });
+
+    const timestamp = new Date(scan.createdAt || Date.now()).toISOString().replace(/\.\d{3}Z$/, '');
+    let failures = 0;
+    const suiteXml = Array.from(suites.entries()).map(([pageUrl, cases]) => {
+        failures += cases.size;
+        const caseXml = Array.from(cases.values()).map(({ violation, nodes }) => {
+            const impact = violation.impact || nodes[0].impact || 'unknown';
+            const details = nodes.map(node => [
+                `Element: ${selectorText(node.target)}`,
+                node.html ? `HTML: ${node.html}` : null,
+                node.failureSummary || null
+            ].filter(Boolean).join('\n')).join('\n\n');
+            return `
+        <testcase name="${escapeXml(violation.id)}" classname="${escapeXml(pageUrl)}" time="0">
+            <failure message="${escapeXml(`${violation.help || violation.id} (${nodes.length} element${nodes.length === 1 ? '' : 's'})`)}" type="${escapeXml(impact)}">${escapeXml(
+                `${violation.help || violation.id}\nImpact: ${impact}\n${violation.helpUrl ? `More info: ${violation.helpUrl}\n` : ''}\n${details}`
+            )}</failure>
+        </testcase>`;
+        }).join('');
+        return `
+    <testsuite name="${escapeXml(pageUrl)}" tests="${cases.size}" failures="${cases.size}" errors="0" skipped="0" timestamp="${timestamp}">${caseXml}
+    </testsuite>`;
+    });
+
+    // A clean scan still reports one passing case so CI shows the check ran
+    if (suiteXml.length === 0) {
+        suiteXml.push(`
+    <testsuite name="${escapeXml(scan.url)}" tests="1" failures="0" errors="0" skipped="0" timestamp="${timestamp}">
+        <testcase name="accessibility" classname="${escapeXml(scan.url)}" time="0"/>
+    </testsuite>`);
+    }
+
+    const tests = Math.max(failures, 1);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="SentryPrime accessibility scan${scan.scanId ? ' #' + escapeXml(scan.scanId) : ''}" tests="${tests}" failures="${failures}" errors="0">${suiteXml.join('')}
+</testsuites>
+`;
+}
+
+/**
+ * Serialized export with its content type and a download file name
+ * @returns {Object} { contentType, filename, body }
+ */
+function exportScan(scan, format) {
+    const body = format === 'sarif' ? JSON.stringify(toSarif(scan), null, 2) : toJUnit(scan);
+    return {
+        contentType: FORMATS[format].contentType,
+        filename: `sentryprime-scan${scan.scanId ? '-' + scan.scanId : ''}.${FORMATS[format].extension}`,
+        body
+    };
+}
+
+module.exports = {
+    negotiateFormat,
+    escapeXml,
+    toSarif,
+    toJUnit,
+    exportScan
+};
@@ -0,0 +1,224 @@
+/**
+ * Conformance Report Manager for SentryPrime
+ * Stores generated Accessibility Conformance Reports (VPAT) in compliance_reports and
+ * keeps the reviewer's edits: report details, per-criterion conformance and remarks,
+ * and the draft/final status (final reports no longer take criterion edits)
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const { CONFORMANCE_LEVELS, summarizeCriteria } = require('./conformance-report');
+
+const REPORT_TYPE = 'vpat';
+const STATUSES = ['draft', 'final'];
+const PRODUCT_FIELDS = ['name', 'version', 'description', 'contact', 'notes', 'evaluationMethods', 'disclaimer'];
+const MAX_REMARKS_LENGTH = 5000;
+
+class ConformanceReportManager {
+    constructor(db = null) {
+        this.db = db;
+        this.memoryReports = new Map(); // Fallback store when running without a database
+        this.nextMemoryId = 1;
+    }
+
+    /**
+     * Check report detail changes before they are stored
+     * @returns {string|null} Error message, or null when valid
+     */
+    validateReportChanges(changes) {
+        if (changes.status !== undefined && !STATUSES.includes(changes.status)) {
+            return `status must be one of: ${STATUSES.join(', ')}`;
+        }
+        if (changes.title !== undefined && (typeof changes.title !== 'string' || !changes.title.trim())) {
+            return 'title must be a non-empty string';
+        }
+        if (changes.product !== undefined) {
+            if (!changes.product || typeof changes.product !== 'object') return 'product must be an object';
+            const unknown = Object.keys(changes.product).filter(field => !PRODUCT_FIELDS.includes(field));
+            if (unknown.length > 0) return `Unknown product field(s): ${unknown.join(', ')}`;
+        }
+        return null;
+    }
+
+    /**
+     * Check a reviewer's criterion edit before it is stored
+     * @returns {string|null} Error message, or null when valid
+     */
+    validateCriterionChanges(changes) {
+        if (changes.conformance === undefined && changes.remarks === undefined) {
+            return 'Provide conformance and/or remarks';
+        }
+        if (changes.conformance !== undefined && !CONFORMANCE_LEVELS.includes(changes.conformance)) {
+            return `conformance must be one of: ${CONFORMANCE_LEVELS.join(', ')}`;
+        }
+        if (changes.remarks !== undefined && (typeof changes.remarks !== 'string' || changes.remarks.length > MAX_REMARKS_LENGTH)) {
+            return `remarks must be text of at most ${MAX_REMARKS_LENGTH} characters`;
+        }
+        return null;
+    }
+
+    formatReport(row) {
+        const data = typeof row.report_data === 'string' ? JSON.parse(row.report_data) : (row.report_data || {});
+        return {
+            id: row.id,
+            organizationId: row.organization_id,
+            title: row.title,
+            status: row.status,
+            reportType: row.report_type,
+            scanIds: typeof row.scan_ids === 'string' ? JSON.parse(row.scan_ids) : (row.scan_ids || []),
+            periodStart: row.report_period_start,
+            periodEnd: row.report_period_end,
+            generatedAt: row.generated_at,
+            generatedBy: row.generated_by,
+            updatedAt: row.updated_at,
+            ...data
+        };
+    }
+
+    /**
+     * Report list without the per-criterion rows
+     */
+    async listReports(organizationId) {
+        let rows;
+        if (!this.db) {
+            rows = Array.from(this.memoryReports.values())
+                .filter(row => row.organization_id === organizationId)
+                .sort((a, b) => b.id - a.id);
+        } else {
+            const result = await this.db.query(
+                'SELECT * FROM compliance_reports WHERE organization_id = $1 AND report_type = $2 ORDER BY generated_at DESC',
+                [organizationId, REPORT_TYPE]
+            );
+            rows = result.rows;
+        }
+
+        return rows.map(row => {
+            const { criteria, scans, product, ...report } = this.formatReport(row);
+            return { ...report, productName: product?.name || null };
+        });
+    }
+
+    async getReport(reportId, organizationId) {
+        if (!this.db) {
+            const row = this.memoryReports.get(parseInt(reportId));
+            return row && row.organization_id === organizationId ? this.formatReport(row) : null;
+        }
+
+        const result = await this.db.query(
+            'SELECT * FROM compliance_reports WHERE id = $1 AND organization_id = $2 AND report_type = $3',
+            [reportId, organizationId, REPORT_TYPE]
+        );
+        return result.rows[0] ? this.formatReport(result.rows[0]) : null;
+    }
+
+    /**
+     * Store a report generated by buildConformanceReport
+     */
+    async saveReport(organizationId, report, generatedBy = null) {
+        const { title, periodStart, periodEnd, ...data } = report;
+        const scanIds = report.scans.map(scan => scan.scanId);
+
+        if (!this.db) {
+            const row = {
+                id: this.nextMemoryId++,
+                organization_id: organizationId,
+                report_type: REPORT_TYPE,
+                title: title,
+                status: 'draft',
+                scan_ids: scanIds,
+                report_period_start: periodStart,
+                report_period_end: periodEnd,
+                report_data: data,
+                generated_by: generatedBy
+            };
+            row.generated_at = row.updated_at = new Date().toISOString();
+            this.memoryReports.set(row.id, row);
+            return this.formatReport(row);
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO compliance_reports (organization_id, report_type, title, status, scan_ids, report_period_start, report_period_end, report_data, generated_by)
+            VALUES ($1, $2, $3, 'draft', $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [organizationId, REPORT_TYPE, title, JSON.stringify(scanIds), periodStart, periodEnd, JSON.stringify(data), generatedBy]);
+
+        console.log(`📑 Generated conformance report "${title}" from ${scanIds.length} scan(s)`);
+        return this.formatReport(result.rows[0]);
+    }
+
+    /**
+     * Write back the report's details and criteria
+     */
+    async storeReport(report) {
+        const { id, organizationId, title, status, reportType, scanIds, periodStart, periodEnd, generatedAt, generatedBy, updatedAt, ...data } = report;
+
+        if (!this.db) {
+            const row = this.memoryReports.get(id);
+            Object.assign(row, { title, status, report_data: data, updated_at: new Date().toISOString() });
+            return this.formatReport(row);
+        }
+
+        const result = await this.db.query(`
+            UPDATE compliance_reports
+            SET title = $1, status = $2, report_data = $3, updated_at = NOW()
+            WHERE id = $4 AND organization_id = $5
+            RETURNING *
+        `, [title, status, JSON.stringify(data), id, organizationId]);
+        return this.formatReport(result.rows[0]);
+    }
+
+    /**
+     * Update the title, product details or status
+     */
+    async updateReport(reportId, organizationId, changes) {
+        const existing = await this.getReport(reportId, organizationId);
+        if (!existing) return null;
+
+        return this.storeReport({
+            ...existing,
+            title: changes.title !== undefined ? changes.title.trim() : existing.title,
+            status: changes.status || existing.status,
+            product: { ...existing.product, ...(changes.product || {}) }
+        });
+    }
+
+    /**
+     * Record a reviewer's conformance level and/or remarks for one criterion
+     * @returns {Object|null} Updated report, or null when the report doesn't exist
+     */
+    async updateCriterion(reportId, organizationId, criterionId, changes, reviewedBy = null) {
+        const existing = await this.getReport(reportId, organizationId);
+        if (!existing) return null;
+
+        const criteria = existing.criteria.map(criterion => {
+            if (criterion.id !== criterionId) return criterion;
+            return {
+                ...criterion,
+                conformance: changes.conformance !== undefined ? changes.conformance : criterion.conformance,
+                remarks: changes.remarks !== undefined ? changes.remarks : criterion.remarks,
+                edited: true,
+                editedAt: new Date().toISOString(),
+                editedBy: reviewedBy
+            };
+        });
+
+        return this.storeReport({ ...existing, criteria, summary: summarizeCriteria(criteria) });
+    }
+
+    async deleteReport(reportId, organizationId) {
+        if (!this.db) {
+            const row = this.memoryReports.get(parseInt(reportId));
+            if (!row || row.organization_id !== organizationId) return false;
+            return this.memoryReports.delete(row.id);
+        }
+
+        const result = await this.db.query(
+            'DELETE FROM compliance_reports WHERE id = $1 AND organization_id = $2 AND report_type = $3',
+            [reportId, organizationId, REPORT_TYPE]
+        );
+        return result.rowCount > 0;
+    }
+}
+
+module.exports = ConformanceReportManager;
@@ -0,0 +1,569 @@
+/**
+ * Conformance Report (VPAT / ACR) for SentryPrime
+ * Builds an Accessibility Conformance Report in the VPAT 2.x WCAG edition layout from one or
+ * more saved scans. Violations are mapped to WCAG 2.x success criteria through their axe
+ * tags (wcag143 -> 1.4.3) and each criterion gets a proposed conformance level:
+ *   Does Not Support   - failures on most of the evaluated pages, including critical/serious ones
+ *   Partially Supports - any other failures
+ *   Supports           - an automated rule covers the criterion and nothing failed
+ *   Not Evaluated      - no automated rule covers the criterion (manual review needed)
+ * Reviewers then edit the level and remarks per criterion before exporting the document
+ * as HTML, PDF (shared Puppeteer pool) or DOCX.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const axeCore = require('axe-core');
+const JSZip = require('jszip');
+
+const CONFORMANCE_LEVELS = ['Supports', 'Partially Supports', 'Does Not Support', 'Not Applicable', 'Not Evaluated'];
+
+const WCAG_VERSIONS = ['2.0', '2.1', '2.2'];
+const REPORT_LEVELS = ['A', 'AA'];
+
+// Level A and AA success criteria, with the WCAG version that introduced them
+const WCAG_CRITERIA = [
+    { id: '1.1.1', name: 'Non-text Content', level: 'A', version: '2.0' },
+    { id: '1.2.1', name: 'Audio-only and Video-only (Prerecorded)', level: 'A', version: '2.0' },
+    { id: '1.2.2', name: 'Captions (Prerecorded)', level: 'A', version: '2.0' },
+    { id: '1.2.3', name: 'Audio Description or Media Alternative (Prerecorded)', level: 'A', version: '2.0' },
+    { id: '1.2.4', name: 'Captions (Live)', level: 'AA', version: '2.0' },
+    { id: '1.2.5', name: 'Audio Description (Prerecorded)', level: 'AA', version: '2.0' },
+    { id: '1.3.1', name: 'Info and Relationships', level: 'A', version: '2.0' },
+    { id: '1.3.2', name: 'Meaningful Sequence', level: 'A', version: '2.0' },
+    { id: '1.3.3', name: 'Sensory Characteristics', level: 'A', version: '2.0' },
+    { id: '1.3.4', name: 'Orientation', level: 'AA', version: '2.1' },
+    { id: '1.3.5', name: 'Identify Input Purpose', level: 'AA', version: '2.1' },
+    { id: '1.4.1', name: 'Use of Color', level: 'A', version: '2.0' },
+    { id: '1.4.2', name: 'Audio Control', level: 'A', version: '2.0' },
+    { id: '1.4.3', name: 'Contrast (Minimum)', level: 'AA', version: '2.0' },
+    { id: '1.4.4', name: 'Resize Text', level: 'AA', version: '2.0' },
+    { id: '1.4.5', name: 'Images of Text', level: 'AA', version: '2.0' },
+    { id: '1.4.10', name: 'Reflow', level: 'AA', version: '2.1' },
+    { id: '1.4.11', name: 'Non-text Contrast', level: 'AA', version: '2.1' },
+    { id: '1.4.12', name: 'Text Spacing', level: 'AA', version: '2.1' },
+    { id: '1.4.13', name: 'Content on Hover or Focus', level: 'AA', version: '2.1' },
+    { id: '2.1.1', name: 'Keyboard', level: 'A', version: '2.0' },
+    { id: '2.1.2', name: 'No Keyboard Trap', level: 'A', version: '2.0' },
+    { id: '2.1.4', name: 'Character Key Shortcuts', level: 'A', version: '2.1' },
+    { id: '2.2.1', name: 'Timing Adjustable', level: 'A', version: '2.0' },
+    { id: '2.2.2', name: 'Pause, Stop, Hide', level: 'A', version: '2.0' },
+    { id: '2.3.1', name: 'Three Flashes or Below Threshold', level: 'A', version: '2.0' },
+    { id: '2.4.1', name: 'Bypass Blocks', level: 'A', version: '2.0' },
+    { id: '2.4.2', name: 'Page Titled', level: 'A', version: '2.0' },
+    { id: '2.4.3', name: 'Focus Order', level: 'A', version: '2.0' },
+    { id: '2.4.4', name: 'Link Purpose (In Context)', level: 'A', version: '2.0' },
+    { id: '2.4.5', name: 'Multiple Ways', level: 'AA', version: '2.0' },
+    { id: '2.4.6', name: 'Headings and Labels', level: 'AA', version: '2.0' },
+    { id: '2.4.7', name: 'Focus Visible', level: 'AA', version: '2.0' },
+    { id: '2.4.11', name: 'Focus Not Obscured (Minimum)', level: 'AA', version: '2.2' },
+    { id: '2.5.1', name: 'Pointer Gestures', level: 'A', version: '2.1' },
+    { id: '2.5.2', name: 'Pointer Cancellation', level: 'A', version: '2.1' },
+    { id: '2.5.3', name: 'Label in Name', level: 'A', version: '2.1' },
+    { id: '2.5.4', name: 'Motion Actuation', level: 'A', version: '2.1' },
+    { id: '2.5.7', name: 'Dragging Movements', level: 'AA', version: '2.2' },
+    { id: '2.5.8', name: 'Target Size (Minimum)', level: 'AA', version: '2.2' },
+    { id: '3.1.1', name: 'Language of Page', level: 'A', version: '2.0' },
+    { id: '3.1.2', name: 'Language of Parts', level: 'AA', version: '2.0' },
+    { id: '3.2.1', name: 'On Focus', level: 'A', version: '2.0' },
+    { id: '3.2.2', name: 'On Input', level: 'A', version: '2.0' },
+    { id: '3.2.3', name: 'Consistent Navigation', level: 'AA', version: '2.0' },
+    { id: '3.2.4', name: 'Consistent Identification', level: 'AA', version: '2.0' },
+    { id: '3.2.6', name: 'Consistent Help', level: 'A', version: '2.2' },
+    { id: '3.3.1', name: 'Error Identification', level: 'A', version: '2.0' },
+    { id: '3.3.2', name: 'Labels or Instructions', level: 'A', version: '2.0' },
+    { id: '3.3.3', name: 'Error Suggestion', level: 'AA', version: '2.0' },
+    { id: '3.3.4', name: 'Error Prevention (Legal, Financial, Data)', level: 'AA', version: '2.0' },
+    { id: '3.3.7', name: 'Redundant Entry', level: 'A', version: '2.2' },
+    { id: '3.3.8', name: 'Accessible Authentication (Minimum)', level: 'AA', version: '2.2' },
+    { id: '4.1.1', name: 'Parsing', level: 'A', version: '2.0', removedIn: '2.2' },
+    { id: '4.1.2', name: 'Name, Role, Value', level: 'A', version: '2.0' },
+    { id: '4.1.3', name: 'Status Messages', level: 'AA', version: '2.1' }
+];
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+// A criterion "Does Not Support" when failures reach more than this share of the evaluated pages
+const MAJORITY_SHARE = 0.5;
+
+const TERMS = [
+    ['Supports', 'The functionality of the product has at least one method that meets the criterion without known defects or meets with equivalent facilitation.'],
+    ['Partially Supports', 'Some functionality of the product does not meet the criterion.'],
+    ['Does Not Support', 'The majority of product functionality does not meet the criterion.'],
+    ['Not Applicable', 'The criterion is not relevant to the product.'],
+    ['Not Evaluated', 'The product has not been evaluated against the criterion.']
+];
+
+/**
+ * "wcag1410" -> "1.4.10", for the criteria this report covers
+ */
+const CRITERIA_BY_TAG = new Map(WCAG_CRITERIA.map(criterion => ['wcag' + criterion.id.replace(/\./g, ''), criterion.id]));
+
+function criteriaForTags(tags) {
+    return Array.from(new Set((tags || []).map(tag => CRITERIA_BY_TAG.get(tag)).filter(Boolean)));
+}
+
+/**
+ * Criteria the scanner's axe-core rules test automatically, with the rules for each
+ */
+function automatedCoverage() {
+    const coverage = new Map();
+    axeCore.getRules().forEach(rule => {
+        criteriaForTags(rule.tags).forEach(criterionId => {
+            if (!coverage.has(criterionId)) coverage.set(criterionId, new Set());
+            coverage.get(criterionId).add(rule.ruleId);
+        });
+    });
+    return coverage;
+}
+
+/**
+ * Criteria in scope for a WCAG version and conformance target
+ */
+function criteriaInScope(wcagVersion, level) {
+    const versionIndex = WCAG_VERSIONS.indexOf(wcagVersion);
+    return WCAG_CRITERIA.filter(criterion =>
+        WCAG_VERSIONS.indexOf(criterion.version) <= versionIndex &&
+        (!criterion.removedIn || WCAG_VERSIONS.indexOf(criterion.removedIn) > versionIndex) &&
+        REPORT_LEVELS.indexOf(criterion.level) <= REPORT_LEVELS.indexOf(level)
+    );
+}
+
+/**
+ * Check report options before a report is generated
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateReportOptions(options) {
+    if (options.wcagVersion && !WCAG_VERSIONS.includes(options.wcagVersion)) {
+        return `wcagVersion must be one of: ${WCAG_VERSIONS.join(', ')}`;
+    }
+    if (options.level && !REPORT_LEVELS.includes(options.level)) {
+        return `level must be one of: ${REPORT_LEVELS.join(', ')}`;
+    }
+    return null;
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Failures per criterion across the scans: rules, elements and affected pages
+ */
+function collectFindings(scans) {
+    const findings = new Map();
+    scans.forEach(scan => {
+        (scan.violations || []).forEach(violation => {
+            const criteria = criteriaForTags(violation.tags);
+            if (criteria.length === 0) return;
+
+            (violation.nodes || []).forEach(node => {
+                const pages = Array.isArray(node.pages) && node.pages.length > 0
+                    ? node.pages
+                    : [violation.pageUrl || violation.journeyStep?.url || scan.url];
+                const impact = node.impact || violation.impact;
+
+                criteria.forEach(criterionId => {
+                    if (!findings.has(criterionId)) findings.set(criterionId, { rules: new Map(), pages: new Set() });
+                    const finding = findings.get(criterionId);
+                    if (!finding.rules.has(violation.id)) {
+                        finding.rules.set(violation.id, { ruleId: violation.id, help: violation.help || violation.description || violation.id, impact: impact, elements: 0, pages: new Set() });
+                    }
+                    const rule = finding.rules.get(violation.id);
+                    rule.elements += pages.length;
+                    if (IMPACTS.indexOf(impact) >= 0 && (IMPACTS.indexOf(rule.impact) < 0 || IMPACTS.indexOf(impact) < IMPACTS.indexOf(rule.impact))) {
+                        rule.impact = impact;
+                    }
+                    // Pages are counted per scan so repeat scans of a site don't look like fewer failing pages
+                    pages.forEach(pageUrl => {
+                        rule.pages.add(`${scan.scanId}|${pageUrl}`);
+                        finding.pages.add(`${scan.scanId}|${pageUrl}`);
+                    });
+                });
+            });
+        });
+    });
+    return findings;
+}
+
+/**
+ * Proposed conformance level and remarks for one criterion
+ */
+function proposeCriterion(criterion, finding, coverage, pagesEvaluated, wcagVersion) {
+    if (finding) {
+        const rules = Array.from(finding.rules.values())
+            .sort((a, b) => IMPACTS.indexOf(a.impact) - IMPACTS.indexOf(b.impact) || b.elements - a.elements);
+        const severe = rules.some(rule => rule.impact === 'critical' || rule.impact === 'serious');
+        const share = finding.pages.size / pagesEvaluated;
+        const shown = rules.slice(0, 3).map(rule => `${rule.help} (${rule.ruleId}, ${rule.impact || 'unknown'} impact, ${plural(rule.elements, 'element')})`);
+
+        return {
+            conformance: severe && share > MAJORITY_SHARE ? 'Does Not Support' : 'Partially Supports',
+            remarks: `Automated testing found failures on ${Math.min(finding.pages.size, pagesEvaluated)} of ${plural(pagesEvaluated, 'page')}: ` +
+                shown.join('; ') + (rules.length > shown.length ? `; and ${plural(rules.length - shown.length, 'other rule')}` : '') + '.',
+            findings: {
+                pages: finding.pages.size,
+                elements: rules.reduce((sum, rule) => sum + rule.elements, 0),
+                rules: rules.map(rule => ({ ruleId: rule.ruleId, help: rule.help, impact: rule.impact, elements: rule.elements, pages: rule.pages.size }))
+            }
+        };
+    }
+
+    if (criterion.id === '4.1.1') {
+        return {
+            conformance: 'Supports',
+            remarks: `Per the WCAG ${wcagVersion} errata, this criterion is always satisfied for content written in HTML or XML.`,
+            findings: null
+        };
+    }
+
+    const rules = coverage.get(criterion.id);
+    if (rules) {
+        const ruleIds = Array.from(rules).sort();
+        return {
+            conformance: 'Supports',
+            remarks: `No failures found by automated tests (${ruleIds.slice(0, 4).join(', ')}${ruleIds.length > 4 ? ', …' : ''}) on ${plural(pagesEvaluated, 'page')}. ` +
+                'Automated testing covers only part of this criterion; confirm with a manual review.',
+            findings: null
+        };
+    }
+
+    return {
+        conformance: 'Not Evaluated',
+        remarks: 'Not covered by automated testing; requires manual evaluation.',
+        findings: null
+    };
+}
+
+/**
+ * Draft report from saved scans
+ * @param {Array<Object>} scans - { scanId, url, scanType, pagesScanned, createdAt, violations }
+ * @param {Object} options - { title, product, wcagVersion ('2.0' | '2.1' | '2.2'), level ('A' | 'AA') }
+ * @returns {Object} Report data: product details, scans, criteria and a summary
+ */
+function buildConformanceReport(scans, options = {}) {
+    const wcagVersion = options.wcagVersion || '2.2';
+    const level = options.level || 'AA';
+    const pagesEvaluated = Math.max(scans.reduce((sum, scan) => sum + (scan.pagesScanned || 1), 0), 1);
+    const coverage = automatedCoverage();
+    const findings = collectFindings(scans);
+    const product = options.product || {};
+
+    const dates = scans.map(scan => new Date(scan.createdAt || Date.now()).getTime());
+    const periodStart = new Date(Math.min(...dates)).toISOString();
+    const periodEnd = new Date(Math.max(...dates)).toISOString();
+
+    const criteria = criteriaInScope(wcagVersion, level).map(criterion => {
+        const proposal = proposeCriterion(criterion, findings.get(criterion.id), coverage, pagesEvaluated, wcagVersion);
+        return {
+            id: criterion.id,
+            name: criterion.name,
+            level: criterion.level,
+            conformance: proposal.conformance,
+            remarks: proposal.remarks,
+            proposedConformance: proposal.conformance,
+            proposedRemarks: proposal.remarks,
+            edited: false,
+            findings: proposal.findings
+        };
+    });
+
+    const hosts = Array.from(new Set(scans.map(scan => {
+        try {
+            return new URL(/^https?:\/\//.test(scan.url) ? scan.url : 'https://' + scan.url).hostname;
+        } catch (error) {
+            return scan.url;
+        }
+    })));
+
+    return {
+        title: options.title || `${product.name || hosts.join(', ')} Accessibility Conformance Report`,
+        product: {
+            name: product.name || hosts.join(', '),
+            version: product.version || '',
+            description: product.description || '',
+            contact: product.contact || '',
+            notes: product.notes || '',
+            evaluationMethods: product.evaluationMethods ||
+                `Automated testing with SentryPrime (axe-core ${axeCore.version}) of ${plural(pagesEvaluated, 'page')} across ${plural(scans.length, 'scan')} ` +
+                `between ${periodStart.substring(0, 10)} and ${periodEnd.substring(0, 10)}, with each criterion reviewed before publication.`,
+            disclaimer: product.disclaimer || ''
+        },
+        wcagVersion,
+        level,
+        periodStart,
+        periodEnd,
+        pagesEvaluated,
+        scans: scans.map(scan => ({
+            scanId: scan.scanId,
+            url: scan.url,
+            scanType: scan.scanType || 'single',
+            pagesScanned: scan.pagesScanned || 1,
+            createdAt: scan.createdAt
+        })),
+        criteria,
+        summary: summarizeCriteria(criteria)
+    };
+}
+
+/**
+ * Criteria count per conformance level
+ */
+function summarizeCriteria(criteria) {
+    const summary = {};
+    CONFORMANCE_LEVELS.forEach(conformance => { summary[conformance] = 0; });
+    criteria.forEach(criterion => { summary[criterion.conformance]++; });
+    return summary;
+}
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function formatDate(value) {
+    return new Date(value || Date.now()).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Document sections shared by the HTML and DOCX renderings
+ */
+function documentSections(report, reportDate) {
+    const versionIndex = WCAG_VERSIONS.indexOf(report.wcagVersion);
+    return {
+        details: [
+            ['Name of Product/Version', [report.product.name, report.product.version].filter(Boolean).join(' ')],
+            ['Report Date', formatDate(reportDate)],
+            ['Product Description', report.product.description],
+            ['Contact Information', report.product.contact],
+            ['Notes', report.product.notes],
+            ['Evaluation Methods Used', report.product.evaluationMethods]
+        ].filter(([, value]) => value),
+        standards: WCAG_VERSIONS.slice(0, versionIndex + 1).map(version => [
+            `Web Content Accessibility Guidelines ${version}`,
+            `Level A (Yes)\nLevel AA (${report.level === 'AA' ? 'Yes' : 'No'})\nLevel AAA (No)`
+        ]),
+        tables: REPORT_LEVELS.filter(level => REPORT_LEVELS.indexOf(level) <= REPORT_LEVELS.indexOf(report.level)).map((level, index) => ({
+            title: `Table ${index + 1}: Success Criteria, Level ${level}`,
+            rows: report.criteria.filter(criterion => criterion.level === level)
+        }))
+    };
+}
+
+/**
+ * Standalone HTML document in the VPAT 2.x WCAG edition layout
+ * @param {Object} report - Stored report ({ ...report data, updatedAt })
+ */
+function buildAcrHtml(report) {
+    const sections = documentSections(report, report.updatedAt);
+    const conformanceClass = conformance => conformance.toLowerCase().replace(/\s+/g, '-');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(report.title)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #212529; font-size: 11pt; line-height: 1.5; max-width: 960px; margin: 0 auto; padding: 24px; }
+        h1 { font-size: 20pt; margin-bottom: 4px; }
+        h2 { font-size: 15pt; border-bottom: 2px solid #343a40; padding-bottom: 4px; margin-top: 32px; }
+        h3 { font-size: 12.5pt; margin-top: 24px; }
+        .subtitle { color: #495057; margin-top: 0; }
+        table { width: 100%; border-collapse: collapse; margin: 12px 0; page-break-inside: auto; }
+        th, td { border: 1px solid #adb5bd; padding: 6px 8px; text-align: left; vertical-align: top; }
+        th { background: #e9ecef; }
+        tr { page-break-inside: avoid; }
+        td.criterion { width: 28%; }
+        td.conformance { width: 18%; font-weight: 600; white-space: nowrap; }
+        .supports { color: #146c43; }
+        .partially-supports { color: #997404; }
+        .does-not-support { color: #b02a37; }
+        .not-applicable, .not-evaluated { color: #495057; }
+        .pre-line { white-space: pre-line; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(report.title)}</h1>
+    <p class="subtitle">WCAG Edition (Based on VPAT&reg; Version 2.5)</p>
+
+    <table>
+        ${sections.details.map(([label, value]) => `<tr><th scope="row">${escapeHtml(label)}</th><td class="pre-line">${escapeHtml(value)}</td></tr>`).join('\n        ')}
+    </table>
+
+    <h2>Applicable Standards/Guidelines</h2>
+    <p>This report covers the degree of conformance for the following accessibility standard/guidelines:</p>
+    <table>
+        <tr><th scope="col">Standard/Guideline</th><th scope="col">Included In Report</th></tr>
+        ${sections.standards.map(([standard, included]) => `<tr><td>${escapeHtml(standard)}</td><td class="pre-line">${escapeHtml(included)}</td></tr>`).join('\n        ')}
+    </table>
+
+    <h2>Terms</h2>
+    <p>The terms used in the Conformance Level information are defined as follows:</p>
+    <ul>
+        ${TERMS.map(([term, definition]) => `<li><strong>${escapeHtml(term)}</strong>: ${escapeHtml(definition)}</li>`).join('\n        ')}
+    </ul>
+
+    <h2>WCAG ${escapeHtml(report.wcagVersion)} Report</h2>
+    ${sections.tables.map(table => `
+    <h3>${escapeHtml(table.title)}</h3>
+    <table>
+        <tr><th scope="col">Criteria</th><th scope="col">Conformance Level</th><th scope="col">Remarks and Explanations</th></tr>
+        ${table.rows.map(criterion => `<tr>
+            <td class="criterion">${escapeHtml(criterion.id)} ${escapeHtml(criterion.name)} (Level ${escapeHtml(criterion.level)})</td>
+            <td class="conformance ${conformanceClass(criterion.conformance)}">${escapeHtml(criterion.conformance)}</td>
+            <td class="pre-line">${escapeHtml(criterion.remarks)}</td>
+        </tr>`).join('\n        ')}
+    </table>`).join('\n')}
+
+    ${report.product.disclaimer ? `<h2>Legal Disclaimer</h2>
+    <p class="pre-line">${escapeHtml(report.product.disclaimer)}</p>` : ''}
+</body>
+</html>
+`;
+}
+
+function xmlText(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+// WordprocessingML helpers: runs keep line breaks, paragraphs take an optional style
+function docxRuns(text, bold = false) {
+    return String(text ?? '').split('\n').map((line, index) =>
+        `${index > 0 ? '<w:r><w:br/></w:r>' : ''}<w:r>${bold ? '<w:rPr><w:b/></w:rPr>' : ''}<w:t xml:space="preserve">${xmlText(line)}</w:t></w:r>`
+    ).join('');
+}
+
+function docxParagraph(text, style = null, bold = false) {
+    return `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${docxRuns(text, bold)}</w:p>`;
+}
+
+function docxTable(rows, widths, headerRow = true) {
+    const total = widths.reduce((sum, width) => sum + width, 0);
+    const cell = (text, width, header) =>
+        `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${header ? '<w:shd w:val="clear" w:color="auto" w:fill="E9ECEF"/>' : ''}</w:tcPr>${docxParagraph(text, null, header)}</w:tc>`;
+    return `<w:tbl>
+<w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="${total}" w:type="dxa"/></w:tblPr>
+<w:tblGrid>${widths.map(width => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>
+${rows.map((row, rowIndex) => {
+        const header = headerRow && rowIndex === 0;
+        return `<w:tr>${header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${row.map((text, index) => cell(text, widths[index], header)).join('')}</w:tr>`;
+    }).join('\n')}
+</w:tbl>${docxParagraph('')}`;
+}
+
+/**
+ * Word (.docx) version of the report
+ * @returns {Promise<Buffer>}
+ */
+async function toDocx(report) {
+    const sections = documentSections(report, report.updatedAt);
+    const body = [
+        docxParagraph(report.title, 'Title'),
+        docxParagraph('WCAG Edition (Based on VPAT® Version 2.5)'),
+        docxTable(sections.details, [2800, 6560], false),
+        docxParagraph('Applicable Standards/Guidelines', 'Heading1'),
+        docxParagraph('This report covers the degree of conformance for the following accessibility standard/guidelines:'),
+        docxTable([['Standard/Guideline', 'Included In Report']].concat(sections.standards), [5400, 3960]),
+        docxParagraph('Terms', 'Heading1'),
+        docxParagraph('The terms used in the Conformance Level information are defined as follows:'),
+        ...TERMS.map(([term, definition]) => `<w:p><w:pPr><w:ind w:left="360"/></w:pPr>${docxRuns(term + ': ', true)}${docxRuns(definition)}</w:p>`),
+        docxParagraph(`WCAG ${report.wcagVersion} Report`, 'Heading1'),
+        ...sections.tables.map(table =>
+            docxParagraph(table.title, 'Heading2') +
+            docxTable([['Criteria', 'Conformance Level', 'Remarks and Explanations']].concat(table.rows.map(criterion => [
+                `${criterion.id} ${criterion.name} (Level ${criterion.level})`,
+                criterion.conformance,
+                criterion.remarks
+            ])), [2700, 1900, 4760])
+        ),
+        ...(report.product.disclaimer ? [docxParagraph('Legal Disclaimer', 'Heading1'), docxParagraph(report.product.disclaimer)] : [])
+    ];
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`);
+    zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`);
+    zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`);
+    zip.file('word/styles.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="21"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="80"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="120"/></w:pPr><w:rPr><w:b/><w:sz w:val="40"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="30"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="25"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:space="0" w:color="ADB5BD"/><w:left w:val="single" w:sz="4" w:space="0" w:color="ADB5BD"/><w:bottom w:val="single" w:sz="4" w:space="0" w:color="ADB5BD"/><w:right w:val="single" w:sz="4" w:space="0" w:color="ADB5BD"/><w:insideH w:val="single" w:sz="4" w:space="0" w:color="ADB5BD"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="ADB5BD"/></w:tblBorders><w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`);
+    zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>
+${body.join('\n')}
+<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="709" w:footer="709" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`);
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * PDF version of the report, printed from the HTML document
+ * @returns {Promise<Buffer>}
+ */
+async function renderAcrPdf(browserPool, report) {
+    const html = buildAcrHtml(report);
+    return browserPool.withSession(async (session) => {
+        const page = await session.newPage();
+        try {
+            await page.setContent(html, { waitUntil: 'load' });
+            const pdf = await page.pdf({
+                format: 'A4',
+                printBackground: true,
+                margin: { top: '18mm', bottom: '18mm', left: '15mm', right: '15mm' },
+                displayHeaderFooter: true,
+                headerTemplate: '<span></span>',
+                footerTemplate: `<div style="font-size: 8px; width: 100%; padding: 0 15mm; color: #666; display: flex; justify-content: space-between;">
+                    <span>${escapeHtml(report.title)}</span><span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span></div>`
+            });
+            return Buffer.from(pdf);
+        } finally {
+            await page.close().catch(() => {});
+        }
+    });
+}
+
+/**
+ * Download file name for a report export
+ */
+function acrFilename(report, extension) {
+    const slug = String(report.product?.name || 'product').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'product';
+    const date = new Date(report.updatedAt || Date.now()).toISOString().substring(0, 10);
+    return `acr-${slug}-${date}.${extension}`;
+}
+
+module.exports = {
+    CONFORMANCE_LEVELS,
+    WCAG_CRITERIA,
+    validateReportOptions,
+    proposeCriterion,
+    buildConformanceReport,
+    summarizeCriteria,
+    buildAcrHtml,
+    toDocx,
+    renderAcrPdf,
+    acrFilename
+};
@@ -0,0 +1,133 @@
+/**
+ * Device Profiles for SentryPrime
+ * Viewport, touch and user agent settings for scanning a page the way phones,
+ * tablets and desktops see it, and merging the per-device results
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const { KnownDevices } = require('puppeteer');
+
+const DESKTOP_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36';
+
+const DEVICE_PROFILES = {
+    'phone': {
+        label: 'Phone',
+        userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Mobile Safari/537.36',
+        viewport: { width: 412, height: 915, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true, isLandscape: false }
+    },
+    'tablet': {
+        label: 'Tablet',
+        userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+        viewport: { width: 820, height: 1180, deviceScaleFactor: 2, isMobile: true, hasTouch: true, isLandscape: false }
+    },
+    'desktop': {
+        label: 'Desktop',
+        userAgent: DESKTOP_USER_AGENT,
+        viewport: { width: 1280, height: 720, deviceScaleFactor: 1, isMobile: false, hasTouch: false, isLandscape: true }
+    },
+    'desktop-touch': {
+        label: 'Touchscreen Desktop',
+        userAgent: DESKTOP_USER_AGENT,
+        viewport: { width: 1280, height: 800, deviceScaleFactor: 1, isMobile: false, hasTouch: true, isLandscape: true }
+    }
+};
+
+const DEFAULT_VIEWPORTS = ['desktop'];
+
+/**
+ * Look up device profiles by name - our own profiles or any Puppeteer known device ("iPhone 13")
+ * @param {Array<string>} names - Profile names
+ * @returns {Array<Object>} [{ name, label, userAgent, viewport }]
+ */
+function resolveDeviceProfiles(names) {
+    const requested = Array.isArray(names) && names.length > 0 ? names : DEFAULT_VIEWPORTS;
+
+    return Array.from(new Set(requested)).map(name => {
+        if (DEVICE_PROFILES[name]) {
+            return { name, ...DEVICE_PROFILES[name] };
+        }
+        if (KnownDevices[name]) {
+            return { name, label: name, userAgent: KnownDevices[name].userAgent, viewport: KnownDevices[name].viewport };
+        }
+        throw new Error(`Unknown viewport "${name}". Use one of: ${Object.keys(DEVICE_PROFILES).join(', ')} or a Puppeteer device name`);
+    });
+}
+
+/**
+ * Combine results from the same page scanned on several devices.
+ * Each element a rule flags is listed once and tagged with every viewport it was
+ * found in; `allViewports` marks issues that show up on every device.
+ * @param {Array<Object>} viewportResults - [{ device, results }] with axe results per device
+ * @param {string} key - Result list to merge ('violations' or 'incomplete')
+ * @returns {Array<Object>} Merged rule results
+ */
+function mergeViewportResults(viewportResults, key) {
+    const viewportNames = viewportResults.map(({ device }) => device.name);
+    const rules = new Map();
+
+    viewportResults.forEach(({ device, results }) => {
+        (results[key] || []).forEach(rule => {
+            if (!rules.has(rule.id)) {
+                rules.set(rule.id, { ...rule, nodes: [], nodeIndex: new Map() });
+            }
+            const merged = rules.get(rule.id);
+
+            rule.nodes.forEach(node => {
+                // The same element can be flagged again under a preference mode (dark, 400% zoom)
+                const nodeKey = JSON.stringify(node.target) + (node.preference ? '|' + node.preference.mode : '');
+                if (merged.nodeIndex.has(nodeKey)) {
+                    merged.nodeIndex.get(nodeKey).viewports.push(device.name);
+                } else {
+                    const taggedNode = { ...node, viewports: [device.name] };
+                    merged.nodeIndex.set(nodeKey, taggedNode);
+                    merged.nodes.push(taggedNode);
+                }
+            });
+        });
+    });
+
+    return Array.from(rules.values()).map(({ nodeIndex, ...rule }) => {
+        rule.nodes.forEach(node => {
+            node.allViewports = node.viewports.length === viewportNames.length;
+        });
+        rule.viewports = viewportNames.filter(name => rule.nodes.some(node => node.viewports.includes(name)));
+        rule.allViewports = rule.viewports.length === viewportNames.length;
+        return rule;
+    });
+}
+
+/**
+ * Count flagged elements per viewport, and those found on every viewport
+ * @param {Array<Object>} violations - Merged violations
+ * @param {Array<Object>} devices - Devices the scan ran with
+ * @returns {Object} { byViewport: { name: count }, allViewports, viewportSpecific }
+ */
+function summarizeViewports(violations, devices) {
+    // Nodes added by checks that ran after the merge carry no list of their own
+    const nodes = violations.flatMap(violation => (violation.nodes || []).map(node => ({
+        viewports: node.viewports || violation.viewports || [],
+        allViewports: node.allViewports !== undefined ? node.allViewports : !!violation.allViewports
+    })));
+
+    const byViewport = {};
+    devices.forEach(device => {
+        byViewport[device.name] = nodes.filter(node => node.viewports.includes(device.name)).length;
+    });
+
+    const allViewports = nodes.filter(node => node.allViewports).length;
+    return {
+        byViewport,
+        allViewports,
+        viewportSpecific: nodes.length - allViewports
+    };
+}
+
+module.exports = {
+    DEVICE_PROFILES,
+    DEFAULT_VIEWPORTS,
+    resolveDeviceProfiles,
+    mergeViewportResults,
+    summarizeViewports
+};
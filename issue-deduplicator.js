@@ -0,0 +1,147 @@
+/**
+ * Issue Deduplicator for SentryPrime
+ * Groups crawl findings by rule and a normalized element fingerprint, so a problem in a
+ * shared component (header, footer, product card) is listed once with the pages it
+ * appears on instead of once per page
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const crypto = require('crypto');
+
+// Attributes that identify a component; everything else (href, src, style, ids...) varies per page
+const FINGERPRINT_ATTRIBUTES = ['class', 'role', 'type', 'name', 'alt', 'title', 'aria-label', 'aria-haspopup', 'aria-expanded'];
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * Selector with positions and generated numbers taken out:
+ * "#menu-item-42 > a:nth-of-type(3)" becomes "#menu-item-# > a"
+ */
+function normalizeSelector(target) {
+    const flat = [].concat(target || []).map(part => (Array.isArray(part) ? part.join(' >>> ') : String(part))).join(' |frame| ');
+    return flat
+        .replace(/:nth-(of-type|child|last-child|last-of-type)\(\d+\)/g, '')
+        .replace(/\d+/g, '#')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * The element's opening tag with only the attributes that identify the component, sorted
+ */
+function normalizeHtml(html) {
+    const openingTag = String(html || '').match(/^\s*<([a-zA-Z][\w-]*)([^>]*)>/);
+    if (!openingTag) return '';
+
+    const attributes = [];
+    const attributePattern = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+    while ((match = attributePattern.exec(openingTag[2])) !== null) {
+        const name = match[1].toLowerCase();
+        if (!FINGERPRINT_ATTRIBUTES.includes(name)) continue;
+        let value = (match[2] ?? match[3] ?? match[4] ?? '').replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+        if (name === 'class') {
+            value = value.split(' ').filter(Boolean).sort().join(' ');
+        }
+        attributes.push(`${name}="${value}"`);
+    }
+
+    return `<${openingTag[1].toLowerCase()}${attributes.sort().map(attribute => ' ' + attribute).join('')}>`;
+}
+
+/**
+ * Stable key for "this rule on this kind of element"
+ * @returns {string} 16-character hex fingerprint
+ */
+function fingerprintNode(ruleId, node) {
+    const parts = [ruleId, normalizeSelector(node.target), normalizeHtml(node.html)];
+    // Keep a finding from a preference mode apart from the same element in the default scan
+    if (node.preference) parts.push(node.preference.mode);
+    const key = parts.join('|');
+    return crypto.createHash('sha1').update(key).digest('hex').substring(0, 16);
+}
+
+/**
+ * Merge the violations of every crawled page into one list per rule, keeping one node per
+ * fingerprint. Nodes gain `fingerprint`, `pages` and `occurrences`; rules gain `pages`,
+ * `occurrences` and `uniqueElements`.
+ * @param {Array<Object>} pages - [{ url, violations }]
+ * @returns {Array<Object>} Deduplicated violations, most widespread first
+ */
+function deduplicateViolations(pages) {
+    const rules = new Map();
+
+    pages.forEach(page => {
+        (page.violations || []).forEach(violation => {
+            if (!rules.has(violation.id)) {
+                const { nodes, ...rule } = violation;
+                rules.set(violation.id, { ...rule, nodes: [], nodeIndex: new Map(), pageSet: new Set(), occurrences: 0 });
+            }
+            const merged = rules.get(violation.id);
+            merged.pageSet.add(page.url);
+
+            (violation.nodes || []).forEach(node => {
+                const fingerprint = fingerprintNode(violation.id, node);
+                merged.occurrences++;
+                if (merged.nodeIndex.has(fingerprint)) {
+                    const existing = merged.nodeIndex.get(fingerprint);
+                    existing.occurrences++;
+                    if (!existing.pages.includes(page.url)) existing.pages.push(page.url);
+                } else {
+                    const taggedNode = { ...node, fingerprint, pages: [page.url], occurrences: 1 };
+                    merged.nodeIndex.set(fingerprint, taggedNode);
+                    merged.nodes.push(taggedNode);
+                }
+            });
+        });
+    });
+
+    return Array.from(rules.values())
+        .map(({ nodeIndex, pageSet, ...rule }) => ({
+            ...rule,
+            pages: Array.from(pageSet),
+            uniqueElements: rule.nodes.length
+        }))
+        .sort((a, b) => b.pages.length - a.pages.length || b.occurrences - a.occurrences);
+}
+
+/**
+ * Unique and total counts, overall and per impact. A unique issue is one rule on one
+ * fingerprinted element; the total counts every copy on every page.
+ */
+function summarizeDeduplicated(deduplicated) {
+    const unique = { issues: 0 };
+    const total = { issues: 0 };
+    IMPACTS.forEach(impact => {
+        unique[impact] = 0;
+        total[impact] = 0;
+    });
+
+    deduplicated.forEach(rule => {
+        rule.nodes.forEach(node => {
+            const impact = node.impact || rule.impact;
+            unique.issues++;
+            total.issues += node.occurrences;
+            if (IMPACTS.includes(impact)) {
+                unique[impact]++;
+                total[impact] += node.occurrences;
+            }
+        });
+    });
+
+    return {
+        unique,
+        total,
+        sharedIssues: deduplicated.reduce((sum, rule) => sum + rule.nodes.filter(node => node.pages.length > 1).length, 0)
+    };
+}
+
+module.exports = {
+    fingerprintNode,
+    normalizeSelector,
+    normalizeHtml,
+    deduplicateViolations,
+    summarizeDeduplicated
+};
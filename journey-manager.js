@@ -0,0 +1,324 @@
+/**
+ * Journey Manager for SentryPrime
+ * Stores scripted user journeys per site (checkout, signup, search...) and plays
+ * them back in a browser page, handing control back at each checkpoint so the
+ * state the steps produced can be scanned
+ *
+ * Step actions:
+ *   navigate        - { url }
+ *   click           - { selector }
+ *   type            - { selector, value }
+ *   select          - { selector, value }
+ *   waitForSelector - { selector, timeout? }
+ *   assert          - { selector?, text?, urlIncludes? }
+ * Any step may set "checkpoint": true (and a "name") to scan the page after it runs.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const STEP_ACTIONS = {
+    navigate: ['url'],
+    click: ['selector'],
+    type: ['selector', 'value'],
+    select: ['selector', 'value'],
+    waitForSelector: ['selector'],
+    assert: []
+};
+
+const DEFAULT_STEP_TIMEOUT = 30000;
+
+class JourneyManager {
+    constructor(db = null) {
+        this.db = db;
+        this.memoryJourneys = new Map(); // Fallback store when running without a database
+        this.nextMemoryId = 1;
+    }
+
+    /**
+     * Check a journey definition before it is stored or run
+     * @returns {string|null} Error message, or null when valid
+     */
+    validateJourney(journey) {
+        if (!journey || !journey.siteUrl) return 'Journeys need a siteUrl';
+        if (!Array.isArray(journey.steps) || journey.steps.length === 0) return 'Journeys need at least one step';
+
+        for (const [index, step] of journey.steps.entries()) {
+            const required = STEP_ACTIONS[step.action];
+            if (!required) {
+                return `Step ${index + 1}: action must be one of ${Object.keys(STEP_ACTIONS).join(', ')}`;
+            }
+            const missing = required.filter(field => step[field] === undefined || step[field] === '');
+            if (missing.length > 0) {
+                return `Step ${index + 1} (${step.action}) needs ${missing.join(', ')}`;
+            }
+            if (step.action === 'assert' && !step.selector && step.text === undefined && !step.urlIncludes) {
+                return `Step ${index + 1} (assert) needs a selector, text or urlIncludes`;
+            }
+        }
+
+        if (!journey.steps.some(step => step.checkpoint)) {
+            return 'Mark at least one step with "checkpoint": true so the journey scans something';
+        }
+
+        return null;
+    }
+
+    getSiteOrigin(url) {
+        const withScheme = /^https?:\/\//.test(url) ? url : 'https://' + url;
+        return new URL(withScheme).origin;
+    }
+
+    formatJourney(row) {
+        return {
+            id: row.id,
+            organizationId: row.organization_id,
+            siteOrigin: row.site_origin,
+            siteUrl: row.site_url,
+            name: row.name,
+            steps: row.steps,
+            viewport: row.viewport,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            lastRunAt: row.last_run_at,
+            lastScanId: row.last_scan_id
+        };
+    }
+
+    async listJourneys(organizationId, siteUrl = null) {
+        const origin = siteUrl ? this.getSiteOrigin(siteUrl) : null;
+
+        if (!this.db) {
+            return Array.from(this.memoryJourneys.values())
+                .filter(row => row.organization_id === organizationId && (!origin || row.site_origin === origin))
+                .map(row => this.formatJourney(row));
+        }
+
+        const result = origin
+            ? await this.db.query('SELECT * FROM journeys WHERE organization_id = $1 AND site_origin = $2 ORDER BY name', [organizationId, origin])
+            : await this.db.query('SELECT * FROM journeys WHERE organization_id = $1 ORDER BY site_origin, name', [organizationId]);
+        return result.rows.map(row => this.formatJourney(row));
+    }
+
+    async getJourney(journeyId, organizationId) {
+        if (!this.db) {
+            const row = this.memoryJourneys.get(parseInt(journeyId));
+            return row && row.organization_id === organizationId ? this.formatJourney(row) : null;
+        }
+
+        const result = await this.db.query('SELECT * FROM journeys WHERE id = $1 AND organization_id = $2', [journeyId, organizationId]);
+        return result.rows[0] ? this.formatJourney(result.rows[0]) : null;
+    }
+
+    async saveJourney(organizationId, journey) {
+        const row = {
+            organization_id: organizationId,
+            site_origin: this.getSiteOrigin(journey.siteUrl),
+            site_url: journey.siteUrl,
+            name: journey.name || 'Untitled journey',
+            steps: journey.steps,
+            viewport: journey.viewport || null
+        };
+
+        if (!this.db) {
+            row.id = this.nextMemoryId++;
+            row.created_at = row.updated_at = new Date().toISOString();
+            row.last_run_at = row.last_scan_id = null;
+            this.memoryJourneys.set(row.id, row);
+            return this.formatJourney(row);
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO journeys (organization_id, site_origin, site_url, name, steps, viewport)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [row.organization_id, row.site_origin, row.site_url, row.name, JSON.stringify(row.steps), row.viewport]);
+
+        console.log(`🧭 Saved journey "${row.name}" for ${row.site_origin}`);
+        return this.formatJourney(result.rows[0]);
+    }
+
+    async updateJourney(journeyId, organizationId, changes) {
+        const existing = await this.getJourney(journeyId, organizationId);
+        if (!existing) return null;
+
+        const merged = {
+            siteUrl: changes.siteUrl || existing.siteUrl,
+            name: changes.name || existing.name,
+            steps: changes.steps || existing.steps,
+            viewport: changes.viewport !== undefined ? changes.viewport : existing.viewport
+        };
+
+        if (!this.db) {
+            const row = this.memoryJourneys.get(parseInt(journeyId));
+            Object.assign(row, {
+                site_origin: this.getSiteOrigin(merged.siteUrl),
+                site_url: merged.siteUrl,
+                name: merged.name,
+                steps: merged.steps,
+                viewport: merged.viewport,
+                updated_at: new Date().toISOString()
+            });
+            return this.formatJourney(row);
+        }
+
+        const result = await this.db.query(`
+            UPDATE journeys
+            SET site_origin = $1, site_url = $2, name = $3, steps = $4, viewport = $5, updated_at = NOW()
+            WHERE id = $6 AND organization_id = $7
+            RETURNING *
+        `, [this.getSiteOrigin(merged.siteUrl), merged.siteUrl, merged.name, JSON.stringify(merged.steps),
+            merged.viewport, journeyId, organizationId]);
+
+        return this.formatJourney(result.rows[0]);
+    }
+
+    async deleteJourney(journeyId, organizationId) {
+        if (!this.db) {
+            const row = this.memoryJourneys.get(parseInt(journeyId));
+            if (!row || row.organization_id !== organizationId) return false;
+            return this.memoryJourneys.delete(row.id);
+        }
+
+        const result = await this.db.query('DELETE FROM journeys WHERE id = $1 AND organization_id = $2', [journeyId, organizationId]);
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Remember the latest run of a stored journey
+     */
+    async recordRun(journeyId, scanId) {
+        if (!journeyId) return;
+
+        if (!this.db) {
+            const row = this.memoryJourneys.get(parseInt(journeyId));
+            if (row) Object.assign(row, { last_run_at: new Date().toISOString(), last_scan_id: scanId });
+            return;
+        }
+
+        try {
+            await this.db.query('UPDATE journeys SET last_run_at = NOW(), last_scan_id = $1 WHERE id = $2', [scanId, journeyId]);
+        } catch (error) {
+            console.error('Failed to record journey run:', error.message);
+        }
+    }
+
+    /**
+     * Carry out one step
+     */
+    async runStep(page, step) {
+        const timeout = step.timeout || DEFAULT_STEP_TIMEOUT;
+
+        switch (step.action) {
+            case 'navigate':
+                await page.goto(step.url, { waitUntil: 'networkidle2', timeout });
+                break;
+
+            case 'click':
+                await page.waitForSelector(step.selector, { visible: true, timeout });
+                // Clicks that navigate resolve once the new page has loaded
+                await Promise.all([
+                    page.waitForNavigation({ waitUntil: 'networkidle2', timeout: step.navigationTimeout || 5000 }).catch(() => null),
+                    page.click(step.selector)
+                ]);
+                break;
+
+            case 'type':
+                await page.waitForSelector(step.selector, { visible: true, timeout });
+                await page.click(step.selector, { clickCount: 3 });
+                await page.type(step.selector, String(step.value));
+                break;
+
+            case 'select': {
+                await page.waitForSelector(step.selector, { timeout });
+                const selected = await page.select(step.selector, ...[].concat(step.value).map(String));
+                if (selected.length === 0) {
+                    throw new Error(`No option "${step.value}" in ${step.selector}`);
+                }
+                break;
+            }
+
+            case 'waitForSelector':
+                await page.waitForSelector(step.selector, { visible: step.visible !== false, timeout });
+                break;
+
+            case 'assert':
+                if (step.urlIncludes && !page.url().includes(step.urlIncludes)) {
+                    throw new Error(`Expected URL to include "${step.urlIncludes}" but it is ${page.url()}`);
+                }
+                if (step.selector) {
+                    const element = await page.waitForSelector(step.selector, { timeout }).catch(() => null);
+                    if (!element) {
+                        throw new Error(`Expected ${step.selector} to be on the page`);
+                    }
+                    if (step.text !== undefined) {
+                        const text = await element.evaluate(el => el.textContent || '');
+                        if (!text.includes(step.text)) {
+                            throw new Error(`Expected ${step.selector} to contain "${step.text}"`);
+                        }
+                    }
+                } else if (step.text !== undefined) {
+                    const bodyText = await page.evaluate(() => document.body.innerText);
+                    if (!bodyText.includes(step.text)) {
+                        throw new Error(`Expected the page to contain "${step.text}"`);
+                    }
+                }
+                break;
+        }
+    }
+
+    /**
+     * Play a journey in a page, scanning at every checkpoint
+     * @param {Object} page - Puppeteer page (device emulation already applied)
+     * @param {Object} journey - { siteUrl, steps }
+     * @param {Object} hooks - onStepStart(step, index), onCheckpoint(page, step, index) => scan results,
+     *                         onStepComplete(stepResult)
+     * @returns {Promise<Object>} { steps, completed, failedStep }
+     */
+    async runJourney(page, journey, hooks = {}) {
+        const steps = [];
+        let failedStep = null;
+
+        // Journeys that don't open with a navigate step start from the site URL
+        if (journey.steps[0].action !== 'navigate') {
+            await page.goto(journey.siteUrl, { waitUntil: 'networkidle2', timeout: DEFAULT_STEP_TIMEOUT });
+        }
+
+        for (const [index, step] of journey.steps.entries()) {
+            const name = step.name || `${step.action}${step.selector ? ' ' + step.selector : step.url ? ' ' + step.url : ''}`;
+
+            if (failedStep !== null) {
+                steps.push({ index, name, action: step.action, status: 'skipped', checkpoint: !!step.checkpoint });
+                continue;
+            }
+
+            const started = Date.now();
+            hooks.onStepStart?.(step, index);
+            const stepResult = { index, name, action: step.action, checkpoint: !!step.checkpoint };
+
+            try {
+                await this.runStep(page, step);
+                stepResult.status = 'passed';
+                stepResult.url = page.url();
+
+                if (step.checkpoint && hooks.onCheckpoint) {
+                    stepResult.scan = await hooks.onCheckpoint(page, step, index);
+                }
+            } catch (error) {
+                console.log(`❌ Journey step ${index + 1} (${name}) failed: ${error.message}`);
+                stepResult.status = 'failed';
+                stepResult.error = error.message;
+                stepResult.url = page.url();
+                failedStep = index;
+            }
+
+            stepResult.durationMs = Date.now() - started;
+            steps.push(stepResult);
+            hooks.onStepComplete?.(stepResult);
+        }
+
+        return { steps, completed: failedStep === null, failedStep };
+    }
+}
+
+module.exports = JourneyManager;
@@ -0,0 +1,476 @@
+/**
+ * Keyboard Auditor for SentryPrime
+ * Drives a page with Tab and Shift+Tab to record the focus order and find focus traps,
+ * focus without a visible indicator and interactive elements the keyboard never reaches.
+ * Findings are returned in the same shape as axe results.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const { injectDomHelpers } = require('./page-helpers');
+
+const RULES = {
+    'keyboard-focus-trap': {
+        impact: 'critical',
+        tags: ['cat.keyboard', 'wcag2a', 'wcag212', 'keyboard'],
+        description: 'Ensures keyboard focus can always move away from a component using Tab and Shift+Tab',
+        help: 'Keyboard focus must not be trapped',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/no-keyboard-trap.html'
+    },
+    'keyboard-unreachable': {
+        impact: 'serious',
+        tags: ['cat.keyboard', 'wcag2a', 'wcag211', 'keyboard'],
+        description: 'Ensures every interactive element can be reached with the Tab key',
+        help: 'Interactive elements must be reachable by keyboard',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/keyboard.html'
+    },
+    'keyboard-focus-visible': {
+        impact: 'serious',
+        tags: ['cat.keyboard', 'wcag2aa', 'wcag247', 'keyboard'],
+        description: 'Ensures elements show a visible indicator when they receive keyboard focus',
+        help: 'Focused elements must have a visible focus indicator',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-visible.html'
+    },
+    'keyboard-focus-order': {
+        impact: 'moderate',
+        tags: ['cat.keyboard', 'wcag2a', 'wcag243', 'keyboard'],
+        description: 'Checks that focus moves through the page in an order that follows the layout',
+        help: 'Focus order should follow the visual order',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-order.html'
+    }
+};
+
+// Focus jumping this far back up the page is worth a human look
+const BACKWARD_JUMP_PX = 300;
+
+// Tab presses allowed inside a cross-origin frame (which reports as the IFRAME itself) before it counts as a trap
+const MAX_FRAME_TABS = 50;
+
+/**
+ * Installed into the page once per audit; keeps element references between key presses
+ */
+function installPageHelpers() {
+    const INTERACTIVE_SELECTOR = [
+        'a[href]', 'area[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+        'iframe', '[tabindex]', '[contenteditable=""]', '[contenteditable="true"]',
+        'audio[controls]', 'video[controls]',
+        '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="switch"]',
+        '[role="tab"]', '[role="menuitem"]', '[role="option"]', '[role="slider"]', '[role="combobox"]', '[role="textbox"]'
+    ].join(', ');
+    const STYLE_KEYS = ['outlineStyle', 'outlineWidth', 'outlineColor', 'boxShadow', 'borderTopColor', 'borderBottomColor',
+        'backgroundColor', 'color', 'textDecorationLine'];
+
+    const elements = [];
+    const baselines = [];
+
+    // All documents and open shadow roots reachable from the top document
+    function collectRoots(root, roots = []) {
+        roots.push(root);
+        root.querySelectorAll('*').forEach(el => {
+            if (el.shadowRoot) collectRoots(el.shadowRoot, roots);
+            if (el.tagName === 'IFRAME') {
+                try {
+                    if (el.contentDocument) collectRoots(el.contentDocument, roots);
+                } catch (error) {
+                    // Cross-origin frame - its content is out of reach
+                }
+            }
+        });
+        return roots;
+    }
+
+    function isVisible(el) {
+        const view = el.ownerDocument.defaultView;
+        const style = view.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+    }
+
+    function snapshotStyles(el) {
+        const style = el.ownerDocument.defaultView.getComputedStyle(el);
+        const snapshot = {};
+        STYLE_KEYS.forEach(key => { snapshot[key] = style[key]; });
+        return snapshot;
+    }
+
+    const { cssPath } = window.__sentryprimeDom;
+
+    // Target in axe's format: one entry per iframe, arrays for shadow DOM paths
+    function getTarget(el) {
+        const frames = [];
+        let shadowPath = [cssPath(el)];
+        let current = el;
+
+        while (true) {
+            const root = current.getRootNode();
+            if (root.host) {
+                current = root.host;
+                shadowPath.unshift(cssPath(current));
+                continue;
+            }
+            frames.unshift(shadowPath.length > 1 ? shadowPath : shadowPath[0]);
+            const frameElement = root.defaultView && root.defaultView.frameElement;
+            if (!frameElement) break;
+            current = frameElement;
+            shadowPath = [cssPath(current)];
+        }
+        return frames;
+    }
+
+    function getXPath(el) {
+        if (!el || el.nodeType !== 1) return '';
+        if (el.id) return `//*[@id="${el.id}"]`;
+        if (el === el.ownerDocument.body) return '/html/body';
+        const sameTag = Array.from(el.parentNode?.children || []).filter(sibling => sibling.tagName === el.tagName);
+        return getXPath(el.parentNode) + '/' + el.tagName.toLowerCase() + '[' + (sameTag.indexOf(el) + 1) + ']';
+    }
+
+    function describe(el, computedStyles) {
+        const target = getTarget(el);
+        const last = target[target.length - 1];
+        const rect = el.getBoundingClientRect();
+        const view = el.ownerDocument.defaultView;
+
+        return {
+            target: target,
+            html: el.outerHTML.substring(0, 250),
+            enhancedData: {
+                selector: Array.isArray(last) ? last[last.length - 1] : last,
+                xpath: getXPath(el),
+                tagName: el.tagName.toLowerCase(),
+                framePath: target.slice(0, -1),
+                shadowPath: Array.isArray(last) ? last.slice(0, -1) : [],
+                outerHTML: el.outerHTML.substring(0, 500),
+                textContent: el.textContent?.trim().substring(0, 200) || '',
+                computedStyles: computedStyles || {},
+                attributes: Array.from(el.attributes).reduce((acc, attr) => {
+                    acc[attr.name] = attr.value;
+                    return acc;
+                }, {}),
+                boundingRect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height, top: rect.top, left: rect.left },
+                documentTop: rect.top + view.scrollY,
+                parentInfo: {
+                    tagName: el.parentElement?.tagName.toLowerCase(),
+                    className: el.parentElement?.className || '',
+                    id: el.parentElement?.id || ''
+                }
+            }
+        };
+    }
+
+    function deepActiveElement() {
+        let el = document.activeElement;
+        while (el) {
+            if (el.shadowRoot && el.shadowRoot.activeElement) {
+                el = el.shadowRoot.activeElement;
+            } else if (el.tagName === 'IFRAME') {
+                let inner = null;
+                try {
+                    inner = el.contentDocument && el.contentDocument.activeElement;
+                } catch (error) {
+                    inner = null;
+                }
+                if (!inner || inner === el.contentDocument.body) break;
+                el = inner;
+            } else {
+                break;
+            }
+        }
+        return el;
+    }
+
+    function idOf(el) {
+        let id = elements.indexOf(el);
+        if (id === -1) {
+            elements.push(el);
+            baselines.push(null); // Not in the initial candidate list - no unfocused styles to compare
+            id = elements.length - 1;
+        }
+        return id;
+    }
+
+    // Unfocused styles of every candidate, taken before the first key press
+    if (document.activeElement && document.activeElement.blur) document.activeElement.blur();
+    collectRoots(document).forEach(root => {
+        root.querySelectorAll(INTERACTIVE_SELECTOR).forEach(el => {
+            // A negative tabindex takes the element out of the tab order on purpose
+            // (skip-link targets, dialogs, roving-tabindex items)
+            if (el.disabled || el.closest('[inert]') || el.matches('[tabindex^="-"]') || !isVisible(el)) return;
+            elements.push(el);
+            baselines.push(snapshotStyles(el));
+        });
+    });
+
+    window.__sentryprimeKeyboard = {
+        candidateCount: elements.length,
+
+        // What has focus now, and whether it shows any visible change from its unfocused state
+        current() {
+            const el = deepActiveElement();
+            if (!el || el === document.body || el === document.documentElement) {
+                return { atBody: true };
+            }
+
+            const id = idOf(el);
+            const focused = snapshotStyles(el);
+            const baseline = baselines[id];
+            const visible = isVisible(el);
+            let indicator = null;
+            if (baseline) {
+                const outlineShown = focused.outlineStyle !== 'none' && parseFloat(focused.outlineWidth) > 0;
+                indicator = (outlineShown && (baseline.outlineStyle === 'none' || focused.outlineColor !== baseline.outlineColor || focused.outlineWidth !== baseline.outlineWidth))
+                    || ['boxShadow', 'borderTopColor', 'borderBottomColor', 'backgroundColor', 'color', 'textDecorationLine']
+                        .some(key => focused[key] !== baseline[key]);
+            }
+
+            return { atBody: false, id, visible, indicator, ...describe(el, focused) };
+        },
+
+        // Candidates that were never focused; radio groups and composite widgets count as
+        // reached when any of their items was, since arrow keys move within them
+        unreached(reachedIds) {
+            const reached = new Set(reachedIds);
+            const reachedElements = elements.filter((el, id) => reached.has(id));
+            const compositeItem = '[role="option"], [role="menuitem"], [role="tab"], [role="radio"], [role="treeitem"], [role="gridcell"]';
+
+            return elements.map((el, id) => ({ el, id }))
+                .filter(({ el, id }) => {
+                    if (reached.has(id) || baselines[id] === null) return false;
+                    if (reachedElements.some(other => other.contains(el) || el.contains(other))) return false;
+                    if (el.type === 'radio' && el.name && reachedElements.some(other => other.type === 'radio' && other.name === el.name)) return false;
+                    if (el.matches(compositeItem) && reachedElements.some(other => other.parentElement === el.parentElement)) return false;
+                    return true;
+                })
+                .map(({ el }) => describe(el, null));
+        },
+
+        inModalDialog(ids) {
+            return ids.every(id => elements[id] && elements[id].closest('[aria-modal="true"], dialog[open]'));
+        },
+
+        cleanup() {
+            delete window.__sentryprimeKeyboard;
+        }
+    };
+
+    return elements.length;
+}
+
+class KeyboardAuditor {
+    constructor(options = {}) {
+        this.options = {
+            maxTabs: options.maxTabs || 200,
+            keyDelay: options.keyDelay || 0
+        };
+    }
+
+    async press(page, key) {
+        await page.keyboard.press(key);
+        if (this.options.keyDelay) {
+            await new Promise(resolve => setTimeout(resolve, this.options.keyDelay));
+        }
+        return page.evaluate(() => window.__sentryprimeKeyboard.current());
+    }
+
+    /**
+     * Build an axe-style rule result
+     */
+    buildRule(ruleId, nodes) {
+        const rule = RULES[ruleId];
+        return {
+            id: ruleId,
+            impact: rule.impact,
+            tags: rule.tags,
+            description: rule.description,
+            help: rule.help,
+            helpUrl: rule.helpUrl,
+            source: 'keyboard-audit',
+            nodes: nodes.map(node => ({
+                target: node.target,
+                html: node.html,
+                impact: rule.impact,
+                any: [],
+                all: [],
+                none: [],
+                failureSummary: node.failureSummary,
+                enhancedData: node.enhancedData
+            }))
+        };
+    }
+
+    /**
+     * Decide whether a focus cycle is a real trap: Shift+Tab must not get out either,
+     * and Escape must not close it (dismissible modals are allowed to hold focus)
+     */
+    async confirmTrap(page, cycleIds) {
+        const cycle = new Set(cycleIds);
+
+        for (let i = 0; i < cycleIds.length + 2; i++) {
+            const info = await this.press(page, 'Shift+Tab');
+            if (info.atBody || !cycle.has(info.id)) {
+                return { trapped: false, reason: 'shift-tab' };
+            }
+        }
+
+        await page.keyboard.press('Escape');
+        const afterEscape = await this.press(page, 'Tab');
+        if (afterEscape.atBody || !cycle.has(afterEscape.id)) {
+            return { trapped: false, reason: 'escape' };
+        }
+
+        return { trapped: true };
+    }
+
+    /**
+     * Keep tabbing while focus is inside a cross-origin frame. Those frames can't be looked
+     * into, so each stop inside one reports the IFRAME element again.
+     * @returns {Promise<Object>} { trapped } or { info } for where focus went after the frame
+     */
+    async tabThroughFrame(page, frameId) {
+        for (let i = 0; i < MAX_FRAME_TABS; i++) {
+            const info = await this.press(page, 'Tab');
+            if (info.atBody || info.id !== frameId) {
+                return { trapped: false, info };
+            }
+        }
+        return { trapped: true };
+    }
+
+    /**
+     * Tab through the page and report keyboard problems
+     * @param {Object} page - Puppeteer page, already loaded
+     * @returns {Promise<Object>} { violations, incomplete, focusOrder, stats }
+     */
+    async audit(page) {
+        await injectDomHelpers(page);
+        const candidateCount = await page.evaluate(installPageHelpers);
+        const focusOrder = [];
+        const seenAt = new Map();
+        const noIndicator = [];
+        const orderJumps = [];
+        const violations = [];
+        const incomplete = [];
+        let completed = false;
+        let trap = null;
+
+        try {
+            for (let step = 0; step < this.options.maxTabs; step++) {
+                let info = await this.press(page, 'Tab');
+
+                // Focus landing on the same frame again means it moved to a control inside it
+                const last = focusOrder[focusOrder.length - 1];
+                if (!info.atBody && last && last.id === info.id && last.tagName === 'iframe') {
+                    const frame = await this.tabThroughFrame(page, info.id);
+                    if (frame.trapped) {
+                        trap = { ids: [info.id], first: info, frame: true };
+                        break;
+                    }
+                    info = frame.info;
+                }
+
+                if (info.atBody) {
+                    // Focus left the document after the last element - one full pass done
+                    if (focusOrder.length > 0) {
+                        completed = true;
+                        break;
+                    }
+                    continue;
+                }
+
+                if (seenAt.has(info.id)) {
+                    if (seenAt.get(info.id) === 0) {
+                        // Wrapped straight back to the first element
+                        completed = true;
+                        break;
+                    }
+
+                    const cycleIds = focusOrder.slice(seenAt.get(info.id)).map(entry => entry.id);
+                    const check = await this.confirmTrap(page, cycleIds);
+                    if (check.trapped) {
+                        trap = { ids: cycleIds, first: info };
+                    }
+                    break;
+                }
+
+                seenAt.set(info.id, focusOrder.length);
+                const previous = focusOrder[focusOrder.length - 1];
+                focusOrder.push({
+                    id: info.id,
+                    target: info.target,
+                    tagName: info.enhancedData.tagName,
+                    text: info.enhancedData.textContent.substring(0, 80),
+                    hasFocusIndicator: info.indicator,
+                    visible: info.visible,
+                    documentTop: info.enhancedData.documentTop
+                });
+
+                if (info.indicator === false || !info.visible) {
+                    noIndicator.push({
+                        ...info,
+                        failureSummary: info.visible
+                            ? 'Fix any of the following:\n  Element shows no visible change (outline, border, shadow, colour or underline) when focused'
+                            : 'Fix any of the following:\n  Element receives focus while it is hidden or has no size'
+                    });
+                }
+
+                if (previous && previous.documentTop - info.enhancedData.documentTop > BACKWARD_JUMP_PX) {
+                    orderJumps.push({
+                        ...info,
+                        failureSummary: `Review the following:\n  Focus moves ${Math.round(previous.documentTop - info.enhancedData.documentTop)}px back up the page from ${JSON.stringify(previous.target)}`
+                    });
+                }
+            }
+
+            if (trap) {
+                const trapped = focusOrder.filter(entry => trap.ids.includes(entry.id));
+                const node = {
+                    ...trap.first,
+                    failureSummary: trap.frame
+                        ? `Fix the following:\n  Focus stays inside the embedded frame after ${MAX_FRAME_TABS} presses of Tab`
+                        : `Fix the following:\n  Tab and Shift+Tab keep focus cycling between ${trapped.length} element(s): ${trapped.map(entry => JSON.stringify(entry.target)).join(', ')}`
+                };
+                const inModal = await page.evaluate(ids => window.__sentryprimeKeyboard.inModalDialog(ids), trap.ids);
+                // A modal dialog holding focus is expected as long as it can be closed - a reviewer decides
+                (inModal ? incomplete : violations).push(this.buildRule('keyboard-focus-trap', [node]));
+            }
+
+            // Only a complete pass proves an element can't be reached
+            if (completed) {
+                const unreached = await page.evaluate(
+                    ids => window.__sentryprimeKeyboard.unreached(ids),
+                    focusOrder.map(entry => entry.id)
+                );
+                if (unreached.length > 0) {
+                    violations.push(this.buildRule('keyboard-unreachable', unreached.map(node => ({
+                        ...node,
+                        failureSummary: 'Fix any of the following:\n  Element is interactive but never receives focus from the Tab key (add tabindex="0" or use a native control)'
+                    }))));
+                }
+            }
+
+            if (noIndicator.length > 0) {
+                violations.push(this.buildRule('keyboard-focus-visible', noIndicator));
+            }
+            if (orderJumps.length > 0) {
+                incomplete.push(this.buildRule('keyboard-focus-order', orderJumps));
+            }
+        } finally {
+            await page.evaluate(() => window.__sentryprimeKeyboard && window.__sentryprimeKeyboard.cleanup()).catch(() => {});
+        }
+
+        return {
+            violations,
+            incomplete,
+            focusOrder: focusOrder.map(({ id, documentTop, ...entry }) => entry),
+            stats: {
+                interactiveElements: candidateCount,
+                tabStops: focusOrder.length,
+                completedPass: completed,
+                focusTrap: !!trap
+            }
+        };
+    }
+}
+
+module.exports = KeyboardAuditor;
@@ -0,0 +1,412 @@
+/**
+ * Media Auditor for SentryPrime
+ * Lists the video, audio and embedded players (YouTube, Vimeo, Wistia) on a page and checks
+ * them for captions, audio that plays by itself and moving content that cannot be paused.
+ * Carousels are watched for a few seconds to see whether they rotate on their own.
+ * Findings are returned in the same shape as axe results.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const { injectDomHelpers } = require('./page-helpers');
+
+const RULES = {
+    'media-captions-missing': {
+        impact: 'critical',
+        tags: ['cat.time-and-media', 'wcag2a', 'wcag122', 'media'],
+        description: 'Ensures <video> elements with sound have a captions track',
+        help: 'Videos must have captions',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/captions-prerecorded.html'
+    },
+    'media-embed-captions': {
+        impact: 'serious',
+        tags: ['cat.time-and-media', 'wcag2a', 'wcag122', 'media'],
+        description: 'Checks that videos embedded from YouTube, Vimeo and similar players have captions',
+        help: 'Embedded videos need captions - confirm them in the player',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/captions-prerecorded.html'
+    },
+    'media-audio-description': {
+        impact: 'moderate',
+        tags: ['cat.time-and-media', 'wcag2aa', 'wcag125', 'media'],
+        description: 'Checks that video has audio description for information shown only on screen',
+        help: 'Videos should have audio description or a descriptive transcript',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/audio-description-prerecorded.html'
+    },
+    'media-audio-transcript': {
+        impact: 'serious',
+        tags: ['cat.time-and-media', 'wcag2a', 'wcag121', 'media'],
+        description: 'Checks that audio-only content has a text transcript',
+        help: 'Audio-only content needs a transcript',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/audio-only-and-video-only-prerecorded.html'
+    },
+    'media-autoplay-audio': {
+        impact: 'serious',
+        tags: ['cat.time-and-media', 'wcag2a', 'wcag142', 'media'],
+        description: 'Ensures media does not play sound automatically for more than 3 seconds without a way to stop it',
+        help: 'Media must not autoplay with sound',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/audio-control.html'
+    },
+    'media-pause-control': {
+        impact: 'serious',
+        tags: ['cat.time-and-media', 'wcag2a', 'wcag222', 'media'],
+        description: 'Ensures media that starts by itself and runs longer than 3 seconds can be paused',
+        help: 'Autoplaying media must have a pause control',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/pause-stop-hide.html'
+    },
+    'carousel-pause-control': {
+        impact: 'serious',
+        tags: ['cat.time-and-media', 'wcag2a', 'wcag222', 'media'],
+        description: 'Ensures carousels that rotate on their own have a pause or stop control',
+        help: 'Rotating carousels must have a pause control',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/pause-stop-hide.html'
+    }
+};
+
+// WCAG 1.4.2 allows up to 3 seconds of sound before the user must be able to stop it
+const AUTOPLAY_AUDIO_LIMIT_SECONDS = 3;
+
+/**
+ * Installed into the page once per audit; keeps element references between the two carousel snapshots
+ */
+function installPageHelpers() {
+    const EMBED_PATTERNS = [
+        { provider: 'youtube', pattern: /(youtube\.com|youtube-nocookie\.com)\/embed\// },
+        { provider: 'vimeo', pattern: /player\.vimeo\.com\/video\// },
+        { provider: 'wistia', pattern: /fast\.wistia\.(net|com)\/embed\// }
+    ];
+    const CAROUSEL_SELECTOR = [
+        '[aria-roledescription="carousel"]', '.carousel', '.slick-slider', '.swiper', '.swiper-container', '.splide',
+        '.glide', '.flickity-enabled', '.owl-carousel', '.keen-slider', '[data-ride="carousel"]', '[data-bs-ride="carousel"]'
+    ].join(', ');
+    const AUTOPLAY_ATTRIBUTES = ['data-ride', 'data-bs-ride', 'data-autoplay', 'data-interval', 'data-bs-interval', 'data-flickity-autoplay'];
+    const PAUSE_PATTERN = /\b(pause|stop)\b/i;
+
+    const carousels = [];
+
+    // All documents and open shadow roots reachable from the top document
+    function collectRoots(root, roots = []) {
+        roots.push(root);
+        root.querySelectorAll('*').forEach(el => {
+            if (el.shadowRoot) collectRoots(el.shadowRoot, roots);
+        });
+        return roots;
+    }
+
+    function queryAll(selector) {
+        return collectRoots(document).flatMap(root => Array.from(root.querySelectorAll(selector)));
+    }
+
+    const { cssPath } = window.__sentryprimeDom;
+
+    // Target in axe's format: arrays for shadow DOM paths
+    function getTarget(el) {
+        const path = [cssPath(el)];
+        let current = el;
+        while (current.getRootNode().host) {
+            current = current.getRootNode().host;
+            path.unshift(cssPath(current));
+        }
+        return path.length > 1 ? [path] : path;
+    }
+
+    function describe(el) {
+        const target = getTarget(el);
+        const last = target[target.length - 1];
+        const rect = el.getBoundingClientRect();
+        return {
+            target: target,
+            html: el.outerHTML.substring(0, 250),
+            enhancedData: {
+                selector: Array.isArray(last) ? last[last.length - 1] : last,
+                tagName: el.tagName.toLowerCase(),
+                shadowPath: Array.isArray(last) ? last.slice(0, -1) : [],
+                outerHTML: el.outerHTML.substring(0, 500),
+                textContent: el.textContent?.trim().substring(0, 200) || '',
+                attributes: Array.from(el.attributes).reduce((acc, attr) => {
+                    acc[attr.name] = attr.value;
+                    return acc;
+                }, {}),
+                boundingRect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height, top: rect.top, left: rect.left },
+                parentInfo: {
+                    tagName: el.parentElement?.tagName.toLowerCase(),
+                    className: el.parentElement?.className || '',
+                    id: el.parentElement?.id || ''
+                }
+            }
+        };
+    }
+
+    function isVisible(el) {
+        const style = getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+    }
+
+    // A button near the player (or inside the carousel) whose name mentions pause or stop
+    function hasPauseControl(container) {
+        const controls = container.querySelectorAll('button, [role="button"], a, input[type="button"], input[type="checkbox"]');
+        return Array.from(controls).some(control => {
+            const name = [control.getAttribute('aria-label'), control.getAttribute('title'), control.value, control.textContent, control.className]
+                .filter(value => typeof value === 'string').join(' ');
+            return PAUSE_PATTERN.test(name);
+        });
+    }
+
+    function nearestContainer(el, levels) {
+        let container = el.parentElement || el;
+        for (let i = 1; i < levels && container.parentElement && container.parentElement !== document.body; i++) {
+            container = container.parentElement;
+        }
+        return container;
+    }
+
+    function embedParams(src) {
+        try {
+            return new URL(src, location.href).searchParams;
+        } catch (error) {
+            return new URLSearchParams();
+        }
+    }
+
+    function mediaElement(el) {
+        const tracks = Array.from(el.querySelectorAll('track')).map(track => (track.getAttribute('kind') || 'subtitles').toLowerCase());
+        const duration = Number.isFinite(el.duration) ? el.duration : null;
+        return {
+            ...describe(el),
+            kind: el.tagName.toLowerCase(),
+            src: el.currentSrc || el.getAttribute('src') || el.querySelector('source')?.getAttribute('src') || '',
+            duration: duration,
+            autoplay: el.autoplay,
+            playing: !el.paused && !el.ended,
+            muted: el.muted || el.volume === 0,
+            loop: el.loop,
+            controls: el.controls,
+            visible: isVisible(el),
+            captions: tracks.includes('captions') || tracks.includes('subtitles'),
+            descriptions: tracks.includes('descriptions'),
+            // Cheap sign of an audio track; Chrome only exposes it for media it has loaded
+            hasAudio: typeof el.webkitAudioDecodedByteCount === 'number' && el.readyState > 0 && el.currentTime > 0
+                ? el.webkitAudioDecodedByteCount > 0
+                : null,
+            pauseControl: el.controls || hasPauseControl(nearestContainer(el, 3))
+        };
+    }
+
+    function embedElement(el, provider) {
+        const src = el.getAttribute('src') || el.getAttribute('data-src') || '';
+        const params = embedParams(src);
+        const flag = name => ['1', 'true'].includes(params.get(name));
+        const background = provider === 'vimeo' && flag('background');
+        return {
+            ...describe(el),
+            kind: 'embed',
+            provider,
+            src,
+            autoplay: flag('autoplay') || background,
+            muted: flag('mute') || flag('muted') || background,
+            loop: flag('loop') || background,
+            // YouTube controls=0 and Vimeo background mode hide the player's own buttons
+            controls: !(params.get('controls') === '0' || background),
+            captionsForced: flag('cc_load_policy') || params.has('texttrack'),
+            visible: isVisible(el)
+        };
+    }
+
+    // What changes while a carousel rotates: the active slide, transforms and scroll position
+    function carouselSignature(el) {
+        const active = el.querySelector('.active, .is-active, .slick-current, .swiper-slide-active, .is-selected, [aria-current="true"]');
+        const track = el.querySelector('.slick-track, .swiper-wrapper, .splide__list, .glide__slides, .flickity-slider, .owl-stage, .carousel-inner') || el;
+        const visibleSlides = Array.from(el.querySelectorAll('[aria-roledescription="slide"], .carousel-item, .slick-slide, .swiper-slide, .splide__slide'))
+            .map((slide, index) => (slide.getAttribute('aria-hidden') === 'true' || getComputedStyle(slide).display === 'none' ? '' : index))
+            .join(',');
+        return [
+            active ? Array.from(active.parentElement.children).indexOf(active) : -1,
+            getComputedStyle(track).transform,
+            track.scrollLeft,
+            visibleSlides
+        ].join('|');
+    }
+
+    queryAll(CAROUSEL_SELECTOR).forEach(el => {
+        // Nested matches (".carousel .carousel-inner") are the same carousel
+        if (!isVisible(el) || carousels.some(other => other.el.contains(el))) return;
+        carousels.push({ el, before: carouselSignature(el) });
+    });
+
+    window.__sentryprimeMedia = {
+        inventory() {
+            const media = queryAll('video, audio').map(mediaElement);
+            const embeds = [];
+            queryAll('iframe').forEach(el => {
+                const src = el.getAttribute('src') || el.getAttribute('data-src') || '';
+                const match = EMBED_PATTERNS.find(entry => entry.pattern.test(src));
+                if (match) embeds.push(embedElement(el, match.provider));
+            });
+            return { media, embeds };
+        },
+
+        carousels() {
+            return carousels.map(({ el, before }) => ({
+                ...describe(el),
+                moved: carouselSignature(el) !== before,
+                autoplayConfigured: AUTOPLAY_ATTRIBUTES.some(name => el.hasAttribute(name) && el.getAttribute(name) !== 'false') ||
+                    /autoplay/i.test(el.getAttribute('data-flickity') || el.getAttribute('data-slick') || el.getAttribute('data-splide') || el.getAttribute('data-swiper') || ''),
+                pauseControl: hasPauseControl(el),
+                slides: el.querySelectorAll('[aria-roledescription="slide"], .carousel-item, .slick-slide, .swiper-slide, .splide__slide, .glide__slide').length
+            }));
+        },
+
+        cleanup() {
+            delete window.__sentryprimeMedia;
+        }
+    };
+
+    return carousels.length;
+}
+
+class MediaAuditor {
+    constructor(options = {}) {
+        this.options = {
+            // How long to watch carousels (and playing media) for movement
+            observeMs: options.observeMs !== undefined ? options.observeMs : 3000
+        };
+    }
+
+    /**
+     * Build an axe-style rule result
+     */
+    buildRule(ruleId, nodes) {
+        const rule = RULES[ruleId];
+        return {
+            id: ruleId,
+            impact: rule.impact,
+            tags: rule.tags,
+            description: rule.description,
+            help: rule.help,
+            helpUrl: rule.helpUrl,
+            source: 'media-audit',
+            nodes: nodes.map(node => ({
+                target: node.target,
+                html: node.html,
+                impact: rule.impact,
+                any: [],
+                all: [],
+                none: [],
+                failureSummary: node.failureSummary,
+                enhancedData: node.enhancedData
+            }))
+        };
+    }
+
+    /**
+     * Sort media, embeds and carousels into findings
+     */
+    evaluate({ media, embeds, carousels }) {
+        const found = { violations: {}, incomplete: {} };
+        const add = (bucket, ruleId, item, failureSummary) => {
+            (found[bucket][ruleId] = found[bucket][ruleId] || []).push({ ...item, failureSummary });
+        };
+
+        media.filter(item => item.visible || item.playing || item.kind === 'audio').forEach(item => {
+            const startsByItself = item.autoplay || item.playing;
+            // Duration is unknown until metadata loads - assume it runs long rather than miss it
+            const longRunning = item.loop || item.duration === null || item.duration > AUTOPLAY_AUDIO_LIMIT_SECONDS;
+            // A muted, looping background video without controls is decorative - it needs a pause button, not captions
+            const decorative = item.kind === 'video' && item.muted && startsByItself && !item.controls;
+
+            if (item.kind === 'video' && !decorative && item.hasAudio !== false) {
+                if (!item.captions) {
+                    add('violations', 'media-captions-missing', item, 'Fix the following:\n  <video> has no <track kind="captions"> (or subtitles) element');
+                }
+                if (!item.descriptions) {
+                    add('incomplete', 'media-audio-description', item, 'Review the following:\n  No <track kind="descriptions"> - check whether the video needs audio description or a descriptive transcript');
+                }
+            }
+            if (item.kind === 'audio') {
+                add('incomplete', 'media-audio-transcript', item, 'Review the following:\n  Audio-only content - check that a transcript is linked next to the player');
+            }
+
+            if (startsByItself && !item.muted && longRunning && !item.pauseControl) {
+                add('violations', 'media-autoplay-audio', item, `Fix the following:\n  ${item.kind === 'audio' ? 'Audio' : 'Video'} plays sound automatically${item.duration ? ' for ' + Math.round(item.duration) + 's' : ''} with no way to pause it or turn the volume down`);
+            } else if (startsByItself && longRunning && !item.pauseControl) {
+                add('violations', 'media-pause-control', item, `Fix the following:\n  ${item.kind === 'audio' ? 'Audio' : 'Video'} starts by itself${item.loop ? ' and loops' : ''} with no controls attribute or pause button`);
+            }
+        });
+
+        embeds.forEach(item => {
+            if (!(item.autoplay && item.muted && item.loop)) {
+                add('incomplete', 'media-embed-captions', item, `Review the following:\n  ${item.provider} player - captions can't be checked from the page; confirm the video has accurate captions${item.captionsForced ? ' (captions are switched on in the embed URL)' : ''}`);
+            }
+            if (item.autoplay && !item.muted) {
+                add('violations', 'media-autoplay-audio', item, `Fix the following:\n  ${item.provider} embed autoplays with sound (autoplay=1 without mute)`);
+            } else if (item.autoplay && !item.controls) {
+                add('violations', 'media-pause-control', item, `Fix the following:\n  ${item.provider} embed autoplays with its controls hidden`);
+            }
+        });
+
+        carousels.forEach(item => {
+            if (item.pauseControl) return;
+            if (item.moved) {
+                add('violations', 'carousel-pause-control', item, `Fix the following:\n  Carousel (${item.slides} slides) rotated on its own while the page was idle and has no pause or stop button`);
+            } else if (item.autoplayConfigured) {
+                add('incomplete', 'carousel-pause-control', item, 'Review the following:\n  Carousel is configured to autoplay but did not move during the check - confirm it has a pause control');
+            }
+        });
+
+        return {
+            violations: Object.entries(found.violations).map(([ruleId, nodes]) => this.buildRule(ruleId, nodes)),
+            incomplete: Object.entries(found.incomplete).map(([ruleId, nodes]) => this.buildRule(ruleId, nodes))
+        };
+    }
+
+    /**
+     * List the page's media and report caption, autoplay and pause-control problems
+     * @param {Object} page - Puppeteer page, already loaded
+     * @returns {Promise<Object>} { violations, incomplete, media, stats }
+     */
+    async audit(page) {
+        let inventory;
+        let carousels = [];
+
+        try {
+            await injectDomHelpers(page);
+            const carouselCount = await page.evaluate(installPageHelpers);
+            // Give carousels (and autoplaying media) time to show themselves moving
+            if (carouselCount > 0 && this.options.observeMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.options.observeMs));
+            }
+            inventory = await page.evaluate(() => window.__sentryprimeMedia.inventory());
+            carousels = await page.evaluate(() => window.__sentryprimeMedia.carousels());
+        } finally {
+            await page.evaluate(() => window.__sentryprimeMedia && window.__sentryprimeMedia.cleanup()).catch(() => {});
+        }
+
+        const findings = this.evaluate({ ...inventory, carousels });
+        const summarize = item => ({
+            kind: item.kind,
+            provider: item.provider || null,
+            target: item.target,
+            src: item.src || null,
+            duration: item.duration !== undefined ? item.duration : null,
+            autoplay: !!item.autoplay,
+            muted: !!item.muted,
+            controls: !!item.controls,
+            captions: item.kind === 'embed' ? null : !!item.captions
+        });
+
+        return {
+            ...findings,
+            media: [...inventory.media, ...inventory.embeds].map(summarize),
+            stats: {
+                video: inventory.media.filter(item => item.kind === 'video').length,
+                audio: inventory.media.filter(item => item.kind === 'audio').length,
+                embeds: inventory.embeds.length,
+                carousels: carousels.length,
+                rotatingCarousels: carousels.filter(item => item.moved).length
+            }
+        };
+    }
+}
+
+module.exports = MediaAuditor;
@@ -74,6 +74,17 @@ async function initializeDatabase() {
         await runMigration('001', 'Core Tables', runCoreMigrations);
         await runMigration('002', 'User Authentication', runUserAuthenticationMigrations);
         await runMigration('003', 'Enterprise Features', runEnterpriseMigrations);
+        await runMigration('004', 'Scan Jobs', runScanJobMigrations);
+        await runMigration('005', 'Authentication Profiles', runAuthProfileMigrations);
+        await runMigration('006', 'Scan Profiles', runScanProfileMigrations);
+        await runMigration('007', 'Review Decisions', runReviewDecisionMigrations);
+        await runMigration('008', 'Journeys', runJourneyMigrations);
+        await runMigration('009', 'Accessibility Tree Transcripts', runAccessibilityTreeMigrations);
+        await runMigration('010', 'Scan Schedules', runScanScheduleMigrations);
+        await runMigration('011', 'Normalized Violations', runViolationRowMigrations);
+        await runMigration('012', 'Scan Scores', runScanScoreMigrations);
+        await runMigration('013', 'Conformance Reports', runConformanceReportMigrations);
+        await runMigration('014', 'Scan Job Heartbeats', runScanJobHeartbeatMigrations);
         
         console.log('🎉 Enterprise database migration completed successfully!');
         return true;
@@ -509,6 +520,326 @@ async function runEnterpriseMigrations() {
     console.log('✅ Enterprise feature migrations completed successfully!');
 }
 
+// Migration 004: Background Scan Jobs (NEW)
+async function runScanJobMigrations() {
+    console.log('📋 Running scan job migrations...');
+    
+    // Create scan_jobs table - stores job status and the completed scan result
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS scan_jobs (
+            id VARCHAR(64) PRIMARY KEY,
+            user_id INTEGER,
+            scan_id INTEGER REFERENCES scans(id) ON DELETE SET NULL,
+            url VARCHAR(2048) NOT NULL,
+            scan_type VARCHAR(50) DEFAULT 'single',
+            status VARCHAR(50) DEFAULT 'queued',
+            progress INTEGER DEFAULT 0,
+            pages_total INTEGER DEFAULT 1,
+            pages_completed INTEGER DEFAULT 0,
+            options JSONB,
+            result JSONB,
+            error_message TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            started_at TIMESTAMP,
+            completed_at TIMESTAMP
+        )
+    `);
+    console.log('✅ Scan jobs table created');
+
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_scan_jobs_user_id ON scan_jobs(user_id)`);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_scan_jobs_status ON scan_jobs(status)`);
+    
+    console.log('✅ Scan job migrations completed successfully!');
+}
+
+// Migration 005: Authentication Profiles for scanning behind a login (NEW)
+async function runAuthProfileMigrations() {
+    console.log('🔐 Running authentication profile migrations...');
+    
+    // Credentials are stored AES-256-GCM encrypted in encrypted_config
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS auth_profiles (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            website_connection_id INTEGER REFERENCES website_connections(id) ON DELETE CASCADE,
+            site_origin VARCHAR(2048) NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            auth_type VARCHAR(20) NOT NULL,
+            encrypted_config TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_used_at TIMESTAMP
+        )
+    `);
+    console.log('✅ Auth profiles table created');
+
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_auth_profiles_user_site ON auth_profiles(user_id, site_origin)`);
+    
+    console.log('✅ Authentication profile migrations completed successfully!');
+}
+
+// Migration 006: Scan Profiles - conformance level and axe rule selection (NEW)
+async function runScanProfileMigrations() {
+    console.log('📐 Running scan profile migrations...');
+    
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS scan_profiles (
+            id SERIAL PRIMARY KEY,
+            organization_id INTEGER NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            standard VARCHAR(50),
+            include_best_practices BOOLEAN DEFAULT false,
+            rules JSONB DEFAULT '{}',
+            include_selectors JSONB DEFAULT '[]',
+            exclude_selectors JSONB DEFAULT '[]',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    console.log('✅ Scan profiles table created');
+
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_scan_profiles_org_id ON scan_profiles(organization_id)`);
+
+    // Record which profile each scan ran with (gracefully handle permissions)
+    try {
+        await db.query(`ALTER TABLE scans ADD COLUMN IF NOT EXISTS scan_profile_id INTEGER REFERENCES scan_profiles(id) ON DELETE SET NULL`);
+        await db.query(`ALTER TABLE scans ADD COLUMN IF NOT EXISTS scan_profile JSONB`);
+        console.log('✅ Added scan profile columns to scans table');
+    } catch (error) {
+        console.log('⚠️ Could not add scan profile columns to scans table (insufficient permissions)');
+    }
+    
+    console.log('✅ Scan profile migrations completed successfully!');
+}
+
+// Migration 007: Reviewer decisions for axe "incomplete" results (NEW)
+async function runReviewDecisionMigrations() {
+    console.log('🧐 Running review decision migrations...');
+    
+    // element_key identifies one element flagged by one rule on one page
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS review_decisions (
+            id SERIAL PRIMARY KEY,
+            organization_id INTEGER NOT NULL,
+            element_key VARCHAR(64) NOT NULL,
+            site_origin VARCHAR(2048) NOT NULL,
+            page_url VARCHAR(2048) NOT NULL,
+            rule_id VARCHAR(100) NOT NULL,
+            target JSONB NOT NULL,
+            decision VARCHAR(10) NOT NULL,
+            note TEXT,
+            reviewed_by VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(organization_id, element_key)
+        )
+    `);
+    console.log('✅ Review decisions table created');
+
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_review_decisions_org_site ON review_decisions(organization_id, site_origin)`);
+
+    // Keep the open review queue with each saved scan (gracefully handle permissions)
+    try {
+        await db.query(`ALTER TABLE scans ADD COLUMN IF NOT EXISTS needs_review_data JSONB`);
+        console.log('✅ Added needs_review_data column to scans table');
+    } catch (error) {
+        console.log('⚠️ Could not add needs_review_data to scans table (insufficient permissions)');
+    }
+    
+    console.log('✅ Review decision migrations completed successfully!');
+}
+
+// Migration 008: Scripted user journeys per site (NEW)
+async function runJourneyMigrations() {
+    console.log('🧭 Running journey migrations...');
+    
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS journeys (
+            id SERIAL PRIMARY KEY,
+            organization_id INTEGER NOT NULL,
+            site_origin VARCHAR(2048) NOT NULL,
+            site_url VARCHAR(2048) NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            steps JSONB NOT NULL,
+            viewport VARCHAR(100),
+            last_run_at TIMESTAMP,
+            last_scan_id INTEGER,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    console.log('✅ Journeys table created');
+
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_journeys_org_site ON journeys(organization_id, site_origin)`);
+    
+    console.log('✅ Journey migrations completed successfully!');
+}
+
+// Migration 009: Screen reader transcripts stored with scans (NEW)
+async function runAccessibilityTreeMigrations() {
+    console.log('🗣️ Running accessibility tree migrations...');
+    
+    try {
+        await db.query(`ALTER TABLE scans ADD COLUMN IF NOT EXISTS accessibility_tree_data JSONB`);
+        console.log('✅ Added accessibility_tree_data column to scans table');
+    } catch (error) {
+        console.log('⚠️ Could not add accessibility_tree_data to scans table (insufficient permissions)');
+    }
+    
+    console.log('✅ Accessibility tree migrations completed successfully!');
+}
+
+// Migration 010: Recurring scan schedules and regression alerts (NEW)
+async function runScanScheduleMigrations() {
+    console.log('⏰ Running scan schedule migrations...');
+    
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS scan_schedules (
+            id SERIAL PRIMARY KEY,
+            organization_id INTEGER NOT NULL,
+            site_url VARCHAR(2048) NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            cron_expression VARCHAR(100) NOT NULL,
+            scan_type VARCHAR(50) DEFAULT 'single',
+            scan_profile_id INTEGER,
+            scan_options JSONB DEFAULT '{}',
+            alert_webhook_url VARCHAR(2048),
+            enabled BOOLEAN DEFAULT true,
+            next_run_at TIMESTAMP NOT NULL,
+            last_run_at TIMESTAMP,
+            last_scan_id INTEGER,
+            last_status VARCHAR(50),
+            last_error TEXT,
+            locked_by VARCHAR(255),
+            locked_until TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    console.log('✅ Scan schedules table created');
+    
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schedule_alerts (
+            id SERIAL PRIMARY KEY,
+            schedule_id INTEGER NOT NULL REFERENCES scan_schedules(id) ON DELETE CASCADE,
+            organization_id INTEGER NOT NULL,
+            scan_id INTEGER,
+            previous_scan_id INTEGER,
+            new_critical INTEGER DEFAULT 0,
+            new_serious INTEGER DEFAULT 0,
+            issues JSONB,
+            delivered BOOLEAN DEFAULT false,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    console.log('✅ Schedule alerts table created');
+    
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_scan_schedules_due ON scan_schedules(enabled, next_run_at)`);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_scan_schedules_org ON scan_schedules(organization_id)`);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_schedule_alerts_schedule ON schedule_alerts(schedule_id, created_at)`);
+    
+    console.log('✅ Scan schedule migrations completed successfully!');
+}
+
+// Migration 011: Violation rows per node, linked to their page (NEW)
+async function runViolationRowMigrations() {
+    console.log('🧾 Running violation row migrations...');
+    
+    const columns = [
+        ['page_url', 'VARCHAR(2048)'],
+        ['journey_step', 'VARCHAR(255)'],
+        ['failure_summary', 'TEXT'],
+        ['fingerprint', 'VARCHAR(32)'],
+        ['source', 'VARCHAR(50)']
+    ];
+    for (const [column, type] of columns) {
+        try {
+            await db.query(`ALTER TABLE violations ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+            console.log(`✅ Added ${column} column to violations table`);
+        } catch (error) {
+            console.log(`⚠️ Could not add ${column} to violations table (insufficient permissions)`);
+        }
+    }
+    
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_violations_scan_rule ON violations(scan_id, violation_id)`);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_violations_scan_page ON violations(scan_id, page_url)`);
+    
+    console.log('✅ Violation row migrations completed successfully!');
+}
+
+// Migration 012: Impact-weighted score stored with each scan (NEW)
+async function runScanScoreMigrations() {
+    console.log('💯 Running scan score migrations...');
+    
+    try {
+        await db.query(`ALTER TABLE scans ADD COLUMN IF NOT EXISTS score INTEGER`);
+        await db.query(`ALTER TABLE scans ADD COLUMN IF NOT EXISTS score_breakdown JSONB`);
+        console.log('✅ Added score and score_breakdown columns to scans table');
+    } catch (error) {
+        console.log('⚠️ Could not add score columns to scans table (insufficient permissions)');
+    }
+    
+    console.log('✅ Scan score migrations completed successfully!');
+}
+
+// Migration 013: Conformance Reports (VPAT) - stored in compliance_reports
+async function runConformanceReportMigrations() {
+    console.log('📑 Running conformance report migrations...');
+    
+    try {
+        await db.query(`ALTER TABLE compliance_reports ADD COLUMN IF NOT EXISTS organization_id INTEGER DEFAULT 1`);
+        await db.query(`ALTER TABLE compliance_reports ADD COLUMN IF NOT EXISTS title VARCHAR(255)`);
+        await db.query(`ALTER TABLE compliance_reports ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'draft'`);
+        await db.query(`ALTER TABLE compliance_reports ADD COLUMN IF NOT EXISTS scan_ids JSONB`);
+        await db.query(`ALTER TABLE compliance_reports ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_compliance_reports_org_type ON compliance_reports(organization_id, report_type)`);
+        console.log('✅ Added conformance report columns to compliance_reports table');
+    } catch (error) {
+        console.log('⚠️ Could not add conformance report columns to compliance_reports table (insufficient permissions)');
+    }
+    
+    console.log('✅ Conformance report migrations completed successfully!');
+}
+
+// Migration 014: Scan Job Heartbeats - queued/running jobs are stored as they run; a stale
+// updated_at means the instance running the job stopped
+async function runScanJobHeartbeatMigrations() {
+    console.log('💓 Running scan job heartbeat migrations...');
+    
+    try {
+        await db.query(`ALTER TABLE scan_jobs ADD COLUMN IF NOT EXISTS instance_id VARCHAR(255)`);
+        await db.query(`ALTER TABLE scan_jobs ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP`);
+        console.log('✅ Added instance_id and updated_at columns to scan_jobs table');
+    } catch (error) {
+        console.log('⚠️ Could not add heartbeat columns to scan_jobs table (insufficient permissions)');
+        console.log('💡 Jobs interrupted by a restart will stay "running" until permissions are updated');
+    }
+    
+    console.log('✅ Scan job heartbeat migrations completed successfully!');
+}
+
+// Columns per table, re-read every few minutes so columns added by a later migration are picked up
+const tableColumnCache = new Map();
+const TABLE_COLUMN_CACHE_MS = 5 * 60 * 1000;
+
+/**
+ * Columns a table has right now. Writers use it to leave out optional columns whose
+ * migration could not run (e.g. insufficient permissions for ALTER TABLE).
+ * @param {Object} client - pg pool or client
+ * @returns {Promise<Set<string>>}
+ */
+async function getTableColumns(client, tableName) {
+    const cached = tableColumnCache.get(tableName);
+    if (cached && Date.now() - cached.loadedAt < TABLE_COLUMN_CACHE_MS) {
+        return cached.columns;
+    }
+
+    const result = await client.query('SELECT column_name FROM information_schema.columns WHERE table_name = $1', [tableName]);
+    const columns = new Set(result.rows.map(row => row.column_name));
+    tableColumnCache.set(tableName, { columns, loadedAt: Date.now() });
+    return columns;
+}
+
 // Helper function to check if a column exists
 async function checkColumnExists(tableName, columnName) {
     try {
@@ -551,5 +882,6 @@ async function closeDatabase() {
 module.exports = {
     initializeDatabase,
     getDatabase,
-    closeDatabase
+    closeDatabase,
+    getTableColumns
 };
@@ -0,0 +1,54 @@
+/**
+ * Page Helpers for SentryPrime
+ * DOM helpers shared by the in-page checks (keyboard, media, text spacing, preference
+ * modes and SPA route changes). A function passed to page.evaluate is serialized on its
+ * own and can't import anything, so the helpers are installed on the page first as
+ * window.__sentryprimeDom and the checks read them from there.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+/**
+ * Runs in the page (page.evaluate or page.evaluateOnNewDocument)
+ */
+function installDomHelpers() {
+    if (window.__sentryprimeDom) return;
+
+    // Selector for an element, unique within its own document or shadow root
+    function cssPath(el) {
+        const root = el.getRootNode();
+        if (el.id && root.querySelectorAll('#' + CSS.escape(el.id)).length === 1) {
+            return '#' + CSS.escape(el.id);
+        }
+
+        const parts = [];
+        let current = el;
+        while (current && current.nodeType === 1 && current.parentNode) {
+            if (current.id && root.querySelectorAll('#' + CSS.escape(current.id)).length === 1) {
+                parts.unshift('#' + CSS.escape(current.id));
+                break;
+            }
+            const tag = current.tagName.toLowerCase();
+            const sameTag = Array.from(current.parentNode.children || []).filter(sibling => sibling.tagName === current.tagName);
+            parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag);
+            if (current.parentNode === root || tag === 'html') break;
+            current = current.parentNode;
+        }
+        return parts.join(' > ');
+    }
+
+    window.__sentryprimeDom = { cssPath };
+}
+
+/**
+ * Install the helpers on the page's current document
+ */
+function injectDomHelpers(page) {
+    return page.evaluate(installDomHelpers);
+}
+
+module.exports = {
+    installDomHelpers,
+    injectDomHelpers
+};
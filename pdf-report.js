@@ -0,0 +1,334 @@
+/**
+ * PDF Report for SentryPrime
+ * Renders a scan as a paginated, print-ready PDF with the shared Puppeteer pool: cover page,
+ * executive summary, per-page and per-rule sections with element screenshots, and a
+ * remediation appendix. Used for the dashboard download, saved scans and scheduled runs.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const { deduplicateViolations, summarizeDeduplicated } = require('./issue-deduplicator');
+const { scoreViolations } = require('./accessibility-score');
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+const IMPACT_COLORS = { critical: '#dc3545', serious: '#fd7e14', moderate: '#ffc107', minor: '#6c757d' };
+
+const DEFAULT_OPTIONS = {
+    screenshots: true,
+    maxScreenshotsPerRule: 2,
+    maxScreenshots: 24,
+    maxElementsPerRule: 10,
+    navigationTimeout: 30000
+};
+
+// Elements taller than this are cropped to the viewport rather than captured whole
+const MAX_ELEMENT_HEIGHT = 1200;
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function isImage(src) {
+    return typeof src === 'string' && src.startsWith('data:image/');
+}
+
+/**
+ * Plain selector for a node, or null for shadow DOM / iframe paths
+ */
+function simpleSelector(node) {
+    const target = node.target;
+    return Array.isArray(target) && target.length === 1 && typeof target[0] === 'string' ? target[0] : null;
+}
+
+/**
+ * Violations grouped once per rule and element with their pages. Lists that are already
+ * grouped (crawl results) are kept; raw lists are grouped by pageUrl / journey step / scan URL.
+ */
+function groupViolations(violations, url) {
+    const alreadyGrouped = violations.some(violation => (violation.nodes || []).some(node => node.fingerprint && Array.isArray(node.pages)));
+    if (alreadyGrouped) return violations;
+
+    const pages = new Map();
+    violations.forEach(violation => {
+        const pageUrl = violation.pageUrl || violation.journeyStep?.url || url;
+        if (!pages.has(pageUrl)) pages.set(pageUrl, { url: pageUrl, violations: [] });
+        pages.get(pageUrl).violations.push(violation);
+    });
+    return deduplicateViolations(Array.from(pages.values()));
+}
+
+/**
+ * Screenshot the first few elements of each rule, visiting each affected page once
+ * @param {Object} session - Browser pool session
+ * @returns {Promise<Map>} fingerprint -> JPEG data URI
+ */
+async function captureElementScreenshots(session, rules, url, options) {
+    const screenshots = new Map();
+    const byPage = new Map();
+    let planned = 0;
+
+    rules.forEach(rule => {
+        rule.nodes
+            .filter(node => simpleSelector(node) && !(node.screenshots && isImage(node.screenshots.after)))
+            .slice(0, options.maxScreenshotsPerRule)
+            .forEach(node => {
+                if (planned >= options.maxScreenshots) return;
+                const pageUrl = (node.pages && node.pages[0]) || url;
+                if (!byPage.has(pageUrl)) byPage.set(pageUrl, []);
+                byPage.get(pageUrl).push(node);
+                planned++;
+            });
+    });
+
+    for (const [pageUrl, nodes] of byPage) {
+        if (!pageUrl) continue;
+        const page = await session.newPage();
+        try {
+            await page.setViewport({ width: 1280, height: 900 });
+            await page.goto(pageUrl, { waitUntil: 'networkidle2', timeout: options.navigationTimeout });
+
+            for (const node of nodes) {
+                try {
+                    const element = await page.$(simpleSelector(node));
+                    const box = element && await element.boundingBox();
+                    if (!box || box.width < 1 || box.height < 1) continue;
+
+                    await element.scrollIntoView();
+                    const image = box.height > MAX_ELEMENT_HEIGHT
+                        ? await page.screenshot({ type: 'jpeg', quality: 70, encoding: 'base64' })
+                        : await element.screenshot({ type: 'jpeg', quality: 70, encoding: 'base64' });
+                    screenshots.set(node.fingerprint, 'data:image/jpeg;base64,' + image);
+                } catch (error) {
+                    // Element detached or not screenshot-able - the report lists it without an image
+                }
+            }
+        } catch (error) {
+            console.log('⚠️ Could not capture report screenshots for ' + pageUrl + ':', error.message);
+        } finally {
+            await page.close().catch(() => {});
+        }
+    }
+
+    return screenshots;
+}
+
+/**
+ * Print HTML for the report
+ * @param {Object} report - { url, scanType, scanId, createdAt, pagesScanned, scanProfile, score, scoreBreakdown, rules, remediate, screenshots }
+ */
+function buildReportHtml(report) {
+    const { rules, screenshots } = report;
+    const counts = summarizeDeduplicated(rules);
+    const breakdown = report.scoreBreakdown;
+    const generatedAt = new Date(report.createdAt || Date.now());
+
+    const badge = impact => `<span class="badge" style="background: ${IMPACT_COLORS[impact] || '#6c757d'};">${escapeHtml(impact || 'unknown')}</span>`;
+    const wcagTags = rule => (rule.tags || []).filter(tag => /^wcag\d{3,}$/.test(tag)).map(tag => tag.replace(/^wcag(\d)(\d)(\d+)$/, '$1.$2.$3').toUpperCase());
+
+    // Issues per page and impact, from the grouped nodes
+    const pages = new Map();
+    rules.forEach(rule => {
+        rule.nodes.forEach(node => {
+            (node.pages && node.pages.length > 0 ? node.pages : [report.url]).forEach(pageUrl => {
+                if (!pages.has(pageUrl)) pages.set(pageUrl, { url: pageUrl, total: 0, rules: new Set(), critical: 0, serious: 0, moderate: 0, minor: 0 });
+                const entry = pages.get(pageUrl);
+                const impact = node.impact || rule.impact;
+                entry.total++;
+                entry.rules.add(rule.id);
+                if (IMPACTS.includes(impact)) entry[impact]++;
+            });
+        });
+    });
+    const pageRows = Array.from(pages.values()).sort((a, b) => b.critical - a.critical || b.serious - a.serious || b.total - a.total);
+
+    const topRules = (breakdown?.rules || []).slice(0, 5);
+    const ruleSections = rules.map((rule, index) => {
+        const shown = rule.nodes.slice(0, report.maxElementsPerRule);
+        return `
+        <section class="rule">
+            <h3>${index + 1}. ${escapeHtml(rule.help || rule.id)} ${badge(rule.impact)}</h3>
+            <p class="meta"><code>${escapeHtml(rule.id)}</code>${wcagTags(rule).length ? ' · WCAG ' + wcagTags(rule).join(', ') : ''} · ${rule.nodes.length} element${rule.nodes.length === 1 ? '' : 's'}${rule.pages ? ' on ' + rule.pages.length + ' page' + (rule.pages.length === 1 ? '' : 's') : ''}</p>
+            ${rule.description ? `<p>${escapeHtml(rule.description)}</p>` : ''}
+            ${shown.map(node => {
+                const shot = screenshots.get(node.fingerprint) || (node.screenshots && isImage(node.screenshots.after) ? node.screenshots.after : null);
+                return `
+            <div class="element">
+                <div><strong>Element:</strong> <code>${escapeHtml([].concat(node.target || []).map(part => (Array.isArray(part) ? part.join(' >>> ') : part)).join(' | '))}</code></div>
+                ${node.html ? `<pre>${escapeHtml(String(node.html).substring(0, 400))}</pre>` : ''}
+                ${node.failureSummary ? `<div class="summary">${escapeHtml(node.failureSummary).replace(/\n/g, '<br>')}</div>` : ''}
+                ${node.pages && node.pages.length > 0 ? `<div class="meta">Found on: ${node.pages.slice(0, 5).map(escapeHtml).join(', ')}${node.pages.length > 5 ? ' and ' + (node.pages.length - 5) + ' more' : ''}</div>` : ''}
+                ${shot ? `<img class="shot" src="${escapeHtml(shot)}" alt="Screenshot of the element">` : ''}
+            </div>`;
+            }).join('')}
+            ${rule.nodes.length > shown.length ? `<p class="meta">…and ${rule.nodes.length - shown.length} more element(s).</p>` : ''}
+        </section>`;
+    }).join('');
+
+    const appendix = rules.map(rule => {
+        const fix = report.remediate ? report.remediate(rule) : null;
+        const steps = (fix?.instructions || []).filter(Boolean);
+        return `
+        <section class="rule">
+            <h3>${escapeHtml(rule.id)} ${badge(rule.impact)}</h3>
+            <p>${escapeHtml(rule.help || rule.description || '')}</p>
+            ${steps.length ? `<ol>${steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>` : ''}
+            ${fix?.css ? `<pre>${escapeHtml(fix.css.trim().substring(0, 1500))}</pre>` : ''}
+            ${rule.helpUrl ? `<p class="meta">Reference: ${escapeHtml(rule.helpUrl)}</p>` : ''}
+        </section>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Accessibility Report - ${escapeHtml(report.url)}</title>
+    <style>
+        @page { size: A4; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; font-size: 11pt; line-height: 1.45; margin: 0; }
+        h1 { font-size: 28pt; margin: 0 0 10px; }
+        h2 { font-size: 18pt; border-bottom: 2px solid #007bff; padding-bottom: 6px; break-before: page; }
+        h3 { font-size: 12.5pt; margin: 0 0 4px; }
+        code, pre { font-family: Menlo, Consolas, monospace; font-size: 8.5pt; }
+        pre { background: #f4f4f4; padding: 6px 8px; white-space: pre-wrap; word-break: break-all; border-radius: 4px; }
+        table { width: 100%; border-collapse: collapse; font-size: 9.5pt; }
+        th, td { border-bottom: 1px solid #ddd; padding: 5px 6px; text-align: left; vertical-align: top; }
+        th { background: #f1f3f5; }
+        td.num, th.num { text-align: right; }
+        .cover { height: 250mm; display: flex; flex-direction: column; justify-content: center; }
+        .cover .site { font-size: 16pt; color: #007bff; word-break: break-all; }
+        .cover .score { font-size: 64pt; font-weight: bold; margin: 30px 0 0; }
+        .meta { color: #666; font-size: 9pt; }
+        .badge { color: white; border-radius: 10px; padding: 1px 8px; font-size: 8.5pt; font-weight: normal; text-transform: uppercase; vertical-align: middle; }
+        .cards { display: flex; gap: 10px; margin: 16px 0; }
+        .card { flex: 1; border: 1px solid #ddd; border-radius: 6px; padding: 10px; text-align: center; }
+        .card .value { font-size: 20pt; font-weight: bold; }
+        .rule { break-inside: avoid-page; margin: 0 0 18px; }
+        .element { border-left: 3px solid #ddd; padding: 4px 0 4px 10px; margin: 8px 0; break-inside: avoid; }
+        .summary { font-size: 9pt; color: #444; margin: 4px 0; }
+        .shot { max-width: 100%; max-height: 90mm; border: 1px solid #ccc; margin-top: 6px; }
+    </style>
+</head>
+<body>
+    <section class="cover">
+        <div class="meta">SentryPrime accessibility report</div>
+        <h1>Accessibility Scan Report</h1>
+        <div class="site">${escapeHtml(report.url)}</div>
+        <p class="meta">
+            ${escapeHtml(report.scanType === 'crawl' ? 'Multi-page crawl' : report.scanType === 'journey' ? 'User journey' : 'Single page')} ·
+            ${report.pagesScanned || pageRows.length || 1} page(s) · ${escapeHtml(generatedAt.toUTCString())}
+            ${report.scanId ? ' · Scan #' + escapeHtml(report.scanId) : ''}
+            ${report.scanProfile?.name ? '<br>Profile: ' + escapeHtml(report.scanProfile.name) : ''}
+        </p>
+        ${typeof report.score === 'number' ? `<div class="score">${report.score}%</div><div class="meta">Accessibility score</div>` : ''}
+    </section>
+
+    <h2>Executive Summary</h2>
+    <div class="cards">
+        <div class="card"><div class="value">${typeof report.score === 'number' ? report.score + '%' : '–'}</div><div class="meta">Score</div></div>
+        <div class="card"><div class="value">${counts.unique.issues}</div><div class="meta">Unique issues</div></div>
+        <div class="card"><div class="value">${counts.total.issues}</div><div class="meta">Occurrences</div></div>
+        <div class="card"><div class="value">${rules.length}</div><div class="meta">Rules failed</div></div>
+    </div>
+    <table>
+        <tr><th>Impact</th><th class="num">Unique issues</th><th class="num">Occurrences</th></tr>
+        ${IMPACTS.map(impact => `<tr><td>${badge(impact)}</td><td class="num">${counts.unique[impact]}</td><td class="num">${counts.total[impact]}</td></tr>`).join('')}
+    </table>
+    <p>
+        ${counts.unique.critical + counts.unique.serious > 0
+        ? `${counts.unique.critical + counts.unique.serious} critical or serious issue(s) block or seriously hinder people using assistive technology and should be fixed first.`
+        : 'No critical or serious issues were found.'}
+        ${counts.sharedIssues > 0 ? ` ${counts.sharedIssues} issue(s) come from components shared across pages; fixing each once fixes every page.` : ''}
+    </p>
+    ${topRules.length ? `
+    <h3>Biggest score impact</h3>
+    <table>
+        <tr><th>Rule</th><th>Impact</th><th class="num">Elements</th><th class="num">Pages</th><th class="num">Points lost</th></tr>
+        ${topRules.map(rule => `<tr><td><code>${escapeHtml(rule.ruleId)}</code></td><td>${badge(rule.impact)}</td><td class="num">${rule.uniqueElements}</td><td class="num">${rule.pages}</td><td class="num">${rule.pointsLost}</td></tr>`).join('')}
+    </table>` : ''}
+
+    <h2>Issues by Page</h2>
+    <table>
+        <tr><th>Page</th><th class="num">Critical</th><th class="num">Serious</th><th class="num">Moderate</th><th class="num">Minor</th><th class="num">Rules</th></tr>
+        ${pageRows.map(page => `<tr><td style="word-break: break-all;">${escapeHtml(page.url)}</td><td class="num">${page.critical}</td><td class="num">${page.serious}</td><td class="num">${page.moderate}</td><td class="num">${page.minor}</td><td class="num">${page.rules.size}</td></tr>`).join('')}
+    </table>
+
+    <h2>Issues by Rule</h2>
+    ${ruleSections || '<p>No issues found.</p>'}
+
+    <h2>Appendix: Remediation</h2>
+    ${appendix || '<p>Nothing to remediate.</p>'}
+</body>
+</html>`;
+}
+
+/**
+ * Render a scan as a PDF
+ * @param {Object} browserPool - Shared BrowserPool
+ * @param {Object} scan - { url, scanType, scanId, createdAt, pagesScanned, scanProfile, score, scoreBreakdown, violations }
+ * @param {Object} options - { screenshots, maxScreenshotsPerRule, maxScreenshots, maxElementsPerRule, remediate(rule),
+ *                            authenticate(session) => Promise<session> for pages behind a login }
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+async function renderPdfReport(browserPool, scan, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const violations = scan.violations || [];
+    const rules = groupViolations(violations, scan.url)
+        .slice()
+        .sort((a, b) => IMPACTS.indexOf(a.impact) - IMPACTS.indexOf(b.impact) || b.nodes.length - a.nodes.length);
+    const scoreBreakdown = scan.scoreBreakdown || (typeof scan.score === 'number' ? null : scoreViolations(violations, { url: scan.url, pagesScanned: scan.pagesScanned }));
+
+    return browserPool.withSession(async (session) => {
+        // Only the visited pages are authenticated; the report itself renders from inline HTML
+        const screenshots = settings.screenshots
+            ? await captureElementScreenshots(settings.authenticate ? await settings.authenticate(session) : session, rules, scan.url, settings)
+            : new Map();
+
+        const html = buildReportHtml({
+            ...scan,
+            score: typeof scan.score === 'number' ? scan.score : scoreBreakdown.score,
+            scoreBreakdown,
+            rules,
+            screenshots,
+            remediate: settings.remediate,
+            maxElementsPerRule: settings.maxElementsPerRule
+        });
+
+        const page = await session.newPage();
+        try {
+            await page.setContent(html, { waitUntil: 'load' });
+            const pdf = await page.pdf({
+                format: 'A4',
+                printBackground: true,
+                margin: { top: '18mm', bottom: '18mm', left: '15mm', right: '15mm' },
+                displayHeaderFooter: true,
+                headerTemplate: '<span></span>',
+                footerTemplate: `<div style="font-size: 8px; width: 100%; padding: 0 15mm; color: #666; display: flex; justify-content: space-between;">
+                    <span>${escapeHtml(scan.url)}</span><span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span></div>`
+            });
+            return Buffer.from(pdf);
+        } finally {
+            await page.close().catch(() => {});
+        }
+    });
+}
+
+/**
+ * Download file name for a scan's report
+ */
+function reportFilename(scan) {
+    let host = 'site';
+    try {
+        host = new URL(/^https?:\/\//.test(scan.url) ? scan.url : 'https://' + scan.url).hostname;
+    } catch (error) {
+        // Keep the generic name
+    }
+    const date = new Date(scan.createdAt || Date.now()).toISOString().substring(0, 10);
+    return `accessibility-report-${host}-${date}.pdf`;
+}
+
+module.exports = {
+    renderPdfReport,
+    buildReportHtml,
+    reportFilename
+};
@@ -0,0 +1,355 @@
+/**
+ * Preference Emulation for SentryPrime
+ * Re-scans a page under emulated user preferences - dark colour scheme, forced colours
+ * (Windows High Contrast), reduced motion and 200%/400% zoom - and checks for problems
+ * that only show up there: dark-mode contrast, reflow at 320 CSS px, animations that
+ * ignore prefers-reduced-motion and icons that vanish in forced colours.
+ * Findings use the axe result shape.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const { DEVICE_PROFILES } = require('./device-profiles');
+const { injectDomHelpers } = require('./page-helpers');
+
+const PREFERENCE_MODES = {
+    'dark': {
+        label: 'Dark colour scheme',
+        mediaFeatures: [{ name: 'prefers-color-scheme', value: 'dark' }],
+        axeRules: ['color-contrast', 'link-in-text-block'] // Only colours change
+    },
+    'forced-colors': {
+        label: 'Forced colours (high contrast)',
+        mediaFeatures: [{ name: 'forced-colors', value: 'active' }, { name: 'prefers-contrast', value: 'more' }],
+        disabledAxeRules: ['color-contrast'], // The system palette decides text contrast
+        check: 'forcedColors'
+    },
+    'reduced-motion': {
+        label: 'Reduced motion',
+        mediaFeatures: [{ name: 'prefers-reduced-motion', value: 'reduce' }],
+        skipAxe: true,
+        check: 'reducedMotion'
+    },
+    'zoom-200': {
+        label: '200% zoom',
+        zoom: 2, // Zoomed on the desktop viewport: 1280 px at 200% lays out 640 CSS px wide
+        check: 'reflow'
+    },
+    'zoom-400': {
+        label: '400% zoom (reflow)',
+        zoom: 4, // 1280 px desktop at 400% is the 320 CSS px WCAG 1.4.10 reference width
+        check: 'reflow'
+    }
+};
+
+const RULES = {
+    'reflow-horizontal-scroll': {
+        impact: 'serious',
+        tags: ['cat.structure', 'wcag21aa', 'wcag1410', 'preference'],
+        description: 'Ensures content reflows into a single column without horizontal scrolling at narrow widths and high zoom',
+        help: 'Content must reflow without horizontal scrolling',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/reflow.html'
+    },
+    'reflow-clipped-content': {
+        impact: 'serious',
+        tags: ['cat.structure', 'wcag2aa', 'wcag144', 'wcag1410', 'preference'],
+        description: 'Ensures text is not cut off when the page is zoomed or shown at a narrow width',
+        help: 'Zoomed content must not be clipped',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/resize-text.html'
+    },
+    'reduced-motion-ignored': {
+        impact: 'moderate',
+        tags: ['cat.time-and-media', 'wcag2a', 'wcag222', 'wcag233', 'preference'],
+        description: 'Ensures long or looping animations stop when the user asks the system to reduce motion',
+        help: 'Animations must respect prefers-reduced-motion',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/animation-from-interactions.html'
+    },
+    'forced-colors-icon': {
+        impact: 'moderate',
+        tags: ['cat.color', 'wcag21aa', 'wcag1411', 'preference'],
+        description: 'Checks that icons inside controls follow the system colours in forced colours mode',
+        help: 'Icons should use currentColor so they stay visible in forced colours mode',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/non-text-contrast.html'
+    }
+};
+
+const MAX_NODES_PER_RULE = 20;
+
+/**
+ * In-page checks, run with page.evaluate. Each returns { violations: { ruleId: [node] }, incomplete: { ruleId: [node] } }
+ */
+const PAGE_CHECKS = {
+    reflow(maxNodes) {
+        const EXEMPT = 'table, pre, code, canvas, video, iframe, svg, map, img, [role="grid"], [role="application"], [role="img"], [role="toolbar"]';
+
+        const { cssPath } = window.__sentryprimeDom;
+
+        function isVisible(el, style) {
+            const rect = el.getBoundingClientRect();
+            // 1px "visually hidden" text is meant to be off screen
+            return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 1 && rect.height > 1;
+        }
+
+        // Content inside its own scroll container (carousels, code samples) may scroll sideways
+        function inScrollContainer(el) {
+            for (let parent = el.parentElement; parent && parent !== document.body; parent = parent.parentElement) {
+                const overflowX = getComputedStyle(parent).overflowX;
+                if (overflowX === 'auto' || overflowX === 'scroll') return true;
+            }
+            return false;
+        }
+
+        const viewportWidth = document.documentElement.clientWidth;
+        const horizontalScroll = document.documentElement.scrollWidth > viewportWidth + 1;
+        const overflowing = [];
+        const clipped = [];
+
+        document.body.querySelectorAll('*').forEach(el => {
+            const style = getComputedStyle(el);
+            if (!isVisible(el, style) || el.closest(EXEMPT) || style.position === 'fixed') return;
+
+            const rect = el.getBoundingClientRect();
+            if (horizontalScroll && rect.right > viewportWidth + 1 && rect.left < viewportWidth && !inScrollContainer(el)) {
+                // Report the outermost element that sticks out, not all of its children
+                if (!overflowing.some(other => other.el.contains(el))) {
+                    overflowing.push({ el, overflowBy: Math.round(rect.right - viewportWidth) });
+                }
+            }
+
+            const hidesOverflow = ['hidden', 'clip'].includes(style.overflowX) || ['hidden', 'clip'].includes(style.overflowY);
+            const hasText = Array.from(el.childNodes).some(node => node.nodeType === 3 && node.textContent.trim());
+            if (hidesOverflow && hasText && style.clip === 'auto' &&
+                (el.scrollWidth > el.clientWidth + 1 || el.scrollHeight > el.clientHeight + 1)) {
+                clipped.push({ el, ellipsis: style.textOverflow === 'ellipsis' });
+            }
+        });
+
+        const node = (el, failureSummary) => ({ target: [cssPath(el)], html: el.outerHTML.substring(0, 250), failureSummary });
+
+        return {
+            horizontalScroll,
+            scrollWidth: document.documentElement.scrollWidth,
+            viewportWidth,
+            violations: {
+                'reflow-horizontal-scroll': overflowing.slice(0, maxNodes).map(({ el, overflowBy }) =>
+                    node(el, `Fix the following:\n  Element extends ${overflowBy}px past the ${viewportWidth}px viewport and forces horizontal scrolling`)),
+                'reflow-clipped-content': clipped.slice(0, maxNodes).map(({ el, ellipsis }) =>
+                    node(el, ellipsis
+                        ? 'Fix the following:\n  Text is truncated with an ellipsis and the rest cannot be read at this zoom level'
+                        : 'Fix the following:\n  Text overflows an element with overflow: hidden and is cut off at this zoom level'))
+            },
+            incomplete: {}
+        };
+    },
+
+    reducedMotion(maxNodes) {
+        const { cssPath } = window.__sentryprimeDom;
+
+        const moving = [];
+
+        // Looping animations, or ones running longer than 5 seconds (WCAG 2.2.2)
+        document.getAnimations().forEach(animation => {
+            if (animation.playState !== 'running' || !animation.effect) return;
+            const timing = animation.effect.getComputedTiming();
+            const target = animation.effect.target;
+            if (!target || !target.getBoundingClientRect || target.getBoundingClientRect().width === 0) return;
+            if (timing.iterations === Infinity || timing.activeDuration > 5000) {
+                const name = animation.animationName || animation.transitionProperty || 'script animation';
+                moving.push({ el: target, summary: `Animation "${name}" keeps running${timing.iterations === Infinity ? ' in a loop' : ' for ' + Math.round(timing.activeDuration / 1000) + 's'} with reduced motion requested` });
+            }
+        });
+
+        document.querySelectorAll('video').forEach(video => {
+            if (!video.paused && !video.ended && video.getBoundingClientRect().width > 0) {
+                moving.push({ el: video, summary: 'Video plays automatically with reduced motion requested' });
+            }
+        });
+
+        const seen = new Set();
+        return {
+            animations: moving.length,
+            violations: {
+                'reduced-motion-ignored': moving.filter(({ el }) => !seen.has(el) && seen.add(el)).slice(0, maxNodes).map(({ el, summary }) => ({
+                    target: [cssPath(el)],
+                    html: el.outerHTML.substring(0, 250),
+                    failureSummary: 'Fix the following:\n  ' + summary
+                }))
+            },
+            incomplete: {}
+        };
+    },
+
+    forcedColors(maxNodes) {
+        const CONTROLS = 'a[href], button, [role="button"], [role="link"], [role="tab"], [role="menuitem"], summary, label';
+        const SHAPES = 'path, circle, rect, polygon, polyline, ellipse, line, use';
+
+        const { cssPath } = window.__sentryprimeDom;
+
+        // SVG fills aren't remapped to system colours - an icon with a fixed colour can vanish
+        // against the forced background, unless it uses currentColor (which follows the text)
+        const fixedIcons = [];
+        document.querySelectorAll(CONTROLS).forEach(control => {
+            const text = control.textContent.trim();
+            control.querySelectorAll('svg').forEach(svg => {
+                if (svg.getBoundingClientRect().width === 0) return;
+                const shape = svg.querySelector(SHAPES) || svg;
+                const style = getComputedStyle(shape);
+                const textColor = getComputedStyle(control).color;
+                const paints = [style.fill, style.stroke].filter(paint => paint && paint !== 'none' && !paint.startsWith('url('));
+                if (paints.length > 0 && paints.every(paint => paint !== textColor)) {
+                    fixedIcons.push({ el: svg, iconOnly: !text });
+                }
+            });
+        });
+
+        return {
+            violations: {},
+            incomplete: {
+                'forced-colors-icon': fixedIcons.slice(0, maxNodes).map(({ el, iconOnly }) => ({
+                    target: [cssPath(el)],
+                    html: el.outerHTML.substring(0, 250),
+                    failureSummary: 'Review the following:\n  Icon keeps a fixed fill or stroke colour in forced colours mode' +
+                        (iconOnly ? ' and is the only visible content of its control' : '')
+                }))
+            }
+        };
+    }
+};
+
+/**
+ * Look up preference modes by name
+ * @param {Array<string>} names - Mode names, e.g. ['dark', 'zoom-400']
+ * @returns {Array<Object>} [{ name, label, ... }]
+ */
+function resolvePreferenceModes(names) {
+    if (!Array.isArray(names) || names.length === 0) return [];
+
+    return Array.from(new Set(names)).map(name => {
+        if (!PREFERENCE_MODES[name]) {
+            throw new Error(`Unknown preference mode "${name}". Use one of: ${Object.keys(PREFERENCE_MODES).join(', ')}`);
+        }
+        return { name, ...PREFERENCE_MODES[name] };
+    });
+}
+
+/**
+ * Emulate a mode on the page (the caller reloads afterwards so scripts see it from the start)
+ */
+async function applyPreferenceMode(page, mode, device) {
+    await page.emulateMediaFeatures(mode.mediaFeatures || null);
+    if (mode.zoom) {
+        // WCAG zoom is measured from a 1280px desktop window, whatever device the page was
+        // scanned on - zooming a phone to 400% would lay out about 100px wide
+        const desktop = DEVICE_PROFILES.desktop;
+        await page.emulate({
+            userAgent: desktop.userAgent,
+            viewport: {
+                ...desktop.viewport,
+                width: Math.round(desktop.viewport.width / mode.zoom),
+                height: Math.max(Math.round(desktop.viewport.height / mode.zoom), 256)
+            }
+        });
+    } else {
+        // Start from the device's own settings so a zoom mode doesn't carry over to the next mode
+        await page.emulate({ viewport: device.viewport, userAgent: device.userAgent });
+    }
+}
+
+async function resetPreferenceMode(page, device) {
+    await page.emulateMediaFeatures(null);
+    await page.emulate({ viewport: device.viewport, userAgent: device.userAgent });
+}
+
+/**
+ * axe settings for a mode, built on the scan profile's own configuration
+ */
+function getModeAxeConfig(mode, axeConfig) {
+    if (mode.skipAxe) return null;
+
+    const options = { ...(axeConfig.options || {}) };
+    if (mode.axeRules) {
+        options.runOnly = { type: 'rule', values: mode.axeRules };
+        delete options.rules;
+    }
+    if (mode.disabledAxeRules) {
+        options.rules = { ...(options.rules || {}) };
+        mode.disabledAxeRules.forEach(ruleId => { options.rules[ruleId] = { enabled: false }; });
+    }
+    return { context: axeConfig.context, options };
+}
+
+/**
+ * Run a mode's own checks on the loaded page
+ * @returns {Promise<Object>} { violations, incomplete, details }
+ */
+async function runModeChecks(page, mode) {
+    if (!mode.check) return { violations: [], incomplete: [], details: {} };
+
+    await injectDomHelpers(page);
+    const { violations, incomplete, ...details } = await page.evaluate(PAGE_CHECKS[mode.check], MAX_NODES_PER_RULE);
+    const toRules = (found) => Object.entries(found)
+        .filter(([, nodes]) => nodes.length > 0)
+        .map(([ruleId, nodes]) => buildRule(ruleId, nodes, mode));
+
+    return { violations: toRules(violations), incomplete: toRules(incomplete), details };
+}
+
+/**
+ * Build an axe-style rule result
+ */
+function buildRule(ruleId, nodes, mode) {
+    const rule = RULES[ruleId];
+    return {
+        id: ruleId,
+        impact: rule.impact,
+        tags: rule.tags,
+        description: rule.description,
+        help: rule.help,
+        helpUrl: rule.helpUrl,
+        source: 'preference-emulation',
+        nodes: nodes.map(node => ({
+            target: node.target,
+            html: node.html,
+            impact: rule.impact,
+            any: [],
+            all: [],
+            none: [],
+            failureSummary: node.failureSummary,
+            preference: { mode: mode.name, label: mode.label }
+        }))
+    };
+}
+
+/**
+ * Keep only the axe findings a mode adds on top of the default scan - an element
+ * already flagged by the same rule in the default scan is not reported again
+ * @param {Array} baseline - Violations from the default scan
+ * @param {Array} modeViolations - Violations found under the mode
+ * @param {Object} mode - Preference mode
+ * @returns {Array} New violations, each node tagged with the mode
+ */
+function diffModeViolations(baseline, modeViolations, mode) {
+    const known = new Set();
+    baseline.forEach(rule => rule.nodes.forEach(node => known.add(rule.id + '|' + JSON.stringify(node.target))));
+
+    return modeViolations
+        .map(rule => ({
+            ...rule,
+            // On the node, not the rule: merging and deduplication key rules by id alone
+            nodes: rule.nodes
+                .filter(node => !known.has(rule.id + '|' + JSON.stringify(node.target)))
+                .map(node => ({ ...node, preference: { mode: mode.name, label: mode.label } }))
+        }))
+        .filter(rule => rule.nodes.length > 0);
+}
+
+module.exports = {
+    PREFERENCE_MODES,
+    resolvePreferenceModes,
+    applyPreferenceMode,
+    resetPreferenceMode,
+    getModeAxeConfig,
+    runModeChecks,
+    diffModeViolations
+};
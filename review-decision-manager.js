@@ -0,0 +1,226 @@
+/**
+ * Review Decision Manager for SentryPrime
+ * Turns axe "incomplete" results into a needs-review queue and remembers the
+ * pass/fail decisions reviewers make, so later scans of the same element reuse them
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const crypto = require('crypto');
+
+const DECISIONS = ['pass', 'fail'];
+
+class ReviewDecisionManager {
+    constructor(db = null) {
+        this.db = db;
+        this.memoryDecisions = new Map(); // Fallback store when running without a database
+        this.nextMemoryId = 1;
+    }
+
+    /**
+     * Page identity used for decisions - query strings and fragments don't change the element
+     */
+    getPageKey(pageUrl) {
+        const url = new URL(pageUrl);
+        const path = url.pathname.length > 1 ? url.pathname.replace(/\/+$/, '') : url.pathname;
+        return url.origin + path;
+    }
+
+    /**
+     * Stable identifier for one element flagged by one rule on one page
+     * @param {string} pageUrl - Page the element was found on
+     * @param {string} ruleId - axe rule ID
+     * @param {Array} target - axe node target (selectors)
+     * @returns {string} Element key
+     */
+    getElementKey(pageUrl, ruleId, target) {
+        return crypto.createHash('sha1')
+            .update(`${this.getPageKey(pageUrl)}|${ruleId}|${JSON.stringify(target)}`)
+            .digest('hex')
+            .substring(0, 16);
+    }
+
+    /**
+     * Check a decision before it is stored
+     * @returns {string|null} Error message, or null when valid
+     */
+    validateDecision(decision) {
+        if (!decision || !DECISIONS.includes(decision.decision)) {
+            return `decision must be one of: ${DECISIONS.join(', ')}`;
+        }
+        if (!decision.pageUrl || !/^https?:\/\//.test(decision.pageUrl)) {
+            return 'pageUrl must be an absolute http(s) URL';
+        }
+        if (!decision.ruleId) {
+            return 'ruleId is required';
+        }
+        if (!Array.isArray(decision.target) || decision.target.length === 0) {
+            return 'target must be the axe selector list for the element';
+        }
+        return null;
+    }
+
+    formatDecision(row) {
+        return {
+            id: row.id,
+            organizationId: row.organization_id,
+            elementKey: row.element_key,
+            pageUrl: row.page_url,
+            ruleId: row.rule_id,
+            target: row.target,
+            decision: row.decision,
+            note: row.note,
+            reviewedBy: row.reviewed_by,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Record (or change) the decision for an element
+     * @param {Object} decision - { organizationId, pageUrl, ruleId, target, decision, note, reviewedBy }
+     * @returns {Promise<Object>} Stored decision
+     */
+    async saveDecision(decision) {
+        const row = {
+            organization_id: decision.organizationId || 1,
+            element_key: this.getElementKey(decision.pageUrl, decision.ruleId, decision.target),
+            site_origin: new URL(decision.pageUrl).origin,
+            page_url: decision.pageUrl,
+            rule_id: decision.ruleId,
+            target: decision.target,
+            decision: decision.decision,
+            note: decision.note || null,
+            reviewed_by: decision.reviewedBy || null
+        };
+
+        if (!this.db) {
+            const existing = Array.from(this.memoryDecisions.values())
+                .find(r => r.organization_id === row.organization_id && r.element_key === row.element_key);
+            const now = new Date().toISOString();
+            if (existing) {
+                Object.assign(existing, row, { updated_at: now });
+                return this.formatDecision(existing);
+            }
+            row.id = this.nextMemoryId++;
+            row.created_at = row.updated_at = now;
+            this.memoryDecisions.set(row.id, row);
+            return this.formatDecision(row);
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO review_decisions
+            (organization_id, element_key, site_origin, page_url, rule_id, target, decision, note, reviewed_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            ON CONFLICT (organization_id, element_key) DO UPDATE SET
+                page_url = EXCLUDED.page_url,
+                decision = EXCLUDED.decision,
+                note = EXCLUDED.note,
+                reviewed_by = EXCLUDED.reviewed_by,
+                updated_at = NOW()
+            RETURNING *
+        `, [row.organization_id, row.element_key, row.site_origin, row.page_url, row.rule_id,
+            JSON.stringify(row.target), row.decision, row.note, row.reviewed_by]);
+
+        console.log(`🧐 Recorded "${row.decision}" review for ${row.rule_id} on ${row.page_url}`);
+        return this.formatDecision(result.rows[0]);
+    }
+
+    async listDecisions(organizationId, siteUrl = null) {
+        const origin = siteUrl ? new URL(siteUrl).origin : null;
+
+        if (!this.db) {
+            return Array.from(this.memoryDecisions.values())
+                .filter(row => row.organization_id === organizationId && (!origin || row.site_origin === origin))
+                .map(row => this.formatDecision(row));
+        }
+
+        const result = origin
+            ? await this.db.query('SELECT * FROM review_decisions WHERE organization_id = $1 AND site_origin = $2 ORDER BY updated_at DESC', [organizationId, origin])
+            : await this.db.query('SELECT * FROM review_decisions WHERE organization_id = $1 ORDER BY updated_at DESC', [organizationId]);
+        return result.rows.map(row => this.formatDecision(row));
+    }
+
+    async deleteDecision(decisionId, organizationId) {
+        if (!this.db) {
+            const row = this.memoryDecisions.get(parseInt(decisionId));
+            if (!row || row.organization_id !== organizationId) return false;
+            return this.memoryDecisions.delete(row.id);
+        }
+
+        const result = await this.db.query(
+            'DELETE FROM review_decisions WHERE id = $1 AND organization_id = $2',
+            [decisionId, organizationId]
+        );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Decisions for a site, keyed by element key - loaded once per scan
+     * @returns {Promise<Map>} elementKey -> decision
+     */
+    async getDecisionMap(organizationId, siteUrl) {
+        try {
+            const decisions = await this.listDecisions(organizationId, siteUrl);
+            return new Map(decisions.map(d => [d.elementKey, d]));
+        } catch (error) {
+            // Without stored decisions every incomplete item simply stays in the queue
+            console.error('Failed to load review decisions:', error.message);
+            return new Map();
+        }
+    }
+
+    /**
+     * Split a page's axe incomplete results using stored decisions
+     * @param {string} pageUrl - Page that was scanned
+     * @param {Array} incomplete - axe results.incomplete
+     * @param {Map} decisions - Output of getDecisionMap()
+     * @returns {Object} { needsReview, confirmedViolations, passedCount }
+     */
+    applyDecisions(pageUrl, incomplete, decisions) {
+        const needsReview = [];
+        const confirmedViolations = [];
+        let passedCount = 0;
+
+        (incomplete || []).forEach(rule => {
+            const { nodes, ...ruleInfo } = rule;
+            const failedNodes = [];
+
+            (nodes || []).forEach(node => {
+                const elementKey = this.getElementKey(pageUrl, rule.id, node.target);
+                const decision = decisions.get(elementKey);
+
+                if (decision?.decision === 'pass') {
+                    passedCount++;
+                } else if (decision?.decision === 'fail') {
+                    failedNodes.push({ ...node, reviewDecision: { id: decision.id, note: decision.note, reviewedBy: decision.reviewedBy } });
+                } else {
+                    needsReview.push({
+                        elementKey: elementKey,
+                        pageUrl: pageUrl,
+                        ruleId: rule.id,
+                        impact: node.impact || rule.impact,
+                        help: rule.help,
+                        description: rule.description,
+                        helpUrl: rule.helpUrl,
+                        tags: rule.tags,
+                        target: node.target,
+                        html: node.html,
+                        failureSummary: node.failureSummary,
+                        enhancedData: node.enhancedData
+                    });
+                }
+            });
+
+            // Reviewer-confirmed failures are reported as ordinary violations
+            if (failedNodes.length > 0) {
+                confirmedViolations.push({ ...ruleInfo, nodes: failedNodes, reviewed: true });
+            }
+        });
+
+        return { needsReview, confirmedViolations, passedCount };
+    }
+}
+
+module.exports = ReviewDecisionManager;
@@ -0,0 +1,118 @@
+/**
+ * Scan Comparison for SentryPrime
+ * Compares two saved scans of the same site and sorts every issue into new, fixed or
+ * persisting. Issues are matched on rule plus element fingerprint (see issue-deduplicator),
+ * so a selector that shifts by one :nth-of-type() between releases is still the same issue.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const { fingerprintNode } = require('./issue-deduplicator');
+const { legacyScore } = require('./accessibility-score');
+
+/**
+ * One entry per rule + element fingerprint, with how often it occurred in the scan
+ */
+function indexIssues(violations) {
+    const issues = new Map();
+
+    (violations || []).forEach(violation => {
+        (violation.nodes || []).forEach(node => {
+            const fingerprint = node.fingerprint || fingerprintNode(violation.id, node);
+            if (issues.has(fingerprint)) {
+                issues.get(fingerprint).occurrences += node.occurrences || 1;
+                return;
+            }
+            issues.set(fingerprint, {
+                fingerprint,
+                ruleId: violation.id,
+                impact: node.impact || violation.impact,
+                help: violation.help || violation.description || '',
+                target: node.target,
+                html: node.html,
+                occurrences: node.occurrences || 1
+            });
+        });
+    });
+
+    return issues;
+}
+
+function describeScan(scan) {
+    return {
+        id: scan.id,
+        url: scan.url,
+        scanType: scan.scanType,
+        createdAt: scan.createdAt,
+        totalIssues: scan.totalIssues,
+        // Stored score (see accessibility-score); older scans fall back to the issue-count formula
+        score: scan.score ?? legacyScore(scan.totalIssues)
+    };
+}
+
+/**
+ * Compare a baseline scan with a later one
+ * @param {Object} base - { id, url, scanType, createdAt, totalIssues, score, violations } - the earlier scan
+ * @param {Object} target - Same shape - the later scan
+ * @returns {Object} { base, target, scoreChange, counts, issues: { new, fixed, persisting }, rules }
+ */
+function compareScans(base, target) {
+    const before = indexIssues(base.violations);
+    const after = indexIssues(target.violations);
+    const issues = { new: [], fixed: [], persisting: [] };
+    const rules = new Map();
+
+    const ruleEntry = issue => {
+        if (!rules.has(issue.ruleId)) {
+            rules.set(issue.ruleId, { ruleId: issue.ruleId, impact: issue.impact, help: issue.help, before: 0, after: 0, new: 0, fixed: 0, persisting: 0 });
+        }
+        return rules.get(issue.ruleId);
+    };
+
+    after.forEach((issue, fingerprint) => {
+        const rule = ruleEntry(issue);
+        rule.after += issue.occurrences;
+        if (before.has(fingerprint)) {
+            const previous = before.get(fingerprint);
+            issues.persisting.push({ ...issue, previousOccurrences: previous.occurrences });
+            rule.persisting++;
+        } else {
+            issues.new.push(issue);
+            rule.new++;
+        }
+    });
+
+    before.forEach((issue, fingerprint) => {
+        const rule = ruleEntry(issue);
+        rule.before += issue.occurrences;
+        if (!after.has(fingerprint)) {
+            issues.fixed.push(issue);
+            rule.fixed++;
+        }
+    });
+
+    const baseSummary = describeScan(base);
+    const targetSummary = describeScan(target);
+
+    return {
+        base: baseSummary,
+        target: targetSummary,
+        scoreChange: targetSummary.score - baseSummary.score,
+        counts: {
+            new: issues.new.length,
+            fixed: issues.fixed.length,
+            persisting: issues.persisting.length
+        },
+        issues,
+        // Biggest movers first
+        rules: Array.from(rules.values())
+            .map(rule => ({ ...rule, delta: rule.after - rule.before }))
+            .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.ruleId.localeCompare(b.ruleId))
+    };
+}
+
+module.exports = {
+    compareScans,
+    indexIssues
+};
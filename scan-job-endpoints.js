@@ -0,0 +1,222 @@
+/**
+ * Scan Job API Endpoints for SentryPrime
+ * Submit scans as background jobs and follow their progress over SSE
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+// How often a stream polls scan_jobs for a job running on another instance
+const REMOTE_POLL_MS = 3000;
+
+function serializeJob(job, includeResult = false) {
+    const serialized = {
+        id: job.id,
+        status: job.status,
+        url: job.url,
+        scanType: job.scanType,
+        progress: job.progress,
+        pagesTotal: job.pagesTotal,
+        pagesCompleted: job.pagesCompleted,
+        currentUrl: job.currentUrl || null,
+        pages: job.pages,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        duration: job.duration,
+        scanId: job.result?.scanId || job.scanId || null,
+        error: job.error
+    };
+
+    if (includeResult) {
+        serialized.result = job.result;
+    }
+
+    return serialized;
+}
+
+function setupScanJobEndpoints(app, scanJobManager, runScan) {
+    if (!scanJobManager) {
+        console.log('⚠️ Scan job manager not available - scan job endpoints disabled');
+        return;
+    }
+
+    /**
+     * Submit a new scan job - returns immediately with the job ID
+     */
+    app.post('/api/scans/jobs', (req, res) => {
+        try {
+            const { url, scanType = 'single', maxPages = 5, userId = 1 } = req.body;
+
+            if (!url) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'URL is required'
+                });
+            }
+
+            const job = scanJobManager.submitJob(
+                { ...req.body, url, scanType, maxPages: parseInt(maxPages) || 5, userId },
+                (job, reporter) => runScan(job.options, reporter)
+            );
+
+            res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/scans/jobs/${job.id}`,
+                streamUrl: `/api/scans/jobs/${job.id}/stream`
+            });
+
+        } catch (error) {
+            console.error('Submit scan job error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to submit scan job'
+            });
+        }
+    });
+
+    /**
+     * Get scan job status, including the stored result once completed
+     */
+    app.get('/api/scans/jobs/:jobId', async (req, res) => {
+        try {
+            const { jobId } = req.params;
+            const job = await scanJobManager.getJob(jobId);
+
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Scan job not found',
+                    jobId: jobId
+                });
+            }
+
+            res.json({
+                success: true,
+                job: {
+                    ...serializeJob(job, job.status === 'completed'),
+                    logs: job.logs.slice(-10) // Last 10 log entries
+                }
+            });
+
+        } catch (error) {
+            console.error('Get scan job error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get scan job'
+            });
+        }
+    });
+
+    /**
+     * Server-Sent Events endpoint for real-time scan progress
+     */
+    app.get('/api/scans/jobs/:jobId/stream', async (req, res) => {
+        const { jobId } = req.params;
+        const job = await scanJobManager.getJob(jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Scan job not found'
+            });
+        }
+
+        // Set up SSE headers
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Cache-Control'
+        });
+
+        const send = (payload) => {
+            try {
+                res.write(`data: ${JSON.stringify(payload)}\n\n`);
+            } catch (error) {
+                console.error('SSE write error:', error);
+            }
+        };
+
+        let unsubscribe = null;
+        let heartbeat = null;
+
+        const finish = () => {
+            if (unsubscribe) unsubscribe();
+            if (heartbeat) clearInterval(heartbeat);
+            res.end();
+        };
+
+        // Send initial job status
+        send({ type: 'status', job: serializeJob(job) });
+
+        // Finished jobs have nothing more to stream
+        if (scanJobManager.isTerminal(job)) {
+            send({ type: job.status, job: serializeJob(job) });
+            return finish();
+        }
+
+        // Jobs running on another instance are followed through the database
+        if (!scanJobManager.isLocal(jobId)) {
+            let lastState = `${job.status}:${job.progress}`;
+            const poll = setInterval(async () => {
+                // A comment line on every poll keeps proxies from closing a quiet stream
+                res.write(':\n\n');
+                let stored;
+                try {
+                    stored = await scanJobManager.getJob(jobId);
+                } catch (error) {
+                    console.error('SSE poll error:', error.message);
+                    return;
+                }
+                if (!stored) return;
+                if (scanJobManager.isTerminal(stored)) {
+                    clearInterval(poll);
+                    send({ type: stored.status, job: serializeJob(stored) });
+                    return finish();
+                }
+                if (`${stored.status}:${stored.progress}` !== lastState) {
+                    lastState = `${stored.status}:${stored.progress}`;
+                    send({ type: 'progress', job: serializeJob(stored) });
+                }
+            }, REMOTE_POLL_MS);
+            req.on('close', () => clearInterval(poll));
+            return;
+        }
+
+        // Register for progress updates
+        unsubscribe = scanJobManager.onStatusChange(jobId, (updatedJob) => {
+            if (scanJobManager.isTerminal(updatedJob)) {
+                send({ type: updatedJob.status, job: serializeJob(updatedJob) });
+                finish();
+                return;
+            }
+
+            send({
+                type: 'progress',
+                job: {
+                    ...serializeJob(updatedJob),
+                    logs: updatedJob.logs.slice(-5) // Last 5 logs
+                }
+            });
+        });
+
+        // Send heartbeat every 30 seconds
+        heartbeat = setInterval(() => {
+            send({ type: 'heartbeat', timestamp: new Date().toISOString() });
+        }, 30000);
+
+        // Clean up on disconnect
+        req.on('close', () => {
+            if (unsubscribe) unsubscribe();
+            clearInterval(heartbeat);
+        });
+    });
+
+    console.log('✅ Scan job endpoints initialized');
+}
+
+module.exports = { setupScanJobEndpoints };
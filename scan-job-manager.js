@@ -0,0 +1,499 @@
+/**
+ * Scan Job Manager for SentryPrime
+ * Runs accessibility scans as background jobs and tracks their per-page progress
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const os = require('os');
+const { getTableColumns } = require('./migrate_database');
+const { omitScreenshots } = require('./text-spacing-checker');
+
+const TERMINAL_STATUSES = ['completed', 'failed'];
+
+// Progress is written to scan_jobs at most this often per job (status changes are always written)
+const PROGRESS_WRITE_MS = 2000;
+
+class ScanJobManager {
+    constructor(db = null, options = {}) {
+        this.db = db;
+        this.concurrency = options.concurrency || parseInt(process.env.SCAN_JOB_CONCURRENCY) || 2;
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+        this.statusCallbacks = new Map();
+        this.instanceId = options.instanceId || `${os.hostname()}-${process.pid}`;
+        // Active jobs are touched every heartbeatMs; queued/running rows untouched for staleMs
+        // belong to an instance that stopped and are marked failed
+        this.heartbeatMs = options.heartbeatMs || 60 * 1000;
+        this.staleMs = options.staleMs || 5 * 60 * 1000;
+        this.timer = null;
+    }
+
+    /**
+     * Generate a unique scan job identifier
+     * @returns {string} Job ID
+     */
+    generateJobId() {
+        return `scan_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    }
+
+    /**
+     * Queue a new scan job
+     * @param {Object} jobInfo - Scan options (url, scanType, maxPages, userId)
+     * @param {Function} runner - async (job, reporter) => result
+     * @returns {Object} The queued job
+     */
+    submitJob(jobInfo, runner) {
+        const job = {
+            id: this.generateJobId(),
+            status: 'queued',
+            url: jobInfo.url,
+            scanType: jobInfo.scanType || 'single',
+            maxPages: jobInfo.maxPages || 1,
+            userId: jobInfo.userId || 1,
+            options: jobInfo,
+            createdAt: new Date().toISOString(),
+            progress: 0,
+            pagesTotal: jobInfo.scanType === 'crawl' ? (jobInfo.maxPages || 1) : 1,
+            pagesCompleted: 0,
+            currentUrl: null,
+            pages: [],
+            logs: [],
+            result: null,
+            error: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue.push({ jobId: job.id, runner });
+        this.logJobEvent(job.id, 'info', 'Scan job queued');
+        // Stored right away so the job can be looked up after a restart or from another instance
+        this.persistJob(job, true);
+
+        console.log(`📋 Queued scan job ${job.id} for ${job.url}`);
+
+        this.processQueue();
+        return job;
+    }
+
+    /**
+     * Start queued jobs while there is free capacity
+     */
+    processQueue() {
+        while (this.running < this.concurrency && this.queue.length > 0) {
+            const { jobId, runner } = this.queue.shift();
+            this.running++;
+
+            this.runJob(jobId, runner).finally(() => {
+                this.running--;
+                this.processQueue();
+            });
+        }
+    }
+
+    /**
+     * Execute a single job and record its outcome
+     */
+    async runJob(jobId, runner) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.logJobEvent(jobId, 'info', 'Scan started');
+        this.persistJob(job, true);
+        this.notifyStatusChange(jobId, job);
+
+        const reporter = {
+            onPageStart: (info) => this.recordPageStart(jobId, info),
+            onPageComplete: (info) => this.recordPageComplete(jobId, info)
+        };
+
+        try {
+            const result = await runner(job, reporter);
+            await this.completeJob(jobId, result);
+        } catch (error) {
+            console.error(`❌ Scan job ${jobId} failed:`, error.message);
+            await this.failJob(jobId, error);
+        }
+    }
+
+    /**
+     * Record that a page scan has started
+     * @param {string} jobId - Job identifier
+     * @param {Object} info - { url, index, total }
+     */
+    recordPageStart(jobId, info) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+
+        job.currentUrl = info.url;
+        if (info.total) {
+            job.pagesTotal = info.total;
+        }
+
+        this.logJobEvent(jobId, 'info', `Scanning page ${info.index + 1}/${job.pagesTotal}: ${info.url}`);
+        this.notifyStatusChange(jobId, job);
+    }
+
+    /**
+     * Record a finished page scan
+     * @param {string} jobId - Job identifier
+     * @param {Object} info - { url, index, total, violationCount, scanTime, error }
+     */
+    recordPageComplete(jobId, info) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+
+        if (info.total) {
+            job.pagesTotal = info.total;
+        }
+
+        job.pages.push({
+            url: info.url,
+            status: info.error ? 'failed' : 'completed',
+            violationCount: info.violationCount || 0,
+            scanTime: info.scanTime || 0,
+            error: info.error || null,
+            timestamp: new Date().toISOString()
+        });
+        job.pagesCompleted = job.pages.length;
+
+        // Keep a little headroom below 100 until the result is stored
+        job.progress = Math.min(95, Math.floor((job.pagesCompleted / Math.max(job.pagesTotal, 1)) * 95));
+
+        const level = info.error ? 'warning' : 'info';
+        const message = info.error
+            ? `Failed to scan ${info.url}: ${info.error}`
+            : `Scanned ${info.url} (${info.violationCount || 0} violations)`;
+        this.logJobEvent(jobId, level, message);
+        this.persistJob(job);
+        this.notifyStatusChange(jobId, job);
+    }
+
+    /**
+     * Mark a job as completed and persist its result
+     */
+    async completeJob(jobId, result) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+
+        job.status = 'completed';
+        job.progress = 100;
+        job.currentUrl = null;
+        job.result = result;
+        job.completedAt = new Date().toISOString();
+        job.duration = new Date(job.completedAt) - new Date(job.startedAt);
+        this.logJobEvent(jobId, 'info', `Scan completed with ${result?.totalIssues || 0} issues`);
+
+        if (this.db) {
+            await this.queueJobWrite(job);
+        }
+
+        this.notifyStatusChange(jobId, job);
+        console.log(`📋 Completed scan job ${jobId}`);
+    }
+
+    /**
+     * Mark a job as failed
+     */
+    async failJob(jobId, error) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+
+        job.status = 'failed';
+        job.currentUrl = null;
+        job.error = error.friendlyMessage || error.message || 'Unknown error';
+        job.completedAt = new Date().toISOString();
+        job.duration = job.startedAt ? new Date(job.completedAt) - new Date(job.startedAt) : 0;
+        this.logJobEvent(jobId, 'error', `Scan failed: ${job.error}`);
+
+        if (this.db) {
+            await this.queueJobWrite(job);
+        }
+
+        this.notifyStatusChange(jobId, job);
+    }
+
+    /**
+     * Get a job by ID, falling back to the database for jobs no longer in memory
+     * @param {string} jobId - Job identifier
+     * @returns {Promise<Object|null>} Job
+     */
+    async getJob(jobId) {
+        if (this.jobs.has(jobId)) {
+            return this.jobs.get(jobId);
+        }
+
+        if (!this.db) return null;
+
+        try {
+            const result = await this.db.query('SELECT * FROM scan_jobs WHERE id = $1', [jobId]);
+            if (result.rows.length === 0) return null;
+
+            const row = result.rows[0];
+            return {
+                id: row.id,
+                status: row.status,
+                url: row.url,
+                scanType: row.scan_type,
+                userId: row.user_id,
+                scanId: row.scan_id,
+                options: row.options,
+                progress: row.progress,
+                pagesTotal: row.pages_total,
+                pagesCompleted: row.pages_completed,
+                pages: [],
+                logs: [],
+                result: row.result,
+                error: row.error_message,
+                createdAt: row.created_at,
+                startedAt: row.started_at,
+                completedAt: row.completed_at
+            };
+        } catch (error) {
+            console.error('Failed to load scan job from database:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Whether this instance is running the job (and so sends its status changes)
+     */
+    isLocal(jobId) {
+        return this.jobs.has(jobId);
+    }
+
+    /**
+     * Whether a job has finished (successfully or not)
+     */
+    isTerminal(job) {
+        return TERMINAL_STATUSES.includes(job.status);
+    }
+
+    /**
+     * Log job event
+     * @param {string} jobId - Job identifier
+     * @param {string} level - Log level (info, warning, error)
+     * @param {string} message - Log message
+     */
+    logJobEvent(jobId, level, message) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+
+        job.logs.push({
+            timestamp: new Date().toISOString(),
+            level: level,
+            message: message
+        });
+
+        // Keep only last 100 log entries to prevent memory issues
+        if (job.logs.length > 100) {
+            job.logs = job.logs.slice(-100);
+        }
+    }
+
+    /**
+     * Register status change callback
+     * @param {string} jobId - Job identifier
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    onStatusChange(jobId, callback) {
+        if (!this.statusCallbacks.has(jobId)) {
+            this.statusCallbacks.set(jobId, []);
+        }
+        this.statusCallbacks.get(jobId).push(callback);
+
+        return () => {
+            const callbacks = this.statusCallbacks.get(jobId);
+            if (!callbacks) return;
+            const remaining = callbacks.filter(cb => cb !== callback);
+            if (remaining.length > 0) {
+                this.statusCallbacks.set(jobId, remaining);
+            } else {
+                this.statusCallbacks.delete(jobId);
+            }
+        };
+    }
+
+    /**
+     * Notify status change callbacks
+     */
+    notifyStatusChange(jobId, job) {
+        const callbacks = this.statusCallbacks.get(jobId);
+        if (callbacks) {
+            callbacks.slice().forEach(callback => {
+                try {
+                    callback(job);
+                } catch (error) {
+                    console.error('Scan job callback error:', error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Job options without inline credentials - those are only kept encrypted in auth_profiles
+     */
+    getStorableOptions(options) {
+        const { authProfile, ...storable } = options || {};
+        if (authProfile) {
+            storable.authProfileType = authProfile.type;
+        }
+        return storable;
+    }
+
+    /**
+     * Write a job's current state without waiting for it. Progress updates are throttled;
+     * pass force for status changes.
+     */
+    persistJob(job, force = false) {
+        if (!this.db) return;
+
+        const now = Date.now();
+        if (!force && now - (job.persistedAt || 0) < PROGRESS_WRITE_MS) return;
+        job.persistedAt = now;
+
+        this.queueJobWrite(job);
+    }
+
+    /**
+     * Writes for one job run one after another, so an older state never lands last
+     */
+    queueJobWrite(job) {
+        const { pendingWrite, ...snapshot } = job;
+        job.pendingWrite = (pendingWrite || Promise.resolve()).then(() => this.saveJobToDatabase(snapshot));
+        return job.pendingWrite;
+    }
+
+    /**
+     * Save job and its result to the database
+     */
+    async saveJobToDatabase(job) {
+        if (!this.db) return;
+
+        try {
+            // Heartbeat columns come from migration 014 and are skipped where it didn't run
+            const heartbeat = (await getTableColumns(this.db, 'scan_jobs')).has('updated_at');
+
+            // A finished row is never overwritten, so a late progress write can't undo it
+            await this.db.query(`
+                INSERT INTO scan_jobs
+                (id, user_id, scan_id, url, scan_type, status, progress, pages_total, pages_completed,
+                 options, result, error_message, created_at, started_at, completed_at${heartbeat ? ', instance_id, updated_at' : ''})
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15${heartbeat ? ', $16, NOW()' : ''})
+                ON CONFLICT (id) DO UPDATE SET
+                    scan_id = EXCLUDED.scan_id,
+                    status = EXCLUDED.status,
+                    progress = EXCLUDED.progress,
+                    pages_total = EXCLUDED.pages_total,
+                    pages_completed = EXCLUDED.pages_completed,
+                    result = EXCLUDED.result,
+                    error_message = EXCLUDED.error_message,
+                    started_at = EXCLUDED.started_at,
+                    completed_at = EXCLUDED.completed_at${heartbeat ? `,
+                    instance_id = EXCLUDED.instance_id,
+                    updated_at = NOW()` : ''}
+                WHERE scan_jobs.status NOT IN ('completed', 'failed')
+            `, [
+                job.id,
+                job.userId,
+                job.result?.scanId || null,
+                job.url,
+                job.scanType,
+                job.status,
+                job.progress,
+                job.pagesTotal,
+                job.pagesCompleted,
+                JSON.stringify(this.getStorableOptions(job.options)),
+                // Screenshots stay with this instance's copy; the stored result leaves them out
+                job.result ? JSON.stringify(job.result, omitScreenshots) : null,
+                job.error,
+                job.createdAt,
+                job.startedAt || null,
+                job.completedAt || null
+            ].concat(heartbeat ? [this.instanceId] : []));
+
+            if (this.isTerminal(job)) {
+                console.log(`💾 Saved scan job ${job.id} to database`);
+            }
+
+        } catch (error) {
+            console.error('Failed to save scan job to database:', error.message);
+        }
+    }
+
+    /**
+     * Start the heartbeat for this instance's active jobs and the check for orphaned ones
+     */
+    start() {
+        if (this.timer || !this.db) return;
+
+        const beat = () => this.heartbeat().catch(error => console.error('Scan job heartbeat failed:', error.message));
+        this.timer = setInterval(beat, this.heartbeatMs);
+        // Don't keep the process alive just for the heartbeat
+        this.timer.unref?.();
+        beat();
+    }
+
+    /**
+     * Stop the heartbeat and fail this instance's unfinished jobs, which die with the process
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        const active = Array.from(this.jobs.values()).filter(job => !this.isTerminal(job));
+        await Promise.all(active.map(job => this.failJob(job.id, new Error('Scan interrupted by a server shutdown - please run it again'))));
+    }
+
+    /**
+     * Keep this instance's active jobs fresh and fail jobs no instance is touching any more
+     */
+    async heartbeat() {
+        if (!this.db || !(await getTableColumns(this.db, 'scan_jobs')).has('updated_at')) return;
+
+        const activeIds = Array.from(this.jobs.values()).filter(job => !this.isTerminal(job)).map(job => job.id);
+        if (activeIds.length > 0) {
+            await this.db.query('UPDATE scan_jobs SET updated_at = NOW() WHERE id = ANY($1)', [activeIds]);
+        }
+
+        const result = await this.db.query(`
+            UPDATE scan_jobs
+            SET status = 'failed',
+                error_message = 'Scan interrupted by a server restart - please run it again',
+                completed_at = NOW(),
+                updated_at = NOW()
+            WHERE status IN ('queued', 'running')
+              AND COALESCE(updated_at, created_at) < NOW() - ($1 || ' milliseconds')::interval
+              AND NOT (id = ANY($2))
+            RETURNING id
+        `, [String(this.staleMs), activeIds]);
+
+        if (result.rows.length > 0) {
+            console.log(`📋 Marked ${result.rows.length} orphaned scan job(s) as failed`);
+        }
+    }
+
+    /**
+     * Clean up finished jobs from memory (results stay in the database)
+     */
+    cleanup() {
+        const maxAge = 60 * 60 * 1000; // 1 hour
+        const now = new Date();
+
+        for (const [id, job] of this.jobs.entries()) {
+            if (!this.isTerminal(job)) continue;
+
+            const age = now - new Date(job.completedAt || job.createdAt);
+            if (age > maxAge) {
+                this.jobs.delete(id);
+                this.statusCallbacks.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = ScanJobManager;
@@ -0,0 +1,277 @@
+/**
+ * Scan Profile Manager for SentryPrime
+ * Reusable per-organization scan settings: target standard, rule overrides and
+ * include/exclude selectors, translated into axe-core run options
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const axeCore = require('axe-core');
+
+// Conformance targets and the axe tags they run (each level includes the levels below it)
+const STANDARDS = {
+    'wcag2a': { label: 'WCAG 2.0 Level A', tags: ['wcag2a'] },
+    'wcag2aa': { label: 'WCAG 2.0 Level AA', tags: ['wcag2a', 'wcag2aa'] },
+    'wcag21a': { label: 'WCAG 2.1 Level A', tags: ['wcag2a', 'wcag21a'] },
+    'wcag21aa': { label: 'WCAG 2.1 Level AA', tags: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] },
+    'wcag22a': { label: 'WCAG 2.2 Level A', tags: ['wcag2a', 'wcag21a', 'wcag22a'] },
+    'wcag22aa': { label: 'WCAG 2.2 Level AA', tags: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22a', 'wcag22aa'] },
+    'section508': { label: 'Section 508', tags: ['section508'] },
+    'best-practice': { label: 'Best Practices', tags: ['best-practice'] }
+};
+
+// Used when a scan does not name a profile - axe's own default rule set
+const DEFAULT_PROFILE = {
+    id: null,
+    name: 'axe defaults',
+    standard: null,
+    includeBestPractices: false,
+    rules: {},
+    include: [],
+    exclude: []
+};
+
+class ScanProfileManager {
+    constructor(db = null) {
+        this.db = db;
+        this.memoryProfiles = new Map(); // Fallback store when running without a database
+        this.nextMemoryId = 1;
+        this.knownRuleIds = new Set(axeCore.getRules().map(rule => rule.ruleId));
+    }
+
+    /**
+     * Standards and rules the UI can offer
+     */
+    getCatalog() {
+        return {
+            standards: Object.entries(STANDARDS).map(([id, standard]) => ({ id, label: standard.label, tags: standard.tags })),
+            rules: axeCore.getRules().map(rule => ({
+                id: rule.ruleId,
+                description: rule.description,
+                tags: rule.tags
+            }))
+        };
+    }
+
+    /**
+     * Check profile settings before they are stored or used
+     * @returns {string|null} Error message, or null when valid
+     */
+    validateProfile(profile) {
+        if (!profile) return 'Scan profile is required';
+
+        if (profile.standard && !STANDARDS[profile.standard]) {
+            return `Unknown standard "${profile.standard}". Use one of: ${Object.keys(STANDARDS).join(', ')}`;
+        }
+
+        const unknownRules = Object.keys(profile.rules || {}).filter(ruleId => !this.knownRuleIds.has(ruleId));
+        if (unknownRules.length > 0) {
+            return `Unknown axe rules: ${unknownRules.join(', ')}`;
+        }
+
+        for (const key of ['include', 'exclude']) {
+            if (profile[key] && (!Array.isArray(profile[key]) || profile[key].some(selector => typeof selector !== 'string'))) {
+                return `${key} must be a list of CSS selectors`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Normalize user input into a complete profile
+     */
+    normalizeProfile(profile) {
+        const rules = {};
+        Object.entries(profile.rules || {}).forEach(([ruleId, enabled]) => {
+            rules[ruleId] = enabled === true || enabled === 'true' || enabled?.enabled === true;
+        });
+
+        return {
+            id: profile.id || null,
+            name: profile.name || (profile.standard ? STANDARDS[profile.standard].label : DEFAULT_PROFILE.name),
+            standard: profile.standard || null,
+            includeBestPractices: profile.includeBestPractices === true,
+            rules: rules,
+            include: (profile.include || []).map(s => s.trim()).filter(Boolean),
+            exclude: (profile.exclude || []).map(s => s.trim()).filter(Boolean)
+        };
+    }
+
+    /**
+     * Translate a profile into the (context, options) pair passed to axe.run
+     * @param {Object} profile - Normalized profile
+     * @returns {Object} { context, options }
+     */
+    buildAxeConfig(profile) {
+        const options = {};
+
+        if (profile.standard) {
+            const tags = [...STANDARDS[profile.standard].tags];
+            if (profile.includeBestPractices && !tags.includes('best-practice')) {
+                tags.push('best-practice');
+            }
+            options.runOnly = { type: 'tag', values: tags };
+        }
+
+        if (Object.keys(profile.rules).length > 0) {
+            options.rules = {};
+            Object.entries(profile.rules).forEach(([ruleId, enabled]) => {
+                options.rules[ruleId] = { enabled };
+            });
+        }
+
+        // null context means the whole document
+        let context = null;
+        if (profile.include.length > 0 || profile.exclude.length > 0) {
+            context = {};
+            if (profile.include.length > 0) context.include = profile.include.map(selector => [selector]);
+            if (profile.exclude.length > 0) context.exclude = profile.exclude.map(selector => [selector]);
+        }
+
+        return { context, options };
+    }
+
+    formatProfile(row) {
+        return {
+            id: row.id,
+            organizationId: row.organization_id,
+            name: row.name,
+            standard: row.standard,
+            includeBestPractices: row.include_best_practices,
+            rules: row.rules || {},
+            include: row.include_selectors || [],
+            exclude: row.exclude_selectors || [],
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    toRow(organizationId, profile) {
+        return {
+            organization_id: organizationId,
+            name: profile.name,
+            standard: profile.standard,
+            include_best_practices: profile.includeBestPractices,
+            rules: profile.rules,
+            include_selectors: profile.include,
+            exclude_selectors: profile.exclude
+        };
+    }
+
+    async listProfiles(organizationId) {
+        if (!this.db) {
+            return Array.from(this.memoryProfiles.values())
+                .filter(row => row.organization_id === organizationId)
+                .map(row => this.formatProfile(row));
+        }
+
+        const result = await this.db.query(
+            'SELECT * FROM scan_profiles WHERE organization_id = $1 ORDER BY name',
+            [organizationId]
+        );
+        return result.rows.map(row => this.formatProfile(row));
+    }
+
+    async getProfile(profileId, organizationId) {
+        if (!this.db) {
+            const row = this.memoryProfiles.get(parseInt(profileId));
+            return row && row.organization_id === organizationId ? this.formatProfile(row) : null;
+        }
+
+        const result = await this.db.query(
+            'SELECT * FROM scan_profiles WHERE id = $1 AND organization_id = $2',
+            [profileId, organizationId]
+        );
+        return result.rows[0] ? this.formatProfile(result.rows[0]) : null;
+    }
+
+    async saveProfile(organizationId, profile) {
+        const row = this.toRow(organizationId, this.normalizeProfile(profile));
+
+        if (!this.db) {
+            row.id = this.nextMemoryId++;
+            row.created_at = row.updated_at = new Date().toISOString();
+            this.memoryProfiles.set(row.id, row);
+            return this.formatProfile(row);
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO scan_profiles
+            (organization_id, name, standard, include_best_practices, rules, include_selectors, exclude_selectors)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [row.organization_id, row.name, row.standard, row.include_best_practices,
+            JSON.stringify(row.rules), JSON.stringify(row.include_selectors), JSON.stringify(row.exclude_selectors)]);
+
+        console.log(`📐 Saved scan profile "${row.name}" for organization ${organizationId}`);
+        return this.formatProfile(result.rows[0]);
+    }
+
+    async updateProfile(profileId, organizationId, profile) {
+        const existing = await this.getProfile(profileId, organizationId);
+        if (!existing) return null;
+
+        // Only overwrite the settings that were sent
+        const changes = Object.fromEntries(Object.entries(profile).filter(([, value]) => value !== undefined));
+        const row = this.toRow(organizationId, this.normalizeProfile({ ...existing, ...changes }));
+
+        if (!this.db) {
+            const stored = this.memoryProfiles.get(parseInt(profileId));
+            Object.assign(stored, row, { updated_at: new Date().toISOString() });
+            return this.formatProfile(stored);
+        }
+
+        const result = await this.db.query(`
+            UPDATE scan_profiles
+            SET name = $1, standard = $2, include_best_practices = $3, rules = $4,
+                include_selectors = $5, exclude_selectors = $6, updated_at = NOW()
+            WHERE id = $7 AND organization_id = $8
+            RETURNING *
+        `, [row.name, row.standard, row.include_best_practices, JSON.stringify(row.rules),
+            JSON.stringify(row.include_selectors), JSON.stringify(row.exclude_selectors), profileId, organizationId]);
+
+        return this.formatProfile(result.rows[0]);
+    }
+
+    async deleteProfile(profileId, organizationId) {
+        if (!this.db) {
+            const row = this.memoryProfiles.get(parseInt(profileId));
+            if (!row || row.organization_id !== organizationId) return false;
+            return this.memoryProfiles.delete(row.id);
+        }
+
+        const result = await this.db.query(
+            'DELETE FROM scan_profiles WHERE id = $1 AND organization_id = $2',
+            [profileId, organizationId]
+        );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Find the profile for a scan: a stored profile ID, inline settings, or axe defaults
+     * @returns {Promise<Object>} Normalized profile
+     */
+    async resolveProfile({ organizationId = 1, scanProfileId = null, scanProfile = null }) {
+        if (scanProfileId) {
+            const stored = await this.getProfile(scanProfileId, organizationId);
+            if (!stored) {
+                throw new Error('Scan profile not found');
+            }
+            return this.normalizeProfile(stored);
+        }
+
+        if (scanProfile) {
+            const validationError = this.validateProfile(scanProfile);
+            if (validationError) {
+                throw new Error(validationError);
+            }
+            return this.normalizeProfile({ ...scanProfile, id: null });
+        }
+
+        return { ...DEFAULT_PROFILE };
+    }
+}
+
+module.exports = ScanProfileManager;
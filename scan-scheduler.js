@@ -0,0 +1,631 @@
+/**
+ * Scan Scheduler for SentryPrime
+ * Cron-style recurring scans per site. Schedules live in the database so they survive
+ * restarts; each due run is claimed with a row lock and a lease, so when several
+ * instances are deployed only one of them runs it. After every run the results are
+ * compared with the previous run, and new critical or serious issues raise an alert
+ * (stored, and POSTed to the schedule's webhook when it has one). Schedules with
+ * scanOptions.attachReport also POST every run's PDF report to the webhook, ready to be
+ * forwarded as an email attachment.
+ *
+ * Cron expressions have five fields, evaluated in UTC:
+ *   minute hour day-of-month month day-of-week   e.g. "0 6 * * 1" = Mondays 06:00
+ * Fields accept *, lists (1,15), ranges (1-5) and steps (*\/15). @hourly, @daily,
+ * @weekly and @monthly are accepted too.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const os = require('os');
+const axios = require('axios');
+const { compareScans } = require('./scan-comparison');
+
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const SCAN_TYPES = ['single', 'crawl', 'journey'];
+const ALERT_IMPACTS = ['critical', 'serious'];
+
+/**
+ * Parse a five-field cron expression
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek } as Sets, plus wildcard flags
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+    const source = CRON_ALIASES[String(expression || '').trim()] || String(expression || '').trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day-of-month month day-of-week)`);
+    }
+
+    const parsed = {};
+    CRON_FIELDS.forEach((field, index) => {
+        const values = new Set();
+        parts[index].split(',').forEach(term => {
+            const match = term.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+            if (!match) {
+                throw new Error(`Invalid ${field.name} "${term}" in cron expression "${expression}"`);
+            }
+            const start = match[1] === '*' ? field.min : parseInt(match[1]);
+            const end = match[2] !== undefined ? parseInt(match[2]) : (match[1] === '*' || match[3] ? field.max : start);
+            const step = match[3] ? parseInt(match[3]) : 1;
+            if (start < field.min || end > field.max || start > end || step < 1) {
+                throw new Error(`${field.name} "${term}" is out of range ${field.min}-${field.max} in cron expression "${expression}"`);
+            }
+            for (let value = start; value <= end; value += step) {
+                values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+            }
+        });
+        parsed[field.name] = values;
+    });
+
+    parsed.anyDayOfMonth = parts[2] === '*';
+    parsed.anyDayOfWeek = parts[4] === '*';
+    return parsed;
+}
+
+/**
+ * Next time (UTC, whole minutes) strictly after `from` that the expression matches
+ * @returns {Date}
+ */
+function getNextRunTime(expression, from = new Date()) {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const next = new Date(from.getTime());
+    next.setUTCSeconds(0, 0);
+    next.setUTCMinutes(next.getUTCMinutes() + 1);
+
+    // Like cron: when both day fields are restricted, either one matching is enough
+    const dayMatches = date => {
+        const dom = cron.dayOfMonth.has(date.getUTCDate());
+        const dow = cron.dayOfWeek.has(date.getUTCDay());
+        if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true;
+        if (cron.anyDayOfMonth) return dow;
+        if (cron.anyDayOfWeek) return dom;
+        return dom || dow;
+    };
+
+    // Five years covers every valid expression (including 29 February)
+    const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+    while (next.getTime() <= limit) {
+        if (!cron.month.has(next.getUTCMonth() + 1)) {
+            next.setUTCMonth(next.getUTCMonth() + 1, 1);
+            next.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!dayMatches(next)) {
+            next.setUTCDate(next.getUTCDate() + 1);
+            next.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cron.hour.has(next.getUTCHours())) {
+            next.setUTCHours(next.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!cron.minute.has(next.getUTCMinutes())) {
+            next.setUTCMinutes(next.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+        return next;
+    }
+
+    throw new Error(`Cron expression "${expression}" never matches`);
+}
+
+class ScanScheduler {
+    /**
+     * @param {Object} db - pg pool (in-memory schedules when null)
+     * @param {Object} options - { runScan(options) => Promise<scan result>, renderReport(scan) => Promise<Buffer>,
+     *                            reportFilename(scan), tickMs, leaseMinutes, instanceId }
+     */
+    constructor(db = null, options = {}) {
+        this.db = db;
+        this.runScan = options.runScan;
+        this.renderReport = options.renderReport || null;
+        this.reportFilename = options.reportFilename || (() => 'accessibility-report.pdf');
+        this.tickMs = options.tickMs || 60 * 1000;
+        // A run holds its schedule this long; a crashed instance's claim expires after it
+        this.leaseMinutes = options.leaseMinutes || 120;
+        // Unique per process - every instance of a Cloud Run revision shares K_REVISION
+        this.instanceId = options.instanceId || `${os.hostname()}-${process.pid}`;
+        this.timer = null;
+        this.running = new Set();
+        this.memorySchedules = new Map(); // Fallback store when running without a database
+        this.memoryAlerts = [];
+        this.nextMemoryId = 1;
+    }
+
+    /**
+     * Check a schedule before it is stored
+     * @returns {string|null} Error message, or null when valid
+     */
+    validateSchedule(schedule) {
+        if (!schedule || !schedule.siteUrl) return 'Schedules need a siteUrl';
+        if (!schedule.cron) return 'Schedules need a cron expression, e.g. "0 6 * * 1" for Mondays at 06:00 UTC';
+        try {
+            parseCron(schedule.cron);
+        } catch (error) {
+            return error.message;
+        }
+        const scanType = schedule.scanType || 'single';
+        if (!SCAN_TYPES.includes(scanType)) return `scanType must be one of ${SCAN_TYPES.join(', ')}`;
+        if (scanType === 'journey' && !schedule.scanOptions?.journeyId) return 'Journey schedules need scanOptions.journeyId';
+        if (schedule.alertWebhookUrl && !/^https?:\/\//.test(schedule.alertWebhookUrl)) return 'alertWebhookUrl must be an http(s) URL';
+        if (schedule.scanOptions?.attachReport && !schedule.alertWebhookUrl) return 'attachReport needs an alertWebhookUrl to deliver the report to';
+        return null;
+    }
+
+    formatSchedule(row) {
+        return {
+            id: row.id,
+            organizationId: row.organization_id,
+            siteUrl: row.site_url,
+            name: row.name,
+            cron: row.cron_expression,
+            scanType: row.scan_type,
+            scanProfileId: row.scan_profile_id,
+            scanOptions: row.scan_options || {},
+            alertWebhookUrl: row.alert_webhook_url,
+            enabled: row.enabled,
+            nextRunAt: row.next_run_at,
+            lastRunAt: row.last_run_at,
+            lastScanId: row.last_scan_id,
+            lastStatus: row.last_status,
+            lastError: row.last_error,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    formatAlert(row) {
+        return {
+            id: row.id,
+            scheduleId: row.schedule_id,
+            scanId: row.scan_id,
+            previousScanId: row.previous_scan_id,
+            newCritical: row.new_critical,
+            newSerious: row.new_serious,
+            issues: row.issues,
+            delivered: row.delivered,
+            createdAt: row.created_at
+        };
+    }
+
+    async listSchedules(organizationId) {
+        if (!this.db) {
+            return Array.from(this.memorySchedules.values())
+                .filter(row => row.organization_id === organizationId)
+                .map(row => this.formatSchedule(row));
+        }
+
+        const result = await this.db.query('SELECT * FROM scan_schedules WHERE organization_id = $1 ORDER BY site_url, name', [organizationId]);
+        return result.rows.map(row => this.formatSchedule(row));
+    }
+
+    async getSchedule(scheduleId, organizationId) {
+        if (!this.db) {
+            const row = this.memorySchedules.get(parseInt(scheduleId));
+            return row && row.organization_id === organizationId ? this.formatSchedule(row) : null;
+        }
+
+        const result = await this.db.query('SELECT * FROM scan_schedules WHERE id = $1 AND organization_id = $2', [scheduleId, organizationId]);
+        return result.rows[0] ? this.formatSchedule(result.rows[0]) : null;
+    }
+
+    async saveSchedule(organizationId, schedule) {
+        const row = {
+            organization_id: organizationId,
+            site_url: schedule.siteUrl,
+            name: schedule.name || `Scan ${schedule.siteUrl}`,
+            cron_expression: schedule.cron.trim(),
+            scan_type: schedule.scanType || 'single',
+            scan_profile_id: schedule.scanProfileId || null,
+            scan_options: schedule.scanOptions || {},
+            alert_webhook_url: schedule.alertWebhookUrl || null,
+            enabled: schedule.enabled !== false,
+            next_run_at: getNextRunTime(schedule.cron)
+        };
+
+        if (!this.db) {
+            row.id = this.nextMemoryId++;
+            row.created_at = row.updated_at = new Date().toISOString();
+            row.last_run_at = row.last_scan_id = row.last_status = row.last_error = null;
+            this.memorySchedules.set(row.id, row);
+            return this.formatSchedule(row);
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO scan_schedules
+            (organization_id, site_url, name, cron_expression, scan_type, scan_profile_id, scan_options, alert_webhook_url, enabled, next_run_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+        `, [row.organization_id, row.site_url, row.name, row.cron_expression, row.scan_type, row.scan_profile_id,
+            JSON.stringify(row.scan_options), row.alert_webhook_url, row.enabled, row.next_run_at]);
+
+        console.log(`⏰ Saved schedule "${row.name}" (${row.cron_expression}), next run ${row.next_run_at.toISOString()}`);
+        return this.formatSchedule(result.rows[0]);
+    }
+
+    async updateSchedule(scheduleId, organizationId, changes) {
+        const existing = await this.getSchedule(scheduleId, organizationId);
+        if (!existing) return null;
+
+        const merged = {
+            siteUrl: changes.siteUrl || existing.siteUrl,
+            name: changes.name || existing.name,
+            cron: changes.cron || existing.cron,
+            scanType: changes.scanType || existing.scanType,
+            scanProfileId: changes.scanProfileId !== undefined ? changes.scanProfileId : existing.scanProfileId,
+            scanOptions: changes.scanOptions || existing.scanOptions,
+            alertWebhookUrl: changes.alertWebhookUrl !== undefined ? changes.alertWebhookUrl : existing.alertWebhookUrl,
+            enabled: changes.enabled !== undefined ? changes.enabled : existing.enabled
+        };
+        // A new cron expression (or re-enabling) starts counting from now
+        const nextRunAt = changes.cron || (changes.enabled && !existing.enabled) ? getNextRunTime(merged.cron) : existing.nextRunAt;
+
+        if (!this.db) {
+            const row = this.memorySchedules.get(parseInt(scheduleId));
+            Object.assign(row, {
+                site_url: merged.siteUrl,
+                name: merged.name,
+                cron_expression: merged.cron,
+                scan_type: merged.scanType,
+                scan_profile_id: merged.scanProfileId,
+                scan_options: merged.scanOptions,
+                alert_webhook_url: merged.alertWebhookUrl,
+                enabled: merged.enabled,
+                next_run_at: nextRunAt,
+                updated_at: new Date().toISOString()
+            });
+            return this.formatSchedule(row);
+        }
+
+        const result = await this.db.query(`
+            UPDATE scan_schedules
+            SET site_url = $1, name = $2, cron_expression = $3, scan_type = $4, scan_profile_id = $5, scan_options = $6,
+                alert_webhook_url = $7, enabled = $8, next_run_at = $9, updated_at = NOW()
+            WHERE id = $10 AND organization_id = $11
+            RETURNING *
+        `, [merged.siteUrl, merged.name, merged.cron, merged.scanType, merged.scanProfileId, JSON.stringify(merged.scanOptions),
+            merged.alertWebhookUrl, merged.enabled, nextRunAt, scheduleId, organizationId]);
+
+        return this.formatSchedule(result.rows[0]);
+    }
+
+    async deleteSchedule(scheduleId, organizationId) {
+        if (!this.db) {
+            const row = this.memorySchedules.get(parseInt(scheduleId));
+            if (!row || row.organization_id !== organizationId) return false;
+            return this.memorySchedules.delete(row.id);
+        }
+
+        const result = await this.db.query('DELETE FROM scan_schedules WHERE id = $1 AND organization_id = $2', [scheduleId, organizationId]);
+        return result.rowCount > 0;
+    }
+
+    async listAlerts(scheduleId, organizationId) {
+        if (!this.db) {
+            return this.memoryAlerts
+                .filter(row => row.schedule_id === parseInt(scheduleId) && row.organization_id === organizationId)
+                .map(row => this.formatAlert(row))
+                .reverse();
+        }
+
+        const result = await this.db.query(
+            'SELECT * FROM schedule_alerts WHERE schedule_id = $1 AND organization_id = $2 ORDER BY created_at DESC LIMIT 100',
+            [scheduleId, organizationId]
+        );
+        return result.rows.map(row => this.formatAlert(row));
+    }
+
+    /**
+     * Start checking for due schedules
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('Schedule check failed:', error.message));
+        }, this.tickMs);
+        // Don't keep the process alive just for the scheduler
+        this.timer.unref?.();
+        console.log(`⏰ Scan scheduler started (instance ${this.instanceId})`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Claim due schedules for this instance. The claim moves next_run_at forward and takes a
+     * lease in the same statement, and SKIP LOCKED keeps two instances off the same row.
+     * @returns {Promise<Array<Object>>} Claimed schedules
+     */
+    async claimDueSchedules(now = new Date()) {
+        if (!this.db) {
+            const due = Array.from(this.memorySchedules.values())
+                .filter(row => row.enabled && new Date(row.next_run_at) <= now && !this.running.has(row.id));
+            due.forEach(row => {
+                row.next_run_at = getNextRunTime(row.cron_expression, now);
+            });
+            return due.map(row => this.formatSchedule(row));
+        }
+
+        const client = await this.db.connect();
+        try {
+            await client.query('BEGIN');
+            const due = await client.query(`
+                SELECT * FROM scan_schedules
+                WHERE enabled = true AND next_run_at <= $1
+                  AND (locked_until IS NULL OR locked_until < $1)
+                ORDER BY next_run_at
+                LIMIT 10
+                FOR UPDATE SKIP LOCKED
+            `, [now]);
+
+            const claimed = [];
+            for (const row of due.rows) {
+                const updated = await client.query(`
+                    UPDATE scan_schedules
+                    SET next_run_at = $1, locked_by = $2, locked_until = $3
+                    WHERE id = $4
+                    RETURNING *
+                `, [getNextRunTime(row.cron_expression, now), this.instanceId,
+                    new Date(now.getTime() + this.leaseMinutes * 60 * 1000), row.id]);
+                claimed.push(this.formatSchedule(updated.rows[0]));
+            }
+            await client.query('COMMIT');
+            return claimed;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Take the lease on one schedule for a run outside its cron times ("Run now")
+     * @returns {Promise<Object|null>} The claimed schedule, or null while a run holds the lease
+     */
+    async claimSchedule(schedule, now = new Date()) {
+        if (!this.db) {
+            return this.running.has(schedule.id) ? null : schedule;
+        }
+
+        const result = await this.db.query(`
+            UPDATE scan_schedules
+            SET locked_by = $1, locked_until = $2
+            WHERE id = $3 AND (locked_until IS NULL OR locked_until < $4)
+            RETURNING *
+        `, [this.instanceId, new Date(now.getTime() + this.leaseMinutes * 60 * 1000), schedule.id, now]);
+        return result.rows[0] ? this.formatSchedule(result.rows[0]) : null;
+    }
+
+    /**
+     * One scheduler pass: claim what's due and run it in the background
+     */
+    async tick() {
+        if (!this.runScan) return;
+        const claimed = await this.claimDueSchedules();
+        claimed.forEach(schedule => {
+            this.runSchedule(schedule).catch(error => console.error(`Scheduled scan ${schedule.id} failed:`, error.message));
+        });
+    }
+
+    /**
+     * Violations of the schedule's previous run, to compare the new run against
+     */
+    async getPreviousViolations(schedule) {
+        if (!this.db) {
+            return this.memorySchedules.get(schedule.id)?.last_violations || null;
+        }
+        if (!schedule.lastScanId) return null;
+
+        const result = await this.db.query('SELECT violations_data FROM scans WHERE id = $1', [schedule.lastScanId]);
+        const data = result.rows[0]?.violations_data;
+        if (!data) return null;
+        return typeof data === 'string' ? JSON.parse(data) : data;
+    }
+
+    /**
+     * Run a claimed schedule now, record the outcome and raise an alert on regressions
+     * @returns {Promise<Object>} { scanId, alert }
+     */
+    async runSchedule(schedule) {
+        this.running.add(schedule.id);
+        console.log(`⏰ Running scheduled scan "${schedule.name}" for ${schedule.siteUrl}`);
+
+        try {
+            const previousViolations = await this.getPreviousViolations(schedule);
+            let result;
+            try {
+                result = await this.runScan({
+                    ...schedule.scanOptions,
+                    url: schedule.siteUrl,
+                    scanType: schedule.scanType,
+                    scanProfileId: schedule.scanProfileId || undefined,
+                    organizationId: schedule.organizationId,
+                    scheduleId: schedule.id
+                });
+            } catch (error) {
+                await this.recordRun(schedule, { status: 'failed', error: error.friendlyMessage || error.message });
+                throw error;
+            }
+
+            const alert = previousViolations
+                ? await this.checkForRegressions(schedule, previousViolations, result)
+                : null;
+            await this.recordRun(schedule, { status: 'completed', scanId: result.scanId || null, violations: result.violations || [] });
+            if (schedule.scanOptions?.attachReport) {
+                await this.deliverReport(schedule, result, alert);
+            }
+            return { scanId: result.scanId || null, alert };
+        } finally {
+            this.running.delete(schedule.id);
+        }
+    }
+
+    /**
+     * Store the run's outcome and release the lease, unless another instance has taken it since
+     */
+    async recordRun(schedule, { status, scanId = null, error = null, violations = null }) {
+        if (!this.db) {
+            const row = this.memorySchedules.get(schedule.id);
+            if (!row) return;
+            Object.assign(row, {
+                last_run_at: new Date().toISOString(),
+                last_status: status,
+                last_error: error,
+                last_scan_id: scanId !== null ? scanId : row.last_scan_id
+            });
+            if (violations) row.last_violations = violations;
+            return;
+        }
+
+        try {
+            // A failed run keeps the last good scan as the baseline for the next comparison
+            await this.db.query(`
+                UPDATE scan_schedules
+                SET last_run_at = NOW(), last_status = $1, last_error = $2,
+                    last_scan_id = COALESCE($3, last_scan_id),
+                    locked_by = CASE WHEN locked_by = $5 THEN NULL ELSE locked_by END,
+                    locked_until = CASE WHEN locked_by = $5 THEN NULL ELSE locked_until END
+                WHERE id = $4
+            `, [status, error, scanId, schedule.id, this.instanceId]);
+        } catch (dbError) {
+            console.error('Failed to record scheduled run:', dbError.message);
+        }
+    }
+
+    /**
+     * Compare a run with the previous one and raise an alert for new critical or serious issues
+     * @returns {Promise<Object|null>} The alert, or null when nothing regressed
+     */
+    async checkForRegressions(schedule, previousViolations, result) {
+        const comparison = compareScans(
+            { id: schedule.lastScanId, url: schedule.siteUrl, totalIssues: 0, violations: previousViolations },
+            { id: result.scanId || null, url: schedule.siteUrl, totalIssues: 0, violations: result.violations || [] }
+        );
+        const regressions = comparison.issues.new.filter(issue => ALERT_IMPACTS.includes(issue.impact));
+        if (regressions.length === 0) return null;
+
+        const alert = {
+            schedule_id: schedule.id,
+            organization_id: schedule.organizationId,
+            scan_id: result.scanId || null,
+            previous_scan_id: schedule.lastScanId || null,
+            new_critical: regressions.filter(issue => issue.impact === 'critical').length,
+            new_serious: regressions.filter(issue => issue.impact === 'serious').length,
+            issues: regressions.map(({ ruleId, impact, help, target, occurrences }) => ({ ruleId, impact, help, target, occurrences })),
+            delivered: false
+        };
+        console.log(`🚨 Schedule "${schedule.name}": ${alert.new_critical} new critical and ${alert.new_serious} new serious issue(s) on ${schedule.siteUrl}`);
+
+        alert.delivered = await this.deliverAlert(schedule, alert);
+        return this.storeAlert(alert);
+    }
+
+    /**
+     * POST the alert to the schedule's webhook
+     * @returns {Promise<boolean>} Whether a webhook accepted it
+     */
+    async deliverAlert(schedule, alert) {
+        if (!schedule.alertWebhookUrl) return false;
+
+        try {
+            await axios.post(schedule.alertWebhookUrl, {
+                event: 'accessibility.regression',
+                schedule: { id: schedule.id, name: schedule.name, siteUrl: schedule.siteUrl },
+                scanId: alert.scan_id,
+                previousScanId: alert.previous_scan_id,
+                newCritical: alert.new_critical,
+                newSerious: alert.new_serious,
+                issues: alert.issues
+            }, { timeout: 10000 });
+            return true;
+        } catch (error) {
+            console.error(`Failed to deliver alert for schedule ${schedule.id}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * POST the run's PDF report to the schedule's webhook, as a base64 attachment
+     * @returns {Promise<boolean>} Whether the webhook accepted it
+     */
+    async deliverReport(schedule, result, alert) {
+        if (!schedule.alertWebhookUrl || !this.renderReport) return false;
+
+        try {
+            const scan = {
+                url: schedule.siteUrl,
+                scanType: result.scanType || schedule.scanType,
+                scanId: result.scanId || null,
+                createdAt: result.timestamp,
+                pagesScanned: result.pages?.length || result.steps?.length || 1,
+                scanProfile: result.scanProfile || null,
+                score: result.score,
+                scoreBreakdown: result.scoreBreakdown || null,
+                platformInfo: result.platformInfo || null,
+                authProfile: result.authProfile || null,
+                // Crawl results are already grouped per element; journeys and single pages are raw
+                violations: result.violations || []
+            };
+            const pdf = await this.renderReport(scan);
+
+            await axios.post(schedule.alertWebhookUrl, {
+                event: 'accessibility.report',
+                schedule: { id: schedule.id, name: schedule.name, siteUrl: schedule.siteUrl },
+                scanId: scan.scanId,
+                score: scan.score,
+                totalIssues: result.totalIssues || 0,
+                newCritical: alert ? alert.newCritical : 0,
+                newSerious: alert ? alert.newSerious : 0,
+                reportUrl: scan.scanId ? `/api/scans/${scan.scanId}/report.pdf` : null,
+                attachments: [{ filename: this.reportFilename(scan), contentType: 'application/pdf', content: pdf.toString('base64') }]
+            }, { timeout: 30000, maxBodyLength: Infinity });
+            return true;
+        } catch (error) {
+            console.error(`Failed to deliver report for schedule ${schedule.id}:`, error.message);
+            return false;
+        }
+    }
+
+    async storeAlert(alert) {
+        if (!this.db) {
+            const row = { ...alert, id: this.memoryAlerts.length + 1, created_at: new Date().toISOString() };
+            this.memoryAlerts.push(row);
+            return this.formatAlert(row);
+        }
+
+        try {
+            const result = await this.db.query(`
+                INSERT INTO schedule_alerts (schedule_id, organization_id, scan_id, previous_scan_id, new_critical, new_serious, issues, delivered)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+            `, [alert.schedule_id, alert.organization_id, alert.scan_id, alert.previous_scan_id,
+                alert.new_critical, alert.new_serious, JSON.stringify(alert.issues), alert.delivered]);
+            return this.formatAlert(result.rows[0]);
+        } catch (error) {
+            console.error('Failed to store schedule alert:', error.message);
+            return this.formatAlert({ ...alert, id: null, created_at: new Date().toISOString() });
+        }
+    }
+}
+
+module.exports = ScanScheduler;
+module.exports.parseCron = parseCron;
+module.exports.getNextRunTime = getNextRunTime;
@@ -1,12 +1,37 @@
 const express = require('express');
-const puppeteer = require('puppeteer');
 const axeCore = require('axe-core');
 const { Pool } = require('pg');
 const OpenAI = require('openai');
 const { generateAccessibilityJS } = require('./accessibility-js-generator');
 const DeploymentStatusTracker = require('./deployment-status-tracker');
 const { setupDeploymentStatusEndpoints } = require('./deployment-status-endpoints');
-const { initializeDatabase } = require('./migrate_database');
+const BrowserPool = require('./browser-pool');
+const SiteCrawler = require('./site-crawler');
+const SpaCrawler = require('./spa-crawler');
+const AuthProfileManager = require('./auth-profile-manager');
+const ScanProfileManager = require('./scan-profile-manager');
+const ReviewDecisionManager = require('./review-decision-manager');
+const { DEVICE_PROFILES, resolveDeviceProfiles, mergeViewportResults, summarizeViewports } = require('./device-profiles');
+const KeyboardAuditor = require('./keyboard-auditor');
+const TextSpacingChecker = require('./text-spacing-checker');
+const { omitScreenshots } = TextSpacingChecker;
+const MediaAuditor = require('./media-auditor');
+const { captureAccessibilityTree, transcriptToText } = require('./accessibility-tree');
+const { deduplicateViolations, summarizeDeduplicated } = require('./issue-deduplicator');
+const { compareScans } = require('./scan-comparison');
+const { scoreViolations, legacyScore } = require('./accessibility-score');
+const ViolationStore = require('./violation-store');
+const { renderPdfReport, reportFilename } = require('./pdf-report');
+const { negotiateFormat, exportScan } = require('./ci-report-formats');
+const { buildExportRows, filterExportRows, exportSpreadsheet } = require('./spreadsheet-export');
+const { validateReportOptions, buildConformanceReport, buildAcrHtml, toDocx, renderAcrPdf, acrFilename } = require('./conformance-report');
+const ConformanceReportManager = require('./conformance-report-manager');
+const { resolvePreferenceModes, applyPreferenceMode, resetPreferenceMode, getModeAxeConfig, runModeChecks, diffModeViolations } = require('./preference-emulation');
+const JourneyManager = require('./journey-manager');
+const ScanJobManager = require('./scan-job-manager');
+const ScanScheduler = require('./scan-scheduler');
+const { setupScanJobEndpoints } = require('./scan-job-endpoints');
+const { initializeDatabase, getTableColumns } = require('./migrate_database');
 
 // ENHANCEMENT: Import deployment engines (optional - with feature flag)
 const ENABLE_DEPLOYMENT_FEATURES = process.env.ENABLE_DEPLOYMENT_FEATURES || 'true';
@@ -198,6 +223,55 @@ if (ENABLE_DEPLOYMENT_FEATURES === 'true') {
         deploymentTracker.cleanup();
     }, 60 * 60 * 1000);
 }
+
+// Shared headless browser pool for scans and previews (browsers launch on first use)
+const browserPool = new BrowserPool();
+console.log('✅ Browser pool initialized');
+
+// Encrypted per-site login details for authenticated scans
+const authProfileManager = new AuthProfileManager(db);
+
+// Per-organization conformance targets and axe rule selection
+const scanProfileManager = new ScanProfileManager(db);
+
+// Reviewer pass/fail decisions for axe "incomplete" items
+const reviewDecisionManager = new ReviewDecisionManager(db);
+
+// Saved multi-step user journeys (checkout, signup...) scanned at checkpoints
+const journeyManager = new JourneyManager(db);
+
+// One row per violation node in the violations table, for filtering past scans
+const violationStore = new ViolationStore(db);
+
+// Accessibility Conformance Reports (VPAT) generated from saved scans, kept in compliance_reports
+const conformanceReportManager = new ConformanceReportManager(db);
+
+// Initialize background scan job manager
+const scanJobManager = new ScanJobManager(db);
+console.log('✅ Scan job manager initialized');
+
+// Drop finished jobs from memory every 15 minutes (results remain in scan_jobs)
+setInterval(() => {
+    scanJobManager.cleanup();
+}, 15 * 60 * 1000);
+
+// Recurring scans per site; each due run goes through the job queue like any other scan
+const scanScheduler = new ScanScheduler(db, {
+    runScan: (options) => new Promise((resolve, reject) => {
+        scanJobManager.submitJob({ ...options, userId: 1 }, async (job, reporter) => {
+            try {
+                const result = await performScan(job.options, reporter);
+                resolve(result);
+                return result;
+            } catch (error) {
+                reject(error);
+                throw error;
+            }
+        });
+    }),
+    renderReport: (scan) => renderScanPdf(scan),
+    reportFilename: reportFilename
+});
 // PHASE 2 ENHANCEMENT: Helper functions for user tier and platform management
 async function getUserTierInfo(userId = 1) {
     // In production, this would query your database
@@ -890,22 +964,47 @@ app.get('/api/user/connections', async (req, res) => {
 });
 
 // Database helper functions - PRESERVED FROM WORKING VERSION
-async function saveScan(userId, organizationId, url, scanType, totalIssues, scanTimeMs, pagesScanned, violations) {
+// scanProfile - the profile the scan ran with; stored as a snapshot so later edits don't rewrite history
+// needsReview - incomplete items still waiting for a reviewer decision
+async function saveScan(userId, organizationId, url, scanType, totalIssues, scanTimeMs, pagesScanned, violations, scanProfile = null, needsReview = [], accessibilityTrees = null, score = null) {
     if (!db) {
         console.log('⚠️ No database connection, skipping scan save');
         return null;
     }
     
+    // Scored with the same model the dashboard and trends read back (see accessibility-score.js)
+    const scanScore = score || scoreViolations(violations, { url, pagesScanned });
+    
     try {
+        // Columns added by later migrations are only written where those migrations ran
+        const available = await getTableColumns(db, 'scans');
+        const optional = {
+            scan_profile_id: scanProfile?.id || null,
+            scan_profile: scanProfile ? JSON.stringify(scanProfile) : null,
+            needs_review_data: JSON.stringify(needsReview),
+            accessibility_tree_data: accessibilityTrees ? JSON.stringify(accessibilityTrees) : null,
+            score: scanScore.score,
+            score_breakdown: JSON.stringify(scanScore)
+        };
+        const stored = Object.keys(optional).filter(column => available.has(column));
+        if (stored.length < Object.keys(optional).length) {
+            const missing = Object.keys(optional).filter(column => !available.has(column));
+            console.log(`⚠️ scans table is missing ${missing.join(', ')} - run the database migrations to store them`);
+        }
+        
+        const columns = ['user_id', 'organization_id', 'url', 'scan_type', 'status', 'total_issues', 'scan_time_ms', 'pages_scanned', 'violations_data'].concat(stored);
+        const values = [userId, organizationId, url, scanType, 'completed', totalIssues, scanTimeMs, pagesScanned || 1, JSON.stringify(violations, omitScreenshots)]
+            .concat(stored.map(column => optional[column]));
         const result = await db.query(
-            `INSERT INTO scans (user_id, organization_id, url, scan_type, status, total_issues, scan_time_ms, pages_scanned, violations_data, completed_at) 
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW()) 
+            `INSERT INTO scans (${columns.join(', ')}, completed_at) 
+             VALUES (${values.map((value, index) => '$' + (index + 1)).join(', ')}, NOW()) 
              RETURNING id`,
-            [userId, organizationId, url, scanType, 'completed', totalIssues, scanTimeMs, pagesScanned || 1, JSON.stringify(violations)]
+            values
         );
         
         const scanId = result.rows[0].id;
         console.log('✅ Scan saved to database with ID:', scanId);
+        await violationStore.saveViolations(scanId, url, violations);
         return scanId;
     } catch (error) {
         console.log('❌ Database error saving scan:', error.message);
@@ -913,6 +1012,11 @@ async function saveScan(userId, organizationId, url, scanType, totalIssues, scan
     }
 }
 
+// An optional scans column for a SELECT list, read back as NULL where its migration didn't run
+function scanColumn(available, column) {
+    return available.has(column) ? column : `NULL AS ${column}`;
+}
+
 async function getRecentScans(userId = 1, limit = 10) {
     if (!db) {
         // Return mock data when no database connection
@@ -946,12 +1050,14 @@ async function getRecentScans(userId = 1, limit = 10) {
     }
     
     try {
+        // Scans saved before migration 012 (or where it didn't run) fall back to the issue-count score
+        const score = (await getTableColumns(db, 'scans')).has('score') ? 'score' : 'NULL';
         const result = await db.query(
             `SELECT id, url, scan_type, total_issues, 
-                    CASE 
+                    COALESCE(${score}, CASE 
                         WHEN total_issues = 0 THEN 100
                         ELSE GREATEST(0, 100 - (total_issues * 2))
-                    END as score,
+                    END) as score,
                     created_at
              FROM scans 
              WHERE user_id = $1 
@@ -980,14 +1086,15 @@ async function getDashboardStats(userId = 1) {
     }
     
     try {
+        const score = (await getTableColumns(db, 'scans')).has('score') ? 'score' : 'NULL';
         const result = await db.query(`
             SELECT 
                 COUNT(*) as total_scans,
                 COALESCE(SUM(total_issues), 0) as total_issues,
-                COALESCE(AVG(CASE 
+                COALESCE(AVG(COALESCE(${score}, CASE 
                     WHEN total_issues = 0 THEN 100
                     ELSE GREATEST(0, 100 - (total_issues * 2))
-                END), 0) as average_score,
+                END)), 0) as average_score,
                 COUNT(CASE WHEN created_at >= NOW() - INTERVAL '7 days' THEN 1 END) as this_week_scans
             FROM scans 
             WHERE user_id = $1
@@ -1017,14 +1124,17 @@ app.get('/health', (req, res) => {
         status: 'healthy',
         timestamp: new Date().toISOString(),
         database: db ? 'connected' : 'standalone',
-        environment: process.env.K_SERVICE ? 'cloud-run' : 'local'
+        environment: process.env.K_SERVICE ? 'cloud-run' : 'local',
+        browserPool: browserPool.getStats()
     });
 });
 
 // PHASE 2D: Enhanced Visual Preview Endpoints - VIOLATION-SPECIFIC
 app.post('/api/visual-preview', async (req, res) => {
+    let session = null;
+    
     try {
-        const { url, violation } = req.body;
+        const { url, violation, includeTranscript } = req.body;
         
         console.log('👁️ Generating violation-specific visual preview for:', violation?.id, 'URL:', url);
         
@@ -1036,23 +1146,10 @@ app.post('/api/visual-preview', async (req, res) => {
             });
         }
         
-        const browser = await puppeteer.launch({
-            headless: 'new',
-            executablePath: '/usr/bin/google-chrome-stable',
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--no-zygote',
-                '--single-process',
-                '--disable-gpu'
-            ],
-            timeout: 60000
-        });
+        // Borrow an isolated context from the shared browser pool
+        session = await browserPool.acquire();
         
-        const page = await browser.newPage();
+        const page = await session.newPage();
         await page.setViewport({ width: 1200, height: 800 });
         
         // Navigate to the page
@@ -1064,6 +1161,22 @@ app.post('/api/visual-preview', async (req, res) => {
             fullPage: false
         });
         
+        // Screen reader view of the page and of the flagged element, taken before highlighting changes the DOM
+        let transcript = null;
+        if (includeTranscript) {
+            const pageTree = await captureAccessibilityTree(page);
+            // Element transcripts only for top-document targets - shadow DOM and iframe paths aren't plain selectors
+            const target = violation?.target || violation?.nodes?.[0]?.target;
+            const selector = Array.isArray(target) && target.length === 1 && typeof target[0] === 'string' ? target[0] : null;
+            const element = selector ? await page.$(selector).catch(() => null) : null;
+            const elementTree = element ? await captureAccessibilityTree(page, { root: element }) : null;
+            transcript = {
+                page: pageTree.transcript,
+                stats: pageTree.stats,
+                element: elementTree ? elementTree.transcript : null
+            };
+        }
+        
         // Violation-specific highlighting
         const highlightResult = await page.evaluate((violationData) => {
             let highlightedCount = 0;
@@ -1169,15 +1282,14 @@ app.post('/api/visual-preview', async (req, res) => {
             fullPage: false
         });
         
-        await browser.close();
-        
         res.json({
             success: true,
             beforeImage: `data:image/png;base64,${beforeScreenshot}`,
             afterImage: `data:image/png;base64,${afterScreenshot}`,
             violationId: violation?.id || 'unknown',
             highlightedElements: highlightResult.highlightedCount,
-            elementInfo: highlightResult.elementInfo
+            elementInfo: highlightResult.elementInfo,
+            transcript: transcript
         });
         
     } catch (error) {
@@ -1186,10 +1298,16 @@ app.post('/api/visual-preview', async (req, res) => {
             success: false,
             error: 'Failed to generate visual preview: ' + error.message 
         });
+    } finally {
+        if (session) {
+            await session.release();
+        }
     }
 });
 
 app.post('/api/color-contrast-preview', async (req, res) => {
+    let session = null;
+    
     try {
         const { url, simulationType } = req.body;
         
@@ -1203,23 +1321,10 @@ app.post('/api/color-contrast-preview', async (req, res) => {
             });
         }
         
-        const browser = await puppeteer.launch({
-            headless: 'new',
-            executablePath: '/usr/bin/google-chrome-stable',
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--no-zygote',
-                '--single-process',
-                '--disable-gpu'
-            ],
-            timeout: 60000
-        });
+        // Borrow an isolated context from the shared browser pool
+        session = await browserPool.acquire();
         
-        const page = await browser.newPage();
+        const page = await session.newPage();
         await page.setViewport({ width: 1200, height: 800 });
         
         // Navigate to the page
@@ -1237,8 +1342,6 @@ app.post('/api/color-contrast-preview', async (req, res) => {
             fullPage: false
         });
         
-        await browser.close();
-        
         res.json({
             success: true,
             image: `data:image/png;base64,${screenshot}`,
@@ -1251,6 +1354,10 @@ app.post('/api/color-contrast-preview', async (req, res) => {
             success: false,
             error: 'Failed to generate color contrast preview: ' + error.message 
         });
+    } finally {
+        if (session) {
+            await session.release();
+        }
     }
 });
 
@@ -1288,12 +1395,75 @@ function getColorVisionFilter(type) {
 
 // Detailed report endpoint
 app.post('/api/detailed-report', (req, res) => {
-    const { violations, websiteContext, platformInfo } = req.body;
+    const { violations, websiteContext, platformInfo, steps, accessibilityTrees } = req.body;
     
     if (!violations || violations.length === 0) {
         return res.status(400).send('<html><body><h1>No violations data provided</h1></body></html>');
     }
     
+    const renderViolation = (violation, index) => `
+                    <div class="violation-item">
+                        <div class="violation-header">
+                            <div class="violation-title">${index + 1}. ${violation.id}</div>
+                            <span class="impact-badge impact-${violation.impact}">${violation.impact}</span>
+                        </div>
+                        <div class="violation-description">
+                            <strong>Description:</strong> ${violation.description || 'No description available'}
+                        </div>
+                        ${violation.help ? `<div class="violation-description"><strong>Help:</strong> ${violation.help}</div>` : ''}
+                        ${violation.helpUrl ? `<div class="violation-description"><strong>Learn more:</strong> <a href="${violation.helpUrl}" target="_blank">${violation.helpUrl}</a></div>` : ''}
+                        ${Array.isArray(violation.pages) && violation.pages.length > 0 ? `<div class="violation-description"><strong>Affected pages (${violation.pages.length}):</strong> ${violation.pages.map(escapeHtml).join(', ')}</div>` : ''}
+                        ${renderScreenshots(violation)}
+
+                    </div>
+                `;
+    
+    // Before/after screenshots some checks (text spacing) attach to their nodes
+    const isImage = src => typeof src === 'string' && src.startsWith('data:image/');
+    const renderScreenshots = violation => (violation.nodes || [])
+        .filter(node => node.screenshots && (isImage(node.screenshots.before) || isImage(node.screenshots.after)))
+        .map(node => `
+                        <div class="violation-description" style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                            <div><strong>Before</strong><br>${isImage(node.screenshots.before) ? `<img src="${escapeHtml(node.screenshots.before)}" style="max-width: 100%; border: 1px solid #ddd;" alt="Before">` : ''}</div>
+                            <div><strong>After</strong><br>${isImage(node.screenshots.after) ? `<img src="${escapeHtml(node.screenshots.after)}" style="max-width: 100%; border: 1px solid #ddd;" alt="After">` : ''}</div>
+                        </div>`).join('');
+    
+    // Journey scans: one section per step, including steps that failed or found nothing
+    let journeyGroups = null;
+    if (Array.isArray(steps) || violations.some(v => v.journeyStep)) {
+        const groups = new Map();
+        (steps || []).forEach(step => {
+            groups.set(step.index, { index: step.index, name: step.name, url: step.url, status: step.status, error: step.error, violations: [] });
+        });
+        violations.forEach(violation => {
+            const step = violation.journeyStep || { index: -1, name: 'Other issues' };
+            if (!groups.has(step.index)) {
+                groups.set(step.index, { index: step.index, name: step.name, url: step.url, violations: [] });
+            }
+            groups.get(step.index).violations.push(violation);
+        });
+        journeyGroups = Array.from(groups.values())
+            .filter(group => group.violations.length > 0 || group.status === 'failed' || (steps || []).some(step => step.index === group.index && step.checkpoint))
+            .sort((a, b) => a.index - b.index);
+    }
+    
+    const escapeHtml = text => String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    
+    // Screen reader transcripts, when the scan captured the accessibility tree
+    const transcriptHtml = Array.isArray(accessibilityTrees) && accessibilityTrees.length > 0 ? `
+            <div class="report-header">
+                <h2>🗣️ Screen Reader Transcript</h2>
+                <p>What a screen reader announces, in reading order.</p>
+                ${accessibilityTrees.map(tree => `
+                    <h3>${escapeHtml(tree.step ? tree.step + ' - ' + tree.url : tree.url)}</h3>
+                    ${tree.stats ? `<p class="journey-step-meta">${tree.stats.headings} headings, ${tree.stats.landmarks} landmarks, ${tree.stats.links} links, ${tree.stats.formControls} form controls, ${tree.stats.unnamed} unnamed controls</p>` : ''}
+                    <div class="transcript">
+                        ${(tree.transcript || []).map(line => `<div style="padding-left: ${line.depth * 16}px;">${escapeHtml(line.text)}</div>`).join('')}
+                    </div>
+                `).join('')}
+            </div>
+    ` : '';
+    
     const reportHtml = `
         <!DOCTYPE html>
         <html>
@@ -1367,6 +1537,21 @@ app.post('/api/detailed-report', (req, res) => {
                     margin: 10px 0;
                     line-height: 1.5;
                 }
+                .journey-step {
+                    margin: 30px 0;
+                }
+                .journey-step-meta {
+                    color: #666;
+                    font-size: 0.9em;
+                    word-break: break-all;
+                }
+                .transcript {
+                    font-family: monospace;
+                    font-size: 0.9em;
+                    background: #f8f9fa;
+                    padding: 15px;
+                    border-radius: 6px;
+                }
                 @media print {
                     body { background: white; }
                     .violation-item { break-inside: avoid; }
@@ -1407,22 +1592,20 @@ app.post('/api/detailed-report', (req, res) => {
             </div>
             
             <div class="violations-list">
-                ${violations.map((violation, index) => `
-                    <div class="violation-item">
-                        <div class="violation-header">
-                            <div class="violation-title">${index + 1}. ${violation.id}</div>
-                            <span class="impact-badge impact-${violation.impact}">${violation.impact}</span>
-                        </div>
-                        <div class="violation-description">
-                            <strong>Description:</strong> ${violation.description || 'No description available'}
+                ${journeyGroups ? journeyGroups.map(group => `
+                    <div class="journey-step">
+                        <h2>Step ${group.index + 1}: ${group.name}</h2>
+                        <div class="journey-step-meta">
+                            ${group.url ? group.url + ' &middot; ' : ''}${group.status ? group.status + ' &middot; ' : ''}${group.violations.length} issues
+                            ${group.error ? '<br><strong>Step failed:</strong> ' + group.error : ''}
                         </div>
-                        ${violation.help ? `<div class="violation-description"><strong>Help:</strong> ${violation.help}</div>` : ''}
-                        ${violation.helpUrl ? `<div class="violation-description"><strong>Learn more:</strong> <a href="${violation.helpUrl}" target="_blank">${violation.helpUrl}</a></div>` : ''}
-
+                        ${group.violations.map(renderViolation).join('')}
                     </div>
-                `).join('')}
+                `).join('') : violations.map(renderViolation).join('')}
             </div>
             
+            ${transcriptHtml}
+            
             <!-- PHASE 2A: Auto-Fix JavaScript Functions -->
             <script>
                 async function autoFixViolation(violationId, index) {
@@ -1584,10 +1767,80 @@ app.post('/api/detailed-report', (req, res) => {
     res.send(reportHtml);
 });
 
+// Element screenshots of pages behind a login need the scan's auth profile: the stored profile
+// the result names, otherwise the one stored for the site (saved scans don't record theirs).
+// A scan that authenticated with a profile that can't be loaded gets no screenshots rather
+// than pictures of the login page.
+async function reportScreenshotAuth(scan) {
+    const used = scan.authProfile || null;
+    if (used && !used.id) {
+        return { screenshots: false }; // Inline profile that was never stored
+    }
+
+    try {
+        const profile = await authProfileManager.resolveProfile({ authProfileId: used ? used.id : null, url: scan.url });
+        if (profile) {
+            return { authenticate: session => authProfileManager.authenticateSession(session, profile, scan.url) };
+        }
+    } catch (error) {
+        console.log('⚠️ Skipping report screenshots - could not load the auth profile:', error.message);
+        return { screenshots: false };
+    }
+    return used ? { screenshots: false } : {};
+}
+
+// PDF version of the detailed report: cover, executive summary, per-page and per-rule sections,
+// element screenshots and a remediation appendix
+async function renderScanPdf(scan, options = {}) {
+    const screenshotAuth = options.screenshots === false ? {} : await reportScreenshotAuth(scan);
+    return renderPdfReport(browserPool, scan, {
+        ...options,
+        ...screenshotAuth,
+        remediate: rule => generateFixCode(rule, scan.platformInfo)
+    });
+}
+
+function sendPdf(res, scan, pdf) {
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${reportFilename(scan)}"`,
+        'Content-Length': pdf.length
+    });
+    res.send(pdf);
+}
+
+// POST the same results the dashboard shows (violations, url, scanType, score...) and get a PDF back
+app.post('/api/detailed-report/pdf', async (req, res) => {
+    try {
+        const { violations, url } = req.body;
+        if (!Array.isArray(violations) || !url) {
+            return res.status(400).json({ success: false, error: 'violations and url are required' });
+        }
+        
+        const scan = {
+            url: url,
+            scanType: req.body.scanType || 'single',
+            scanId: req.body.scanId || null,
+            pagesScanned: req.body.pagesScanned,
+            scanProfile: req.body.scanProfile || null,
+            score: req.body.score,
+            scoreBreakdown: req.body.scoreBreakdown || null,
+            platformInfo: req.body.platformInfo || null,
+            authProfile: req.body.authProfile || null,
+            violations: violations
+        };
+        const pdf = await renderScanPdf(scan, { screenshots: req.body.screenshots !== false });
+        sendPdf(res, scan, pdf);
+    } catch (error) {
+        console.error('PDF report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to generate PDF report' });
+    }
+});
+
 // API endpoint for recent scans
 app.get('/api/scans/recent', async (req, res) => {
     try {
-        const scans = await getRecentScans();
+        const scans = await getRecentScans(1, Math.min(parseInt(req.query.limit) || 10, 100));
         res.json(scans);
     } catch (error) {
         console.error('Error fetching recent scans:', error);
@@ -1595,99 +1848,499 @@ app.get('/api/scans/recent', async (req, res) => {
     }
 });
 
-// API endpoint for dashboard stats
-app.get('/api/dashboard/stats', async (req, res) => {
+// Compare two saved scans of the same site: new, fixed and persisting issues, score change and per-rule deltas
+// GET /api/scans/compare?base=<earlier scan id>&target=<later scan id>
+app.get('/api/scans/compare', async (req, res) => {
     try {
-        const stats = await getDashboardStats();
-        res.json(stats);
+        if (!db) {
+            return res.status(500).json({
+                success: false,
+                error: 'Database connection not available'
+            });
+        }
+        
+        const baseId = parseInt(req.query.base);
+        const targetId = parseInt(req.query.target);
+        if (!baseId || !targetId) {
+            return res.status(400).json({ success: false, error: 'base and target scan ids are required' });
+        }
+        if (baseId === targetId) {
+            return res.status(400).json({ success: false, error: 'Choose two different scans to compare' });
+        }
+        
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const available = await getTableColumns(db, 'scans');
+        const result = await db.query(
+            `SELECT id, url, scan_type, total_issues, ${scanColumn(available, 'score')}, violations_data, created_at FROM scans WHERE id = ANY($1) AND organization_id = $2`,
+            [[baseId, targetId], organizationId]
+        );
+        
+        const toScan = row => row && {
+            id: row.id,
+            url: row.url,
+            scanType: row.scan_type,
+            createdAt: row.created_at,
+            totalIssues: row.total_issues || 0,
+            score: row.score,
+            violations: typeof row.violations_data === 'string' ? JSON.parse(row.violations_data) : (row.violations_data || [])
+        };
+        const base = toScan(result.rows.find(row => row.id === baseId));
+        const target = toScan(result.rows.find(row => row.id === targetId));
+        
+        if (!base || !target) {
+            return res.status(404).json({ success: false, error: 'Scan not found' });
+        }
+        
+        const origin = url => new URL(/^https?:\/\//.test(url) ? url : 'https://' + url).origin;
+        if (origin(base.url) !== origin(target.url)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Scans are of different sites (' + origin(base.url) + ' and ' + origin(target.url) + ')'
+            });
+        }
+        
+        res.json({ success: true, comparison: compareScans(base, target) });
     } catch (error) {
-        console.error('Error fetching dashboard stats:', error);
-        res.status(500).json({ error: 'Failed to fetch dashboard stats' });
+        console.error('Compare scans error:', error);
+        res.status(500).json({ success: false, error: 'Failed to compare scans' });
     }
 });
 
-// NEW: AI Suggestions API endpoint
-app.post('/api/ai-fixes', async (req, res) => {
+// A saved scan with its stored results, so the dashboard can reopen it
+app.get('/api/scans/:scanId', async (req, res) => {
     try {
-        const { violations, platformInfo } = req.body;
+        if (!db) {
+            return res.status(500).json({
+                success: false,
+                error: 'Database connection not available'
+            });
+        }
         
-        if (!violations || !Array.isArray(violations)) {
-            return res.status(400).json({ error: 'Violations array is required' });
+        const scanId = parseInt(req.params.scanId);
+        if (!scanId) {
+            return res.status(400).json({ success: false, error: 'Invalid scan id' });
         }
-
-        const suggestions = await Promise.all(violations.map(async (violation) => {
-            // PHASE 1 ENHANCEMENT: Generate AI-powered suggestions with platform context
-            const suggestion = await generateAISuggestion(violation, platformInfo);
-            return suggestion;
-        }));
-
-        res.json(suggestions);
+        
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const available = await getTableColumns(db, 'scans');
+        const result = await db.query(
+            `SELECT id, url, scan_type, status, total_issues, ${scanColumn(available, 'score')}, ${scanColumn(available, 'score_breakdown')}, scan_time_ms, pages_scanned, violations_data, ${scanColumn(available, 'scan_profile')},
+                    ${scanColumn(available, 'needs_review_data')},
+                    ${available.has('accessibility_tree_data') ? 'accessibility_tree_data IS NOT NULL' : 'false'} AS has_accessibility_tree, created_at, completed_at
+             FROM scans WHERE id = $1 AND organization_id = $2`,
+            [scanId, organizationId]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Scan not found' });
+        }
+        
+        const row = result.rows[0];
+        await violationStore.backfillScan(row);
+        const parse = value => (typeof value === 'string' ? JSON.parse(value) : value);
+        
+        res.json({
+            success: true,
+            scan: {
+                id: row.id,
+                url: row.url,
+                scanType: row.scan_type,
+                status: row.status,
+                totalIssues: row.total_issues || 0,
+                score: row.score ?? legacyScore(row.total_issues || 0),
+                scoreBreakdown: parse(row.score_breakdown) || null,
+                scanTime: row.scan_time_ms,
+                pagesScanned: row.pages_scanned,
+                scanProfile: parse(row.scan_profile) || null,
+                hasAccessibilityTree: row.has_accessibility_tree,
+                createdAt: row.created_at,
+                completedAt: row.completed_at,
+                violations: parse(row.violations_data) || [],
+                needsReview: parse(row.needs_review_data) || []
+            },
+            summary: await violationStore.summarizeScan(row.id),
+            violationsUrl: `/api/scans/${row.id}/violations`
+        });
     } catch (error) {
-        console.error('Error generating AI suggestions:', error);
-        res.status(500).json({ error: 'Failed to generate AI suggestions' });
+        console.error('Get scan error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get scan' });
     }
 });
 
-// Parse AI text response into structured format
-function parseAITextResponse(aiResponse, violationId) {
+// PDF report of a saved scan (?screenshots=false skips revisiting pages for element screenshots)
+app.get('/api/scans/:scanId/report.pdf', async (req, res) => {
     try {
-        // Extract sections using regex patterns
-        const priorityMatch = aiResponse.match(/PRIORITY:\s*([^\n]+)/i);
-        const explanationMatch = aiResponse.match(/EXPLANATION:\s*([\s\S]*?)(?=CODE EXAMPLE:|IMPLEMENTATION STEPS:|$)/i);
-        const codeMatch = aiResponse.match(/CODE EXAMPLE:\s*([\s\S]*?)(?=IMPLEMENTATION STEPS:|PLATFORM-SPECIFIC|$)/i);
-        const stepsMatch = aiResponse.match(/IMPLEMENTATION STEPS:\s*([\s\S]*?)(?=PLATFORM-SPECIFIC|SPECIFIC ELEMENT:|$)/i);
+        if (!db) {
+            return res.status(500).json({
+                success: false,
+                error: 'Database connection not available'
+            });
+        }
         
-        // Extract priority
-        const priority = priorityMatch ? priorityMatch[1].trim().toLowerCase() : 'medium';
+        const scanId = parseInt(req.params.scanId);
+        if (!scanId) {
+            return res.status(400).json({ success: false, error: 'Invalid scan id' });
+        }
         
-        // Extract explanation
-        const explanation = explanationMatch ? explanationMatch[1].trim() : 
-            `Accessibility issue (${violationId}) needs attention to improve user experience.`;
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const available = await getTableColumns(db, 'scans');
+        const result = await db.query(
+            `SELECT id, url, scan_type, total_issues, ${scanColumn(available, 'score')}, ${scanColumn(available, 'score_breakdown')}, pages_scanned, violations_data, ${scanColumn(available, 'scan_profile')}, created_at
+             FROM scans WHERE id = $1 AND organization_id = $2`,
+            [scanId, organizationId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Scan not found' });
+        }
+        
+        const row = result.rows[0];
+        const parse = value => (typeof value === 'string' ? JSON.parse(value) : value);
+        const scan = {
+            url: row.url,
+            scanType: row.scan_type,
+            scanId: row.id,
+            createdAt: row.created_at,
+            pagesScanned: row.pages_scanned,
+            scanProfile: parse(row.scan_profile) || null,
+            score: row.score ?? legacyScore(row.total_issues || 0),
+            scoreBreakdown: parse(row.score_breakdown) || null,
+            violations: parse(row.violations_data) || []
+        };
+        const pdf = await renderScanPdf(scan, { screenshots: req.query.screenshots !== 'false' });
+        sendPdf(res, scan, pdf);
+    } catch (error) {
+        console.error('Saved scan PDF report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to generate PDF report' });
+    }
+});
+
+function sendScanExport(res, scan, format) {
+    const exported = exportScan(scan, format);
+    res.set({
+        'Content-Type': exported.contentType,
+        'Content-Disposition': `attachment; filename="${exported.filename}"`
+    });
+    res.send(exported.body);
+}
+
+// SARIF or JUnit XML export of a saved scan
+// GET /api/scans/:scanId/export?format=sarif|junit (or Accept: application/sarif+json / application/xml)
+app.get('/api/scans/:scanId/export', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(500).json({
+                success: false,
+                error: 'Database connection not available'
+            });
+        }
         
-        // Extract code example
-        const codeExample = codeMatch ? codeMatch[1].trim() : 
-            '// Refer to the implementation steps for specific code changes';
+        const scanId = parseInt(req.params.scanId);
+        if (!scanId) {
+            return res.status(400).json({ success: false, error: 'Invalid scan id' });
+        }
         
-        // Extract and parse steps
-        let steps = [];
-        if (stepsMatch) {
-            const stepsText = stepsMatch[1].trim();
-            steps = stepsText.split(/\d+\./).filter(step => step.trim().length > 0)
-                .map(step => step.trim()).slice(0, 10); // Limit to 10 steps
+        let format;
+        try {
+            format = negotiateFormat(req.query.format, req.get('Accept'));
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (!format) {
+            return res.status(400).json({ success: false, error: 'Choose an export format: ?format=sarif or ?format=junit' });
         }
         
-        if (steps.length === 0) {
-            steps = ['Review the accessibility violation details', 'Apply the suggested code changes', 'Test with screen readers'];
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const available = await getTableColumns(db, 'scans');
+        const result = await db.query(
+            `SELECT id, url, scan_type, ${scanColumn(available, 'score')}, violations_data, created_at FROM scans WHERE id = $1 AND organization_id = $2`,
+            [scanId, organizationId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Scan not found' });
+        }
+        
+        const row = result.rows[0];
+        sendScanExport(res, {
+            scanId: row.id,
+            url: row.url,
+            scanType: row.scan_type,
+            score: row.score,
+            createdAt: row.created_at,
+            violations: typeof row.violations_data === 'string' ? JSON.parse(row.violations_data) : (row.violations_data || [])
+        }, format);
+    } catch (error) {
+        console.error('Export scan error:', error);
+        res.status(500).json({ success: false, error: 'Failed to export scan' });
+    }
+});
+
+// Node-level violations of a saved scan
+// GET /api/scans/:scanId/violations?rule=&impact=critical,serious&page_url=&sort=impact|rule|page&order=asc|desc&limit=&offset=
+app.get('/api/scans/:scanId/violations', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(500).json({
+                success: false,
+                error: 'Database connection not available'
+            });
         }
         
-        return {
-            priority: ['high', 'medium', 'low'].includes(priority) ? priority : 'medium',
-            explanation: explanation,
-            codeExample: codeExample,
-            steps: steps
-        };
+        const scanId = parseInt(req.params.scanId);
+        if (!scanId) {
+            return res.status(400).json({ success: false, error: 'Invalid scan id' });
+        }
+        
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const result = await db.query('SELECT id, url, violations_data FROM scans WHERE id = $1 AND organization_id = $2', [scanId, organizationId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Scan not found' });
+        }
+        await violationStore.backfillScan(result.rows[0]);
+        
+        const page = await violationStore.listViolations(scanId, {
+            rule: req.query.rule,
+            impact: req.query.impact,
+            pageUrl: req.query.page_url,
+            sort: req.query.sort,
+            order: req.query.order,
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
         
+        res.json({ success: true, scanId: scanId, ...page });
     } catch (error) {
-        console.log(`⚠️ Error parsing AI response for ${violationId}:`, error.message);
-        return {
-            priority: 'medium',
-            explanation: aiResponse.substring(0, 500) + '...',
-            codeExample: '// Full AI response available in logs',
-            steps: ['Review the AI suggestion', 'Apply recommended changes', 'Test accessibility improvements']
-        };
+        console.error('List scan violations error:', error);
+        res.status(500).json({ success: false, error: 'Failed to list scan violations' });
     }
+});
+
+// Rows for a spreadsheet export, narrowed by the same filters the violations list takes
+function spreadsheetRows(violations, url, filters) {
+    const rows = buildExportRows(violations, {
+        url: url,
+        businessPriority: violation => getBusinessImpact(violation, violation.websiteContext || {}).priority
+    });
+    return filterExportRows(rows, filters);
 }
 
-async function generateAISuggestion(violation, platformInfo = null) {
-    console.log(`🤖 Forcing OpenAI call for ${violation.id} to get specific suggestions`);
-    
-    // Extract element details from the first node if available
-    const firstNode = violation.nodes?.[0];
-    const elementDetails = firstNode ? {
-        html: firstNode.html || 'Not available',
-        target: firstNode.target?.[0] || 'Not available',
-        failureSummary: firstNode.failureSummary || 'Not available'
-    } : null;
+async function sendSpreadsheetExport(res, rows, format, baseName) {
+    const exported = await exportSpreadsheet(rows, format, baseName);
+    res.set({
+        'Content-Type': exported.contentType,
+        'Content-Disposition': `attachment; filename="${exported.filename}"`
+    });
+    res.send(exported.body);
+}
+
+// CSV or XLSX of a saved scan's violations, one row per element and page
+// GET /api/scans/:scanId/violations/export?format=csv|xlsx&rule=&impact=critical,serious&page_url=
+app.get('/api/scans/:scanId/violations/export', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(500).json({
+                success: false,
+                error: 'Database connection not available'
+            });
+        }
+        
+        const scanId = parseInt(req.params.scanId);
+        if (!scanId) {
+            return res.status(400).json({ success: false, error: 'Invalid scan id' });
+        }
+        
+        const format = String(req.query.format || 'csv').toLowerCase();
+        if (format !== 'csv' && format !== 'xlsx') {
+            return res.status(400).json({ success: false, error: 'Choose an export format: ?format=csv or ?format=xlsx' });
+        }
+        
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const result = await db.query(
+            'SELECT id, url, violations_data FROM scans WHERE id = $1 AND organization_id = $2',
+            [scanId, organizationId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Scan not found' });
+        }
+        
+        const row = result.rows[0];
+        const violations = typeof row.violations_data === 'string' ? JSON.parse(row.violations_data) : (row.violations_data || []);
+        const rows = spreadsheetRows(violations, row.url, {
+            rule: req.query.rule,
+            impact: req.query.impact,
+            pageUrl: req.query.page_url
+        });
+        await sendSpreadsheetExport(res, rows, format, `sentryprime-scan-${scanId}-violations`);
+    } catch (error) {
+        console.error('Export scan violations error:', error);
+        res.status(500).json({ success: false, error: 'Failed to export scan violations' });
+    }
+});
+
+// CSV or XLSX of scan results that haven't been saved (the dashboard's current results)
+// POST /api/violations/export { url, violations, format, rule, impact, pageUrl }
+app.post('/api/violations/export', async (req, res) => {
+    try {
+        const { violations, url } = req.body;
+        if (!Array.isArray(violations) || !url) {
+            return res.status(400).json({ success: false, error: 'violations and url are required' });
+        }
+        
+        const format = String(req.body.format || 'csv').toLowerCase();
+        if (format !== 'csv' && format !== 'xlsx') {
+            return res.status(400).json({ success: false, error: 'format must be csv or xlsx' });
+        }
+        
+        const rows = spreadsheetRows(violations, url, {
+            rule: req.body.rule,
+            impact: req.body.impact,
+            pageUrl: req.body.pageUrl
+        });
+        await sendSpreadsheetExport(res, rows, format, 'sentryprime-violations');
+    } catch (error) {
+        console.error('Export violations error:', error);
+        res.status(500).json({ success: false, error: 'Failed to export violations' });
+    }
+});
+
+// Screen reader transcripts captured by a scan ("accessibilityTree": true)
+app.get('/api/scans/:scanId/accessibility-tree', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(500).json({
+                success: false,
+                error: 'Database connection not available'
+            });
+        }
+        
+        const scanId = parseInt(req.params.scanId);
+        if (!scanId) {
+            return res.status(400).json({ success: false, error: 'Invalid scan id' });
+        }
+        
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const available = await getTableColumns(db, 'scans');
+        const result = await db.query(
+            `SELECT id, url, ${scanColumn(available, 'accessibility_tree_data')} FROM scans WHERE id = $1 AND organization_id = $2`,
+            [scanId, organizationId]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Scan not found' });
+        }
+        
+        const pages = result.rows[0].accessibility_tree_data || [];
+        if (pages.length === 0) {
+            return res.status(404).json({ success: false, error: 'This scan did not capture an accessibility tree' });
+        }
+        
+        // ?format=text gives the transcripts as plain text, one section per page
+        if (req.query.format === 'text') {
+            res.type('text/plain').send(pages.map(page =>
+                `# ${page.step ? page.step + ' - ' : ''}${page.url}\n${transcriptToText(page.transcript)}`
+            ).join('\n\n'));
+            return;
+        }
+        
+        res.json({ success: true, scanId: result.rows[0].id, url: result.rows[0].url, pages: pages });
+    } catch (error) {
+        console.error('Get accessibility tree error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get accessibility tree' });
+    }
+});
+
+// API endpoint for dashboard stats
+app.get('/api/dashboard/stats', async (req, res) => {
+    try {
+        const stats = await getDashboardStats();
+        res.json(stats);
+    } catch (error) {
+        console.error('Error fetching dashboard stats:', error);
+        res.status(500).json({ error: 'Failed to fetch dashboard stats' });
+    }
+});
+
+// NEW: AI Suggestions API endpoint
+app.post('/api/ai-fixes', async (req, res) => {
+    try {
+        const { violations, platformInfo } = req.body;
+        
+        if (!violations || !Array.isArray(violations)) {
+            return res.status(400).json({ error: 'Violations array is required' });
+        }
+
+        const suggestions = await Promise.all(violations.map(async (violation) => {
+            // PHASE 1 ENHANCEMENT: Generate AI-powered suggestions with platform context
+            const suggestion = await generateAISuggestion(violation, platformInfo);
+            return suggestion;
+        }));
+
+        res.json(suggestions);
+    } catch (error) {
+        console.error('Error generating AI suggestions:', error);
+        res.status(500).json({ error: 'Failed to generate AI suggestions' });
+    }
+});
+
+// Parse AI text response into structured format
+function parseAITextResponse(aiResponse, violationId) {
+    try {
+        // Extract sections using regex patterns
+        const priorityMatch = aiResponse.match(/PRIORITY:\s*([^\n]+)/i);
+        const explanationMatch = aiResponse.match(/EXPLANATION:\s*([\s\S]*?)(?=CODE EXAMPLE:|IMPLEMENTATION STEPS:|$)/i);
+        const codeMatch = aiResponse.match(/CODE EXAMPLE:\s*([\s\S]*?)(?=IMPLEMENTATION STEPS:|PLATFORM-SPECIFIC|$)/i);
+        const stepsMatch = aiResponse.match(/IMPLEMENTATION STEPS:\s*([\s\S]*?)(?=PLATFORM-SPECIFIC|SPECIFIC ELEMENT:|$)/i);
+        
+        // Extract priority
+        const priority = priorityMatch ? priorityMatch[1].trim().toLowerCase() : 'medium';
+        
+        // Extract explanation
+        const explanation = explanationMatch ? explanationMatch[1].trim() : 
+            `Accessibility issue (${violationId}) needs attention to improve user experience.`;
+        
+        // Extract code example
+        const codeExample = codeMatch ? codeMatch[1].trim() : 
+            '// Refer to the implementation steps for specific code changes';
+        
+        // Extract and parse steps
+        let steps = [];
+        if (stepsMatch) {
+            const stepsText = stepsMatch[1].trim();
+            steps = stepsText.split(/\d+\./).filter(step => step.trim().length > 0)
+                .map(step => step.trim()).slice(0, 10); // Limit to 10 steps
+        }
+        
+        if (steps.length === 0) {
+            steps = ['Review the accessibility violation details', 'Apply the suggested code changes', 'Test with screen readers'];
+        }
+        
+        return {
+            priority: ['high', 'medium', 'low'].includes(priority) ? priority : 'medium',
+            explanation: explanation,
+            codeExample: codeExample,
+            steps: steps
+        };
+        
+    } catch (error) {
+        console.log(`⚠️ Error parsing AI response for ${violationId}:`, error.message);
+        return {
+            priority: 'medium',
+            explanation: aiResponse.substring(0, 500) + '...',
+            codeExample: '// Full AI response available in logs',
+            steps: ['Review the AI suggestion', 'Apply recommended changes', 'Test accessibility improvements']
+        };
+    }
+}
+
+async function generateAISuggestion(violation, platformInfo = null) {
+    console.log(`🤖 Forcing OpenAI call for ${violation.id} to get specific suggestions`);
+    
+    // Extract element details from the first node if available
+    const firstNode = violation.nodes?.[0];
+    const elementDetails = firstNode ? {
+        html: firstNode.html || 'Not available',
+        target: firstNode.target?.[0] || 'Not available',
+        failureSummary: firstNode.failureSummary || 'Not available'
+    } : null;
 
     // Try to get AI-generated suggestion if OpenAI is available
     if (openai) {
@@ -1815,7 +2468,7 @@ function generateFixCode(violation, platformInfo) {
                 elementData.push(node.enhancedData);
             } else if (node.target && node.target[0]) {
                 // Fallback to basic target selector
-                actualSelectors.push(node.target[0]);
+                actualSelectors.push(getInnermostSelector(node.target));
             }
         });
     }
@@ -1938,6 +2591,215 @@ ${contrastSelectors} * {
             ];
             break;
 
+        case 'keyboard-focus-visible':
+            // Restore a clear focus ring on the elements that lost theirs
+            const focusSelectors = smartSelectors.length > 0 ? smartSelectors.map(selector => `${selector}:focus-visible`).join(',\n') : ':focus-visible';
+            fixCode.css = `/* Fix for missing focus indicator */
+/* Targeting elements that showed no visible change when focused during the keyboard audit */
+${focusSelectors} {
+    outline: 3px solid #005fcc !important;
+    outline-offset: 2px !important;
+}`;
+            fixCode.instructions = [
+                `Add a visible focus style to ${actualSelectors.length} element(s)`,
+                'Remove any "outline: none" rules that are not replaced by another focus style',
+                'Make sure the indicator has at least 3:1 contrast against the background',
+                'Tab through the page to confirm every control shows focus'
+            ];
+            break;
+
+        case 'keyboard-unreachable':
+            // Put custom controls into the tab order and give them key handlers
+            fixCode.html = elementData.map((data, index) => `<!-- Unreachable element ${index + 1} -->
+${data.outerHTML || '<div onclick="...">'}
+
+<!-- Use a native control, or make the element focusable and operable -->
+<${data.tagName || 'div'} role="button" tabindex="0">${data.textContent || ''}</${data.tagName || 'div'}>`).join('\n\n');
+            fixCode.javascript = `// Let keyboard users activate custom controls with Enter and Space
+document.querySelectorAll('${actualSelectors.join(', ').replace(/'/g, "\\'")}').forEach(element => {
+    element.addEventListener('keydown', event => {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            element.click();
+        }
+    });
+});`;
+            fixCode.instructions = [
+                `Make ${actualSelectors.length} interactive element(s) reachable with the Tab key`,
+                'Prefer native <button> and <a href> elements over clickable <div>s',
+                'Remove tabindex="-1" from controls users need to operate',
+                'Check that Enter and Space activate the control'
+            ];
+            break;
+
+        case 'keyboard-focus-trap':
+            fixCode.instructions = [
+                'Let Tab and Shift+Tab move focus out of the component',
+                'If the component is a modal dialog, close it with Escape and return focus to the control that opened it',
+                'Do not call focus() from blur or keydown handlers to pull focus back'
+            ];
+            break;
+
+        case 'reflow-horizontal-scroll':
+        case 'reflow-clipped-content':
+            // Let content wrap at 320 CSS pixels instead of scrolling sideways or being cut off
+            fixCode.css = `img, video, iframe, table, pre {
+    max-width: 100%;
+}
+
+.content, p, li, td {
+    overflow-wrap: anywhere;
+}
+
+/* Let fixed-width rows wrap on narrow screens */
+.row, .toolbar, nav ul {
+    display: flex;
+    flex-wrap: wrap;
+}
+
+/* Size text boxes with the content, not fixed heights */
+.card, .banner {
+    height: auto;
+    min-height: 0;
+}`;
+            fixCode.instructions = [
+                'Replace fixed widths with max-width or percentages on containers wider than 320px',
+                'Let rows and toolbars wrap rather than overflow',
+                'Remove overflow: hidden and fixed heights from boxes that hold text',
+                'Data tables and maps may scroll on their own - the page itself should not'
+            ];
+            break;
+
+        case 'text-spacing-clipped':
+        case 'text-spacing-overlap':
+            // Let boxes grow with their text instead of fixing their size
+            const spacingSelectors = smartSelectors.length > 0 ? smartSelectors.join(', ') : '.text-container';
+            fixCode.css = `${spacingSelectors} {
+    height: auto;
+    min-height: 2.5em; /* Keep the design height as a minimum instead */
+    overflow: visible;
+    white-space: normal;
+}`;
+            fixCode.instructions = [
+                'Replace fixed heights and widths on text containers with min-height/min-width',
+                'Remove overflow: hidden from boxes that hold text, or make sure they can grow',
+                'Avoid absolutely positioning text over other text',
+                'Re-test with the text spacing bookmarklet (line height 1.5, letter spacing 0.12em, word spacing 0.16em, paragraph spacing 2em)'
+            ];
+            break;
+
+        case 'media-captions-missing':
+            fixCode.html = `<video controls>
+    <source src="/media/product-tour.mp4" type="video/mp4">
+    <track kind="captions" src="/media/product-tour.en.vtt" srclang="en" label="English" default>
+    <track kind="descriptions" src="/media/product-tour.desc.en.vtt" srclang="en" label="English descriptions">
+</video>`;
+            fixCode.instructions = [
+                'Add a WebVTT captions file for every video with speech or meaningful sound',
+                'Reference it with <track kind="captions" srclang="..." label="...">',
+                'Check the captions match the audio, including speaker names and sound effects'
+            ];
+            break;
+
+        case 'media-autoplay-audio':
+        case 'media-pause-control':
+            fixCode.html = `<!-- Don't autoplay with sound; background video starts muted and can be paused -->
+<video controls muted playsinline>
+    <source src="/media/hero.mp4" type="video/mp4">
+</video>`;
+            fixCode.instructions = [
+                'Remove the autoplay attribute, or add muted so no sound plays by itself',
+                'Add the controls attribute, or a visible pause button next to the player',
+                'For YouTube and Vimeo embeds, drop autoplay=1 or add mute=1 and keep the player controls',
+                'Respect prefers-reduced-motion by not starting background video'
+            ];
+            break;
+
+        case 'carousel-pause-control':
+            fixCode.html = `<div class="carousel" aria-roledescription="carousel" aria-label="Featured products">
+    <button type="button" class="carousel-pause" aria-pressed="false">Pause slideshow</button>
+    <!-- slides -->
+</div>`;
+            fixCode.javascript = `// Stop rotation when the pause button is pressed, or while the carousel has focus or hover
+const pauseButton = document.querySelector('.carousel-pause');
+pauseButton.addEventListener('click', () => {
+    const paused = pauseButton.getAttribute('aria-pressed') === 'true';
+    pauseButton.setAttribute('aria-pressed', String(!paused));
+    pauseButton.textContent = paused ? 'Pause slideshow' : 'Play slideshow';
+    paused ? carousel.play() : carousel.pause();
+});`;
+            fixCode.instructions = [
+                'Add a visible pause/stop button as the first control in the carousel',
+                'Pause rotation while the carousel has keyboard focus or the mouse is over it',
+                'Consider not auto-rotating at all'
+            ];
+            break;
+
+        case 'reduced-motion-ignored':
+            fixCode.css = `@media (prefers-reduced-motion: reduce) {
+    *, *::before, *::after {
+        animation-duration: 0.01ms !important;
+        animation-iteration-count: 1 !important;
+        transition-duration: 0.01ms !important;
+        scroll-behavior: auto !important;
+    }
+}`;
+            fixCode.javascript = `// Check the preference before starting carousels, parallax or auto-playing video
+const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+if (!reduceMotion) {
+    startCarousel();
+}`;
+            fixCode.instructions = [
+                'Stop or shorten animations when the user asks for reduced motion',
+                'Check prefers-reduced-motion in JavaScript before starting animations',
+                'Offer a pause button for any motion that lasts longer than five seconds'
+            ];
+            break;
+
+        case 'forced-colors-icon':
+            fixCode.css = `/* Let icons follow the text colour, including in Windows High Contrast */
+.icon svg {
+    fill: currentColor;
+}
+
+@media (forced-colors: active) {
+    .icon-button {
+        forced-color-adjust: auto;
+        border: 1px solid ButtonText;
+    }
+}`;
+            fixCode.instructions = [
+                'Use fill: currentColor for SVG icons instead of hard-coded colours',
+                'Avoid background images for icons that carry meaning',
+                'Check the control in Windows High Contrast mode'
+            ];
+            break;
+
+        case 'spa-route-announcement':
+        case 'spa-route-focus':
+            // Announce the new route and move focus to its main heading after client-side navigation
+            fixCode.html = `<!-- Route announcer: render once, outside the part of the page the router replaces -->
+<div id="route-announcer" aria-live="assertive" aria-atomic="true"
+     style="position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;"></div>`;
+            fixCode.javascript = `// Call after every client-side route change, once the new content has rendered
+function onRouteChange() {
+    const heading = document.querySelector('main h1, h1');
+    const announcer = document.getElementById('route-announcer');
+    announcer.textContent = heading ? heading.textContent : document.title;
+
+    if (heading) {
+        heading.setAttribute('tabindex', '-1');
+        heading.focus();
+    }
+}`;
+            fixCode.instructions = [
+                'Update a polite or assertive live region with the new page name after each route change',
+                'Move focus to the main heading (or the <main> element) of the new route',
+                'Update document.title for every route',
+                'Test with a screen reader: following a link should read out the new page'
+            ];
+            break;
+
         default:
             const defaultSelectors = smartSelectors.length > 0 ? smartSelectors.join(', ') : '.accessibility-fix';
             fixCode.css = `/* Accessibility fix for ${id} */
@@ -1954,9 +2816,35 @@ ${defaultSelectors} {
             ];
     }
 
+    // Page-level CSS can't reach into shadow roots or iframes - say where the fix has to go
+    const nestedElements = elementData.filter(data => data.framePath?.length > 0 || data.shadowPath?.length > 0);
+    if (nestedElements.length > 0) {
+        fixCode.elementPaths = nestedElements.map(data => ({
+            selector: data.selector,
+            framePath: data.framePath,
+            shadowPath: data.shadowPath
+        }));
+        
+        const shadowHosts = [...new Set(nestedElements.flatMap(data => data.shadowPath || []))];
+        const frames = [...new Set(nestedElements.flatMap(data => (data.framePath || []).map(frame => [].concat(frame).join(' '))))];
+        if (shadowHosts.length > 0) {
+            fixCode.instructions.push(`Elements inside the shadow DOM of ${shadowHosts.join(', ')}: apply the fix in the component's own styles or markup (or expose them with ::part())`);
+        }
+        if (frames.length > 0) {
+            fixCode.instructions.push(`Elements inside the iframe ${frames.join(', ')}: apply the fix in the framed document, not the parent page`);
+        }
+    }
+
     return fixCode;
 }
 
+// axe targets have one entry per iframe, and an array entry for shadow DOM paths -
+// the flagged element's own selector is always the last one
+function getInnermostSelector(target) {
+    const last = target[target.length - 1];
+    return Array.isArray(last) ? last[last.length - 1] : last;
+}
+
 // ENTERPRISE ENHANCEMENT: Multi-strategy selector generation for robust targeting
 function generateSmartSelectors(selectors, elementData) {
     if (!selectors || selectors.length === 0) return [];
@@ -2148,7 +3036,7 @@ function estimateDOMMatches(selector, originalNodes) {
             
             // Check if selector appears to target the original element
             if (firstNode.target && firstNode.target[0]) {
-                const originalSelector = firstNode.target[0];
+                const originalSelector = getInnermostSelector(firstNode.target);
                 
                 // Simple matching - check if selectors reference similar elements
                 const selectorParts = selector.toLowerCase().split(/[\s>+~]/).filter(p => p.trim());
@@ -2550,7 +3438,12 @@ app.post('/api/bulk-download-fixes', async (req, res) => {
 
 ## Description:
 ${violation.description || 'Accessibility violation detected'}
+${Array.isArray(violation.pages) && violation.pages.length > 0 ? `
+## Affected Pages (${violation.pages.length}):
+${violation.pages.map(page => `- ${page}`).join('\n')}
 
+Fix the shared element(s) once: ${(violation.nodes || []).map(node => (node.target || []).join(' ')).join(', ')}
+` : ''}
 ## Implementation Steps:
 ${fixCode.instructions.map((step, idx) => `${idx + 1}. ${step}`).join('\n')}
 
@@ -2599,7 +3492,7 @@ ${fixCode.html}
 ## Failed Fixes: ${failCount}
 
 ## Violation Summary:
-${violations.map(v => `- ${v.id} (${v.impact || 'Unknown'} impact)`).join('\n')}
+${violations.map(v => `- ${v.id} (${v.impact || 'Unknown'} impact)${Array.isArray(v.pages) ? ` - ${v.pages.length} page(s)` : ''}`).join('\n')}
 
 ## Implementation Guide:
 
@@ -3917,33 +4810,165 @@ app.get('/', (req, res) => {
                                 </div>
                                 <div class="scan-option">
                                     <input type="radio" id="multi-page" name="scan-type" value="crawl" />
-                                    <label for="multi-page">Multi-Page Crawl (Slower - up to <input type="number" class="pages-input" id="max-pages" value="5" min="1" max="20" /> pages)</label>
+                                    <label for="multi-page">Multi-Page Crawl (Slower - up to <input type="number" class="pages-input" id="max-pages" value="5" min="1" max="100" /> pages)</label>
+                                </div>
+                                <div class="scan-option">
+                                    <input type="radio" id="journey-scan" name="scan-type" value="journey" />
+                                    <label for="journey-scan">Saved Journey <select id="journey-select" class="pages-input" style="width: auto;"><option value="">No saved journeys</option></select></label>
                                 </div>
                             </div>
                         </div>
                         
-                        <button class="scan-button" onclick="startScan()">🔍 Start Accessibility Scan</button>
-                    </div>
-                    
-                    <!-- Scan Results -->
-                    <div id="scan-results-container"></div>
-                    
-                    <!-- Recent Scans -->
-                    <div class="recent-scans">
-                        <div class="recent-scans-header">
-                            <div class="recent-scans-title">Recent Scans</div>
-                            <div class="recent-scans-subtitle">Your latest accessibility scan results</div>
+                        <div class="form-group">
+                            <label class="form-label" for="scan-profile-select">Conformance Target</label>
+                            <select id="scan-profile-select" class="form-input">
+                                <option value="">Default axe rules</option>
+                            </select>
                         </div>
-                        <div class="recent-scans-body" id="recent-scans-list">
-                            <div style="padding: 20px; text-align: center; color: #666;">
-                                📊 Loading recent scans...
+                        
+                        <div class="form-group">
+                            <label class="form-label">Devices:</label>
+                            <div class="scan-options">
+                                <div class="scan-option">
+                                    <input type="checkbox" id="viewport-phone" name="scan-viewport" value="phone" />
+                                    <label for="viewport-phone">📱 Phone</label>
+                                </div>
+                                <div class="scan-option">
+                                    <input type="checkbox" id="viewport-tablet" name="scan-viewport" value="tablet" />
+                                    <label for="viewport-tablet">📲 Tablet</label>
+                                </div>
+                                <div class="scan-option">
+                                    <input type="checkbox" id="viewport-desktop" name="scan-viewport" value="desktop" checked />
+                                    <label for="viewport-desktop">🖥️ Desktop</label>
+                                </div>
                             </div>
-                        </div>
-                    </div>
-                </div>
-                
-                <!-- Other Pages (Placeholder) -->
-                <div id="analytics" class="page">
+                            <div class="scan-options" style="margin-top: 10px;">
+                                <div class="scan-option">
+                                    <input type="checkbox" id="keyboard-audit" />
+                                    <label for="keyboard-audit">⌨️ Keyboard navigation audit (Tab through every page)</label>
+                                </div>
+                                <div class="scan-option">
+                                    <input type="checkbox" id="text-spacing-check" />
+                                    <label for="text-spacing-check">🔤 Text spacing test (WCAG 1.4.12)</label>
+                                </div>
+                                <div class="scan-option">
+                                    <input type="checkbox" id="media-audit" />
+                                    <label for="media-audit">🎬 Media audit (captions, autoplay, carousels)</label>
+                                </div>
+                                <div class="scan-option">
+                                    <input type="checkbox" id="capture-a11y-tree" />
+                                    <label for="capture-a11y-tree">🗣️ Screen reader transcript (accessibility tree)</label>
+                                </div>
+                            </div>
+                            <div class="scan-options" style="margin-top: 10px;">
+                                <div class="scan-option">
+                                    <input type="checkbox" id="preference-dark" name="scan-preference" value="dark" />
+                                    <label for="preference-dark">🌙 Dark mode</label>
+                                </div>
+                                <div class="scan-option">
+                                    <input type="checkbox" id="preference-forced-colors" name="scan-preference" value="forced-colors" />
+                                    <label for="preference-forced-colors">🔲 Forced colours</label>
+                                </div>
+                                <div class="scan-option">
+                                    <input type="checkbox" id="preference-reduced-motion" name="scan-preference" value="reduced-motion" />
+                                    <label for="preference-reduced-motion">🐢 Reduced motion</label>
+                                </div>
+                                <div class="scan-option">
+                                    <input type="checkbox" id="preference-zoom-200" name="scan-preference" value="zoom-200" />
+                                    <label for="preference-zoom-200">🔍 200% zoom</label>
+                                </div>
+                                <div class="scan-option">
+                                    <input type="checkbox" id="preference-zoom-400" name="scan-preference" value="zoom-400" />
+                                    <label for="preference-zoom-400">🔎 400% zoom (reflow)</label>
+                                </div>
+                            </div>
+                        </div>
+                        
+                        <!-- Crawl settings (only used for multi-page crawls) -->
+                        <details class="form-group" id="crawl-settings">
+                            <summary class="form-label" style="cursor: pointer;">Crawl Settings</summary>
+                            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 12px; margin-top: 10px;">
+                                <div>
+                                    <label class="form-label" for="crawl-max-depth">Max link depth</label>
+                                    <input type="number" id="crawl-max-depth" class="form-input" value="2" min="0" max="10" />
+                                </div>
+                                <div>
+                                    <label class="form-label" for="crawl-concurrency">Pages scanned in parallel</label>
+                                    <input type="number" id="crawl-concurrency" class="form-input" value="3" min="1" max="6" />
+                                </div>
+                                <div>
+                                    <label class="form-label" for="crawl-include">Include patterns (one per line)</label>
+                                    <textarea id="crawl-include" class="form-input" rows="2" placeholder="/blog/**"></textarea>
+                                </div>
+                                <div>
+                                    <label class="form-label" for="crawl-exclude">Exclude patterns (one per line)</label>
+                                    <textarea id="crawl-exclude" class="form-input" rows="2" placeholder="/^\\/tag\\//"></textarea>
+                                </div>
+                            </div>
+                            <div class="scan-options" style="margin-top: 10px;">
+                                <div class="scan-option">
+                                    <input type="checkbox" id="crawl-use-sitemap" checked />
+                                    <label for="crawl-use-sitemap">Seed from sitemap.xml</label>
+                                </div>
+                                <div class="scan-option">
+                                    <input type="checkbox" id="crawl-respect-robots" checked />
+                                    <label for="crawl-respect-robots">Respect robots.txt</label>
+                                </div>
+                                <div class="scan-option">
+                                    <input type="checkbox" id="crawl-ignore-query" />
+                                    <label for="crawl-ignore-query">Ignore query strings</label>
+                                </div>
+                                <div class="scan-option">
+                                    <input type="checkbox" id="crawl-spa-mode" />
+                                    <label for="crawl-spa-mode">Single-page app (follow links by clicking, no reloads)</label>
+                                </div>
+                            </div>
+                        </details>
+                        
+                        <button class="scan-button" onclick="startScan()">🔍 Start Accessibility Scan</button>
+                    </div>
+                    
+                    <!-- Scan Results -->
+                    <div id="scan-results-container"></div>
+                    
+                    <!-- Recent Scans -->
+                    <div class="recent-scans">
+                        <div class="recent-scans-header">
+                            <div class="recent-scans-title">Recent Scans</div>
+                            <div class="recent-scans-subtitle">Your latest accessibility scan results</div>
+                        </div>
+                        <div class="recent-scans-body" id="recent-scans-list">
+                            <div style="padding: 20px; text-align: center; color: #666;">
+                                📊 Loading recent scans...
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <!-- Scan Comparison -->
+                    <div class="recent-scans" style="margin-top: 20px;">
+                        <div class="recent-scans-header">
+                            <div class="recent-scans-title">Compare Scans</div>
+                            <div class="recent-scans-subtitle">New, fixed and persisting issues between two scans of the same site</div>
+                        </div>
+                        <div class="recent-scans-body" style="padding: 20px;">
+                            <div style="display: grid; grid-template-columns: 1fr 1fr auto; gap: 12px; align-items: end;">
+                                <div>
+                                    <label class="form-label" for="compare-base">Before</label>
+                                    <select id="compare-base" class="form-input"></select>
+                                </div>
+                                <div>
+                                    <label class="form-label" for="compare-target">After</label>
+                                    <select id="compare-target" class="form-input"></select>
+                                </div>
+                                <button class="scan-button" style="margin: 0;" onclick="compareSelectedScans()">🔀 Compare</button>
+                            </div>
+                            <div id="compare-results" style="margin-top: 20px;"></div>
+                        </div>
+                    </div>
+                </div>
+                
+                <!-- Other Pages (Placeholder) -->
+                <div id="analytics" class="page">
                     <div class="dashboard-header">
                         <h1>Analytics</h1>
                         <p>Coming soon - Detailed analytics and reporting</p>
@@ -4088,15 +5113,35 @@ app.get('/', (req, res) => {
             const scanButton = document.querySelector('.scan-button');
             const resultsContainer = document.getElementById('scan-results-container');
             
+            // Get scan type
+            const scanType = document.querySelector('input[name="scan-type"]:checked').value;
+            const journeyId = document.getElementById('journey-select').value;
+            
             const url = urlInput.value.trim();
-            if (!url) {
+            if (scanType === 'journey' && !journeyId) {
+                alert('Please choose a saved journey to run');
+                return;
+            }
+            if (!url && scanType !== 'journey') {
                 alert('Please enter a URL to scan');
                 return;
             }
-            
-            // Get scan type
-            const scanType = document.querySelector('input[name="scan-type"]:checked').value;
             const maxPages = document.getElementById('max-pages').value;
+            const patternList = (id) => document.getElementById(id).value.split('\\n').map(p => p.trim()).filter(Boolean);
+            const crawlOptions = {
+                maxDepth: parseInt(document.getElementById('crawl-max-depth').value),
+                concurrency: parseInt(document.getElementById('crawl-concurrency').value),
+                include: patternList('crawl-include'),
+                exclude: patternList('crawl-exclude'),
+                useSitemap: document.getElementById('crawl-use-sitemap').checked,
+                respectRobots: document.getElementById('crawl-respect-robots').checked,
+                ignoreQueryParams: document.getElementById('crawl-ignore-query').checked,
+                mode: document.getElementById('crawl-spa-mode').checked ? 'spa' : 'pages'
+            };
+            
+            // "profile:<id>" is a saved scan profile, "standard:<id>" a plain conformance level
+            const [profileKind, profileValue] = document.getElementById('scan-profile-select').value.split(':');
+            const viewports = Array.from(document.querySelectorAll('input[name="scan-viewport"]:checked')).map(input => input.value);
             
             // Disable button and show loading
             scanButton.disabled = true;
@@ -4112,14 +5157,16 @@ app.get('/', (req, res) => {
                     <div class="results-body">
                         <div class="loading">
                             <div class="spinner"></div>
-                            Analyzing accessibility issues on \${url}
+                            Analyzing accessibility issues on \${url || 'the journey'}
                         </div>
                     </div>
                 </div>
             \`;
             
             try {
-                const response = await fetch('/api/scan', {
+                // Submit the scan as a background job, then follow its progress stream
+                // (saved journeys are queued through their own run endpoint)
+                const response = await fetch(scanType === 'journey' ? \`/api/journeys/\${journeyId}/run\` : '/api/scans/jobs', {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
@@ -4127,18 +5174,34 @@ app.get('/', (req, res) => {
                     body: JSON.stringify({
                         url: url,
                         scanType: scanType,
-                        maxPages: parseInt(maxPages)
+                        maxPages: parseInt(maxPages),
+                        crawlOptions: crawlOptions,
+                        scanProfileId: profileKind === 'profile' ? parseInt(profileValue) : undefined,
+                        scanProfile: profileKind === 'standard' ? { standard: profileValue } : undefined,
+                        viewports: viewports,
+                        keyboardAudit: document.getElementById('keyboard-audit').checked,
+                        textSpacing: document.getElementById('text-spacing-check').checked,
+                        mediaAudit: document.getElementById('media-audit').checked,
+                        accessibilityTree: document.getElementById('capture-a11y-tree').checked,
+                        preferences: Array.from(document.querySelectorAll('input[name="scan-preference"]:checked')).map(input => input.value)
                     })
                 });
                 
-                const result = await response.json();
+                const submission = await response.json();
                 
-                if (result.success) {
-                    displayScanResults(result);
+                if (!submission.success) {
+                    displayScanError(submission.error);
+                    return;
+                }
+                
+                const job = await followScanJob(submission.jobId);
+                
+                if (job.status === 'completed' && job.result) {
+                    displayScanResults(job.result);
                     // Refresh recent scans
                     loadRecentScans();
                 } else {
-                    displayScanError(result.error);
+                    displayScanError(job.error || 'Scan failed. Please try again.');
                 }
                 
             } catch (error) {
@@ -4151,6 +5214,90 @@ app.get('/', (req, res) => {
             }
         }
         
+        // Follow a scan job over SSE until it finishes, then fetch the stored job with its result
+        function followScanJob(jobId) {
+            return new Promise((resolve, reject) => {
+                const eventSource = new EventSource(\`/api/scans/jobs/\${jobId}/stream\`);
+                
+                const fetchJob = async () => {
+                    eventSource.close();
+                    try {
+                        const response = await fetch(\`/api/scans/jobs/\${jobId}\`);
+                        const data = await response.json();
+                        resolve(data.job || { status: 'failed', error: data.error });
+                    } catch (error) {
+                        reject(error);
+                    }
+                };
+                
+                eventSource.onmessage = function(event) {
+                    try {
+                        const data = JSON.parse(event.data);
+                        
+                        if (data.type === 'status' || data.type === 'progress') {
+                            displayScanProgress(data.job);
+                        } else if (data.type === 'completed' || data.type === 'failed') {
+                            fetchJob();
+                        }
+                    } catch (error) {
+                        console.error('Error parsing scan progress:', error);
+                    }
+                };
+                
+                // Stream dropped (proxy timeout, redeploy) - fall back to the stored job status
+                eventSource.onerror = function() {
+                    eventSource.close();
+                    pollScanJob(jobId).then(resolve).catch(reject);
+                };
+            });
+        }
+        
+        async function pollScanJob(jobId) {
+            while (true) {
+                const response = await fetch(\`/api/scans/jobs/\${jobId}\`);
+                const data = await response.json();
+                
+                if (!data.success) {
+                    return { status: 'failed', error: data.error };
+                }
+                if (data.job.status === 'completed' || data.job.status === 'failed') {
+                    return data.job;
+                }
+                
+                displayScanProgress(data.job);
+                await new Promise(resolve => setTimeout(resolve, 3000));
+            }
+        }
+        
+        function displayScanProgress(job) {
+            const resultsContainer = document.getElementById('scan-results-container');
+            const pagesHtml = (job.pages || []).map(page => \`
+                <div style="display: flex; justify-content: space-between; padding: 6px 0; border-bottom: 1px solid #eee; font-size: 14px;">
+                    <span>\${page.status === 'failed' ? '❌' : '✅'} \${page.url}</span>
+                    <span style="color: #666;">\${page.status === 'failed' ? page.error : page.violationCount + ' issues • ' + page.scanTime + 'ms'}</span>
+                </div>
+            \`).join('');
+            
+            resultsContainer.innerHTML = \`
+                <div class="scan-results">
+                    <div class="results-header">
+                        <div class="results-title">Scanning in Progress</div>
+                        <div class="results-meta">\${job.pagesCompleted || 0} of \${job.pagesTotal || 1} pages • \${job.progress || 0}%</div>
+                    </div>
+                    <div class="results-body">
+                        <div class="loading">
+                            <div class="spinner"></div>
+                            \${job.currentUrl ? 'Analyzing ' + job.currentUrl : (job.status === 'queued' ? 'Waiting for a free scanner...' : 'Preparing scan...')}
+                        </div>
+                        <div style="background: #e9ecef; border-radius: 4px; height: 8px; margin: 10px 0 20px 0;">
+                            <div style="background: #007bff; border-radius: 4px; height: 8px; width: \${job.progress || 0}%;"></div>
+                        </div>
+                        \${pagesHtml}
+                    </div>
+                </div>
+            \`;
+        }
+        
         // Platform Integration Functions
         async function connectWordPress() {
             const url = document.getElementById('wp-url').value.trim();
@@ -4287,6 +5434,22 @@ app.get('/', (req, res) => {
             window.currentPlatformInfo = result.platformInfo;
             window.currentScanUrl = result.url;
             window.currentWebsiteContext = result.websiteContext; // PHASE 2F: Store website context
+            window.currentNeedsReview = result.needsReview || [];
+            window.currentJourneySteps = result.steps ? result.steps.map(({ violations, accessibilityTree, ...step }) => step) : null;
+            // Saved scans render their PDF server-side from the stored results
+            window.currentScanReport = {
+                scanId: result.scanId || result.id || null,
+                url: result.url,
+                scanType: result.scanType,
+                pagesScanned: result.pagesScanned || result.pages?.length,
+                score: result.score,
+                scoreBreakdown: result.scoreBreakdown,
+                authProfile: result.authProfile || null
+            };
+            // Transcripts per page (or journey checkpoint) for the detailed report
+            window.currentAccessibilityTrees = (result.pages || result.steps || [{ url: result.url, accessibilityTree: result.accessibilityTree }])
+                .filter(page => page.accessibilityTree)
+                .map(page => ({ url: page.url, step: page.name, title: page.accessibilityTree.title, transcript: page.accessibilityTree.transcript, stats: page.accessibilityTree.stats }));
             
             const resultsContainer = document.getElementById('scan-results-container');
             
@@ -4303,9 +5466,14 @@ app.get('/', (req, res) => {
                         
                         <div class="results-summary">
                             <div class="summary-grid">
+                                \${typeof result.score === 'number' ? \`
+                                <div class="summary-item">
+                                    <div class="summary-value">\${result.score}%</div>
+                                    <div class="summary-label">Accessibility Score</div>
+                                </div>\` : ''}
                                 <div class="summary-item">
-                                    <div class="summary-value">\${violations.length}</div>
-                                    <div class="summary-label">Total Issues</div>
+                                    <div class="summary-value">\${result.summary?.unique ? result.summary.unique.issues : violations.length}</div>
+                                    <div class="summary-label">\${result.summary?.unique ? 'Unique Issues (' + result.summary.total.issues + ' in total)' : 'Total Issues'}</div>
                                 </div>
                                 <div class="summary-item">
                                     <div class="summary-value">\${result.summary?.critical || 0}</div>
@@ -4346,20 +5514,41 @@ app.get('/', (req, res) => {
                             : ''
                         }
                         
+                        <!-- Findings that only appear under an emulated user preference -->
+                        \${(result.preferences || []).length > 0 ? 
+                            '<div style="background: #eef2ff; border: 1px solid #c7d2fe; border-radius: 8px; padding: 20px; margin: 20px 0;"><h4 style="margin: 0 0 10px 0; color: #3730a3;">🌓 User Preference Re-scans</h4>' + 
+                            result.preferences.map(pref => 
+                                '<div style="padding: 4px 0; color: #3730a3;"><strong>' + pref.label + ':</strong> ' + 
+                                (pref.error ? 'failed (' + pref.error + ')' : pref.newViolations + ' new issue(s)' + (pref.needsReview ? ', ' + pref.needsReview + ' to review' : '')) + 
+                                '</div>'
+                            ).join('') + 
+                            '</div>' 
+                            : ''
+                        }
+                        
                         \${violations.length > 0 ? 
                             '<div style="text-align: center; color: #666; padding: 20px; background: #f8f9fa; border-radius: 8px; margin: 20px 0;"><p>📋 <strong>' + violations.length + ' accessibility issues found</strong></p><p>Use the buttons below to view details or start fixing issues.</p></div>'
                             : '<p style="text-align: center; color: #28a745; font-size: 1.2rem; padding: 40px;">🎉 No accessibility issues found!</p>'
                         }
                         
+                        \${renderViewportSummary(result)}
+                        
+                        \${renderJourneySteps(result)}
+                        
+                        \${renderNeedsReview(window.currentNeedsReview, result.reviewSummary)}
+                        
+                        \${renderViolationExport(violations)}
+                        
                         <!-- PHASE 2C: Enhanced Action Buttons with Bulk Operations -->
                         <div style="margin-top: 20px; text-align: center;">
                             \${violations.length > 0 ? 
-                                '<button class="view-report-btn" onclick="openDetailedReport()" style="background: #007bff; color: white; border: none; padding: 12px 24px; border-radius: 6px; margin: 5px; cursor: pointer; font-size: 14px;">📄 View Detailed Report</button>' 
+                                '<button class="view-report-btn" onclick="openDetailedReport()" style="background: #007bff; color: white; border: none; padding: 12px 24px; border-radius: 6px; margin: 5px; cursor: pointer; font-size: 14px;">📄 View Detailed Report</button>' +
+                                '<button class="view-report-btn" id="download-pdf-btn" onclick="downloadPdfReport()" style="background: #6f42c1; color: white; border: none; padding: 12px 24px; border-radius: 6px; margin: 5px; cursor: pointer; font-size: 14px;">⬇️ Download PDF</button>'
                                 : ''
                             }
 
                             \${violations.length > 0 ? 
-                                '<button class="guided-fixing-btn" onclick="GuidedFixing.start(' + JSON.stringify(violations).replace(/"/g, '&quot;') + ')" style="background: #28a745; color: white; border: none; padding: 12px 24px; border-radius: 6px; margin: 5px; cursor: pointer; font-size: 14px;">🛠️ Let\\'s Start Fixing</button>' 
+                                '<button class="guided-fixing-btn" onclick="GuidedFixing.start(' + JSON.stringify(violations, (key, value) => key === 'screenshots' ? undefined : value).replace(/"/g, '&quot;') + ')" style="background: #28a745; color: white; border: none; padding: 12px 24px; border-radius: 6px; margin: 5px; cursor: pointer; font-size: 14px;">🛠️ Let\\'s Start Fixing</button>' 
                                 : ''
                             }
                         </div>
@@ -4374,6 +5563,119 @@ app.get('/', (req, res) => {
             \`;
         }
         
+        // Issues per device when the scan covered more than one viewport
+        function renderViewportSummary(result) {
+            if (!result.viewports || result.viewports.length < 2 || !result.viewportSummary) return '';
+            
+            return '<div style="background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0;">' +
+                '<h4 style="margin: 0 0 15px 0;">📱 Flagged Elements by Device</h4>' +
+                '<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 12px;">' +
+                result.viewports.map(viewport =>
+                    '<div style="text-align: center; padding: 10px; background: white; border-radius: 6px;">' +
+                        '<div style="font-size: 1.2rem; font-weight: 600;">' + (result.viewportSummary.byViewport[viewport.name] || 0) + '</div>' +
+                        '<div style="font-size: 0.9rem; color: #666;">' + viewport.label + ' (' + viewport.width + '×' + viewport.height + ')</div>' +
+                    '</div>'
+                ).join('') +
+                '</div>' +
+                '<p style="margin: 12px 0 0 0; color: #666; font-size: 0.9rem;">' + result.viewportSummary.allViewports + ' flagged elements appear on every device, ' + result.viewportSummary.viewportSpecific + ' only on some.</p>' +
+            '</div>';
+        }
+        
+        // Per-step outcome of a journey scan, with issue counts at each checkpoint
+        function renderJourneySteps(result) {
+            if (result.scanType !== 'journey' || !result.steps) return '';
+            
+            const statusIcons = { passed: '✅', failed: '❌', skipped: '⏭️' };
+            return '<div style="background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0;">' +
+                '<h4 style="margin: 0 0 15px 0;">🧭 Journey Steps' + (result.journey?.name ? ': ' + escapeReviewText(result.journey.name) : '') + '</h4>' +
+                result.steps.map(step =>
+                    '<div style="padding: 10px; background: white; border-radius: 6px; margin-bottom: 8px;">' +
+                        '<strong>' + statusIcons[step.status] + ' ' + (step.index + 1) + '. ' + escapeReviewText(step.name) + '</strong>' +
+                        (step.checkpoint && step.status === 'passed' ? ' <span style="color: #666;">- ' + step.violations.length + ' issues, ' + step.needsReviewCount + ' to review</span>' : '') +
+                        (step.error ? '<div style="color: #dc3545; font-size: 0.9rem; margin-top: 4px;">' + escapeReviewText(step.error) + '</div>' : '') +
+                    '</div>'
+                ).join('') +
+            '</div>';
+        }
+        
+        // Screen reader transcript shown with the visual preview: the flagged element, then the whole page
+        function renderTranscript(transcript) {
+            if (!transcript) return '';
+            
+            const renderLines = lines => '<div style="font-family: monospace; font-size: 13px; max-height: 300px; overflow-y: auto; background: white; border: 1px solid #ddd; border-radius: 4px; padding: 10px;">' +
+                lines.map(line => '<div style="padding-left: ' + (line.depth * 16) + 'px;">' + escapeReviewText(line.text) + '</div>').join('') +
+            '</div>';
+            
+            return '<div style="background: #f8f9fa; border-radius: 6px; padding: 15px; margin-bottom: 20px;">' +
+                '<h4 style="margin: 0 0 10px 0;">🗣️ What a Screen Reader Announces</h4>' +
+                (transcript.element && transcript.element.length > 0 ? '<p style="margin: 0 0 6px 0; font-weight: 600;">This element</p>' + renderLines(transcript.element) : '') +
+                '<p style="margin: 12px 0 6px 0; font-weight: 600;">Whole page (' + transcript.stats.headings + ' headings, ' + transcript.stats.landmarks + ' landmarks, ' + transcript.stats.unnamed + ' unnamed controls)</p>' +
+                renderLines(transcript.page) +
+            '</div>';
+        }
+        
+        function escapeReviewText(text) {
+            const div = document.createElement('div');
+            div.textContent = text || '';
+            return div.innerHTML;
+        }
+        
+        // Axe "incomplete" items that need a human pass/fail decision
+        function renderNeedsReview(items, reviewSummary) {
+            if (!items || items.length === 0) return '';
+            
+            const reviewedNote = reviewSummary && (reviewSummary.reviewedPass || reviewSummary.reviewedFail)
+                ? '<p style="margin: 0 0 10px 0; color: #666; font-size: 0.9rem;">' + reviewSummary.reviewedPass + ' passed and ' + reviewSummary.reviewedFail + ' failed by earlier reviews</p>'
+                : '';
+            
+            return '<div id="needs-review" style="border: 1px solid #bee5eb; background: #f1fafc; border-radius: 8px; padding: 20px; margin: 20px 0;">' +
+                '<h4 style="margin: 0 0 10px 0; color: #0c5460;">🧐 Needs Review (' + items.length + ')</h4>' +
+                reviewedNote +
+                items.map((item, index) =>
+                    '<div class="review-item" id="review-item-' + index + '" style="background: white; border-radius: 6px; padding: 12px; margin-bottom: 8px;">' +
+                        '<div style="font-weight: 600;">' + escapeReviewText(item.help) + '</div>' +
+                        '<div style="font-size: 0.85rem; color: #666;">' + escapeReviewText(item.pageUrl) + ' • ' + escapeReviewText(item.target.join(' ')) + '</div>' +
+                        '<code style="display: block; font-size: 0.8rem; margin: 6px 0; white-space: pre-wrap;">' + escapeReviewText(item.html) + '</code>' +
+                        '<div class="review-actions">' +
+                            '<button onclick="recordReviewDecision(' + index + ', \\'pass\\')" style="background: #28a745; color: white; border: none; padding: 6px 14px; border-radius: 4px; margin-right: 6px; cursor: pointer;">✓ Pass</button>' +
+                            '<button onclick="recordReviewDecision(' + index + ', \\'fail\\')" style="background: #dc3545; color: white; border: none; padding: 6px 14px; border-radius: 4px; cursor: pointer;">✗ Fail</button>' +
+                        '</div>' +
+                    '</div>'
+                ).join('') +
+            '</div>';
+        }
+        
+        async function recordReviewDecision(index, decision) {
+            const item = window.currentNeedsReview[index];
+            const actions = document.querySelector('#review-item-' + index + ' .review-actions');
+            
+            try {
+                const response = await fetch('/api/review-decisions', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        pageUrl: item.pageUrl,
+                        ruleId: item.ruleId,
+                        target: item.target,
+                        decision: decision
+                    })
+                });
+                const data = await response.json();
+                
+                if (!data.success) {
+                    alert('Could not save review: ' + data.error);
+                    return;
+                }
+                
+                actions.innerHTML = decision === 'pass'
+                    ? '<span style="color: #28a745; font-weight: 600;">✓ Marked as pass - future scans will skip this element</span>'
+                    : '<span style="color: #dc3545; font-weight: 600;">✗ Marked as fail - future scans will report it as a violation</span>';
+            } catch (error) {
+                console.error('Error saving review decision:', error);
+                alert('Could not save review decision');
+            }
+        }
+        
         function displayScanError(error) {
             const resultsContainer = document.getElementById('scan-results-container');
             resultsContainer.innerHTML = \`
@@ -4469,6 +5771,8 @@ app.get('/', (req, res) => {
                 },
                 body: JSON.stringify({ 
                     violations: violationsToShow,
+                    steps: window.currentJourneySteps || undefined,
+                    accessibilityTrees: window.currentAccessibilityTrees && window.currentAccessibilityTrees.length > 0 ? window.currentAccessibilityTrees : undefined,
                     websiteContext: window.currentWebsiteContext,
                     platformInfo: window.currentPlatformInfo
                 })
@@ -4485,6 +5789,157 @@ app.get('/', (req, res) => {
             });
         }
         
+        // Pages a violation node was found on (grouped crawl nodes list theirs)
+        function violationNodePages(violation, node) {
+            if (node.pages && node.pages.length > 0) return node.pages;
+            return [violation.pageUrl || (violation.journeyStep && violation.journeyStep.url) || window.currentScanUrl];
+        }
+        
+        // Impact, rule and page filters for the spreadsheet export
+        function renderViolationExport(violations) {
+            if (!violations || violations.length === 0) return '';
+            
+            const rules = Array.from(new Set(violations.map(v => v.id))).sort();
+            const pages = new Set();
+            violations.forEach(v => (v.nodes || []).forEach(node => violationNodePages(v, node).forEach(page => pages.add(page))));
+            const options = values => values.map(value => '<option value="' + escapeReviewText(value).replace(/"/g, '&quot;') + '">' + escapeReviewText(value) + '</option>').join('');
+            const select = (id, label, allLabel, values) =>
+                '<label style="display: inline-block; margin: 5px 10px 5px 0; font-size: 0.9rem; color: #495057;">' + label + ' ' +
+                    '<select id="' + id + '" onchange="updateViolationExportCount()" style="padding: 6px; border-radius: 4px; border: 1px solid #ced4da; max-width: 260px;">' +
+                        '<option value="">' + allLabel + '</option>' + options(values) +
+                    '</select>' +
+                '</label>';
+            
+            return '<div id="violation-export" style="background: #f8f9fa; border: 1px solid #dee2e6; border-radius: 8px; padding: 20px; margin: 20px 0;">' +
+                '<h4 style="margin: 0 0 10px 0; color: #495057;">📊 Filter &amp; Export Violations</h4>' +
+                select('export-filter-impact', 'Impact', 'All impacts', ['critical', 'serious', 'moderate', 'minor']) +
+                select('export-filter-rule', 'Rule', 'All rules', rules) +
+                (pages.size > 1 ? select('export-filter-page', 'Page', 'All pages', Array.from(pages).sort()) : '') +
+                '<div style="margin-top: 10px;">' +
+                    '<span id="export-filter-count" style="margin-right: 10px; color: #666; font-size: 0.9rem;">' + countExportRows(violations, {}) + ' element(s)</span>' +
+                    '<button id="export-csv-btn" onclick="exportViolations(\\'csv\\')" style="background: #198754; color: white; border: none; padding: 8px 16px; border-radius: 6px; margin-right: 6px; cursor: pointer;">⬇️ Export CSV</button>' +
+                    '<button id="export-xlsx-btn" onclick="exportViolations(\\'xlsx\\')" style="background: #0d6efd; color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer;">⬇️ Export XLSX</button>' +
+                '</div>' +
+            '</div>';
+        }
+        
+        function getViolationExportFilters() {
+            const value = id => (document.getElementById(id) || {}).value || '';
+            return { impact: value('export-filter-impact'), rule: value('export-filter-rule'), pageUrl: value('export-filter-page') };
+        }
+        
+        // Rows the export will contain: one per element and page, as on the server
+        function countExportRows(violations, filters) {
+            let count = 0;
+            (violations || []).forEach(v => {
+                if (filters.rule && v.id !== filters.rule) return;
+                (v.nodes || []).forEach(node => {
+                    if (filters.impact && (node.impact || v.impact) !== filters.impact) return;
+                    count += violationNodePages(v, node).filter(page => !filters.pageUrl || page === filters.pageUrl).length;
+                });
+            });
+            return count;
+        }
+        
+        function updateViolationExportCount() {
+            const counter = document.getElementById('export-filter-count');
+            if (counter) counter.textContent = countExportRows(currentViolations, getViolationExportFilters()) + ' element(s)';
+        }
+        
+        // Download the filtered violations as CSV or XLSX
+        async function exportViolations(format) {
+            const button = document.getElementById('export-' + format + '-btn');
+            const report = window.currentScanReport || {};
+            const filters = getViolationExportFilters();
+            const originalText = button ? button.textContent : '';
+            if (button) {
+                button.textContent = '⏳ Exporting...';
+                button.disabled = true;
+            }
+            
+            try {
+                let response;
+                if (report.scanId) {
+                    const params = new URLSearchParams({ format: format });
+                    if (filters.rule) params.set('rule', filters.rule);
+                    if (filters.impact) params.set('impact', filters.impact);
+                    if (filters.pageUrl) params.set('page_url', filters.pageUrl);
+                    response = await fetch('/api/scans/' + report.scanId + '/violations/export?' + params.toString());
+                } else {
+                    response = await fetch('/api/violations/export', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ ...filters, format: format, url: report.url, violations: currentViolations })
+                    });
+                }
+                if (!response.ok) {
+                    const data = await response.json().catch(() => ({}));
+                    throw new Error(data.error || 'HTTP ' + response.status);
+                }
+                
+                const disposition = response.headers.get('Content-Disposition') || '';
+                const match = disposition.match(/filename="([^"]+)"/);
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(await response.blob());
+                link.download = match ? match[1] : 'sentryprime-violations.' + format;
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            } catch (error) {
+                console.error('Error exporting violations:', error);
+                alert('Failed to export violations: ' + error.message);
+            } finally {
+                if (button) {
+                    button.textContent = originalText;
+                    button.disabled = false;
+                }
+            }
+        }
+        
+        // Download the report as a PDF (rendered server-side, with element screenshots)
+        async function downloadPdfReport() {
+            const button = document.getElementById('download-pdf-btn');
+            const report = window.currentScanReport || {};
+            const originalText = button ? button.textContent : '';
+            if (button) {
+                button.textContent = '⏳ Generating PDF...';
+                button.disabled = true;
+            }
+            
+            try {
+                const response = report.scanId
+                    ? await fetch('/api/scans/' + report.scanId + '/report.pdf')
+                    : await fetch('/api/detailed-report/pdf', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ ...report, violations: currentViolations, platformInfo: window.currentPlatformInfo })
+                    });
+                if (!response.ok) {
+                    const data = await response.json().catch(() => ({}));
+                    throw new Error(data.error || 'HTTP ' + response.status);
+                }
+                
+                const disposition = response.headers.get('Content-Disposition') || '';
+                const match = disposition.match(/filename="([^"]+)"/);
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(await response.blob());
+                link.download = match ? match[1] : 'accessibility-report.pdf';
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            } catch (error) {
+                console.error('Error downloading PDF report:', error);
+                alert('Failed to generate PDF report: ' + error.message);
+            } finally {
+                if (button) {
+                    button.textContent = originalText;
+                    button.disabled = false;
+                }
+            }
+        }
+        
         // Fallback: Simple detailed report function
         function openDetailedReportSimple(violations) {
             const violationsToShow = violations || currentViolations;
@@ -4695,6 +6150,8 @@ app.get('/', (req, res) => {
                         '<p><strong>Description:</strong> ' + (violation.description || 'No description available') + '</p>' +
                         '<p><strong>Help:</strong> ' + (violation.help || 'Refer to WCAG guidelines for more information') + '</p>' +
                         (violation.helpUrl ? '<p><strong>Learn more:</strong> <a href="' + violation.helpUrl + '" target="_blank">' + violation.helpUrl + '</a></p>' : '') +
+                        // Deduplicated crawl issues: one fix covers every page listed
+                        (violation.pages && violation.pages.length > 1 ? '<p><strong>Found on ' + violation.pages.length + ' pages</strong> (' + violation.occurrences + ' occurrences of ' + violation.uniqueElements + ' element(s)) - fixing the shared component fixes them all</p>' : '') +
                     '</div>' +
                     '<div id="ai-fix-area" style="margin-top: 20px;">' +
                         '<!-- AI fix suggestions will appear here -->' +
@@ -5266,7 +6723,8 @@ app.get('/', (req, res) => {
                                 helpUrl: currentViolation.helpUrl,
                                 target: currentViolation.target,
                                 nodes: currentViolation.nodes
-                            }
+                            },
+                            includeTranscript: true
                         })
                     });
                     
@@ -5337,6 +6795,8 @@ app.get('/', (req, res) => {
                                     </div>
                                 </div>
                                 
+                                \${renderTranscript(data.transcript)}
+                                
                                 \${data.fixPreview ? \`
                                     <div style="background: #d4edda; border: 1px solid #c3e6cb; border-radius: 6px; padding: 15px; margin-bottom: 20px;">
                                         <h4 style="margin-bottom: 10px; color: #155724;">✅ Suggested Fix Preview</h4>
@@ -5796,7 +7256,7 @@ app.get('/', (req, res) => {
                             </div>
                             <div style="display: flex; align-items: center; gap: 8px;">
                                 <span class="scan-score">\${scan.score}% Score</span>
-                                <button class="view-report-btn">👁️ View Report</button>
+                                <button class="view-report-btn" onclick="openSavedScan(\${scan.id})">👁️ View Report</button>
                             </div>
                         </div>
                     \`).join('');
@@ -5825,7 +7285,7 @@ app.get('/', (req, res) => {
                             </div>
                             <div style="display: flex; align-items: center; gap: 8px;">
                                 <span class="scan-score">\${scan.score}% Score</span>
-                                <button class="view-report-btn">👁️ View Report</button>
+                                <button class="view-report-btn" onclick="openSavedScan(\${scan.id})">👁️ View Report</button>
                             </div>
                         </div>
                     \`).join('');
@@ -5838,41 +7298,192 @@ app.get('/', (req, res) => {
             }
         }
         
-        // Initialize dashboard - PRESERVED FROM WORKING VERSION
-        document.addEventListener('DOMContentLoaded', () => {
-            loadDashboardStats();
-            loadDashboardRecentScans();
-            loadRecentScans();
-        });
-    </script>
-    
-    <!-- AI Suggestions Modal -->
-    <div id="ai-modal" class="ai-modal">
-        <div class="ai-modal-content">
-            <div class="ai-modal-header">
-                <h2>🤖 AI Fix Suggestions</h2>
-                <span class="close" onclick="closeAIModal()">&times;</span>
-            </div>
-            <div class="ai-modal-body" id="ai-modal-body">
-                <!-- AI suggestions will be loaded here -->
-            </div>
-        </div>
-    </div>
-
-    <!-- NEW: Guided Fixing Modal -->
-    <div id="guided-fixing-modal" class="guided-modal">
-        <div class="guided-modal-content">
-            <div class="guided-modal-header">
-                <h2>🛠️ Guided Accessibility Fixing</h2>
-                <div class="progress-indicator" id="progress-indicator">Violation 1 of 6</div>
-                <span class="close" onclick="GuidedFixing.close()">&times;</span>
-            </div>
-            <div class="guided-modal-body" id="guided-modal-body">
-                <!-- Current violation details will be loaded here -->
-            </div>
-            <div class="guided-modal-footer">
-                <button class="prev-btn" id="prev-btn" onclick="GuidedFixing.previousViolation()">← Previous</button>
-                <button class="get-ai-fix-btn" onclick="GuidedFixing.getAIFixForCurrent()">🤖 Get AI Fix</button>
+        // Reopen a saved scan in the results panel on the Scans page
+        async function openSavedScan(scanId) {
+            try {
+                const data = await fetch('/api/scans/' + scanId).then(r => r.json());
+                if (!data.success) {
+                    alert('Could not open scan: ' + data.error);
+                    return;
+                }
+                
+                switchToPage('scans');
+                displayScanResults(data.scan);
+                document.getElementById('scan-results-container').scrollIntoView({ behavior: 'smooth' });
+            } catch (error) {
+                console.error('Error opening saved scan:', error);
+                alert('Could not open scan: ' + error.message);
+            }
+        }
+        
+        // Both comparison pickers list the same scans, newest first; "After" defaults to the newest
+        async function loadComparisonOptions() {
+            try {
+                const scans = await fetch('/api/scans/recent?limit=50').then(r => r.json());
+                const options = scans.map(scan =>
+                    \`<option value="\${scan.id}">#\${scan.id} \${scan.url} • \${new Date(scan.created_at).toLocaleString()}</option>\`
+                ).join('');
+                document.getElementById('compare-base').innerHTML = options;
+                document.getElementById('compare-target').innerHTML = options;
+                if (scans.length > 1) {
+                    document.getElementById('compare-base').selectedIndex = 1;
+                }
+            } catch (error) {
+                console.error('Error loading scans to compare:', error);
+            }
+        }
+        
+        async function compareSelectedScans() {
+            const base = document.getElementById('compare-base').value;
+            const target = document.getElementById('compare-target').value;
+            const container = document.getElementById('compare-results');
+            
+            if (!base || !target) {
+                container.innerHTML = '<p style="color: #666;">Run at least two scans of a site to compare them.</p>';
+                return;
+            }
+            
+            container.innerHTML = '<p style="color: #666;">🔀 Comparing...</p>';
+            
+            try {
+                const data = await fetch('/api/scans/compare?base=' + base + '&target=' + target).then(r => r.json());
+                if (!data.success) {
+                    container.innerHTML = '<p style="color: #dc3545;">❌ ' + data.error + '</p>';
+                    return;
+                }
+                
+                const comparison = data.comparison;
+                const change = comparison.scoreChange;
+                const changeColor = change > 0 ? '#28a745' : change < 0 ? '#dc3545' : '#666';
+                const issueList = (issues, limit) => issues.slice(0, limit).map(issue =>
+                    '<li><strong>' + issue.ruleId + '</strong> <code>' + JSON.stringify(issue.target).replace(/</g, '&lt;') + '</code>' +
+                    (issue.occurrences > 1 ? ' ×' + issue.occurrences : '') + '</li>'
+                ).join('') + (issues.length > limit ? '<li>… and ' + (issues.length - limit) + ' more</li>' : '');
+                
+                container.innerHTML = \`
+                    <div class="summary-grid">
+                        <div class="summary-item">
+                            <div class="summary-value" style="color: \${changeColor};">\${change > 0 ? '+' : ''}\${change}</div>
+                            <div class="summary-label">Score (\${comparison.base.score}% → \${comparison.target.score}%)</div>
+                        </div>
+                        <div class="summary-item">
+                            <div class="summary-value" style="color: #dc3545;">\${comparison.counts.new}</div>
+                            <div class="summary-label">New</div>
+                        </div>
+                        <div class="summary-item">
+                            <div class="summary-value" style="color: #28a745;">\${comparison.counts.fixed}</div>
+                            <div class="summary-label">Fixed</div>
+                        </div>
+                        <div class="summary-item">
+                            <div class="summary-value">\${comparison.counts.persisting}</div>
+                            <div class="summary-label">Persisting</div>
+                        </div>
+                    </div>
+                    <table style="width: 100%; border-collapse: collapse; margin-top: 20px; font-size: 0.9rem;">
+                        <thead>
+                            <tr style="text-align: left; border-bottom: 2px solid #eee;">
+                                <th style="padding: 6px;">Rule</th><th>Before</th><th>After</th><th>Change</th><th>New</th><th>Fixed</th><th>Persisting</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            \${comparison.rules.map(rule => \`
+                                <tr style="border-bottom: 1px solid #f0f0f0;">
+                                    <td style="padding: 6px;">\${rule.ruleId} <span class="impact-\${rule.impact}" style="font-size: 0.75rem;">\${rule.impact || ''}</span></td>
+                                    <td>\${rule.before}</td>
+                                    <td>\${rule.after}</td>
+                                    <td style="color: \${rule.delta > 0 ? '#dc3545' : rule.delta < 0 ? '#28a745' : '#666'};">\${rule.delta > 0 ? '+' : ''}\${rule.delta}</td>
+                                    <td>\${rule.new}</td>
+                                    <td>\${rule.fixed}</td>
+                                    <td>\${rule.persisting}</td>
+                                </tr>
+                            \`).join('')}
+                        </tbody>
+                    </table>
+                    \${comparison.issues.new.length > 0 ? '<h4 style="margin-top: 20px; color: #dc3545;">New issues</h4><ul>' + issueList(comparison.issues.new, 20) + '</ul>' : ''}
+                    \${comparison.issues.fixed.length > 0 ? '<h4 style="margin-top: 20px; color: #28a745;">Fixed issues</h4><ul>' + issueList(comparison.issues.fixed, 20) + '</ul>' : ''}
+                \`;
+            } catch (error) {
+                console.error('Error comparing scans:', error);
+                container.innerHTML = '<p style="color: #dc3545;">❌ Failed to compare scans</p>';
+            }
+        }
+        
+        // Fill the conformance target picker with the standards and the organization's saved profiles
+        async function loadScanProfileOptions() {
+            try {
+                const [catalog, saved] = await Promise.all([
+                    fetch('/api/scan-profiles/standards').then(r => r.json()),
+                    fetch('/api/scan-profiles').then(r => r.json())
+                ]);
+                
+                const select = document.getElementById('scan-profile-select');
+                const standardOptions = (catalog.standards || []).map(standard =>
+                    \`<option value="standard:\${standard.id}">\${standard.label}</option>\`
+                ).join('');
+                const profileOptions = (saved.profiles || []).map(profile =>
+                    \`<option value="profile:\${profile.id}">\${profile.name}</option>\`
+                ).join('');
+                
+                select.innerHTML = '<option value="">Default axe rules</option>' +
+                    \`<optgroup label="Standards">\${standardOptions}</optgroup>\` +
+                    (profileOptions ? \`<optgroup label="Saved Profiles">\${profileOptions}</optgroup>\` : '');
+            } catch (error) {
+                console.error('Error loading scan profiles:', error);
+            }
+        }
+        
+        async function loadJourneyOptions() {
+            try {
+                const data = await fetch('/api/journeys').then(r => r.json());
+                const journeys = data.journeys || [];
+                if (journeys.length === 0) return;
+                
+                document.getElementById('journey-select').innerHTML = journeys.map(journey =>
+                    \`<option value="\${journey.id}">\${journey.name} (\${journey.siteOrigin})</option>\`
+                ).join('');
+            } catch (error) {
+                console.error('Error loading journeys:', error);
+            }
+        }
+        
+        // Initialize dashboard - PRESERVED FROM WORKING VERSION
+        document.addEventListener('DOMContentLoaded', () => {
+            loadDashboardStats();
+            loadDashboardRecentScans();
+            loadRecentScans();
+            loadComparisonOptions();
+            loadScanProfileOptions();
+            loadJourneyOptions();
+        });
+    </script>
+    
+    <!-- AI Suggestions Modal -->
+    <div id="ai-modal" class="ai-modal">
+        <div class="ai-modal-content">
+            <div class="ai-modal-header">
+                <h2>🤖 AI Fix Suggestions</h2>
+                <span class="close" onclick="closeAIModal()">&times;</span>
+            </div>
+            <div class="ai-modal-body" id="ai-modal-body">
+                <!-- AI suggestions will be loaded here -->
+            </div>
+        </div>
+    </div>
+
+    <!-- NEW: Guided Fixing Modal -->
+    <div id="guided-fixing-modal" class="guided-modal">
+        <div class="guided-modal-content">
+            <div class="guided-modal-header">
+                <h2>🛠️ Guided Accessibility Fixing</h2>
+                <div class="progress-indicator" id="progress-indicator">Violation 1 of 6</div>
+                <span class="close" onclick="GuidedFixing.close()">&times;</span>
+            </div>
+            <div class="guided-modal-body" id="guided-modal-body">
+                <!-- Current violation details will be loaded here -->
+            </div>
+            <div class="guided-modal-footer">
+                <button class="prev-btn" id="prev-btn" onclick="GuidedFixing.previousViolation()">← Previous</button>
+                <button class="get-ai-fix-btn" onclick="GuidedFixing.getAIFixForCurrent()">🤖 Get AI Fix</button>
                 
                 <!-- PHASE 2A: Enhanced Auto-Fix Buttons -->
                 <button class="auto-fix-btn" onclick="GuidedFixing.autoFixCurrent()" style="background: #28a745; color: white; border: none; padding: 10px 16px; border-radius: 4px; margin: 0 5px; cursor: pointer; font-size: 14px;">
@@ -5922,7 +7533,9 @@ async function extractLinks(page, baseUrl) {
                         
                         // Exclude common non-page URLs
                         if (url.pathname.match(/\.(pdf|jpg|jpeg|png|gif|css|js|xml|zip|doc|docx)$/i)) return null;
-                        if (url.pathname.includes('#')) return null;
+                        
+                        // In-page anchors point at the same document
+                        url.hash = '';
                         
                         return url.href;
                     } catch (e) {
@@ -5930,8 +7543,7 @@ async function extractLinks(page, baseUrl) {
                     }
                 })
                 .filter(url => url !== null)
-                .filter((url, index, self) => self.indexOf(url) === index) // Remove duplicates
-                .slice(0, 20); // Limit to 20 links max
+                .filter((url, index, self) => self.indexOf(url) === index); // Remove duplicates
         }, baseUrl);
         
         return links;
@@ -6028,10 +7640,10 @@ function getBusinessImpact(violation, context) {
         estimatedUsers: 'some users'
     };
 
-    const highImpactIssues = ['color-contrast', 'button-name', 'link-name', 'form-field-multiple-labels'];
-    const mediumImpactIssues = ['image-alt', 'heading-order', 'label', 'landmark-one-main'];
-    const criticalForEcommerce = ['color-contrast', 'button-name', 'link-name'];
-    const criticalForForms = ['label', 'form-field-multiple-labels', 'input-button-name'];
+    const highImpactIssues = ['color-contrast', 'button-name', 'link-name', 'form-field-multiple-labels', 'keyboard-focus-trap', 'keyboard-unreachable', 'keyboard-focus-visible', 'spa-route-announcement', 'text-spacing-clipped', 'media-captions-missing', 'media-autoplay-audio'];
+    const mediumImpactIssues = ['image-alt', 'heading-order', 'label', 'landmark-one-main', 'keyboard-focus-order', 'reflow-horizontal-scroll', 'reflow-clipped-content', 'text-spacing-overlap', 'media-pause-control', 'carousel-pause-control'];
+    const criticalForEcommerce = ['color-contrast', 'button-name', 'link-name', 'keyboard-focus-trap', 'keyboard-unreachable'];
+    const criticalForForms = ['label', 'form-field-multiple-labels', 'input-button-name', 'keyboard-focus-trap', 'keyboard-unreachable'];
 
     // Context-aware impact assessment
     if (context.websiteType === 'e-commerce' && criticalForEcommerce.includes(violation.id)) {
@@ -6119,13 +7731,59 @@ function getBusinessImpact(violation, context) {
     return impact;
 }
 
-async function scanSinglePage(browser, url) {
+// Load axe-core into the page's same-origin iframes so the top-level axe.run covers them
+async function injectAxeIntoFrames(page) {
+    const pageOrigin = new URL(page.url()).origin;
+    const coverage = { scanned: 0, skipped: [] };
+    
+    for (const frame of page.frames()) {
+        if (frame === page.mainFrame() || frame.detached) continue;
+        
+        const frameUrl = frame.url();
+        let sameOrigin;
+        try {
+            // about:blank and srcdoc frames share their parent's origin
+            sameOrigin = frameUrl.startsWith('about:') || new URL(frameUrl).origin === pageOrigin;
+        } catch (error) {
+            // A frame that hasn't navigated yet has an empty or unparseable URL
+            coverage.skipped.push({ url: frameUrl, reason: 'invalid-url' });
+            continue;
+        }
+        if (!sameOrigin) {
+            coverage.skipped.push({ url: frameUrl, reason: 'cross-origin' });
+            continue;
+        }
+        
+        try {
+            await frame.addScriptTag({ content: axeCore.source });
+            coverage.scanned++;
+        } catch (error) {
+            console.log('⚠️ Could not inject axe-core into frame ' + frameUrl + ': ' + error.message);
+            coverage.skipped.push({ url: frameUrl, reason: error.message });
+        }
+    }
+    
+    if (coverage.scanned > 0 || coverage.skipped.length > 0) {
+        console.log('🖼️ Frames: ' + coverage.scanned + ' scanned, ' + coverage.skipped.length + ' skipped');
+    }
+    return coverage;
+}
+
+// options.collectLinks - also return same-site links found on the page (used by the crawler)
+// options.axeConfig - { context, options } for axe.run, built from the scan profile
+// options.device - device profile to emulate (desktop when omitted)
+// options.keyboardAudit - also Tab through the page (true, or KeyboardAuditor options)
+// options.mediaAudit - also check video, audio, embeds and carousels (true, or MediaAuditor options)
+// options.textSpacing - also apply the WCAG text-spacing overrides (true, or TextSpacingChecker options)
+// options.preferences - preference modes (from resolvePreferenceModes) to reload and re-scan under
+async function scanSinglePage(browser, url, options = {}) {
     const page = await browser.newPage();
+    const timing = { pageStart: Date.now() };
     
     try {
-        // Set viewport and user agent
-        await page.setViewport({ width: 1280, height: 720 });
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+        // Emulate the device's viewport, touch support and user agent
+        const device = options.device || { name: 'desktop', ...DEVICE_PROFILES.desktop };
+        await page.emulate({ viewport: device.viewport, userAgent: device.userAgent });
         
         console.log('Navigating to: ' + url);
         
@@ -6143,155 +7801,412 @@ async function scanSinglePage(browser, url) {
             });
         }
         
-        // Wait for page to stabilize
-        console.log('Waiting for page to stabilize...');
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        timing.navigationMs = Date.now() - timing.pageStart;
         
-        // Inject axe-core
-        console.log('Injecting axe-core...');
-        await page.addScriptTag({
-            content: axeCore.source
-        });
+        const results = await auditLoadedPage(page, options);
         
-        console.log('Running axe accessibility scan...');
-        const results = await page.evaluate(() => {
-            return new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    reject(new Error('Axe scan timeout'));
-                }, 60000);
-                
-                axe.run((err, results) => {
-                    clearTimeout(timeout);
-                    if (err) reject(err);
-                    else {
-                        // PHASE 1 ENHANCEMENT: Collect detailed element information
-                        results.violations = results.violations.map(violation => {
-                            violation.nodes = violation.nodes.map(node => {
-                                const element = document.querySelector(node.target[0]);
-                                if (element) {
-                                    // Enhanced element data collection
-                                    node.enhancedData = {
-                                        // Element targeting
-                                        selector: node.target[0],
-                                        xpath: getXPath(element),
-                                        tagName: element.tagName.toLowerCase(),
-                                        
-                                        // Current element state
-                                        outerHTML: element.outerHTML.substring(0, 500), // Truncate for size
-                                        textContent: element.textContent?.substring(0, 200) || '',
-                                        
-                                        // Computed styles for relevant violations
-                                        computedStyles: getRelevantStyles(element, violation.id),
-                                        
-                                        // Element attributes
-                                        attributes: Array.from(element.attributes).reduce((acc, attr) => {
-                                            acc[attr.name] = attr.value;
-                                            return acc;
-                                        }, {}),
-                                        
-                                        // Position information
-                                        boundingRect: element.getBoundingClientRect(),
-                                        
-                                        // Parent context
-                                        parentInfo: {
-                                            tagName: element.parentElement?.tagName.toLowerCase(),
-                                            className: element.parentElement?.className || '',
-                                            id: element.parentElement?.id || ''
-                                        }
-                                    };
+        // Dark mode, forced colours, reduced motion and zoom - each a real reload and re-scan
+        if (options.preferences && options.preferences.length > 0) {
+            const preferencesStart = Date.now();
+            results.preferences = await scanPreferenceModes(page, device, results, options);
+            timing.preferencesMs = Date.now() - preferencesStart;
+        }
+        
+        results.timing = {
+            navigationMs: timing.navigationMs,
+            ...results.timing,
+            preferencesMs: timing.preferencesMs,
+            totalMs: Date.now() - timing.pageStart
+        };
+        
+        return results;
+        
+    } finally {
+        await page.close();
+    }
+}
+
+// Run axe (and the optional keyboard audit) on a page that is already loaded -
+// after navigation in scanSinglePage, or at a journey checkpoint
+async function auditLoadedPage(page, options = {}) {
+    const timing = {};
+    
+    // Wait for page to stabilize (callers that already waited for the DOM to settle pass 0)
+    const stabilizeMs = options.stabilizeMs !== undefined ? options.stabilizeMs : 3000;
+    if (stabilizeMs > 0) {
+        console.log('Waiting for page to stabilize...');
+        await new Promise(resolve => setTimeout(resolve, stabilizeMs));
+    }
+    
+    // Inject axe-core
+    const axeStart = Date.now();
+    console.log('Injecting axe-core...');
+    await page.addScriptTag({
+        content: axeCore.source
+    });
+    
+    // Same-origin iframes get their own copy so axe can scan inside them;
+    // cross-origin frames are left out and reported by axe as not tested
+    const frameCoverage = await injectAxeIntoFrames(page);
+    
+    console.log('Running axe accessibility scan...');
+    const axeConfig = options.axeConfig || { context: null, options: {} };
+    const results = await page.evaluate((axeContext, axeOptions) => {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('Axe scan timeout'));
+            }, 60000);
+            
+            axe.run(axeContext || document, axeOptions, (err, results) => {
+                clearTimeout(timeout);
+                if (err) reject(err);
+                else {
+                    // PHASE 1 ENHANCEMENT: Collect detailed element information
+                    // (also for "incomplete" items, which a reviewer has to judge)
+                    results.violations = addEnhancedData(results.violations);
+                    results.incomplete = addEnhancedData(results.incomplete);
+                    
+                    resolve(results);
+                }
+            });
+            
+            function addEnhancedData(items) {
+                return items.map(violation => {
+                    violation.nodes = violation.nodes.map(node => {
+                        const resolved = resolveTarget(node.target);
+                        if (resolved) {
+                            const element = resolved.element;
+                            
+                            // Enhanced element data collection
+                            node.enhancedData = {
+                                // Element targeting - selector and xpath are relative to the
+                                // element's own document or shadow root
+                                selector: resolved.selector,
+                                xpath: getXPath(element),
+                                tagName: element.tagName.toLowerCase(),
+                                
+                                // Boundaries crossed to reach the element: iframe selectors from the
+                                // top document down, then shadow hosts inside the element's document
+                                framePath: resolved.framePath,
+                                shadowPath: resolved.shadowPath,
+                                frameOffset: resolved.framePath.length > 0 ? resolved.frameOffset : null,
+                                    
+                                // Current element state
+                                outerHTML: element.outerHTML.substring(0, 500), // Truncate for size
+                                textContent: element.textContent?.substring(0, 200) || '',
+                                    
+                                // Computed styles for relevant violations
+                                computedStyles: getRelevantStyles(element, violation.id),
+                                    
+                                // Element attributes
+                                attributes: Array.from(element.attributes).reduce((acc, attr) => {
+                                    acc[attr.name] = attr.value;
+                                    return acc;
+                                }, {}),
+                                    
+                                // Position information
+                                boundingRect: element.getBoundingClientRect(),
+                                    
+                                // Parent context
+                                parentInfo: {
+                                    tagName: element.parentElement?.tagName.toLowerCase(),
+                                    className: element.parentElement?.className || '',
+                                    id: element.parentElement?.id || ''
                                 }
-                                return node;
-                            });
-                            return violation;
-                        });
-                        
-                        resolve(results);
-                    }
+                            };
+                        }
+                        return node;
+                    });
+                    return violation;
                 });
-                
-                // Helper function to get XPath
-                function getXPath(element) {
-                    if (element.id) return `//*[@id="${element.id}"]`;
-                    if (element === document.body) return '/html/body';
+            }
+            
+            // Follow an axe target to its element. Targets have one entry per iframe, and an
+            // entry is an array of selectors when it crosses shadow roots (outermost host first).
+            function resolveTarget(target) {
+                let root = document;
+                const framePath = [];
+                const shadowPath = [];
+                const frameOffset = { x: 0, y: 0 };
+                
+                for (let i = 0; i < target.length; i++) {
+                    const selectors = Array.isArray(target[i]) ? target[i] : [target[i]];
+                    const isLast = i === target.length - 1;
+                    let element = null;
                     
-                    let ix = 0;
-                    const siblings = element.parentNode?.childNodes || [];
-                    for (let i = 0; i < siblings.length; i++) {
-                        const sibling = siblings[i];
-                        if (sibling === element) {
-                            return getXPath(element.parentNode) + '/' + element.tagName.toLowerCase() + '[' + (ix + 1) + ']';
-                        }
-                        if (sibling.nodeType === 1 && sibling.tagName === element.tagName) {
-                            ix++;
+                    for (let j = 0; j < selectors.length; j++) {
+                        element = root.querySelector(selectors[j]);
+                        if (!element) return null;
+                        
+                        if (j < selectors.length - 1) {
+                            if (isLast) shadowPath.push(selectors[j]);
+                            root = element.shadowRoot;
+                            if (!root) return null;
                         }
                     }
-                    return '';
-                }
-                
-                // Helper function to get relevant computed styles based on violation type
-                function getRelevantStyles(element, violationId) {
-                    const computedStyle = window.getComputedStyle(element);
-                    const relevantStyles = {};
                     
-                    // Collect styles relevant to specific violation types
-                    if (violationId === 'color-contrast') {
-                        relevantStyles.color = computedStyle.color;
-                        relevantStyles.backgroundColor = computedStyle.backgroundColor;
-                        relevantStyles.fontSize = computedStyle.fontSize;
-                        relevantStyles.fontWeight = computedStyle.fontWeight;
-                    } else if (violationId.includes('focus')) {
-                        relevantStyles.outline = computedStyle.outline;
-                        relevantStyles.outlineColor = computedStyle.outlineColor;
-                        relevantStyles.outlineWidth = computedStyle.outlineWidth;
-                        relevantStyles.boxShadow = computedStyle.boxShadow;
-                    } else if (violationId.includes('size') || violationId.includes('target')) {
-                        relevantStyles.width = computedStyle.width;
-                        relevantStyles.height = computedStyle.height;
-                        relevantStyles.padding = computedStyle.padding;
-                        relevantStyles.margin = computedStyle.margin;
+                    if (isLast) {
+                        return { element, selector: selectors[selectors.length - 1], framePath, shadowPath, frameOffset };
                     }
                     
-                    // Always include basic layout styles
-                    relevantStyles.display = computedStyle.display;
-                    relevantStyles.position = computedStyle.position;
-                    relevantStyles.zIndex = computedStyle.zIndex;
-                    
-                    return relevantStyles;
+                    // Step into the iframe - only same-origin frame documents are reachable
+                    framePath.push(target[i]);
+                    const frameRect = element.getBoundingClientRect();
+                    frameOffset.x += frameRect.left;
+                    frameOffset.y += frameRect.top;
+                    try {
+                        root = element.contentDocument;
+                    } catch (error) {
+                        root = null;
+                    }
+                    if (!root) return null;
                 }
-            });
+                return null;
+            }
+            
+            // Helper function to get XPath
+            function getXPath(element) {
+                // Stops at a shadow root, giving a path relative to it
+                if (!element || element.nodeType !== 1) return '';
+                if (element.id) return `//*[@id="${element.id}"]`;
+                if (element === element.ownerDocument.body) return '/html/body';
+                
+                let ix = 0;
+                const siblings = element.parentNode?.childNodes || [];
+                for (let i = 0; i < siblings.length; i++) {
+                    const sibling = siblings[i];
+                    if (sibling === element) {
+                        return getXPath(element.parentNode) + '/' + element.tagName.toLowerCase() + '[' + (ix + 1) + ']';
+                    }
+                    if (sibling.nodeType === 1 && sibling.tagName === element.tagName) {
+                        ix++;
+                    }
+                }
+                return '';
+            }
+            
+            // Helper function to get relevant computed styles based on violation type
+            function getRelevantStyles(element, violationId) {
+                // Elements in iframes are styled by their own window
+                const computedStyle = element.ownerDocument.defaultView.getComputedStyle(element);
+                const relevantStyles = {};
+                
+                // Collect styles relevant to specific violation types
+                if (violationId === 'color-contrast') {
+                    relevantStyles.color = computedStyle.color;
+                    relevantStyles.backgroundColor = computedStyle.backgroundColor;
+                    relevantStyles.fontSize = computedStyle.fontSize;
+                    relevantStyles.fontWeight = computedStyle.fontWeight;
+                } else if (violationId.includes('focus')) {
+                    relevantStyles.outline = computedStyle.outline;
+                    relevantStyles.outlineColor = computedStyle.outlineColor;
+                    relevantStyles.outlineWidth = computedStyle.outlineWidth;
+                    relevantStyles.boxShadow = computedStyle.boxShadow;
+                } else if (violationId.includes('size') || violationId.includes('target')) {
+                    relevantStyles.width = computedStyle.width;
+                    relevantStyles.height = computedStyle.height;
+                    relevantStyles.padding = computedStyle.padding;
+                    relevantStyles.margin = computedStyle.margin;
+                }
+                
+                // Always include basic layout styles
+                relevantStyles.display = computedStyle.display;
+                relevantStyles.position = computedStyle.position;
+                relevantStyles.zIndex = computedStyle.zIndex;
+                
+                return relevantStyles;
+            }
+        });
+    }, axeConfig.context, axeConfig.options);
+    
+    timing.axeMs = Date.now() - axeStart;
+    
+    // What a screen reader gets - captured before the keyboard audit moves focus around
+    if (options.accessibilityTree) {
+        const treeStart = Date.now();
+        console.log('🗣️ Capturing accessibility tree...');
+        results.accessibilityTree = await captureAccessibilityTree(page, typeof options.accessibilityTree === 'object' ? options.accessibilityTree : {});
+        timing.accessibilityTreeMs = Date.now() - treeStart;
+    }
+    
+    // Keyboard findings use the axe result shape, so business impact and fixes handle them too
+    if (options.keyboardAudit) {
+        const keyboardStart = Date.now();
+        console.log('⌨️ Running keyboard navigation audit...');
+        const auditor = new KeyboardAuditor(typeof options.keyboardAudit === 'object' ? options.keyboardAudit : {});
+        const keyboard = await auditor.audit(page);
+        
+        results.violations = results.violations.concat(keyboard.violations);
+        results.incomplete = results.incomplete.concat(keyboard.incomplete);
+        results.keyboard = { focusOrder: keyboard.focusOrder, stats: keyboard.stats };
+        timing.keyboardMs = Date.now() - keyboardStart;
+    }
+    
+    // Captions, autoplay and pause controls for video, audio, embedded players and carousels
+    if (options.mediaAudit) {
+        const mediaStart = Date.now();
+        console.log('🎬 Running media audit...');
+        const auditor = new MediaAuditor(typeof options.mediaAudit === 'object' ? options.mediaAudit : {});
+        const media = await auditor.audit(page);
+        
+        results.violations = results.violations.concat(media.violations);
+        results.incomplete = results.incomplete.concat(media.incomplete);
+        results.media = { items: media.media, stats: media.stats };
+        timing.mediaMs = Date.now() - mediaStart;
+    }
+    
+    // WCAG 1.4.12 - the spacing overrides are removed again before anything else looks at the page
+    if (options.textSpacing) {
+        const textSpacingStart = Date.now();
+        console.log('🔤 Checking text spacing...');
+        const checker = new TextSpacingChecker(typeof options.textSpacing === 'object' ? options.textSpacing : {});
+        const textSpacing = await checker.check(page);
+        
+        results.violations = results.violations.concat(textSpacing.violations);
+        results.textSpacing = textSpacing.stats;
+        timing.textSpacingMs = Date.now() - textSpacingStart;
+    }
+    
+    // PHASE 2F: Detect website context for business impact analysis
+    console.log('🔍 Detecting website context...');
+    const websiteContext = await detectWebsiteContext(page);
+    
+    // PHASE 2F: Add business impact analysis to violations
+    if (results.violations && results.violations.length > 0) {
+        console.log('📊 Adding business impact analysis to violations...');
+        results.violations = results.violations.map(violation => {
+            const businessImpact = getBusinessImpact(violation, websiteContext);
+            return { 
+                ...violation, 
+                businessImpact,
+                websiteContext // Include context for reference
+            };
         });
+    }
+    
+    // Add context to results for use in UI
+    results.websiteContext = websiteContext;
+    results.frameCoverage = frameCoverage;
+    
+    if (options.collectLinks) {
+        results.links = await extractLinks(page, page.url());
+    }
+    
+    results.timing = {
+        axeMs: timing.axeMs,
+        accessibilityTreeMs: timing.accessibilityTreeMs,
+        keyboardMs: timing.keyboardMs,
+        mediaMs: timing.mediaMs,
+        textSpacingMs: timing.textSpacingMs
+    };
+    
+    return results;
+}
+
+// Re-scan a loaded page under each requested user preference. The page is reloaded per mode
+// so scripts reading matchMedia at startup see the preference too. Findings that only appear
+// under a mode are added to the page results, each node tagged with `preference`.
+async function scanPreferenceModes(page, device, results, options) {
+    const summaries = [];
+    
+    for (const mode of options.preferences) {
+        const modeStart = Date.now();
+        console.log('🌓 Re-scanning with ' + mode.label + '...');
         
-        // PHASE 2F: Detect website context for business impact analysis
-        console.log('🔍 Detecting website context...');
-        const websiteContext = await detectWebsiteContext(page);
-        
-        // PHASE 2F: Add business impact analysis to violations
-        if (results.violations && results.violations.length > 0) {
-            console.log('📊 Adding business impact analysis to violations...');
-            results.violations = results.violations.map(violation => {
-                const businessImpact = getBusinessImpact(violation, websiteContext);
-                return { 
-                    ...violation, 
-                    businessImpact,
-                    websiteContext // Include context for reference
-                };
+        try {
+            await applyPreferenceMode(page, mode, device);
+            try {
+                await page.reload({ waitUntil: 'networkidle0', timeout: 90000 });
+            } catch (navError) {
+                await page.reload({ waitUntil: 'domcontentloaded', timeout: 90000 });
+            }
+            
+            let newViolations = [];
+            const modeAxeConfig = getModeAxeConfig(mode, options.axeConfig || { context: null, options: {} });
+            if (modeAxeConfig) {
+                const modeResults = await auditLoadedPage(page, { axeConfig: modeAxeConfig, stabilizeMs: 1000 });
+                newViolations = diffModeViolations(results.violations, modeResults.violations, mode);
+            } else {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+            
+            const checks = await runModeChecks(page, mode);
+            const checkViolations = checks.violations.map(violation => ({
+                ...violation,
+                businessImpact: getBusinessImpact(violation, results.websiteContext),
+                websiteContext: results.websiteContext
+            }));
+            
+            results.violations = results.violations.concat(newViolations, checkViolations);
+            results.incomplete = results.incomplete.concat(checks.incomplete);
+            
+            summaries.push({
+                mode: mode.name,
+                label: mode.label,
+                newViolations: newViolations.length + checkViolations.length,
+                needsReview: checks.incomplete.length,
+                details: checks.details,
+                durationMs: Date.now() - modeStart
             });
+        } catch (error) {
+            console.log('❌ ' + mode.label + ' re-scan failed:', error.message);
+            summaries.push({ mode: mode.name, label: mode.label, error: error.message, durationMs: Date.now() - modeStart });
         }
-        
-        // Add context to results for use in UI
-        results.websiteContext = websiteContext;
-        
-        return results;
-        
-    } finally {
-        await page.close();
     }
+    
+    await resetPreferenceMode(page, device);
+    return summaries;
+}
+
+// Scan one page on every requested device and merge the results - an element flagged
+// on several devices is reported once, tagged with the viewports it appeared in
+async function scanPageAcrossViewports(browser, url, devices, options = {}) {
+    const viewportResults = [];
+    
+    // Devices run one after another so a crawl's parallel pages don't multiply
+    for (const [index, device] of devices.entries()) {
+        console.log('📱 Scanning ' + url + ' as ' + device.label);
+        const results = await scanSinglePage(browser, url, {
+            ...options,
+            device,
+            // Links and preference re-scans only need doing once
+            collectLinks: options.collectLinks && index === 0,
+            preferences: index === 0 ? options.preferences : null
+        });
+        viewportResults.push({ device, results });
+    }
+    
+    const first = viewportResults[0].results;
+    const violations = mergeViewportResults(viewportResults, 'violations');
+    // Flagged elements per device, the same count viewportSummary reports
+    const { byViewport } = summarizeViewports(violations, devices);
+    return {
+        ...first,
+        violations: violations,
+        incomplete: mergeViewportResults(viewportResults, 'incomplete'),
+        viewports: viewportResults.map(({ device, results }) => ({
+            name: device.name,
+            label: device.label,
+            width: device.viewport.width,
+            height: device.viewport.height,
+            violationCount: byViewport[device.name],
+            keyboard: results.keyboard,
+            timing: results.timing
+        })),
+        timing: {
+            navigationMs: viewportResults.reduce((sum, { results }) => sum + results.timing.navigationMs, 0),
+            axeMs: viewportResults.reduce((sum, { results }) => sum + results.timing.axeMs, 0),
+            totalMs: viewportResults.reduce((sum, { results }) => sum + results.timing.totalMs, 0)
+        }
+    };
 }
 
 // PHASE 2B: Enhanced Platform Detection Function with Deep Intelligence
+// Never rejects: crawls start it early and only await it once the crawl is done
 async function detectPlatform(browser, url) {
-    const page = await browser.newPage();
+    let page = null;
     try {
+        page = await browser.newPage();
         await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
         
         const platformInfo = await page.evaluate(() => {
@@ -6624,230 +8539,1194 @@ async function detectPlatform(browser, url) {
             return platform;
         });
         
-        return platformInfo;
+        return platformInfo;
+        
+    } catch (error) {
+        console.log('❌ Platform detection failed:', error.message);
+        return {
+            type: 'unknown',
+            name: 'Unknown',
+            confidence: 0,
+            error: error.message
+        };
+    } finally {
+        if (page) await page.close().catch(() => {});
+    }
+}
+
+// Translate low-level navigation errors into messages the dashboard can show
+function getFriendlyScanError(error) {
+    let errorMessage = error.message;
+    if (errorMessage.includes('Navigation timeout')) {
+        errorMessage = 'Website took too long to load. This may be due to slow server response or complex page content. Please try a different URL or try again later.';
+    } else if (errorMessage.includes('net::ERR_NAME_NOT_RESOLVED')) {
+        errorMessage = 'Website not found. Please check the URL and try again.';
+    } else if (errorMessage.includes('net::ERR_CONNECTION_REFUSED')) {
+        errorMessage = 'Connection refused. The website may be down or blocking automated access.';
+    }
+    return errorMessage;
+}
+
+// Pick the login to use for a scan: an inline profile (optionally saved for the site),
+// an explicit authProfileId, or the profile already stored for the site
+async function resolveScanAuthProfile(options, targetUrl) {
+    const userId = options.userId || 1;
+    
+    if (options.authProfile) {
+        const validationError = authProfileManager.validateProfile(options.authProfile);
+        if (validationError) {
+            throw new Error(validationError);
+        }
+        
+        const storageError = options.authProfile.save ? authProfileManager.storageError() : null;
+        if (storageError) {
+            console.log(`⚠️ Using the inline login without saving it: ${storageError}`);
+        } else if (options.authProfile.save) {
+            const saved = await authProfileManager.saveProfile({ ...options.authProfile, userId, siteUrl: targetUrl });
+            return { id: saved.id, type: options.authProfile.type, config: options.authProfile.config };
+        }
+        return { type: options.authProfile.type, config: options.authProfile.config };
+    }
+    
+    if (options.useStoredAuth === false) {
+        return null;
+    }
+    
+    return authProfileManager.resolveProfile({ userId, authProfileId: options.authProfileId, url: targetUrl });
+}
+
+// Apply stored reviewer decisions to a page's axe "incomplete" items: confirmed failures
+// join the violations, confirmed passes are dropped, the rest stay in the needs-review queue
+function applyReviewDecisions(pageUrl, results, decisions) {
+    const reviewed = reviewDecisionManager.applyDecisions(pageUrl, results.incomplete, decisions);
+    const confirmedViolations = reviewed.confirmedViolations.map(violation => ({
+        ...violation,
+        businessImpact: getBusinessImpact(violation, results.websiteContext),
+        websiteContext: results.websiteContext
+    }));
+    
+    return {
+        violations: results.violations.concat(confirmedViolations),
+        needsReview: reviewed.needsReview,
+        reviewedPass: reviewed.passedCount,
+        reviewedFail: confirmedViolations.reduce((sum, violation) => sum + violation.nodes.length, 0)
+    };
+}
+
+// Journey for a scan: a stored journey ID or an inline { siteUrl, steps } definition
+async function resolveJourney(options, organizationId) {
+    if (options.journeyId) {
+        const stored = await journeyManager.getJourney(options.journeyId, organizationId);
+        if (!stored) {
+            throw new Error('Journey not found');
+        }
+        return stored;
+    }
+    
+    const journey = { ...options.journey, siteUrl: options.journey?.siteUrl || options.url };
+    const validationError = journeyManager.validateJourney(journey);
+    if (validationError) {
+        throw new Error(validationError);
+    }
+    return journey;
+}
+
+// Play a journey in one page of the (possibly logged-in) scan session and scan at each checkpoint.
+// Violations are tagged with the step they were found at so reports can group them.
+async function performJourneyScan({ browser, journey, targetUrl, organizationId, device, pageScanOptions, reviewDecisions, scanProfile, authProfile, startTime, progress }) {
+    const checkpointCount = journey.steps.filter(step => step.checkpoint).length;
+    console.log('🧭 Running journey "' + (journey.name || targetUrl) + '" (' + journey.steps.length + ' steps, ' + checkpointCount + ' checkpoints)');
+    
+    const page = await browser.newPage();
+    let run;
+    let checkpointIndex = 0;
+    
+    try {
+        await page.emulate({ viewport: device.viewport, userAgent: device.userAgent });
+        
+        run = await journeyManager.runJourney(page, { ...journey, siteUrl: targetUrl }, {
+            onStepStart: (step, index) => {
+                console.log('🧭 Step ' + (index + 1) + '/' + journey.steps.length + ': ' + step.action);
+            },
+            onCheckpoint: async (checkpointPage, step, index) => {
+                const pageUrl = checkpointPage.url();
+                progress.onPageStart?.({ url: pageUrl, index: checkpointIndex, total: checkpointCount });
+                
+                const pageResults = await auditLoadedPage(checkpointPage, { ...pageScanOptions, collectLinks: false });
+                const reviewed = applyReviewDecisions(pageUrl, pageResults, reviewDecisions);
+                const stepName = step.name || 'Step ' + (index + 1);
+                const violations = reviewed.violations.map(violation => ({
+                    ...violation,
+                    journeyStep: { index, name: stepName, url: pageUrl }
+                }));
+                
+                progress.onPageComplete?.({
+                    url: pageUrl,
+                    index: checkpointIndex++,
+                    total: checkpointCount,
+                    violationCount: violations.length,
+                    scanTime: pageResults.timing.axeMs
+                });
+                
+                return {
+                    violations,
+                    needsReview: reviewed.needsReview,
+                    reviewedPass: reviewed.reviewedPass,
+                    reviewedFail: reviewed.reviewedFail,
+                    frameCoverage: pageResults.frameCoverage,
+                    keyboard: pageResults.keyboard,
+                    accessibilityTree: pageResults.accessibilityTree,
+                    timing: pageResults.timing
+                };
+            }
+        });
+    } finally {
+        await page.close();
+    }
+    
+    // Flatten checkpoint scans into the step list
+    const steps = run.steps.map(({ scan, ...step }) => ({
+        ...step,
+        violations: scan ? scan.violations : [],
+        needsReviewCount: scan ? scan.needsReview.length : 0,
+        frameCoverage: scan?.frameCoverage,
+        keyboard: scan?.keyboard,
+        accessibilityTree: scan?.accessibilityTree,
+        timing: scan?.timing
+    }));
+    const scans = run.steps.filter(step => step.scan).map(step => step.scan);
+    const allViolations = steps.reduce((acc, step) => acc.concat(step.violations), []);
+    const needsReview = scans.reduce((acc, scan) => acc.concat(scan.needsReview), []);
+    const scanTime = Date.now() - startTime;
+    
+    console.log('✅ Journey ' + (run.completed ? 'completed' : 'stopped at step ' + (run.failedStep + 1)) + ' in ' + scanTime + 'ms. Found ' + allViolations.length + ' violations at ' + scans.length + ' checkpoints.');
+    
+    const accessibilityTrees = collectAccessibilityTrees(steps.map(step => ({ url: step.url, step: step.name, accessibilityTree: step.accessibilityTree })));
+    const score = scoreViolations(allViolations, { url: targetUrl, pagesScanned: scans.length });
+    const scanId = await saveScan(1, organizationId, targetUrl, 'journey', allViolations.length, scanTime, scans.length, allViolations, scanProfile, needsReview, accessibilityTrees, score);
+    await journeyManager.recordRun(journey.id, scanId);
+    
+    return {
+        success: true,
+        scanId: scanId,
+        url: targetUrl,
+        scanType: 'journey',
+        journey: { id: journey.id || null, name: journey.name || null, completed: run.completed, failedStep: run.failedStep },
+        steps: steps,
+        violations: allViolations,
+        totalIssues: allViolations.length,
+        score: score.score,
+        scoreBreakdown: score,
+        scanTime: scanTime,
+        timestamp: new Date().toISOString(),
+        authProfile: authProfile ? { id: authProfile.id || null, type: authProfile.type } : null,
+        scanProfile: scanProfile,
+        viewports: [{ name: device.name, label: device.label, width: device.viewport.width, height: device.viewport.height }],
+        needsReview: needsReview,
+        reviewSummary: {
+            needsReview: needsReview.length,
+            reviewedPass: scans.reduce((sum, scan) => sum + scan.reviewedPass, 0),
+            reviewedFail: scans.reduce((sum, scan) => sum + scan.reviewedFail, 0)
+        },
+        summary: {
+            critical: allViolations.filter(v => v.impact === 'critical').length,
+            serious: allViolations.filter(v => v.impact === 'serious').length,
+            moderate: allViolations.filter(v => v.impact === 'moderate').length,
+            minor: allViolations.filter(v => v.impact === 'minor').length
+        }
+    };
+}
+
+// Crawl a single-page app in one page of the scan session (one device - routes are
+// reached by clicking, so each device would need its own walk through the app)
+async function crawlSinglePageApp(crawler, browser, targetUrl, device, pageScanOptions, reviewDecisions, hooks) {
+    const page = await browser.newPage();
+    
+    try {
+        await page.emulate({ viewport: device.viewport, userAgent: device.userAgent });
+        
+        return await crawler.crawlInPage(page, targetUrl, async (routePage, pageUrl, depth, transition) => {
+            const pageStartTime = Date.now();
+            try {
+                // The crawler has already waited for the DOM to settle after the route change
+                const pageResults = await auditLoadedPage(routePage, { ...pageScanOptions, stabilizeMs: 0 });
+                
+                // Route-change findings get the same business impact treatment as axe's
+                pageResults.violations = pageResults.violations.concat(transition.violations.map(violation => ({
+                    ...violation,
+                    businessImpact: getBusinessImpact(violation, pageResults.websiteContext),
+                    websiteContext: pageResults.websiteContext
+                })));
+                pageResults.incomplete = pageResults.incomplete.concat(transition.incomplete);
+                const reviewed = applyReviewDecisions(pageUrl, pageResults, reviewDecisions);
+                
+                return {
+                    violations: reviewed.violations,
+                    needsReview: reviewed.needsReview,
+                    reviewedPass: reviewed.reviewedPass,
+                    reviewedFail: reviewed.reviewedFail,
+                    scanTime: Date.now() - pageStartTime,
+                    timing: pageResults.timing,
+                    frameCoverage: pageResults.frameCoverage,
+                    keyboard: pageResults.keyboard,
+                    accessibilityTree: pageResults.accessibilityTree
+                };
+            } catch (error) {
+                console.log('❌ Error scanning route ' + pageUrl + ':', error.message);
+                return {
+                    violations: [],
+                    scanTime: Date.now() - pageStartTime,
+                    error: error.message
+                };
+            }
+        }, hooks);
+    } finally {
+        await page.close();
+    }
+}
+
+// Transcripts to store with a scan: one entry per page (or journey checkpoint) that captured one
+function collectAccessibilityTrees(pages) {
+    const trees = pages
+        .filter(page => page.accessibilityTree)
+        .map(page => ({ url: page.url, step: page.step, ...page.accessibilityTree }));
+    return trees.length > 0 ? trees : null;
+}
+
+// Upper bound for a single crawl, whatever maxPages the request asks for
+const MAX_CRAWL_PAGES = parseInt(process.env.MAX_CRAWL_PAGES) || 100;
+
+// Core scan runner shared by /api/scan and background scan jobs.
+// `progress` may provide onPageStart({ url, index, total }) and
+// onPageComplete({ url, index, total, violationCount, scanTime, error }).
+async function performScan(options, progress = {}) {
+    const startTime = Date.now();
+    const { url, scanType = 'single', maxPages = 5, crawlOptions = {} } = options;
+    const organizationId = options.organizationId || 1;
+    let browser = null; // Browser pool session - exposes newPage() like a Browser
+    
+    // Journey scans start from the journey's own site URL
+    const journey = scanType === 'journey' ? await resolveJourney(options, organizationId) : null;
+    
+    let targetUrl = url || journey.siteUrl;
+    if (!targetUrl.startsWith('http://') && !targetUrl.startsWith('https://')) {
+        targetUrl = 'https://' + targetUrl;
+    }
+    
+    console.log('🔍 Starting accessibility scan for: ' + targetUrl + ' (type: ' + scanType + ')');
+    
+    try {
+        // PHASE 1 ENHANCEMENT: Platform Detection
+        let platformInfo = null;
+        
+        const authProfile = await resolveScanAuthProfile(options, targetUrl);
+        
+        // Target standard, rule overrides and selectors - axe defaults when no profile is given
+        const scanProfile = await scanProfileManager.resolveProfile({
+            organizationId,
+            scanProfileId: options.scanProfileId,
+            scanProfile: options.scanProfile
+        });
+        const axeConfig = scanProfileManager.buildAxeConfig(scanProfile);
+        console.log('📐 Using scan profile: ' + scanProfile.name);
+        
+        const reviewDecisions = await reviewDecisionManager.getDecisionMap(organizationId, targetUrl);
+        
+        // Phone, tablet and desktop profiles to scan each page with (desktop only by default)
+        const devices = resolveDeviceProfiles(options.viewports || (journey?.viewport ? [journey.viewport] : null));
+        const pageScanOptions = {
+            axeConfig,
+            keyboardAudit: options.keyboardAudit || false,
+            textSpacing: options.textSpacing || false,
+            mediaAudit: options.mediaAudit || false,
+            accessibilityTree: options.accessibilityTree || false,
+            // Re-scans under dark mode, forced colours, reduced motion or zoom (page-load scans only)
+            preferences: resolvePreferenceModes(options.preferences)
+        };
+        
+        // Each scan gets its own isolated context from the shared browser pool
+        browser = await browserPool.acquire();
+        
+        // Log in once for the whole scan - the isolated context keeps the session cookies
+        if (authProfile) {
+            browser = await authProfileManager.authenticateSession(browser, authProfile, targetUrl);
+        }
+        
+        if (scanType === 'journey') {
+            return await performJourneyScan({
+                browser, journey, targetUrl, organizationId, device: devices[0], pageScanOptions,
+                reviewDecisions, scanProfile, authProfile, startTime, progress
+            });
+        }
+        
+        if (scanType === 'crawl') {
+            // Multi-page crawl - breadth-first, seeded from the sitemap. SPA mode ("mode": "spa")
+            // stays in one page and follows in-app links with client-side navigation.
+            const spaMode = crawlOptions.mode === 'spa';
+            const CrawlerClass = spaMode ? SpaCrawler : SiteCrawler;
+            const crawlDevices = spaMode ? devices.slice(0, 1) : devices;
+            const crawler = new CrawlerClass({
+                ...crawlOptions,
+                maxPages: Math.min(parseInt(maxPages) || 5, MAX_CRAWL_PAGES)
+            });
+            console.log('🕷️ Starting ' + (spaMode ? 'single-page-app' : 'multi-page') + ' crawl (max ' + crawler.options.maxPages + ' pages, depth ' + crawler.options.maxDepth + ', ' + crawler.options.concurrency + ' at a time)');
+            
+            // PHASE 1 ENHANCEMENT: Detect platform alongside the crawl (once, from the start page)
+            let platformDetection = null;
+            
+            const crawlHooks = {
+                onPageStart: ({ url: pageUrl, index, total }) => {
+                    console.log('🔍 Scanning page ' + (index + 1) + '/' + total + ': ' + pageUrl);
+                    progress.onPageStart?.({ url: pageUrl, index, total });
+                },
+                onPageComplete: ({ url: pageUrl, index, total, result }) => {
+                    progress.onPageComplete?.({
+                        url: pageUrl,
+                        index,
+                        total,
+                        violationCount: (result.violations || []).length,
+                        scanTime: result.scanTime,
+                        error: result.error
+                    });
+                }
+            };
+            
+            // Pages are scanned in parallel; a failed page is recorded and the crawl carries on
+            const crawlResult = spaMode
+                ? await crawlSinglePageApp(crawler, browser, targetUrl, crawlDevices[0], pageScanOptions, reviewDecisions, crawlHooks)
+                : await crawler.crawl(targetUrl, async (pageUrl, depth) => {
+                    const pageStartTime = Date.now();
+                    try {
+                        const pageResults = await scanPageAcrossViewports(browser, pageUrl, devices, { ...pageScanOptions, collectLinks: depth < crawler.options.maxDepth });
+                        const reviewed = applyReviewDecisions(pageUrl, pageResults, reviewDecisions);
+                    
+                        if (!platformDetection) {
+                            platformDetection = detectPlatform(browser, pageUrl);
+                        }
+                    
+                        return {
+                            violations: reviewed.violations,
+                            needsReview: reviewed.needsReview,
+                            reviewedPass: reviewed.reviewedPass,
+                            reviewedFail: reviewed.reviewedFail,
+                            scanTime: Date.now() - pageStartTime,
+                            timing: pageResults.timing,
+                            viewports: pageResults.viewports,
+                            frameCoverage: pageResults.frameCoverage,
+                            keyboard: pageResults.keyboard,
+                            textSpacing: pageResults.textSpacing,
+                            media: pageResults.media,
+                            accessibilityTree: pageResults.accessibilityTree,
+                            preferences: pageResults.preferences,
+                            links: pageResults.links || []
+                        };
+                    } catch (error) {
+                        console.log('❌ Error scanning page ' + pageUrl + ':', error.message);
+                        return {
+                            violations: [],
+                            scanTime: Date.now() - pageStartTime,
+                            error: error.message,
+                            links: []
+                        };
+                    }
+                }, crawlHooks);
+            
+            if (spaMode && crawlResult.pages.length > 0) {
+                platformDetection = detectPlatform(browser, targetUrl);
+            }
+            
+            // Links are only needed while crawling; review items are listed once for the whole crawl
+            const needsReview = crawlResult.pages.reduce((acc, page) => acc.concat(page.needsReview || []), []);
+            const scannedPages = crawlResult.pages.map(({ links, index, needsReview: pageNeedsReview, reviewedPass, reviewedFail, ...page }) => ({
+                ...page,
+                needsReviewCount: (pageNeedsReview || []).length
+            }));
+            const reviewSummary = {
+                needsReview: needsReview.length,
+                reviewedPass: crawlResult.pages.reduce((sum, page) => sum + (page.reviewedPass || 0), 0),
+                reviewedFail: crawlResult.pages.reduce((sum, page) => sum + (page.reviewedFail || 0), 0)
+            };
+            
+            if (platformDetection) {
+                platformInfo = await platformDetection;
+                console.log('🔍 Platform detected:', platformInfo);
+            }
+            
+            // Aggregate results (tagged with their page so stored rows can be filtered by it)
+            const allViolations = scannedPages.reduce((acc, page) => acc.concat((page.violations || []).map(violation => ({ ...violation, pageUrl: page.url }))), []);
+            const scanTime = Date.now() - startTime;
+            
+            // Shared components (header, footer, cards) once per rule and element, with the pages they're on
+            const violations = deduplicateViolations(scannedPages);
+            const issueCounts = summarizeDeduplicated(violations);
+            
+            console.log('✅ Multi-page crawl completed in ' + scanTime + 'ms. Scanned ' + scannedPages.length + ' pages, found ' + allViolations.length + ' total violations (' + issueCounts.unique.issues + ' unique issues).');
+            
+            // Save to database - ADDED FOR PERSISTENCE
+            const score = scoreViolations(allViolations, { url: targetUrl, pagesScanned: scannedPages.length });
+            const scanId = await saveScan(1, organizationId, targetUrl, scanType, allViolations.length, scanTime, scannedPages.length, allViolations, scanProfile, needsReview, collectAccessibilityTrees(scannedPages), score);
+            
+            // PHASE 2F: Get website context from first page for multi-page scans
+            const firstPageContext = scannedPages.length > 0 && scannedPages[0].violations.length > 0 
+                ? scannedPages[0].violations[0].websiteContext 
+                : null;
+            
+            return {
+                success: true,
+                scanId: scanId,
+                url: targetUrl,
+                scanType: 'crawl',
+                pages: scannedPages,
+                violations: violations,
+                crawlStats: {
+                    mode: spaMode ? 'spa' : 'pages',
+                    discovered: crawlResult.discovered,
+                    skipped: crawlResult.skipped,
+                    maxDepth: crawler.options.maxDepth,
+                    concurrency: crawler.options.concurrency,
+                    failedPages: scannedPages.filter(page => page.error).length
+                },
+                totalIssues: allViolations.length,
+                score: score.score,
+                scoreBreakdown: score,
+                uniqueIssues: issueCounts.unique.issues,
+                scanTime: scanTime,
+                timestamp: new Date().toISOString(),
+                platformInfo: platformInfo,
+                websiteContext: firstPageContext, // PHASE 2F ENHANCEMENT
+                authProfile: authProfile ? { id: authProfile.id || null, type: authProfile.type } : null,
+                scanProfile: scanProfile,
+                viewports: crawlDevices.map(device => ({ name: device.name, label: device.label, width: device.viewport.width, height: device.viewport.height })),
+                viewportSummary: summarizeViewports(allViolations, crawlDevices),
+                needsReview: needsReview,
+                reviewSummary: reviewSummary,
+                // Severity counts are of unique issues; `total` counts every copy on every page
+                summary: {
+                    critical: issueCounts.unique.critical,
+                    serious: issueCounts.unique.serious,
+                    moderate: issueCounts.unique.moderate,
+                    minor: issueCounts.unique.minor,
+                    unique: issueCounts.unique,
+                    total: issueCounts.total,
+                    sharedIssues: issueCounts.sharedIssues
+                }
+            };
+        }
+        
+        // Single page scan (existing working functionality)
+        progress.onPageStart?.({ url: targetUrl, index: 0, total: 1 });
+        const pageResults = await scanPageAcrossViewports(browser, targetUrl, devices, pageScanOptions);
+        const reviewed = applyReviewDecisions(targetUrl, pageResults, reviewDecisions);
+        const results = { ...pageResults, violations: reviewed.violations };
+        const scanTime = Date.now() - startTime;
+        progress.onPageComplete?.({
+            url: targetUrl,
+            index: 0,
+            total: 1,
+            violationCount: results.violations.length,
+            scanTime: scanTime
+        });
+        
+        // PHASE 1 ENHANCEMENT: Detect platform for single page scans
+        platformInfo = await detectPlatform(browser, targetUrl);
+        console.log('🔍 Platform detected:', platformInfo);
+        
+        console.log('✅ Single page scan completed in ' + scanTime + 'ms. Found ' + results.violations.length + ' violations.');
+        
+        // Save to database - ADDED FOR PERSISTENCE
+        const score = scoreViolations(results.violations, { url: targetUrl, pagesScanned: 1 });
+        const scanId = await saveScan(1, organizationId, targetUrl, scanType, results.violations.length, scanTime, 1, results.violations, scanProfile, reviewed.needsReview,
+            collectAccessibilityTrees([{ url: targetUrl, accessibilityTree: results.accessibilityTree }]), score);
+        
+        return {
+            success: true,
+            scanId: scanId,
+            url: targetUrl,
+            scanType: 'single',
+            violations: results.violations,
+            timestamp: new Date().toISOString(),
+            totalIssues: results.violations.length,
+            score: score.score,
+            scoreBreakdown: score,
+            scanTime: scanTime,
+            timing: results.timing,
+            platformInfo: platformInfo, // PHASE 1 ENHANCEMENT
+            websiteContext: results.websiteContext, // PHASE 2F ENHANCEMENT
+            authProfile: authProfile ? { id: authProfile.id || null, type: authProfile.type } : null,
+            scanProfile: scanProfile,
+            viewports: pageResults.viewports,
+            viewportSummary: summarizeViewports(results.violations, devices),
+            frameCoverage: results.frameCoverage,
+            keyboard: results.keyboard,
+            textSpacing: results.textSpacing,
+            media: results.media,
+            accessibilityTree: results.accessibilityTree,
+            preferences: results.preferences,
+            needsReview: reviewed.needsReview,
+            reviewSummary: {
+                needsReview: reviewed.needsReview.length,
+                reviewedPass: reviewed.reviewedPass,
+                reviewedFail: reviewed.reviewedFail
+            },
+            summary: {
+                critical: results.violations.filter(v => v.impact === 'critical').length,
+                serious: results.violations.filter(v => v.impact === 'serious').length,
+                moderate: results.violations.filter(v => v.impact === 'moderate').length,
+                minor: results.violations.filter(v => v.impact === 'minor').length
+            }
+        };
+        
+    } catch (error) {
+        error.friendlyMessage = getFriendlyScanError(error);
+        throw error;
+    } finally {
+        if (browser) {
+            await browser.release();
+        }
+    }
+}
+
+// EXACT COPY OF WORKING API ENDPOINT WITH DATABASE INTEGRATION ADDED
+// Holds the request open for the whole scan - prefer POST /api/scans/jobs for crawls
+app.post('/api/scan', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        // Journey scans can take the URL from the stored or inline journey
+        if (!req.body.url && !(req.body.scanType === 'journey' && (req.body.journeyId || req.body.journey?.siteUrl))) {
+            return res.status(400).json({
+                success: false,
+                error: 'URL is required'
+            });
+        }
+        
+        // CI pipelines can ask for SARIF or JUnit XML (?format= / "format" / Accept header)
+        let format;
+        try {
+            format = negotiateFormat(req.query.format || req.body.format, req.get('Accept'));
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        
+        const result = await performScan(req.body);
+        if (format) {
+            return sendScanExport(res, { ...result, createdAt: result.timestamp }, format);
+        }
+        res.json(result);
+        
+    } catch (error) {
+        console.error('❌ Scan error:', error);
+        const scanTime = Date.now() - startTime;
+        
+        res.status(500).json({
+            success: false,
+            error: error.friendlyMessage || getFriendlyScanError(error),
+            scanTime: scanTime,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Authentication profiles - login details for scanning pages behind a login
+app.get('/api/auth-profiles', async (req, res) => {
+    try {
+        const userId = parseInt(req.query.user_id) || 1;
+        const profiles = await authProfileManager.listProfiles(userId);
+        
+        res.json({ success: true, profiles: profiles });
+    } catch (error) {
+        console.error('List auth profiles error:', error);
+        res.status(500).json({ success: false, error: 'Failed to list auth profiles' });
+    }
+});
+
+app.post('/api/auth-profiles', async (req, res) => {
+    try {
+        const { siteUrl, name, type, config, websiteConnectionId, userId = 1 } = req.body;
+        
+        if (!siteUrl) {
+            return res.status(400).json({ success: false, error: 'siteUrl is required' });
+        }
+        
+        const validationError = authProfileManager.validateProfile({ type, config });
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        const storageError = authProfileManager.storageError();
+        if (storageError) {
+            return res.status(503).json({ success: false, error: storageError });
+        }
+        
+        const profile = await authProfileManager.saveProfile({ siteUrl, name, type, config, websiteConnectionId, userId });
+        res.status(201).json({ success: true, profile: profile });
+    } catch (error) {
+        console.error('Save auth profile error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save auth profile' });
+    }
+});
+
+app.put('/api/auth-profiles/:profileId', async (req, res) => {
+    try {
+        const { name, type, config, userId = 1 } = req.body;
+        
+        if (config) {
+            const validationError = authProfileManager.validateProfile({ type, config });
+            if (validationError) {
+                return res.status(400).json({ success: false, error: validationError });
+            }
+        }
+        
+        const profile = await authProfileManager.updateProfile(req.params.profileId, userId, { name, type, config });
+        if (!profile) {
+            return res.status(404).json({ success: false, error: 'Auth profile not found' });
+        }
+        
+        res.json({ success: true, profile: profile });
+    } catch (error) {
+        if (error.code === 'AUTH_PROFILE_UNREADABLE') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        console.error('Update auth profile error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update auth profile' });
+    }
+});
+
+app.delete('/api/auth-profiles/:profileId', async (req, res) => {
+    try {
+        const userId = parseInt(req.query.user_id) || 1;
+        const deleted = await authProfileManager.deleteProfile(req.params.profileId, userId);
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Auth profile not found' });
+        }
+        
+        res.json({ success: true, message: 'Auth profile deleted' });
+    } catch (error) {
+        console.error('Delete auth profile error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete auth profile' });
+    }
+});
+
+// Scan profiles - reusable conformance level, rule selection and selectors per organization
+app.get('/api/scan-profiles/standards', (req, res) => {
+    res.json({ success: true, ...scanProfileManager.getCatalog() });
+});
+
+app.get('/api/scan-profiles', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const profiles = await scanProfileManager.listProfiles(organizationId);
+        
+        res.json({ success: true, profiles: profiles });
+    } catch (error) {
+        console.error('List scan profiles error:', error);
+        res.status(500).json({ success: false, error: 'Failed to list scan profiles' });
+    }
+});
+
+app.post('/api/scan-profiles', async (req, res) => {
+    try {
+        const { organizationId, name, standard, includeBestPractices, rules, include, exclude } = req.body;
+        
+        if (!name) {
+            return res.status(400).json({ success: false, error: 'name is required' });
+        }
+        
+        const settings = { name, standard, includeBestPractices, rules, include, exclude };
+        const validationError = scanProfileManager.validateProfile(settings);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        const profile = await scanProfileManager.saveProfile(parseInt(organizationId) || 1, settings);
+        res.status(201).json({ success: true, profile: profile });
+    } catch (error) {
+        console.error('Save scan profile error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save scan profile' });
+    }
+});
+
+app.put('/api/scan-profiles/:profileId', async (req, res) => {
+    try {
+        const { organizationId, name, standard, includeBestPractices, rules, include, exclude } = req.body;
+        const settings = { name, standard, includeBestPractices, rules, include, exclude };
+        
+        const validationError = scanProfileManager.validateProfile(settings);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        const profile = await scanProfileManager.updateProfile(req.params.profileId, parseInt(organizationId) || 1, settings);
+        if (!profile) {
+            return res.status(404).json({ success: false, error: 'Scan profile not found' });
+        }
+        
+        res.json({ success: true, profile: profile });
+    } catch (error) {
+        console.error('Update scan profile error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update scan profile' });
+    }
+});
+
+app.delete('/api/scan-profiles/:profileId', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const deleted = await scanProfileManager.deleteProfile(req.params.profileId, organizationId);
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Scan profile not found' });
+        }
+        
+        res.json({ success: true, message: 'Scan profile deleted' });
+    } catch (error) {
+        console.error('Delete scan profile error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete scan profile' });
+    }
+});
+
+// Review decisions - reviewer verdicts on axe "incomplete" items, reused by later scans
+app.get('/api/review-decisions', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const decisions = await reviewDecisionManager.listDecisions(organizationId, req.query.site || null);
+        
+        res.json({ success: true, decisions: decisions });
+    } catch (error) {
+        console.error('List review decisions error:', error);
+        res.status(500).json({ success: false, error: 'Failed to list review decisions' });
+    }
+});
+
+app.post('/api/review-decisions', async (req, res) => {
+    try {
+        const { organizationId, pageUrl, ruleId, target, decision, note, reviewedBy } = req.body;
+        
+        const validationError = reviewDecisionManager.validateDecision({ pageUrl, ruleId, target, decision });
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        const saved = await reviewDecisionManager.saveDecision({
+            organizationId: parseInt(organizationId) || 1,
+            pageUrl, ruleId, target, decision, note, reviewedBy
+        });
+        res.status(201).json({ success: true, decision: saved });
+    } catch (error) {
+        console.error('Save review decision error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save review decision' });
+    }
+});
+
+app.delete('/api/review-decisions/:decisionId', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const deleted = await reviewDecisionManager.deleteDecision(req.params.decisionId, organizationId);
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Review decision not found' });
+        }
         
+        res.json({ success: true, message: 'Review decision deleted' });
     } catch (error) {
-        console.log('❌ Platform detection failed:', error.message);
-        return {
-            type: 'unknown',
-            name: 'Unknown',
-            confidence: 0,
-            error: error.message
-        };
-    } finally {
-        await page.close();
+        console.error('Delete review decision error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete review decision' });
+    }
+});
+
+// User journeys - scripted multi-step flows scanned at checkpoints
+app.get('/api/journeys', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const journeys = await journeyManager.listJourneys(organizationId, req.query.site_url || null);
+        
+        res.json({ success: true, journeys: journeys });
+    } catch (error) {
+        console.error('List journeys error:', error);
+        res.status(500).json({ success: false, error: 'Failed to list journeys' });
+    }
+});
+
+app.post('/api/journeys', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.body.organizationId) || 1;
+        const validationError = journeyManager.validateJourney(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        const journey = await journeyManager.saveJourney(organizationId, req.body);
+        res.json({ success: true, journey: journey });
+    } catch (error) {
+        console.error('Save journey error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save journey' });
+    }
+});
+
+app.put('/api/journeys/:journeyId', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.body.organizationId) || 1;
+        const existing = await journeyManager.getJourney(req.params.journeyId, organizationId);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Journey not found' });
+        }
+        
+        const validationError = journeyManager.validateJourney({
+            siteUrl: req.body.siteUrl || existing.siteUrl,
+            steps: req.body.steps || existing.steps
+        });
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        const journey = await journeyManager.updateJourney(req.params.journeyId, organizationId, req.body);
+        res.json({ success: true, journey: journey });
+    } catch (error) {
+        console.error('Update journey error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update journey' });
+    }
+});
+
+app.delete('/api/journeys/:journeyId', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const deleted = await journeyManager.deleteJourney(req.params.journeyId, organizationId);
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Journey not found' });
+        }
+        
+        res.json({ success: true, message: 'Journey deleted' });
+    } catch (error) {
+        console.error('Delete journey error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete journey' });
+    }
+});
+
+// Re-run a saved journey as a background scan job
+app.post('/api/journeys/:journeyId/run', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.body.organizationId) || 1;
+        const journey = await journeyManager.getJourney(req.params.journeyId, organizationId);
+        if (!journey) {
+            return res.status(404).json({ success: false, error: 'Journey not found' });
+        }
+        
+        const job = scanJobManager.submitJob(
+            { ...req.body, url: journey.siteUrl, scanType: 'journey', journeyId: journey.id, organizationId, userId: req.body.userId || 1 },
+            (job, reporter) => performScan(job.options, reporter)
+        );
+        
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/scans/jobs/${job.id}`,
+            streamUrl: `/api/scans/jobs/${job.id}/stream`
+        });
+    } catch (error) {
+        console.error('Run journey error:', error);
+        res.status(500).json({ success: false, error: 'Failed to start journey scan' });
+    }
+});
+
+// Recurring scan schedules with regression alerts
+async function checkScheduleReferences(schedule, organizationId) {
+    if (schedule.scanProfileId && !(await scanProfileManager.getProfile(schedule.scanProfileId, organizationId))) {
+        return 'Scan profile not found';
+    }
+    if (schedule.scanType === 'journey' && !(await journeyManager.getJourney(schedule.scanOptions.journeyId, organizationId))) {
+        return 'Journey not found';
     }
+    return null;
 }
 
-// EXACT COPY OF WORKING API ENDPOINT WITH DATABASE INTEGRATION ADDED
-app.post('/api/scan', async (req, res) => {
-    const startTime = Date.now();
-    let browser = null;
-    
+app.get('/api/schedules', async (req, res) => {
     try {
-        const { url, scanType = 'single', maxPages = 5 } = req.body;
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const schedules = await scanScheduler.listSchedules(organizationId);
         
-        if (!url) {
-            return res.status(400).json({
+        res.json({ success: true, schedules: schedules });
+    } catch (error) {
+        console.error('List schedules error:', error);
+        res.status(500).json({ success: false, error: 'Failed to list schedules' });
+    }
+});
+
+app.post('/api/schedules', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.body.organizationId) || 1;
+        const validationError = scanScheduler.validateSchedule(req.body) || await checkScheduleReferences(req.body, organizationId);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        const schedule = await scanScheduler.saveSchedule(organizationId, req.body);
+        res.json({ success: true, schedule: schedule });
+    } catch (error) {
+        console.error('Save schedule error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save schedule' });
+    }
+});
+
+app.put('/api/schedules/:scheduleId', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.body.organizationId) || 1;
+        const existing = await scanScheduler.getSchedule(req.params.scheduleId, organizationId);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
+        }
+        
+        const merged = { ...existing, ...req.body, scanOptions: req.body.scanOptions || existing.scanOptions };
+        const validationError = scanScheduler.validateSchedule(merged) || await checkScheduleReferences(merged, organizationId);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        
+        const schedule = await scanScheduler.updateSchedule(req.params.scheduleId, organizationId, req.body);
+        res.json({ success: true, schedule: schedule });
+    } catch (error) {
+        console.error('Update schedule error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update schedule' });
+    }
+});
+
+app.delete('/api/schedules/:scheduleId', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const deleted = await scanScheduler.deleteSchedule(req.params.scheduleId, organizationId);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
+        }
+        
+        res.json({ success: true, message: 'Schedule deleted' });
+    } catch (error) {
+        console.error('Delete schedule error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete schedule' });
+    }
+});
+
+// Run a schedule now, outside its cron times (the next scheduled run is unchanged)
+app.post('/api/schedules/:scheduleId/run', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.body.organizationId) || 1;
+        const schedule = await scanScheduler.getSchedule(req.params.scheduleId, organizationId);
+        if (!schedule) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
+        }
+        // The lease is shared with the scheduler on every instance, so a run here can't overlap one elsewhere
+        const claimed = await scanScheduler.claimSchedule(schedule);
+        if (!claimed) {
+            return res.status(409).json({ success: false, error: 'This schedule is already running' });
+        }
+        
+        scanScheduler.runSchedule(claimed).catch(error => console.error(`Scheduled scan ${schedule.id} failed:`, error.message));
+        res.status(202).json({ success: true, message: 'Scheduled scan started', scheduleId: schedule.id });
+    } catch (error) {
+        console.error('Run schedule error:', error);
+        res.status(500).json({ success: false, error: 'Failed to start scheduled scan' });
+    }
+});
+
+app.get('/api/schedules/:scheduleId/alerts', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const schedule = await scanScheduler.getSchedule(req.params.scheduleId, organizationId);
+        if (!schedule) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
+        }
+        
+        const alerts = await scanScheduler.listAlerts(schedule.id, organizationId);
+        res.json({ success: true, alerts: alerts });
+    } catch (error) {
+        console.error('List schedule alerts error:', error);
+        res.status(500).json({ success: false, error: 'Failed to list schedule alerts' });
+    }
+});
+
+// Accessibility Conformance Reports (VPAT 2.x WCAG edition)
+app.get('/api/conformance-reports', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const reports = await conformanceReportManager.listReports(organizationId);
+        
+        res.json({ success: true, reports: reports });
+    } catch (error) {
+        console.error('List conformance reports error:', error);
+        res.status(500).json({ success: false, error: 'Failed to list conformance reports' });
+    }
+});
+
+// Generate a draft report from saved scans
+// POST /api/conformance-reports { scanIds: [57, 58], title?, product?: { name, version, description, contact, notes }, wcagVersion?: '2.2', level?: 'AA' }
+app.post('/api/conformance-reports', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(500).json({
                 success: false,
-                error: 'URL is required'
+                error: 'Database connection not available'
             });
         }
         
-        let targetUrl = url;
-        if (!targetUrl.startsWith('http://') && !targetUrl.startsWith('https://')) {
-            targetUrl = 'https://' + targetUrl;
+        const organizationId = parseInt(req.body.organizationId) || 1;
+        const scanIds = Array.isArray(req.body.scanIds) ? Array.from(new Set(req.body.scanIds.map(id => parseInt(id)))) : [];
+        if (scanIds.length === 0 || scanIds.some(id => !id)) {
+            return res.status(400).json({ success: false, error: 'scanIds must list one or more saved scan ids' });
+        }
+        const validationError = validateReportOptions(req.body) ||
+            (req.body.product !== undefined ? conformanceReportManager.validateReportChanges({ product: req.body.product }) : null);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
         }
         
-        console.log('🔍 Starting accessibility scan for: ' + targetUrl + ' (type: ' + scanType + ')');
+        const result = await db.query(
+            'SELECT id, url, scan_type, pages_scanned, violations_data, created_at FROM scans WHERE id = ANY($1) AND organization_id = $2 ORDER BY created_at',
+            [scanIds, organizationId]
+        );
+        if (result.rows.length !== scanIds.length) {
+            const found = result.rows.map(row => row.id);
+            return res.status(404).json({ success: false, error: `Scan(s) not found: ${scanIds.filter(id => !found.includes(id)).join(', ')}` });
+        }
+        
+        const scans = result.rows.map(row => ({
+            scanId: row.id,
+            url: row.url,
+            scanType: row.scan_type,
+            pagesScanned: row.pages_scanned,
+            createdAt: row.created_at,
+            violations: typeof row.violations_data === 'string' ? JSON.parse(row.violations_data) : (row.violations_data || [])
+        }));
+        const report = buildConformanceReport(scans, {
+            title: req.body.title,
+            product: req.body.product,
+            wcagVersion: req.body.wcagVersion,
+            level: req.body.level
+        });
         
-        // PHASE 1 ENHANCEMENT: Platform Detection
-        let platformInfo = null;
+        const saved = await conformanceReportManager.saveReport(organizationId, report, parseInt(req.body.generatedBy) || null);
+        res.status(201).json({ success: true, report: saved });
+    } catch (error) {
+        console.error('Generate conformance report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to generate conformance report' });
+    }
+});
+
+app.get('/api/conformance-reports/:reportId', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const report = await conformanceReportManager.getReport(req.params.reportId, organizationId);
+        if (!report) {
+            return res.status(404).json({ success: false, error: 'Conformance report not found' });
+        }
         
-        // Launch Puppeteer - EXACT WORKING CONFIGURATION
-        browser = await puppeteer.launch({
-            headless: 'new',
-            executablePath: '/usr/bin/google-chrome-stable',
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--no-zygote',
-                '--single-process',
-                '--disable-gpu',
-                '--disable-web-security',
-                '--disable-features=VizDisplayCompositor',
-                '--disable-background-timer-throttling',
-                '--disable-backgrounding-occluded-windows',
-                '--disable-renderer-backgrounding'
-            ],
-            timeout: 60000
-        });
+        res.json({ success: true, report: report });
+    } catch (error) {
+        console.error('Get conformance report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get conformance report' });
+    }
+});
+
+// Update the title, product details or status ("final" locks the criteria)
+app.put('/api/conformance-reports/:reportId', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.body.organizationId) || 1;
+        const validationError = conformanceReportManager.validateReportChanges(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
         
-        if (scanType === 'single') {
-            // Single page scan (existing working functionality)
-            const results = await scanSinglePage(browser, targetUrl);
-            const scanTime = Date.now() - startTime;
-            
-            // PHASE 1 ENHANCEMENT: Detect platform for single page scans
-            platformInfo = await detectPlatform(browser, targetUrl);
-            console.log('🔍 Platform detected:', platformInfo);
-            
-            console.log('✅ Single page scan completed in ' + scanTime + 'ms. Found ' + results.violations.length + ' violations.');
-            
-            // Save to database - ADDED FOR PERSISTENCE
-            await saveScan(1, 1, targetUrl, scanType, results.violations.length, scanTime, 1, results.violations);
-            
-            res.json({
-                success: true,
-                url: targetUrl,
-                violations: results.violations,
-                timestamp: new Date().toISOString(),
-                totalIssues: results.violations.length,
-                scanTime: scanTime,
-                platformInfo: platformInfo, // PHASE 1 ENHANCEMENT
-                websiteContext: results.websiteContext, // PHASE 2F ENHANCEMENT
-                summary: {
-                    critical: results.violations.filter(v => v.impact === 'critical').length,
-                    serious: results.violations.filter(v => v.impact === 'serious').length,
-                    moderate: results.violations.filter(v => v.impact === 'moderate').length,
-                    minor: results.violations.filter(v => v.impact === 'minor').length
-                }
-            });
-            
-        } else if (scanType === 'crawl') {
-            // Multi-page crawl - EXACT WORKING LOGIC
-            console.log('🕷️ Starting multi-page crawl (max ' + maxPages + ' pages)');
-            
-            const scannedPages = [];
-            const urlsToScan = [targetUrl];
-            const scannedUrls = new Set();
-            
-            // Scan the first page and extract links
-            const firstPageResults = await scanSinglePage(browser, targetUrl);
-            
-            // PHASE 1 ENHANCEMENT: Detect platform after first page scan
-            if (!platformInfo) {
-                platformInfo = await detectPlatform(browser, targetUrl);
-                console.log('🔍 Platform detected:', platformInfo);
-            }
-            
-            scannedPages.push({
-                url: targetUrl,
-                violations: firstPageResults.violations,
-                scanTime: Date.now() - startTime
-            });
-            scannedUrls.add(targetUrl);
-            
-            // Extract links from the first page for crawling
-            if (maxPages > 1) {
-                const page = await browser.newPage();
-                try {
-                    await page.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-                    const links = await extractLinks(page, targetUrl);
-                    
-                    // Add unique links to scan queue
-                    for (const link of links) {
-                        if (urlsToScan.length < maxPages && !scannedUrls.has(link)) {
-                            urlsToScan.push(link);
-                        }
-                    }
-                } catch (error) {
-                    console.log('Error extracting links:', error.message);
-                } finally {
-                    await page.close();
-                }
-            }
-            
-            // Scan additional pages
-            for (let i = 1; i < urlsToScan.length && i < maxPages; i++) {
-                const pageUrl = urlsToScan[i];
-                if (scannedUrls.has(pageUrl)) continue;
-                
-                try {
-                    console.log('🔍 Scanning page ' + (i + 1) + '/' + Math.min(urlsToScan.length, maxPages) + ': ' + pageUrl);
-                    const pageStartTime = Date.now();
-                    const pageResults = await scanSinglePage(browser, pageUrl);
-                    
-                    scannedPages.push({
-                        url: pageUrl,
-                        violations: pageResults.violations,
-                        scanTime: Date.now() - pageStartTime
-                    });
-                    scannedUrls.add(pageUrl);
-                    
-                } catch (error) {
-                    console.log('❌ Error scanning page ' + pageUrl + ':', error.message);
-                    scannedPages.push({
-                        url: pageUrl,
-                        violations: [],
-                        scanTime: 0,
-                        error: error.message
-                    });
-                }
-            }
-            
-            // Aggregate results
-            const allViolations = scannedPages.reduce((acc, page) => acc.concat(page.violations || []), []);
-            const scanTime = Date.now() - startTime;
-            
-            console.log('✅ Multi-page crawl completed in ' + scanTime + 'ms. Scanned ' + scannedPages.length + ' pages, found ' + allViolations.length + ' total violations.');
-            
-            // Save to database - ADDED FOR PERSISTENCE
-            await saveScan(1, 1, targetUrl, scanType, allViolations.length, scanTime, scannedPages.length, allViolations);
-            
-            // PHASE 2F: Get website context from first page for multi-page scans
-            const firstPageContext = scannedPages.length > 0 && scannedPages[0].violations.length > 0 
-                ? scannedPages[0].violations[0].websiteContext 
-                : null;
-            
-            res.json({
-                success: true,
-                scanType: 'crawl',
-                pages: scannedPages,
-                totalIssues: allViolations.length,
-                scanTime: scanTime,
-                timestamp: new Date().toISOString(),
-                websiteContext: firstPageContext, // PHASE 2F ENHANCEMENT
-                summary: {
-                    critical: allViolations.filter(v => v.impact === 'critical').length,
-                    serious: allViolations.filter(v => v.impact === 'serious').length,
-                    moderate: allViolations.filter(v => v.impact === 'moderate').length,
-                    minor: allViolations.filter(v => v.impact === 'minor').length
-                }
-            });
+        const report = await conformanceReportManager.updateReport(req.params.reportId, organizationId, req.body);
+        if (!report) {
+            return res.status(404).json({ success: false, error: 'Conformance report not found' });
         }
         
+        res.json({ success: true, report: report });
     } catch (error) {
-        console.error('❌ Scan error:', error);
-        const scanTime = Date.now() - startTime;
+        console.error('Update conformance report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update conformance report' });
+    }
+});
+
+// Reviewer edit of one criterion
+// PUT /api/conformance-reports/:reportId/criteria/1.4.3 { conformance?: 'Partially Supports', remarks?: '...', reviewedBy? }
+app.put('/api/conformance-reports/:reportId/criteria/:criterionId', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.body.organizationId) || 1;
+        const validationError = conformanceReportManager.validateCriterionChanges(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
         
-        let errorMessage = error.message;
-        if (errorMessage.includes('Navigation timeout')) {
-            errorMessage = 'Website took too long to load. This may be due to slow server response or complex page content. Please try a different URL or try again later.';
-        } else if (errorMessage.includes('net::ERR_NAME_NOT_RESOLVED')) {
-            errorMessage = 'Website not found. Please check the URL and try again.';
-        } else if (errorMessage.includes('net::ERR_CONNECTION_REFUSED')) {
-            errorMessage = 'Connection refused. The website may be down or blocking automated access.';
+        const existing = await conformanceReportManager.getReport(req.params.reportId, organizationId);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Conformance report not found' });
+        }
+        if (!existing.criteria.some(criterion => criterion.id === req.params.criterionId)) {
+            return res.status(404).json({ success: false, error: `Criterion ${req.params.criterionId} is not in this report` });
+        }
+        if (existing.status === 'final') {
+            return res.status(409).json({ success: false, error: 'This report is final - set its status back to draft to edit criteria' });
         }
         
-        res.status(500).json({
-            success: false,
-            error: errorMessage,
-            scanTime: scanTime,
-            timestamp: new Date().toISOString()
-        });
-    } finally {
-        if (browser) {
-            try {
-                await browser.close();
-                console.log('🔒 Browser closed successfully');
-            } catch (closeError) {
-                console.error('❌ Error closing browser:', closeError);
+        const report = await conformanceReportManager.updateCriterion(existing.id, organizationId, req.params.criterionId, {
+            conformance: req.body.conformance,
+            remarks: req.body.remarks
+        }, req.body.reviewedBy || null);
+        res.json({ success: true, report: report });
+    } catch (error) {
+        console.error('Update conformance criterion error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update criterion' });
+    }
+});
+
+app.delete('/api/conformance-reports/:reportId', async (req, res) => {
+    try {
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const deleted = await conformanceReportManager.deleteReport(req.params.reportId, organizationId);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Conformance report not found' });
+        }
+        
+        res.json({ success: true, message: 'Conformance report deleted' });
+    } catch (error) {
+        console.error('Delete conformance report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete conformance report' });
+    }
+});
+
+// The report document
+// GET /api/conformance-reports/:reportId/export?format=html|pdf|docx
+app.get('/api/conformance-reports/:reportId/export', async (req, res) => {
+    try {
+        const format = String(req.query.format || 'html').toLowerCase();
+        if (!['html', 'pdf', 'docx'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'Choose an export format: ?format=html, pdf or docx' });
+        }
+        
+        const organizationId = parseInt(req.query.organization_id) || 1;
+        const report = await conformanceReportManager.getReport(req.params.reportId, organizationId);
+        if (!report) {
+            return res.status(404).json({ success: false, error: 'Conformance report not found' });
+        }
+        
+        if (format === 'html') {
+            res.set('Content-Type', 'text/html; charset=utf-8');
+            if (req.query.download === 'true') {
+                res.set('Content-Disposition', `attachment; filename="${acrFilename(report, 'html')}"`);
             }
+            return res.send(buildAcrHtml(report));
         }
+        
+        const body = format === 'pdf' ? await renderAcrPdf(browserPool, report) : await toDocx(report);
+        res.set({
+            'Content-Type': format === 'pdf' ? 'application/pdf' : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'Content-Disposition': `attachment; filename="${acrFilename(report, format)}"`,
+            'Content-Length': body.length
+        });
+        res.send(body);
+    } catch (error) {
+        console.error('Export conformance report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to export conformance report' });
     }
 });
 
@@ -6877,6 +9756,26 @@ app.post('/api/platforms/connect/wordpress', async (req, res) => {
         if (typeof username === 'string' && username.length > 0 && 
             typeof password === 'string' && password.length > 0) {
             
+            // Compliance monitoring: an optional recurring scan of the connected site
+            let schedule = null;
+            if (req.body.schedule) {
+                const organizationId = parseInt(req.body.organizationId) || 1;
+                const scheduleRequest = {
+                    siteUrl: cleanUrl,
+                    name: `WordPress monitoring - ${cleanUrl}`,
+                    cron: req.body.schedule,
+                    scanType: req.body.scanType || 'crawl',
+                    scanProfileId: req.body.scanProfileId,
+                    scanOptions: req.body.scanOptions || {},
+                    alertWebhookUrl: req.body.alertWebhookUrl
+                };
+                const validationError = scanScheduler.validateSchedule(scheduleRequest) || await checkScheduleReferences(scheduleRequest, organizationId);
+                if (validationError) {
+                    return res.status(400).json({ success: false, error: validationError });
+                }
+                schedule = await scanScheduler.saveSchedule(organizationId, scheduleRequest);
+            }
+            
             // Simulate connection delay
             await new Promise(resolve => setTimeout(resolve, 1500));
             
@@ -6885,7 +9784,9 @@ app.post('/api/platforms/connect/wordpress', async (req, res) => {
                 message: 'WordPress site connected successfully! You can now run automated accessibility scans.',
                 platform: 'wordpress',
                 url: cleanUrl,
-                capabilities: ['automated_scanning', 'fix_suggestions', 'compliance_monitoring']
+                capabilities: ['automated_scanning', 'fix_suggestions', 'compliance_monitoring'],
+                schedule: schedule,
+                schedulesUrl: '/api/schedules'
             });
         } else {
             res.status(400).json({ 
@@ -7579,6 +10480,18 @@ if (deploymentTracker) {
     setupDeploymentStatusEndpoints(app, deploymentTracker);
 }
 
+// Setup background scan job endpoints
+setupScanJobEndpoints(app, scanJobManager, performScan);
+
+// Close pooled browsers when Cloud Run stops the instance
+process.on('SIGTERM', async () => {
+    console.log('📴 SIGTERM received, shutting down browser pool...');
+    scanScheduler.stop();
+    await scanJobManager.stop();
+    await browserPool.shutdown();
+    process.exit(0);
+});
+
 // Start server
 app.listen(PORT, () => {
     console.log('🚀 SentryPrime Enterprise Dashboard running on port ' + PORT);
@@ -7586,4 +10499,6 @@ app.listen(PORT, () => {
     console.log('🔍 Scanner: http://localhost:' + PORT + '/');
     console.log('💾 Database: ' + (db ? 'Connected' : 'Standalone mode'));
     console.log('🌐 Environment: ' + (process.env.K_SERVICE ? 'Cloud Run' : 'Local'));
+    scanScheduler.start();
+    scanJobManager.start();
 });
@@ -0,0 +1,421 @@
+/**
+ * Site Crawler for SentryPrime
+ * Breadth-first crawling with sitemap seeding, depth limits, include/exclude
+ * rules, URL normalization, robots.txt support and concurrent page visits
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const axios = require('axios');
+const zlib = require('zlib');
+
+const CRAWLER_USER_AGENT = 'SentryPrime';
+const TRACKING_PARAMS = /^(utm_[a-z]+|fbclid|gclid|msclkid|mc_cid|mc_eid|_ga|_hsenc|_hsmi)$/i;
+const NON_PAGE_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|zip|gz|docx?|xlsx?|pptx?|mp3|mp4|mov|avi|woff2?|ttf|eot)$/i;
+
+class SiteCrawler {
+    constructor(options = {}) {
+        this.options = {
+            maxPages: options.maxPages || 5,
+            maxDepth: options.maxDepth !== undefined ? options.maxDepth : 2,
+            include: options.include || [],
+            exclude: options.exclude || [],
+            useSitemap: options.useSitemap !== false,
+            respectRobots: options.respectRobots !== false,
+            ignoreQueryParams: options.ignoreQueryParams || false, // true, false or list of param names
+            trailingSlash: options.trailingSlash || 'strip', // 'strip' or 'keep'
+            concurrency: Math.max(1, options.concurrency || 3),
+            politenessDelay: options.politenessDelay !== undefined ? options.politenessDelay : 500, // ms between page loads per host
+            maxSitemapUrls: options.maxSitemapUrls || 5000,
+            requestTimeout: options.requestTimeout || 15000
+        };
+
+        this.includePatterns = this.compilePatterns(this.options.include);
+        this.excludePatterns = this.compilePatterns(this.options.exclude);
+        this.robotsRules = null;
+        this.sitemapsFromRobots = [];
+        this.nextRequestAt = new Map();
+    }
+
+    /**
+     * Normalize a URL so equivalent addresses are only crawled once
+     * @param {string} url - Absolute or relative URL
+     * @param {string} base - Base URL for relative links
+     * @returns {string|null} Normalized URL, or null if not crawlable
+     */
+    normalizeUrl(url, base) {
+        let parsed;
+        try {
+            parsed = new URL(url, base);
+        } catch (error) {
+            return null;
+        }
+
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return null;
+        }
+
+        // Fragments never change the document that gets scanned
+        parsed.hash = '';
+        parsed.hostname = parsed.hostname.toLowerCase();
+        if ((parsed.protocol === 'http:' && parsed.port === '80') || (parsed.protocol === 'https:' && parsed.port === '443')) {
+            parsed.port = '';
+        }
+
+        parsed.pathname = parsed.pathname.replace(/\/{2,}/g, '/');
+        if (this.options.trailingSlash === 'strip' && parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+            parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+        }
+
+        // Drop tracking and ignored parameters, then sort the rest for a stable key
+        const ignored = this.options.ignoreQueryParams;
+        const params = Array.from(parsed.searchParams.entries())
+            .filter(([name]) => !TRACKING_PARAMS.test(name))
+            .filter(([name]) => ignored !== true && !(Array.isArray(ignored) && ignored.includes(name)))
+            .sort(([a], [b]) => a.localeCompare(b));
+
+        parsed.search = '';
+        params.forEach(([name, value]) => parsed.searchParams.append(name, value));
+
+        return parsed.href;
+    }
+
+    /**
+     * Compile glob or regex pattern strings
+     * "/^\/blog\//i" is treated as a regex, anything else as a glob ("/blog/**", "*.html")
+     */
+    compilePatterns(patterns) {
+        const list = Array.isArray(patterns) ? patterns : [patterns];
+
+        return list.filter(Boolean).map(pattern => {
+            if (pattern instanceof RegExp) {
+                return pattern;
+            }
+
+            const regexMatch = String(pattern).match(/^\/(.+)\/([gimsuy]*)$/);
+            if (regexMatch) {
+                return new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+            }
+
+            return this.globToRegExp(String(pattern));
+        });
+    }
+
+    globToRegExp(glob) {
+        let regex = '';
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+            if (char === '*') {
+                if (glob[i + 1] === '*') {
+                    regex += '.*';
+                    i++;
+                } else {
+                    regex += '[^/]*';
+                }
+            } else if (char === '?') {
+                regex += '.';
+            } else {
+                regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+
+        // Globs starting with a scheme match the full URL, otherwise path + query
+        return new RegExp('^' + regex + '$', 'i');
+    }
+
+    matchesPatterns(url, patterns) {
+        const parsed = new URL(url);
+        const pathAndQuery = parsed.pathname + parsed.search;
+
+        return patterns.some(pattern => pattern.test(url) || pattern.test(pathAndQuery));
+    }
+
+    /**
+     * Decide whether a normalized URL should be crawled
+     * @returns {string|null} Skip reason, or null if allowed
+     */
+    getSkipReason(url, origin) {
+        const parsed = new URL(url);
+
+        if (parsed.origin !== origin) return 'external';
+        if (NON_PAGE_EXTENSIONS.test(parsed.pathname)) return 'non-page';
+        if (this.includePatterns.length > 0 && !this.matchesPatterns(url, this.includePatterns)) return 'not-included';
+        if (this.excludePatterns.length > 0 && this.matchesPatterns(url, this.excludePatterns)) return 'excluded';
+        if (this.options.respectRobots && !this.isAllowedByRobots(parsed.pathname + parsed.search)) return 'robots';
+
+        return null;
+    }
+
+    /**
+     * Fetch and parse robots.txt for the site
+     */
+    async loadRobots(origin) {
+        this.robotsRules = [];
+
+        try {
+            const response = await axios.get(origin + '/robots.txt', {
+                timeout: this.options.requestTimeout,
+                responseType: 'text',
+                validateStatus: status => status < 500
+            });
+
+            if (response.status >= 400 || typeof response.data !== 'string') {
+                return;
+            }
+
+            const parsed = this.parseRobots(response.data);
+            this.robotsRules = parsed.rules;
+            this.sitemapsFromRobots = parsed.sitemaps;
+            console.log(`🤖 Loaded robots.txt: ${this.robotsRules.length} rules, ${parsed.sitemaps.length} sitemaps`);
+
+        } catch (error) {
+            console.log('⚠️ Could not load robots.txt:', error.message);
+        }
+    }
+
+    /**
+     * Parse robots.txt, keeping the group for our user agent (or "*")
+     * @param {string} text - robots.txt content
+     * @returns {Object} { rules: [{ type, path }], sitemaps: [] }
+     */
+    parseRobots(text) {
+        const groups = [];
+        const sitemaps = [];
+        let current = null;
+        let lastWasAgent = false;
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+            if (!match) return;
+
+            const field = match[1].toLowerCase();
+            const value = match[2].trim();
+
+            if (field === 'user-agent') {
+                if (!current || !lastWasAgent) {
+                    current = { agents: [], rules: [] };
+                    groups.push(current);
+                }
+                current.agents.push(value.toLowerCase());
+                lastWasAgent = true;
+                return;
+            }
+
+            lastWasAgent = false;
+
+            if (field === 'sitemap') {
+                sitemaps.push(value);
+            } else if ((field === 'allow' || field === 'disallow') && current) {
+                // An empty Disallow allows everything
+                if (value) {
+                    current.rules.push({ type: field, path: value });
+                }
+            }
+        });
+
+        const agent = CRAWLER_USER_AGENT.toLowerCase();
+        const group = groups.find(g => g.agents.some(a => a !== '*' && agent.includes(a))) ||
+                      groups.find(g => g.agents.includes('*'));
+
+        return { rules: group ? group.rules : [], sitemaps };
+    }
+
+    /**
+     * Longest matching rule wins, Allow wins ties (RFC 9309)
+     */
+    isAllowedByRobots(pathAndQuery) {
+        if (!this.robotsRules || this.robotsRules.length === 0) return true;
+
+        let best = null;
+        this.robotsRules.forEach(rule => {
+            const pattern = rule.path.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\\\$$/, '$');
+            if (new RegExp('^' + pattern).test(pathAndQuery)) {
+                if (!best || rule.path.length > best.path.length ||
+                    (rule.path.length === best.path.length && rule.type === 'allow')) {
+                    best = rule;
+                }
+            }
+        });
+
+        return !best || best.type === 'allow';
+    }
+
+    /**
+     * Collect page URLs from sitemap.xml, following sitemap indexes
+     * @param {string} origin - Site origin
+     * @returns {Promise<string[]>} Page URLs
+     */
+    async loadSitemapUrls(origin) {
+        const pending = this.sitemapsFromRobots.length > 0 ? [...this.sitemapsFromRobots] : [origin + '/sitemap.xml'];
+        const visitedSitemaps = new Set();
+        const urls = [];
+
+        while (pending.length > 0 && urls.length < this.options.maxSitemapUrls && visitedSitemaps.size < 50) {
+            const sitemapUrl = pending.shift();
+            if (visitedSitemaps.has(sitemapUrl)) continue;
+            visitedSitemaps.add(sitemapUrl);
+
+            try {
+                const xml = await this.fetchSitemap(sitemapUrl);
+                const locations = Array.from(xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi))
+                    .map(match => match[1].replace(/&amp;/g, '&'));
+
+                if (/<sitemapindex[\s>]/i.test(xml)) {
+                    pending.push(...locations);
+                } else {
+                    urls.push(...locations);
+                }
+            } catch (error) {
+                console.log(`⚠️ Could not load sitemap ${sitemapUrl}:`, error.message);
+            }
+        }
+
+        console.log(`🗺️ Found ${urls.length} URLs in ${visitedSitemaps.size} sitemap(s)`);
+        return urls.slice(0, this.options.maxSitemapUrls);
+    }
+
+    async fetchSitemap(sitemapUrl) {
+        const response = await axios.get(sitemapUrl, {
+            timeout: this.options.requestTimeout,
+            responseType: 'arraybuffer'
+        });
+
+        let buffer = Buffer.from(response.data);
+        // .xml.gz sitemaps are served as gzip files rather than gzip-encoded responses
+        if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+            buffer = zlib.gunzipSync(buffer);
+        }
+        return buffer.toString('utf8');
+    }
+
+    /**
+     * Wait until this host may receive another page load
+     */
+    async waitForPoliteness(url) {
+        const delay = this.options.politenessDelay;
+        if (!delay) return;
+
+        const host = new URL(url).host;
+        const now = Date.now();
+        const nextAllowed = Math.max(now, this.nextRequestAt.get(host) || 0);
+        this.nextRequestAt.set(host, nextAllowed + delay);
+
+        if (nextAllowed > now) {
+            await new Promise(resolve => setTimeout(resolve, nextAllowed - now));
+        }
+    }
+
+    /**
+     * Visit one page, recording its own timing; failures never abort the crawl
+     */
+    async visitPage(url, depth, visit, position, hooks) {
+        await this.waitForPoliteness(url);
+
+        const startedAt = new Date();
+        hooks.onPageStart?.({ url, depth, ...position });
+
+        let result;
+        try {
+            result = await visit(url, depth);
+        } catch (error) {
+            result = { error: error.message, links: [] };
+        }
+
+        const completedAt = new Date();
+        const timing = {
+            ...(result.timing || {}),
+            startedAt: startedAt.toISOString(),
+            completedAt: completedAt.toISOString(),
+            durationMs: completedAt - startedAt
+        };
+
+        const page = { url, depth, index: position.index, ...result, timing };
+        hooks.onPageComplete?.({ url, depth, ...position, result: page });
+        return page;
+    }
+
+    /**
+     * Crawl a site breadth-first
+     * @param {string} startUrl - Where the crawl begins
+     * @param {Function} visit - async (url, depth) => { links: [] , ...result }
+     * @param {Object} hooks - Optional onPageStart({ url, index, total, depth })
+     *                         and onPageComplete({ url, index, total, depth, result })
+     * @returns {Promise<Object>} { pages, discovered, skipped }
+     */
+    async crawl(startUrl, visit, hooks = {}) {
+        const start = this.normalizeUrl(startUrl);
+        const origin = new URL(start).origin;
+        const seen = new Set([start]);
+        const queue = [{ url: start, depth: 0 }];
+        const pages = [];
+        const skipped = {};
+
+        const enqueue = (url, depth) => {
+            const normalized = this.normalizeUrl(url, origin);
+            if (!normalized || seen.has(normalized)) return;
+            seen.add(normalized);
+
+            const reason = this.getSkipReason(normalized, origin);
+            if (reason) {
+                skipped[reason] = (skipped[reason] || 0) + 1;
+                return;
+            }
+            queue.push({ url: normalized, depth });
+        };
+
+        if (this.options.respectRobots) {
+            await this.loadRobots(origin);
+        }
+
+        if (this.options.useSitemap) {
+            const sitemapUrls = await this.loadSitemapUrls(origin);
+            sitemapUrls.forEach(url => enqueue(url, 0));
+        }
+
+        // Worker pool: up to `concurrency` pages in flight; links found by a
+        // finished page are queued while the others are still running
+        await new Promise(resolve => {
+            let started = 0;
+            let inFlight = 0;
+
+            const pump = () => {
+                while (inFlight < this.options.concurrency && queue.length > 0 && started < this.options.maxPages) {
+                    const { url, depth } = queue.shift();
+                    const index = started++;
+                    const total = Math.min(this.options.maxPages, started + queue.length + inFlight);
+                    inFlight++;
+
+                    this.visitPage(url, depth, visit, { index, total }, hooks)
+                        .then(page => {
+                            pages.push(page);
+                            if (depth < this.options.maxDepth) {
+                                (page.links || []).forEach(link => enqueue(link, depth + 1));
+                            }
+                        })
+                        .finally(() => {
+                            inFlight--;
+                            pump();
+                        });
+                }
+
+                if (inFlight === 0) {
+                    resolve();
+                }
+            };
+
+            pump();
+        });
+
+        pages.sort((a, b) => a.index - b.index);
+
+        return {
+            pages,
+            discovered: seen.size,
+            skipped
+        };
+    }
+}
+
+module.exports = SiteCrawler;
@@ -0,0 +1,418 @@
+/**
+ * SPA Crawler for SentryPrime
+ * Crawls a single-page app inside one browser page: routes are reached by clicking
+ * in-app links (client-side navigation, as a visitor would), the DOM is left to settle
+ * and each route is scanned. Route changes are checked for focus management and for
+ * an announcement screen reader users can hear. Findings use the axe result shape.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const SiteCrawler = require('./site-crawler');
+const { installDomHelpers } = require('./page-helpers');
+
+const RULES = {
+    'spa-route-announcement': {
+        impact: 'serious',
+        tags: ['cat.aria', 'wcag2aa', 'wcag413', 'spa'],
+        description: 'Ensures screen reader users are told when a client-side route change replaces the page content',
+        help: 'Route changes must be announced or move focus to the new content',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/status-messages.html'
+    },
+    'spa-route-focus': {
+        impact: 'moderate',
+        tags: ['cat.keyboard', 'wcag2a', 'wcag243', 'spa'],
+        description: 'Checks that keyboard focus is moved to the new content after a client-side route change',
+        help: 'Focus should move to the new content after a route change',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/focus-order.html'
+    },
+    'spa-route-title': {
+        impact: 'moderate',
+        tags: ['cat.text-alternatives', 'wcag2a', 'wcag242', 'spa'],
+        description: 'Checks that the document title changes when a client-side route change shows a different page',
+        help: 'Each route should have its own page title',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/page-titled.html'
+    }
+};
+
+/**
+ * Installed into every document the crawl page loads (before the app's own scripts)
+ * to record DOM activity and live region updates between route changes
+ */
+function installRouteObserver() {
+    const LIVE_REGION = '[aria-live]:not([aria-live="off"]), [role="status"], [role="alert"], [role="log"]';
+    const MAIN_REGION = 'main, [role="main"]';
+
+    const state = {
+        documentId: Math.random().toString(36).slice(2),
+        lastMutationAt: Date.now(),
+        contentMutationCount: 0,
+        announcements: [],
+        before: null
+    };
+
+    const { cssPath } = window.__sentryprimeDom;
+
+    function describe(el) {
+        return {
+            target: [cssPath(el)],
+            html: el.outerHTML.substring(0, 250),
+            tagName: el.tagName.toLowerCase()
+        };
+    }
+
+    function deepActiveElement() {
+        let el = document.activeElement;
+        while (el && el.shadowRoot && el.shadowRoot.activeElement) {
+            el = el.shadowRoot.activeElement;
+        }
+        return el;
+    }
+
+    // Content inside <main> (or the whole body when the app has none) - headers, menus and
+    // carousels outside it change without the route changing
+    function changesMainRegion(record, node) {
+        if (!node || !node.isConnected) return false;
+        const main = document.querySelector(MAIN_REGION);
+        if (!main) return !!document.body && document.body.contains(node);
+        if (main.contains(node)) return true;
+        // The whole <main> was swapped out by the router
+        return Array.from(record.addedNodes).concat(Array.from(record.removedNodes))
+            .some(changed => changed.nodeType === 1 && (changed.matches(MAIN_REGION) || !!changed.querySelector(MAIN_REGION)));
+    }
+
+    // Only added/removed nodes and text count - attribute churn from animations, timers and
+    // hover states would otherwise look like a route change and keep the page from settling
+    new MutationObserver(records => {
+        state.lastMutationAt = Date.now();
+
+        records.forEach(record => {
+            const node = record.target.nodeType === 1 ? record.target : record.target.parentElement;
+            if (changesMainRegion(record, node)) {
+                state.contentMutationCount++;
+            }
+            // Updates inside an existing live region are read out; a newly added alert is too
+            const region = node && node.closest && node.closest(LIVE_REGION);
+            const addedAlert = Array.from(record.addedNodes).find(added => added.nodeType === 1 && added.matches('[role="alert"]'));
+            const announced = region || addedAlert;
+            const text = announced && announced.textContent.trim();
+            if (text) {
+                state.announcements.push({ text: text.substring(0, 200), at: Date.now() });
+            }
+        });
+    }).observe(document, { subtree: true, childList: true, characterData: true });
+
+    window.__sentryprimeSpa = {
+        documentId: state.documentId,
+
+        quietFor() {
+            return Date.now() - state.lastMutationAt;
+        },
+
+        // Remember focus, title and announcements just before a route change
+        beginTransition(activatorIndex) {
+            // Start from the body like a visitor arriving on the route - the keyboard audit
+            // leaves focus wherever it stopped, which would read as focus that never moved
+            const active = deepActiveElement();
+            if (active && active !== document.body && typeof active.blur === 'function') active.blur();
+
+            state.before = {
+                activator: activatorIndex >= 0 ? document.querySelectorAll('a[href]')[activatorIndex] : null,
+                activeElement: deepActiveElement(),
+                title: document.title,
+                url: location.href,
+                announcementCount: state.announcements.length,
+                contentMutationCount: state.contentMutationCount
+            };
+        },
+
+        // What changed since beginTransition()
+        inspectTransition() {
+            const before = state.before || { activator: null, title: null, url: null, announcementCount: 0, contentMutationCount: 0 };
+            const activator = before.activator;
+            const focused = deepActiveElement();
+            const atBody = !focused || focused === document.body || focused === document.documentElement;
+            const stayedOnActivator = !atBody && (focused === before.activeElement || focused === activator);
+
+            return {
+                documentId: state.documentId,
+                url: location.href,
+                title: document.title,
+                titleChanged: before.title !== null && document.title !== before.title,
+                urlChanged: before.url !== null && location.href !== before.url,
+                contentChanged: state.contentMutationCount > before.contentMutationCount,
+                announcements: state.announcements.slice(before.announcementCount).map(entry => entry.text),
+                focus: {
+                    atBody: atBody,
+                    stayedOnActivator: stayedOnActivator,
+                    moved: !atBody && !stayedOnActivator,
+                    element: atBody ? null : describe(focused)
+                },
+                activator: activator && activator.isConnected ? describe(activator) : null
+            };
+        },
+
+        // In-app links on the current route: [{ index, href }]
+        links() {
+            return Array.from(document.querySelectorAll('a[href]'))
+                .map((a, index) => ({ index, href: a.href, target: a.target, download: a.hasAttribute('download') }))
+                .filter(link => link.href.startsWith(location.origin) && (!link.target || link.target === '_self') && !link.download)
+                .map(({ index, href }) => ({ index, href }));
+        }
+    };
+}
+
+class SpaCrawler extends SiteCrawler {
+    constructor(options = {}) {
+        // One page means one route at a time
+        super({ ...options, concurrency: 1 });
+        this.options.quietPeriod = options.quietPeriod || 500; // ms without DOM changes before a route counts as settled
+        this.options.settleTimeout = options.settleTimeout || 10000;
+    }
+
+    /**
+     * Hash routes ("#/products", "#!/cart") are separate pages in an SPA, other fragments are not
+     */
+    normalizeUrl(url, base) {
+        let hash = '';
+        try {
+            hash = new URL(url, base).hash;
+        } catch (error) {
+            return null;
+        }
+
+        const normalized = super.normalizeUrl(url, base);
+        return normalized && /^#!?\//.test(hash) ? normalized + hash : normalized;
+    }
+
+    /**
+     * Build an axe-style rule result
+     */
+    buildRule(ruleId, nodes) {
+        const rule = RULES[ruleId];
+        return {
+            id: ruleId,
+            impact: rule.impact,
+            tags: rule.tags,
+            description: rule.description,
+            help: rule.help,
+            helpUrl: rule.helpUrl,
+            source: 'spa-crawl',
+            nodes: nodes.map(node => ({
+                target: node.target,
+                html: node.html,
+                impact: rule.impact,
+                any: [],
+                all: [],
+                none: [],
+                failureSummary: node.failureSummary
+            }))
+        };
+    }
+
+    /**
+     * Wait until the DOM has been quiet for a moment (or give up after settleTimeout)
+     */
+    async waitForSettle(page) {
+        const deadline = Date.now() + this.options.settleTimeout;
+
+        await page.waitForNetworkIdle({ idleTime: 300, timeout: this.options.settleTimeout }).catch(() => null);
+        await page.waitForFunction(
+            quietPeriod => window.__sentryprimeSpa && window.__sentryprimeSpa.quietFor() >= quietPeriod,
+            { polling: 100, timeout: Math.max(deadline - Date.now(), 1000) },
+            this.options.quietPeriod
+        ).catch(() => null);
+    }
+
+    /**
+     * Click the current route's link to url, if it has one
+     * @returns {Promise<Object|null>} { method: 'click', check } when the app changed route,
+     *          { method: 'reload' } when the click loaded a new document, null when nothing
+     *          links to url here or the click didn't change route
+     */
+    async clickLinkTo(page, url) {
+        const links = await page.evaluate(() => window.__sentryprimeSpa.links());
+        const link = links.find(candidate => this.normalizeUrl(candidate.href) === url);
+        if (!link) return null;
+
+        const documentBefore = await page.evaluate(i => {
+            window.__sentryprimeSpa.beginTransition(i);
+            return window.__sentryprimeSpa.documentId;
+        }, link.index);
+
+        const anchors = await page.$$('a[href]');
+        const anchor = anchors[link.index];
+        try {
+            // A real click where possible; links inside collapsed menus get a DOM click
+            await anchor.click().catch(() => anchor.evaluate(el => el.click()));
+        } finally {
+            await Promise.all(anchors.map(handle => handle.dispose()));
+        }
+        await this.waitForSettle(page);
+
+        const check = await page.evaluate(() => window.__sentryprimeSpa && window.__sentryprimeSpa.inspectTransition());
+        if (!check) return null;
+        // A new document means the browser did a full load
+        if (check.documentId !== documentBefore) return { method: 'reload' };
+        // The router handled the click if it kept the new URL and replaced the main content
+        return check.urlChanged && check.contentChanged ? { method: 'click', check } : null;
+    }
+
+    /**
+     * Move the page to a route the way a visitor would: click a link to it on the current
+     * route, or go back to the route the link was found on and click it there. Routes no
+     * link leads to (sitemap entries) are loaded directly, and reported as 'full-load'.
+     * @param {string} from - Route the link to url was found on, if any
+     * @returns {Promise<Object>} { method: 'click' | 'reload' | 'full-load', check }
+     */
+    async navigateTo(page, url, from = null) {
+        const clicked = await this.clickLinkTo(page, url);
+        if (clicked) return clicked;
+
+        if (from && this.normalizeUrl(page.url()) !== from) {
+            await page.goto(from, { waitUntil: 'networkidle2', timeout: 60000 });
+            await this.waitForSettle(page);
+            const clickedFrom = await this.clickLinkTo(page, url);
+            if (clickedFrom) return clickedFrom;
+        }
+
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+        await this.waitForSettle(page);
+        return { method: 'full-load' };
+    }
+
+    /**
+     * Check focus, announcement and title after a client-side route change
+     * @returns {Object} { violations, incomplete, summary }
+     */
+    checkTransition(check, navigation) {
+        const violations = [];
+        const incomplete = [];
+        const focusNode = check.focus.element || check.activator || { target: ['body'], html: '<body>' };
+        const announced = check.announcements.length > 0;
+
+        if (!check.focus.moved && !announced) {
+            violations.push(this.buildRule('spa-route-announcement', [{
+                ...focusNode,
+                failureSummary: 'Fix any of the following:\n  Route changed without updating an aria-live region\n  Focus was not moved to the new content' +
+                    (check.titleChanged ? '\n  (The document title changed, but screen readers rarely announce title changes without a page load)' : '')
+            }]));
+        }
+
+        if (!check.focus.moved) {
+            incomplete.push(this.buildRule('spa-route-focus', [{
+                ...focusNode,
+                failureSummary: check.focus.stayedOnActivator
+                    ? 'Review the following:\n  Focus stayed on the link that changed the route - keyboard users start again from the old position'
+                    : 'Review the following:\n  Focus fell back to the document body after the route change'
+            }]));
+        }
+
+        if (!check.titleChanged) {
+            incomplete.push(this.buildRule('spa-route-title', [{
+                target: ['title'],
+                html: `<title>${check.title}</title>`,
+                failureSummary: `Review the following:\n  The page title stayed "${check.title}" after moving to a different route`
+            }]));
+        }
+
+        return {
+            violations,
+            incomplete,
+            summary: {
+                navigation: navigation.method,
+                focusMoved: check.focus.moved,
+                focusTarget: check.focus.element ? check.focus.element.target : null,
+                announcements: check.announcements,
+                titleChanged: check.titleChanged,
+                title: check.title
+            }
+        };
+    }
+
+    /**
+     * Crawl an SPA within one page
+     * @param {Object} page - Puppeteer page (device emulation already applied)
+     * @param {string} startUrl - Where the crawl begins
+     * @param {Function} visit - async (page, url, depth, transition) => result; transition is
+     *                           { violations, incomplete, summary } for the route change that led there
+     * @param {Object} hooks - Same as SiteCrawler.crawl
+     * @returns {Promise<Object>} { pages, discovered, skipped }
+     */
+    async crawlInPage(page, startUrl, visit, hooks = {}) {
+        const start = this.normalizeUrl(startUrl);
+        const origin = new URL(start).origin;
+        const seen = new Set([start]);
+        const queue = [{ url: start, depth: 0, from: null }];
+        const pages = [];
+        const skipped = {};
+
+        // from - the route whose link led here, so the crawl can click its way to it
+        const enqueue = (url, depth, from = null) => {
+            const normalized = this.normalizeUrl(url, origin);
+            if (!normalized || seen.has(normalized)) return;
+            seen.add(normalized);
+
+            const reason = this.getSkipReason(normalized, origin);
+            if (reason) {
+                skipped[reason] = (skipped[reason] || 0) + 1;
+                return;
+            }
+            queue.push({ url: normalized, depth, from });
+        };
+
+        if (this.options.respectRobots) {
+            await this.loadRobots(origin);
+        }
+        if (this.options.useSitemap) {
+            const sitemapUrls = await this.loadSitemapUrls(origin);
+            sitemapUrls.forEach(url => enqueue(url, 0));
+        }
+
+        await page.evaluateOnNewDocument(installDomHelpers);
+        await page.evaluateOnNewDocument(installRouteObserver);
+
+        while (queue.length > 0 && pages.length < this.options.maxPages) {
+            const { url, depth, from } = queue.shift();
+            const index = pages.length;
+            const total = Math.min(this.options.maxPages, index + 1 + queue.length);
+
+            const visited = await this.visitPage(url, depth, async () => {
+                let transition = { violations: [], incomplete: [], summary: { navigation: 'initial' } };
+
+                if (index === 0) {
+                    await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+                    await this.waitForSettle(page);
+                } else {
+                    const navigation = await this.navigateTo(page, url, from);
+
+                    // Only a route change the app made after a click is checked - focus and
+                    // announcements after a full load say nothing about the app
+                    transition = navigation.method === 'click'
+                        ? this.checkTransition(navigation.check, navigation)
+                        : { violations: [], incomplete: [], summary: { navigation: navigation.method } };
+                    transition.summary.url = page.url();
+                }
+
+                const result = await visit(page, url, depth, transition);
+                // Links are read after the scan so routes rendered lazily are included
+                const links = await page.evaluate(() => window.__sentryprimeSpa ? window.__sentryprimeSpa.links() : []);
+                return { ...result, transition: transition.summary, links: links.map(link => link.href) };
+            }, { index, total }, hooks);
+
+            pages.push(visited);
+            if (depth < this.options.maxDepth) {
+                (visited.links || []).forEach(link => enqueue(link, depth + 1, url));
+            }
+        }
+
+        return {
+            pages,
+            discovered: seen.size,
+            skipped
+        };
+    }
+}
+
+module.exports = SpaCrawler;
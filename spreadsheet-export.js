@@ -0,0 +1,202 @@
+/**
+ * Spreadsheet Export for SentryPrime
+ * Scan violations as CSV or XLSX for triage in a spreadsheet: one row per element and page,
+ * with page URL, rule, impact, WCAG criteria, selector, XPath, HTML snippet, business
+ * priority and status. The XLSX workbook is written with JSZip (no spreadsheet library).
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const JSZip = require('jszip');
+
+const EXPORT_COLUMNS = [
+    { key: 'pageUrl', header: 'Page URL', width: 45 },
+    { key: 'rule', header: 'Rule', width: 24 },
+    { key: 'impact', header: 'Impact', width: 11 },
+    { key: 'wcag', header: 'WCAG Criteria', width: 14 },
+    { key: 'selector', header: 'Selector', width: 40 },
+    { key: 'xpath', header: 'XPath', width: 40 },
+    { key: 'html', header: 'HTML Snippet', width: 60 },
+    { key: 'priority', header: 'Business Priority', width: 16 },
+    { key: 'status', header: 'Status', width: 20 }
+];
+
+const SPREADSHEET_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const MAX_HTML_LENGTH = 300;
+
+/**
+ * "wcag143" -> "1.4.3"
+ */
+function wcagCriteria(tags) {
+    return (tags || [])
+        .filter(tag => /^wcag\d{3,}$/.test(tag))
+        .map(tag => tag.replace(/^wcag(\d)(\d)(\d+)$/, '$1.$2.$3'))
+        .join(', ');
+}
+
+function selectorText(target) {
+    return [].concat(target || []).map(part => (Array.isArray(part) ? part.join(' >>> ') : String(part))).join(' | ');
+}
+
+/**
+ * One row per violation node and page
+ * @param {Array<Object>} violations - Raw or grouped (crawl) violations
+ * @param {Object} options - { url, businessPriority(violation) => string }
+ */
+function buildExportRows(violations, { url = '', businessPriority = null } = {}) {
+    const rows = [];
+    (violations || []).forEach(violation => {
+        const priority = violation.businessImpact?.priority || (businessPriority ? businessPriority(violation) : '');
+        (violation.nodes || []).forEach(node => {
+            const pages = Array.isArray(node.pages) && node.pages.length > 0
+                ? node.pages
+                : [violation.pageUrl || violation.journeyStep?.url || url];
+            pages.forEach(pageUrl => {
+                rows.push({
+                    pageUrl: pageUrl,
+                    rule: violation.id,
+                    impact: node.impact || violation.impact || '',
+                    wcag: wcagCriteria(violation.tags),
+                    selector: selectorText(node.target),
+                    xpath: node.enhancedData?.xpath || node.xpath || '',
+                    html: String(node.html || '').substring(0, MAX_HTML_LENGTH),
+                    priority: priority || '',
+                    status: node.reviewDecision ? 'Confirmed by review' : 'Open'
+                });
+            });
+        });
+    });
+    return rows;
+}
+
+/**
+ * Same filters as GET /api/scans/:id/violations: rule, impact (comma-separated), pageUrl
+ */
+function filterExportRows(rows, { rule, impact, pageUrl } = {}) {
+    const impacts = impact ? String(impact).split(',').map(value => value.trim()).filter(Boolean) : null;
+    return rows.filter(row =>
+        (!rule || row.rule === rule) &&
+        (!impacts || impacts.includes(row.impact)) &&
+        (!pageUrl || row.pageUrl === pageUrl)
+    );
+}
+
+function csvCell(value) {
+    let text = String(value ?? '');
+    // Keep spreadsheet apps from evaluating scanned content as a formula
+    if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * RFC 4180 CSV with a UTF-8 byte order mark so Excel reads non-ASCII text correctly
+ */
+function toCsv(rows) {
+    const lines = [EXPORT_COLUMNS.map(column => csvCell(column.header)).join(',')]
+        .concat(rows.map(row => EXPORT_COLUMNS.map(column => csvCell(row[column.key])).join(',')));
+    return '﻿' + lines.join('\r\n') + '\r\n';
+}
+
+function xmlText(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+function columnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+}
+
+/**
+ * Single-sheet XLSX workbook: bold frozen header row with autofilter, inline strings
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(rows, sheetName = 'Violations') {
+    const lastColumn = columnLetter(EXPORT_COLUMNS.length - 1);
+    const cell = (value, rowNumber, columnIndex, style) =>
+        `<c r="${columnLetter(columnIndex)}${rowNumber}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+
+    const sheetRows = [`<row r="1">${EXPORT_COLUMNS.map((column, index) => cell(column.header, 1, index, 1)).join('')}</row>`]
+        .concat(rows.map((row, rowIndex) =>
+            `<row r="${rowIndex + 2}">${EXPORT_COLUMNS.map((column, index) => cell(row[column.key], rowIndex + 2, index)).join('')}</row>`));
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`);
+    zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`);
+    zip.file('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${xmlText(sheetName)}" sheetId="1" r:id="rId1"/></sheets>
+<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${xmlText(sheetName)}'!$A$1:$${lastColumn}$${rows.length + 1}</definedName></definedNames>
+</workbook>`);
+    zip.file('xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`);
+    zip.file('xl/styles.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`);
+    zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${EXPORT_COLUMNS.map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${column.width}" customWidth="1"/>`).join('')}</cols>
+<sheetData>${sheetRows.join('')}</sheetData>
+<autoFilter ref="A1:${lastColumn}${rows.length + 1}"/>
+</worksheet>`);
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Serialized spreadsheet with its content type and file name
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Promise<Object>} { contentType, filename, body }
+ */
+async function exportSpreadsheet(rows, format, baseName = 'sentryprime-violations') {
+    const settings = SPREADSHEET_FORMATS[format];
+    if (!settings) {
+        throw new Error(`Unknown format "${format}" - use csv or xlsx`);
+    }
+    return {
+        contentType: settings.contentType,
+        filename: `${baseName}.${settings.extension}`,
+        body: format === 'csv' ? toCsv(rows) : await toXlsx(rows)
+    };
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    buildExportRows,
+    filterExportRows,
+    csvCell,
+    toCsv,
+    toXlsx,
+    exportSpreadsheet
+};
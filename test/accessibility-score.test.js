@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { scoreViolations, legacyScore } = require('../accessibility-score');
+
+function violation(id, impact, pageUrl, targets) {
+    return {
+        id,
+        impact,
+        pageUrl,
+        help: id + ' help',
+        nodes: targets.map(target => ({ target: [target], html: `<div id="${target.slice(1)}"></div>`, impact }))
+    };
+}
+
+describe('scoreViolations', () => {
+    it('scores a scan without violations 100', () => {
+        const score = scoreViolations([], { url: 'https://example.com' });
+        assert.equal(score.score, 100);
+        assert.equal(score.penalty, 0);
+        assert.deepEqual(score.rules, []);
+    });
+
+    it('charges the full impact weight for an issue on every page', () => {
+        // One critical issue: penalty 10, 100 * 40 / (40 + 10) = 80
+        const score = scoreViolations([violation('image-alt', 'critical', 'https://example.com/', ['#logo'])]);
+        assert.equal(score.score, 80);
+        assert.equal(score.uniqueIssues, 1);
+        assert.equal(score.rules[0].pointsLost, 20);
+    });
+
+    it('counts the same element on several pages once', () => {
+        const score = scoreViolations([
+            violation('image-alt', 'critical', 'https://example.com/', ['#logo']),
+            violation('image-alt', 'critical', 'https://example.com/about', ['#logo'])
+        ], { pagesScanned: 2 });
+
+        assert.equal(score.uniqueIssues, 1);
+        assert.equal(score.occurrences, 2);
+        assert.equal(score.score, 80);
+    });
+
+    it('charges less for an issue on fewer of the scanned pages', () => {
+        // Reach 0.5 + 0.5 * 1/2 = 0.75, penalty 7.5, 100 * 40 / 47.5 = 84
+        const score = scoreViolations([violation('image-alt', 'critical', 'https://example.com/', ['#logo'])], { pagesScanned: 2 });
+        assert.equal(score.penalty, 7.5);
+        assert.equal(score.score, 84);
+    });
+
+    it('weights by impact and sorts rules by penalty', () => {
+        const score = scoreViolations([
+            violation('region', 'minor', 'https://example.com/', ['#a']),
+            violation('color-contrast', 'serious', 'https://example.com/', ['#b', '#c'])
+        ]);
+
+        assert.deepEqual(score.rules.map(rule => [rule.ruleId, rule.penalty]), [['color-contrast', 10], ['region', 1]]);
+        assert.equal(score.penalty, 11);
+    });
+
+    it('falls back to the legacy score for old scans', () => {
+        assert.equal(legacyScore(0), 100);
+        assert.equal(legacyScore(10), 80);
+        assert.equal(legacyScore(80), 0);
+    });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AuthProfileManager = require('../auth-profile-manager');
+
+describe('AuthProfileManager encryption', () => {
+    let manager;
+
+    before(() => {
+        process.env.AUTH_PROFILE_SECRET = 'test-secret';
+        manager = new AuthProfileManager();
+    });
+
+    it('round-trips a profile config', () => {
+        const config = { cookies: [{ name: 'session', value: 'abc', domain: 'example.com' }], headers: { Authorization: 'Bearer x' } };
+        const payload = manager.encrypt(config);
+
+        assert.match(payload, /^v1:[^:]+:[^:]+:[^:]+$/);
+        assert.ok(!payload.includes('abc'));
+        assert.deepEqual(manager.decrypt(payload), config);
+    });
+
+    it('uses a fresh IV for every encryption', () => {
+        const config = { username: 'user', password: 'pass' };
+        assert.notEqual(manager.encrypt(config), manager.encrypt(config));
+    });
+
+    it('can be decrypted by another instance with the same secret', () => {
+        const payload = manager.encrypt({ username: 'user', password: 'pass' });
+        assert.deepEqual(new AuthProfileManager().decrypt(payload), { username: 'user', password: 'pass' });
+    });
+
+    it('rejects tampered payloads and unknown versions', () => {
+        const [version, iv, tag, ciphertext] = manager.encrypt({ password: 'pass' }).split(':');
+        const tampered = Buffer.from(ciphertext, 'base64');
+        tampered[0] ^= 1;
+
+        assert.throws(() => manager.decrypt([version, iv, tag, tampered.toString('base64')].join(':')));
+        assert.throws(() => manager.decrypt(['v2', iv, tag, ciphertext].join(':')), /Unsupported auth profile encryption version/);
+    });
+
+    it('explains rows encrypted with a different secret', () => {
+        process.env.AUTH_PROFILE_SECRET = 'another-secret';
+        const other = new AuthProfileManager();
+        process.env.AUTH_PROFILE_SECRET = 'test-secret';
+
+        const row = { name: 'Staging', encrypted_config: other.encrypt({ password: 'pass' }) };
+        assert.throws(() => manager.decryptRow(row), error => error.code === 'AUTH_PROFILE_UNREADABLE' && /re-enter/.test(error.message));
+    });
+});
+
+describe('AuthProfileManager site credentials', () => {
+    const manager = new AuthProfileManager();
+
+    function mockSession() {
+        const pages = [];
+        return {
+            pages,
+            newPage: async () => {
+                const page = {
+                    handlers: [],
+                    authenticate: async () => { throw new Error('page.authenticate must not be used'); },
+                    setRequestInterception: async () => {},
+                    on: (event, handler) => page.handlers.push(handler)
+                };
+                pages.push(page);
+                return page;
+            }
+        };
+    }
+
+    async function sentHeaders(page, url) {
+        let overrides;
+        const request = {
+            url: () => url,
+            headers: () => ({ accept: '*/*' }),
+            continue: async (value) => { overrides = value; }
+        };
+        page.handlers.forEach(handler => handler(request));
+        return overrides.headers || null;
+    }
+
+    it('matches the site, its https and www variants, and nothing else', () => {
+        const site = 'http://example.com';
+        assert.equal(manager.isSiteUrl('http://example.com/login', site), true);
+        assert.equal(manager.isSiteUrl('https://www.example.com/', site), true);
+        assert.equal(manager.isSiteUrl('https://cdn.example.com/app.js', site), false);
+        assert.equal(manager.isSiteUrl('https://example.com.evil.test/', site), false);
+        assert.equal(manager.isSiteUrl('https://example.com:8443/', site), false);
+        assert.equal(manager.isSiteUrl('data:text/plain,hi', site), false);
+        assert.equal(manager.isSiteUrl('http://www.example.com/', 'https://example.com'), false);
+    });
+
+    it('sends basic auth only to the profile site', async () => {
+        const session = await manager.authenticateSession(mockSession(), {
+            type: 'basic',
+            siteOrigin: 'https://example.com',
+            config: { username: 'user', password: 'pass' }
+        }, 'https://example.com/app');
+        const page = await session.newPage();
+
+        assert.equal((await sentHeaders(page, 'https://www.example.com/app')).authorization, 'Basic ' + Buffer.from('user:pass').toString('base64'));
+        assert.equal(await sentHeaders(page, 'https://analytics.test/collect'), null);
+    });
+
+    it('falls back to the scanned URL for inline profiles', async () => {
+        const session = await manager.authenticateSession(mockSession(), {
+            type: 'cookies',
+            config: { cookies: [], headers: { 'X-Api-Key': 'secret' } }
+        }, 'http://staging.example.com/');
+        const page = await session.newPage();
+
+        assert.equal((await sentHeaders(page, 'https://staging.example.com/'))['x-api-key'], 'secret');
+        assert.equal(await sentHeaders(page, 'https://example.com/'), null);
+    });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { negotiateFormat, escapeXml } = require('../ci-report-formats');
+
+describe('negotiateFormat', () => {
+    it('uses an explicit format over the Accept header', () => {
+        assert.equal(negotiateFormat('SARIF', 'application/xml'), 'sarif');
+        assert.equal(negotiateFormat('junit'), 'junit');
+        assert.equal(negotiateFormat('json', 'application/sarif+json'), null);
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => negotiateFormat('pdf'), /Unknown format "pdf"/);
+    });
+
+    it('picks the format from the Accept header', () => {
+        assert.equal(negotiateFormat(null, 'application/sarif+json'), 'sarif');
+        assert.equal(negotiateFormat(undefined, 'application/junit+xml'), 'junit');
+        assert.equal(negotiateFormat('', 'text/xml;q=0.9, */*'), 'junit');
+    });
+
+    it('defaults to JSON', () => {
+        assert.equal(negotiateFormat(null, 'application/json'), null);
+        assert.equal(negotiateFormat(null, undefined), null);
+    });
+});
+
+describe('escapeXml', () => {
+    it('escapes markup and quote characters', () => {
+        assert.equal(escapeXml('<a href="x">Tom & Jerry\'s</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    });
+
+    it('drops control characters XML 1.0 does not allow but keeps whitespace', () => {
+        assert.equal(escapeXml('a\u0000b\u0008c\td\ne\rf'), 'abc\td\ne\rf');
+    });
+
+    it('turns missing values into empty text', () => {
+        assert.equal(escapeXml(null), '');
+        assert.equal(escapeXml(undefined), '');
+        assert.equal(escapeXml(3), '3');
+    });
+});
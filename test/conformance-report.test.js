@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { proposeCriterion, WCAG_CRITERIA } = require('../conformance-report');
+
+const criterion = id => WCAG_CRITERIA.find(entry => entry.id === id);
+
+function finding(pages, rules) {
+    return {
+        pages: new Set(pages),
+        rules: new Map(rules.map(rule => [rule.ruleId, { help: rule.ruleId + ' help', pages: new Set(pages), ...rule }]))
+    };
+}
+
+describe('proposeCriterion', () => {
+    const coverage = new Map([['1.1.1', new Set(['image-alt', 'input-image-alt'])]]);
+
+    it('does not support a criterion with severe failures on most pages', () => {
+        const proposal = proposeCriterion(criterion('1.1.1'), finding(['1|/', '1|/about'], [
+            { ruleId: 'image-alt', impact: 'critical', elements: 3 }
+        ]), coverage, 3, '2.2');
+
+        assert.equal(proposal.conformance, 'Does Not Support');
+        assert.equal(proposal.remarks, 'Automated testing found failures on 2 of 3 pages: image-alt help (image-alt, critical impact, 3 elements).');
+        assert.deepEqual(proposal.findings, {
+            pages: 2,
+            elements: 3,
+            rules: [{ ruleId: 'image-alt', help: 'image-alt help', impact: 'critical', elements: 3, pages: 2 }]
+        });
+    });
+
+    it('partially supports a criterion with severe failures on few pages', () => {
+        const proposal = proposeCriterion(criterion('1.1.1'), finding(['1|/'], [
+            { ruleId: 'image-alt', impact: 'serious', elements: 1 }
+        ]), coverage, 4, '2.2');
+
+        assert.equal(proposal.conformance, 'Partially Supports');
+    });
+
+    it('partially supports a criterion with only minor failures everywhere', () => {
+        const proposal = proposeCriterion(criterion('1.1.1'), finding(['1|/', '1|/about'], [
+            { ruleId: 'image-alt', impact: 'minor', elements: 2 }
+        ]), coverage, 2, '2.2');
+
+        assert.equal(proposal.conformance, 'Partially Supports');
+    });
+
+    it('lists the worst three rules and counts the rest', () => {
+        const proposal = proposeCriterion(criterion('1.1.1'), finding(['1|/'], [
+            { ruleId: 'a', impact: 'minor', elements: 1 },
+            { ruleId: 'b', impact: 'critical', elements: 1 },
+            { ruleId: 'c', impact: 'serious', elements: 2 },
+            { ruleId: 'd', impact: 'serious', elements: 5 }
+        ]), coverage, 1, '2.2');
+
+        assert.deepEqual(proposal.findings.rules.map(rule => rule.ruleId), ['b', 'd', 'c', 'a']);
+        assert.match(proposal.remarks, /: b help .*; d help .*; c help .*; and 1 other rule\.$/);
+    });
+
+    it('supports an automatically tested criterion without failures, pending manual review', () => {
+        const proposal = proposeCriterion(criterion('1.1.1'), undefined, coverage, 5, '2.2');
+
+        assert.equal(proposal.conformance, 'Supports');
+        assert.match(proposal.remarks, /^No failures found by automated tests \(image-alt, input-image-alt\) on 5 pages\./);
+        assert.match(proposal.remarks, /confirm with a manual review/);
+        assert.equal(proposal.findings, null);
+    });
+
+    it('always supports 4.1.1 Parsing', () => {
+        const proposal = proposeCriterion(criterion('4.1.1'), undefined, coverage, 1, '2.1');
+        assert.equal(proposal.conformance, 'Supports');
+        assert.match(proposal.remarks, /WCAG 2\.1 errata/);
+    });
+
+    it('leaves criteria automated tests do not cover unevaluated', () => {
+        const proposal = proposeCriterion(criterion('1.2.2'), undefined, coverage, 1, '2.2');
+        assert.equal(proposal.conformance, 'Not Evaluated');
+    });
+});
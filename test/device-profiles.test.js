@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveDeviceProfiles, mergeViewportResults, summarizeViewports } = require('../device-profiles');
+
+const phone = { name: 'phone' };
+const desktop = { name: 'desktop' };
+
+function rule(id, targets, extra = {}) {
+    return { id, impact: 'serious', nodes: targets.map(target => ({ target: [target], html: `<p id="${target.slice(1)}">` })), ...extra };
+}
+
+describe('resolveDeviceProfiles', () => {
+    it('defaults to desktop and resolves our own and Puppeteer device names', () => {
+        assert.deepEqual(resolveDeviceProfiles().map(device => device.name), ['desktop']);
+
+        const [profile, known] = resolveDeviceProfiles(['phone', 'iPhone 13', 'phone']);
+        assert.equal(profile.viewport.isMobile, true);
+        assert.equal(known.label, 'iPhone 13');
+        assert.equal(known.viewport.width, 390);
+    });
+
+    it('rejects unknown names', () => {
+        assert.throws(() => resolveDeviceProfiles(['watch']), /Unknown viewport "watch"/);
+    });
+});
+
+describe('mergeViewportResults', () => {
+    it('lists each element once with every viewport it was found on', () => {
+        const merged = mergeViewportResults([
+            { device: phone, results: { violations: [rule('color-contrast', ['#a', '#b']), rule('target-size', ['#menu'])] } },
+            { device: desktop, results: { violations: [rule('color-contrast', ['#a'])] } }
+        ], 'violations');
+
+        const contrast = merged.find(entry => entry.id === 'color-contrast');
+        assert.deepEqual(contrast.nodes.map(node => [node.target[0], node.viewports, node.allViewports]), [
+            ['#a', ['phone', 'desktop'], true],
+            ['#b', ['phone'], false]
+        ]);
+        assert.deepEqual(contrast.viewports, ['phone', 'desktop']);
+        assert.equal(contrast.allViewports, true);
+
+        const targetSize = merged.find(entry => entry.id === 'target-size');
+        assert.deepEqual(targetSize.viewports, ['phone']);
+        assert.equal(targetSize.allViewports, false);
+    });
+
+    it('merges the list it is asked for', () => {
+        const merged = mergeViewportResults([
+            { device: phone, results: { violations: [rule('label', ['#x'])], incomplete: [rule('color-contrast', ['#y'])] } }
+        ], 'incomplete');
+        assert.deepEqual(merged.map(entry => entry.id), ['color-contrast']);
+    });
+});
+
+describe('summarizeViewports', () => {
+    it('counts flagged elements per viewport, not rules', () => {
+        const merged = mergeViewportResults([
+            { device: phone, results: { violations: [rule('color-contrast', ['#a', '#b', '#c'])] } },
+            { device: desktop, results: { violations: [rule('color-contrast', ['#a'])] } }
+        ], 'violations');
+
+        assert.deepEqual(summarizeViewports(merged, [phone, desktop]), {
+            byViewport: { phone: 3, desktop: 1 },
+            allViewports: 1,
+            viewportSpecific: 2
+        });
+    });
+
+    it('uses the rule viewports for nodes added after the merge', () => {
+        const added = rule('keyboard-trap', ['#dialog'], { viewports: ['desktop'], allViewports: false });
+        assert.deepEqual(summarizeViewports([added], [phone, desktop]), {
+            byViewport: { phone: 0, desktop: 1 },
+            allViewports: 0,
+            viewportSpecific: 1
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fingerprintNode, normalizeSelector, normalizeHtml, deduplicateViolations, summarizeDeduplicated } = require('../issue-deduplicator');
+
+describe('normalizeSelector', () => {
+    it('drops positions and generated numbers', () => {
+        assert.equal(normalizeSelector(['#menu-item-42 > a:nth-of-type(3)']), '#menu-item-# > a');
+    });
+
+    it('joins shadow and frame paths', () => {
+        assert.equal(normalizeSelector([['my-app', 'button'], 'iframe']), 'my-app >>> button |frame| iframe');
+    });
+});
+
+describe('normalizeHtml', () => {
+    it('keeps only identifying attributes of the opening tag, sorted', () => {
+        assert.equal(
+            normalizeHtml('<A href="/p/1" class="card  btn" id="x-12" aria-label="Item 12">Buy</A>'),
+            '<a aria-label="Item #" class="btn card">'
+        );
+    });
+
+    it('returns an empty string for text without a tag', () => {
+        assert.equal(normalizeHtml('plain text'), '');
+    });
+});
+
+describe('fingerprintNode', () => {
+    it('matches the same component on different pages', () => {
+        const a = fingerprintNode('link-name', { target: ['#product-12 > a'], html: '<a href="/p/12" class="card">' });
+        const b = fingerprintNode('link-name', { target: ['#product-98 > a'], html: '<a href="/p/98" class="card">' });
+        assert.equal(a, b);
+        assert.match(a, /^[0-9a-f]{16}$/);
+    });
+
+    it('differs by rule and element kind', () => {
+        const node = { target: ['header > a'], html: '<a class="logo">' };
+        assert.notEqual(fingerprintNode('link-name', node), fingerprintNode('color-contrast', node));
+        assert.notEqual(fingerprintNode('link-name', node), fingerprintNode('link-name', { ...node, html: '<a class="nav">' }));
+    });
+});
+
+describe('deduplicateViolations', () => {
+    const footerLink = { target: ['footer > a'], html: '<a class="social">', impact: 'serious' };
+    const pages = [
+        { url: 'https://example.com/', violations: [
+            { id: 'link-name', impact: 'serious', nodes: [footerLink, footerLink] },
+            { id: 'image-alt', impact: 'critical', nodes: [{ target: ['#hero'], html: '<img class="hero">', impact: 'critical' }] }
+        ] },
+        { url: 'https://example.com/about', violations: [
+            { id: 'link-name', impact: 'serious', nodes: [footerLink] }
+        ] }
+    ];
+
+    it('lists a shared element once with its pages and copies', () => {
+        const [linkName, imageAlt] = deduplicateViolations(pages);
+
+        assert.equal(linkName.id, 'link-name');
+        assert.deepEqual(linkName.pages, ['https://example.com/', 'https://example.com/about']);
+        assert.equal(linkName.uniqueElements, 1);
+        assert.equal(linkName.occurrences, 3);
+        assert.deepEqual(linkName.nodes[0].pages, ['https://example.com/', 'https://example.com/about']);
+        assert.equal(linkName.nodes[0].occurrences, 3);
+
+        assert.equal(imageAlt.id, 'image-alt');
+        assert.deepEqual(imageAlt.pages, ['https://example.com/']);
+    });
+
+    it('summarizes unique and total counts per impact', () => {
+        assert.deepEqual(summarizeDeduplicated(deduplicateViolations(pages)), {
+            unique: { issues: 2, critical: 1, serious: 1, moderate: 0, minor: 0 },
+            total: { issues: 4, critical: 1, serious: 3, moderate: 0, minor: 0 },
+            sharedIssues: 1
+        });
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolvePreferenceModes, applyPreferenceMode, resetPreferenceMode, diffModeViolations } = require('../preference-emulation');
+const { resolveDeviceProfiles, mergeViewportResults } = require('../device-profiles');
+const { deduplicateViolations } = require('../issue-deduplicator');
+
+const [dark, zoom200, zoom400] = resolvePreferenceModes(['dark', 'zoom-200', 'zoom-400']);
+const [phone] = resolveDeviceProfiles(['phone']);
+
+const node = (target, extra = {}) => ({ target: [target], html: `<p id="${target.slice(1)}">`, ...extra });
+
+function mockPage() {
+    const calls = [];
+    return {
+        calls,
+        emulateMediaFeatures: async (features) => { calls.push(['media', features]); },
+        emulate: async (options) => { calls.push(['emulate', options]); }
+    };
+}
+
+describe('diffModeViolations', () => {
+    it('keeps only new elements and tags each node with the mode', () => {
+        const baseline = [{ id: 'color-contrast', nodes: [node('#a')] }];
+        const found = diffModeViolations(baseline, [{ id: 'color-contrast', nodes: [node('#a'), node('#b')] }], dark);
+
+        assert.equal(found.length, 1);
+        assert.equal(found[0].preference, undefined);
+        assert.deepEqual(found[0].nodes.map(entry => [entry.target[0], entry.preference]), [
+            ['#b', { mode: 'dark', label: 'Dark colour scheme' }]
+        ]);
+    });
+
+    it('keeps the tag through the viewport merge and deduplication', () => {
+        const light = { id: 'color-contrast', nodes: [node('#a')] };
+        const darkOnly = diffModeViolations([], [{ id: 'color-contrast', nodes: [node('#a')] }], dark)[0];
+        const reflow = (mode) => ({ id: 'reflow-horizontal-scroll', nodes: [node('#table', { preference: { mode: mode.name, label: mode.label } })] });
+
+        const merged = mergeViewportResults([
+            { device: phone, results: { violations: [light, darkOnly, reflow(zoom200), reflow(zoom400)] } }
+        ], 'violations');
+
+        const contrast = merged.find(rule => rule.id === 'color-contrast');
+        assert.deepEqual(contrast.nodes.map(entry => entry.preference && entry.preference.mode), [undefined, 'dark']);
+        const scroll = merged.find(rule => rule.id === 'reflow-horizontal-scroll');
+        assert.deepEqual(scroll.nodes.map(entry => entry.preference.mode), ['zoom-200', 'zoom-400']);
+
+        const deduplicated = deduplicateViolations([
+            { url: 'https://example.com/', violations: merged },
+            { url: 'https://example.com/about', violations: merged }
+        ]);
+        const byRule = Object.fromEntries(deduplicated.map(rule => [rule.id, rule.nodes.map(entry => entry.preference ? entry.preference.mode : 'default')]));
+        assert.deepEqual(byRule['color-contrast'], ['default', 'dark']);
+        assert.deepEqual(byRule['reflow-horizontal-scroll'], ['zoom-200', 'zoom-400']);
+    });
+});
+
+describe('applyPreferenceMode', () => {
+    it('zooms from the desktop viewport even when scanning on a phone', async () => {
+        const page = mockPage();
+        await applyPreferenceMode(page, zoom400, phone);
+
+        const [, options] = page.calls.find(([kind]) => kind === 'emulate');
+        assert.equal(options.viewport.width, 320);
+        assert.equal(options.viewport.isMobile, false);
+    });
+
+    it('restores the device after a zoom mode', async () => {
+        const page = mockPage();
+        await applyPreferenceMode(page, zoom200, phone);
+        await applyPreferenceMode(page, dark, phone);
+        assert.deepEqual(page.calls.at(-1), ['emulate', { viewport: phone.viewport, userAgent: phone.userAgent }]);
+
+        await resetPreferenceMode(page, phone);
+        assert.deepEqual(page.calls.at(-2), ['media', null]);
+        assert.deepEqual(page.calls.at(-1), ['emulate', { viewport: phone.viewport, userAgent: phone.userAgent }]);
+    });
+});
@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ReviewDecisionManager = require('../review-decision-manager');
+
+describe('ReviewDecisionManager.getElementKey', () => {
+    const manager = new ReviewDecisionManager();
+
+    it('is a stable 16 character key', () => {
+        const key = manager.getElementKey('https://example.com/about', 'color-contrast', ['#main > p']);
+        assert.match(key, /^[0-9a-f]{16}$/);
+        assert.equal(manager.getElementKey('https://example.com/about', 'color-contrast', ['#main > p']), key);
+    });
+
+    it('ignores the query, fragment and trailing slash of the page URL', () => {
+        const key = manager.getElementKey('https://example.com/about', 'label', ['input']);
+        assert.equal(manager.getElementKey('https://example.com/about/?ref=nav#form', 'label', ['input']), key);
+    });
+
+    it('differs by page, rule and target', () => {
+        const key = manager.getElementKey('https://example.com/about', 'label', ['input']);
+        assert.notEqual(manager.getElementKey('https://example.com/contact', 'label', ['input']), key);
+        assert.notEqual(manager.getElementKey('https://example.com/about', 'color-contrast', ['input']), key);
+        assert.notEqual(manager.getElementKey('https://example.com/about', 'label', ['#frame', 'input']), key);
+    });
+});
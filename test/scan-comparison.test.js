@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compareScans, indexIssues } = require('../scan-comparison');
+
+function scan(id, score, violations) {
+    return { id, url: 'https://example.com', scanType: 'single', createdAt: '2026-10-01T00:00:00Z', totalIssues: violations.length, score, violations };
+}
+
+const contrast = (target, html) => ({ id: 'color-contrast', impact: 'serious', help: 'Contrast', nodes: [{ target: [target], html }] });
+
+describe('indexIssues', () => {
+    it('counts repeated elements of one component as one issue', () => {
+        const issues = indexIssues([{
+            id: 'link-name',
+            impact: 'serious',
+            nodes: [
+                { target: ['li:nth-of-type(1) > a'], html: '<a class="tag">' },
+                { target: ['li:nth-of-type(2) > a'], html: '<a class="tag">' }
+            ]
+        }]);
+        assert.equal(issues.size, 1);
+        assert.equal(Array.from(issues.values())[0].occurrences, 2);
+    });
+});
+
+describe('compareScans', () => {
+    it('sorts issues into new, fixed and persisting', () => {
+        const base = scan(1, 70, [contrast('#price', '<span class="price">'), contrast('#old', '<p class="old">')]);
+        const target = scan(2, 75, [
+            contrast('#price', '<span class="price">'),
+            { id: 'image-alt', impact: 'critical', help: 'Alt text', nodes: [{ target: ['#logo'], html: '<img class="logo">' }] }
+        ]);
+
+        const comparison = compareScans(base, target);
+        assert.deepEqual(comparison.counts, { new: 1, fixed: 1, persisting: 1 });
+        assert.equal(comparison.issues.new[0].ruleId, 'image-alt');
+        assert.deepEqual(comparison.issues.fixed[0].target, ['#old']);
+        assert.equal(comparison.issues.persisting[0].previousOccurrences, 1);
+        assert.equal(comparison.scoreChange, 5);
+    });
+
+    it('still matches an element whose position shifted', () => {
+        const base = scan(1, 90, [contrast('ul > li:nth-of-type(3) > a', '<a class="nav">')]);
+        const target = scan(2, 90, [contrast('ul > li:nth-of-type(4) > a', '<a class="nav">')]);
+        assert.deepEqual(compareScans(base, target).counts, { new: 0, fixed: 0, persisting: 1 });
+    });
+
+    it('lists rules with the biggest change first', () => {
+        const base = scan(1, 80, [contrast('#a', '<p class="a">')]);
+        const target = scan(2, 60, [
+            contrast('#a', '<p class="a">'),
+            { id: 'label', impact: 'critical', help: 'Labels', nodes: [
+                { target: ['#email'], html: '<input name="email">' },
+                { target: ['#phone'], html: '<input name="phone">' }
+            ] }
+        ]);
+
+        const { rules } = compareScans(base, target);
+        assert.deepEqual(rules.map(rule => [rule.ruleId, rule.delta]), [['label', 2], ['color-contrast', 0]]);
+    });
+
+    it('falls back to the legacy score for scans saved without one', () => {
+        const comparison = compareScans(scan(1, null, []), scan(2, undefined, [contrast('#a', '<p>')]));
+        assert.equal(comparison.base.score, 100);
+        assert.equal(comparison.target.score, 98);
+        assert.equal(comparison.scoreChange, -2);
+    });
+});
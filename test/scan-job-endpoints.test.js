@@ -0,0 +1,126 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const ScanJobManager = require('../scan-job-manager');
+const { setupScanJobEndpoints } = require('../scan-job-endpoints');
+
+/**
+ * Start an app with the scan job routes on a free port
+ */
+async function startApp(manager, runScan) {
+    const app = express();
+    app.use(express.json());
+    setupScanJobEndpoints(app, manager, runScan);
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Read an SSE response until the server ends it
+ * @returns {Promise<Array<Object>>} Parsed data events
+ */
+function parseEvents(text) {
+    return text.split('\n\n')
+        .filter(chunk => chunk.startsWith('data: '))
+        .map(chunk => JSON.parse(chunk.slice(6)));
+}
+
+async function readEvents(response) {
+    return parseEvents(await response.text());
+}
+
+// Job logs written from inside a request handler can corrupt the Node 20 test runner's
+// reporter stream, and the tests don't need them
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+describe('scan job endpoints', () => {
+    let manager;
+    let app;
+    let release;
+
+    before(async () => {
+        manager = new ScanJobManager();
+        app = await startApp(manager, (options, reporter) => new Promise(resolve => {
+            release = () => {
+                reporter.onPageStart({ url: options.url, index: 0, total: 1 });
+                reporter.onPageComplete({ url: options.url, index: 0, total: 1, violationCount: 2 });
+                resolve({ scanId: 7, totalIssues: 2 });
+            };
+        }));
+    });
+
+    after(() => app.server.close());
+
+    it('requires a URL', async () => {
+        const response = await fetch(app.base + '/api/scans/jobs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { success: false, error: 'URL is required' });
+    });
+
+    it('returns 404 for unknown jobs', async () => {
+        const response = await fetch(app.base + '/api/scans/jobs/scan_missing');
+        assert.equal(response.status, 404);
+    });
+
+    it('accepts a job, reports its status and streams it to completion', async () => {
+        const submitted = await fetch(app.base + '/api/scans/jobs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url: 'https://example.com' })
+        });
+        assert.equal(submitted.status, 202);
+        const { jobId, statusUrl, streamUrl } = await submitted.json();
+
+        const status = await (await fetch(app.base + statusUrl)).json();
+        assert.equal(status.job.status, 'running');
+        assert.equal(status.job.result, undefined);
+
+        const stream = await fetch(app.base + streamUrl);
+        assert.equal(stream.headers.get('content-type'), 'text/event-stream');
+        release();
+        const events = await readEvents(stream);
+
+        assert.deepEqual(events.map(event => event.type), ['status', 'progress', 'progress', 'completed']);
+        assert.equal(events[events.length - 1].job.scanId, 7);
+
+        const finished = await (await fetch(`${app.base}/api/scans/jobs/${jobId}`)).json();
+        assert.equal(finished.job.status, 'completed');
+        assert.deepEqual(finished.job.result, { scanId: 7, totalIssues: 2 });
+    });
+
+    it('streams a finished job once and closes', async () => {
+        const [job] = manager.jobs.values();
+        const events = await readEvents(await fetch(`${app.base}/api/scans/jobs/${job.id}/stream`));
+        assert.deepEqual(events.map(event => event.type), ['status', 'completed']);
+    });
+});
+
+describe('scan job stream for a job on another instance', () => {
+    it('follows the stored job until it finishes, with a comment line on every poll', async () => {
+        const states = [
+            { status: 'running', progress: 10 },
+            { status: 'running', progress: 10 },
+            { status: 'completed', progress: 100 }
+        ];
+        // Stands in for the database: each lookup returns the next stored state
+        const remote = new ScanJobManager();
+        remote.getJob = async id => ({ id, url: 'https://example.com', pages: [], logs: [], ...(states.length > 1 ? states.shift() : states[0]) });
+
+        const app = await startApp(remote, () => null);
+        try {
+            const text = await (await fetch(app.base + '/api/scans/jobs/scan_remote/stream')).text();
+            assert.deepEqual(parseEvents(text).map(event => `${event.type}:${event.job.progress}`), ['status:10', 'completed:100']);
+            assert.equal(text.split('\n\n').filter(chunk => chunk === ':').length, 2);
+        } finally {
+            app.server.close();
+        }
+    });
+});
@@ -0,0 +1,169 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ScanJobManager = require('../scan-job-manager');
+
+const SCAN_JOB_COLUMNS = ['id', 'status', 'progress', 'instance_id', 'updated_at', 'created_at'];
+
+/**
+ * Records queries; answers the column lookup and lets a test answer the rest
+ */
+function mockDb(answer = () => ({ rows: [] })) {
+    const queries = [];
+    return {
+        queries,
+        async query(sql, params) {
+            queries.push({ sql, params });
+            if (sql.includes('information_schema.columns')) {
+                return { rows: SCAN_JOB_COLUMNS.map(column_name => ({ column_name })) };
+            }
+            return answer(sql, params);
+        }
+    };
+}
+
+function deferred() {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+}
+
+function waitFor(manager, jobId, status) {
+    return new Promise(resolve => {
+        const job = manager.jobs.get(jobId);
+        if (job && job.status === status) return resolve(job);
+        const unsubscribe = manager.onStatusChange(jobId, updated => {
+            if (updated.status === status) {
+                unsubscribe();
+                resolve(updated);
+            }
+        });
+    });
+}
+
+describe('ScanJobManager', () => {
+    it('runs a job and tracks its per-page progress', async () => {
+        const manager = new ScanJobManager();
+        const statuses = [];
+        const job = manager.submitJob({ url: 'https://example.com', scanType: 'crawl', maxPages: 4 }, async (running, reporter) => {
+            await new Promise(resolve => setImmediate(resolve)); // Let the test subscribe first
+            reporter.onPageStart({ url: 'https://example.com/', index: 0, total: 2 });
+            reporter.onPageComplete({ url: 'https://example.com/', index: 0, total: 2, violationCount: 3 });
+            reporter.onPageComplete({ url: 'https://example.com/about', index: 1, total: 2, error: 'Timeout' });
+            return { totalIssues: 3 };
+        });
+        manager.onStatusChange(job.id, updated => statuses.push(`${updated.status}:${updated.progress}`));
+
+        const completed = await waitFor(manager, job.id, 'completed');
+        assert.deepEqual(statuses, ['running:0', 'running:47', 'running:95', 'completed:100']);
+        assert.equal(completed.pagesTotal, 2);
+        assert.deepEqual(completed.pages.map(page => page.status), ['completed', 'failed']);
+        assert.deepEqual(completed.result, { totalIssues: 3 });
+        assert.equal(manager.isTerminal(completed), true);
+    });
+
+    it('records a friendly error when the runner throws', async () => {
+        const manager = new ScanJobManager();
+        const job = manager.submitJob({ url: 'https://example.com' }, async () => {
+            const error = new Error('net::ERR_NAME_NOT_RESOLVED');
+            error.friendlyMessage = 'The site could not be reached';
+            throw error;
+        });
+
+        const failed = await waitFor(manager, job.id, 'failed');
+        assert.equal(failed.error, 'The site could not be reached');
+        assert.equal(failed.logs[failed.logs.length - 1].level, 'error');
+    });
+
+    it('runs at most `concurrency` jobs at once', async () => {
+        const manager = new ScanJobManager(null, { concurrency: 1 });
+        const first = deferred();
+        const a = manager.submitJob({ url: 'https://a.example' }, () => first.promise);
+        const b = manager.submitJob({ url: 'https://b.example' }, async () => ({ totalIssues: 0 }));
+
+        assert.equal(a.status, 'running');
+        assert.equal(b.status, 'queued');
+
+        first.resolve({ totalIssues: 0 });
+        await waitFor(manager, b.id, 'completed');
+    });
+
+    it('stores the job at submit, on every status change and when it finishes', async () => {
+        const db = mockDb();
+        const manager = new ScanJobManager(db, { instanceId: 'test-1' });
+        const job = manager.submitJob({
+            url: 'https://example.com',
+            authProfile: { type: 'basic', config: { username: 'user', password: 'secret' } }
+        }, async (running, reporter) => {
+            // Within PROGRESS_WRITE_MS of the "running" write, so not stored separately
+            reporter.onPageComplete({ url: 'https://example.com/', index: 0, total: 1 });
+            return { scanId: 12, totalIssues: 0 };
+        });
+        await waitFor(manager, job.id, 'completed');
+
+        const writes = db.queries.filter(query => query.sql.includes('INSERT INTO scan_jobs'));
+        assert.deepEqual(writes.map(write => write.params[5]), ['queued', 'running', 'completed']);
+        assert.ok(writes[0].sql.includes('instance_id, updated_at'));
+        assert.equal(writes[0].params[15], 'test-1');
+        assert.equal(writes[2].params[2], 12);
+        // Inline credentials are never written to scan_jobs
+        assert.ok(!writes[0].params[9].includes('secret'));
+        assert.equal(JSON.parse(writes[0].params[9]).authProfileType, 'basic');
+        // A late write can't overwrite a finished row
+        assert.match(writes[0].sql, /WHERE scan_jobs\.status NOT IN \('completed', 'failed'\)/);
+    });
+
+    it('leaves finding screenshots out of the stored result', async () => {
+        const db = mockDb();
+        const manager = new ScanJobManager(db, { instanceId: 'test-1' });
+        const nodes = [{ target: ['#intro'], screenshots: { before: 'data:image/jpeg;base64,AAAA', after: null } }];
+        const job = manager.submitJob({ url: 'https://example.com' }, async () => ({
+            scanId: 12,
+            violations: [{ id: 'text-spacing-clipped', nodes }]
+        }));
+        await waitFor(manager, job.id, 'completed');
+
+        const stored = JSON.parse(db.queries.filter(query => query.sql.includes('INSERT INTO scan_jobs')).pop().params[10]);
+        assert.deepEqual(stored.violations[0].nodes, [{ target: ['#intro'] }]);
+        assert.ok(manager.jobs.get(job.id).result.violations[0].nodes[0].screenshots);
+    });
+
+    it('reads jobs other instances ran from the database', async () => {
+        const db = mockDb(sql => (sql.startsWith('SELECT * FROM scan_jobs')
+            ? { rows: [{ id: 'scan_1', status: 'running', url: 'https://example.com', scan_type: 'single', progress: 40, pages_total: 1, pages_completed: 0 }] }
+            : { rows: [] }));
+        const manager = new ScanJobManager(db);
+
+        const job = await manager.getJob('scan_1');
+        assert.equal(job.status, 'running');
+        assert.equal(job.progress, 40);
+        assert.equal(manager.isLocal('scan_1'), false);
+    });
+
+    it('keeps its own jobs alive and fails jobs orphaned by a stopped instance', async () => {
+        const db = mockDb(sql => (sql.includes("SET status = 'failed'") ? { rows: [{ id: 'scan_old' }] } : { rows: [] }));
+        const manager = new ScanJobManager(db, { staleMs: 120000 });
+        const pending = deferred();
+        const job = manager.submitJob({ url: 'https://example.com' }, () => pending.promise);
+
+        await manager.heartbeat();
+
+        const touch = db.queries.find(query => query.sql.startsWith('UPDATE scan_jobs SET updated_at = NOW()'));
+        assert.deepEqual(touch.params, [[job.id]]);
+        const recover = db.queries.find(query => query.sql.includes("SET status = 'failed'"));
+        assert.deepEqual(recover.params, ['120000', [job.id]]);
+        assert.match(recover.sql, /WHERE status IN \('queued', 'running'\)/);
+
+        pending.resolve({ totalIssues: 0 });
+        await waitFor(manager, job.id, 'completed');
+    });
+
+    it('fails its unfinished jobs when stopped', async () => {
+        const manager = new ScanJobManager();
+        const job = manager.submitJob({ url: 'https://example.com' }, () => new Promise(() => {}));
+
+        await manager.stop();
+        assert.equal(job.status, 'failed');
+        assert.match(job.error, /server shutdown/);
+    });
+});
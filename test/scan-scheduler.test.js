@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ScanScheduler = require('../scan-scheduler');
+const { parseCron, getNextRunTime } = ScanScheduler;
+
+const next = (expression, from) => getNextRunTime(expression, new Date(from)).toISOString();
+
+describe('parseCron', () => {
+    it('expands lists, ranges and steps', () => {
+        const cron = parseCron('*/15 9-17 1,15 * 1-5');
+        assert.deepEqual(Array.from(cron.minute), [0, 15, 30, 45]);
+        assert.deepEqual(Array.from(cron.hour), [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+        assert.deepEqual(Array.from(cron.dayOfMonth), [1, 15]);
+        assert.equal(cron.month.size, 12);
+        assert.equal(cron.anyDayOfMonth, false);
+        assert.equal(cron.anyDayOfWeek, false);
+    });
+
+    it('accepts aliases and treats 7 as Sunday', () => {
+        assert.deepEqual(Array.from(parseCron('@weekly').dayOfWeek), [0]);
+        assert.deepEqual(Array.from(parseCron('0 0 * * 7').dayOfWeek), [0]);
+    });
+
+    it('rejects malformed and out-of-range fields', () => {
+        assert.throws(() => parseCron('0 6 * *'), /must have 5 fields/);
+        assert.throws(() => parseCron('60 * * * *'), /minute "60" is out of range 0-59/);
+        assert.throws(() => parseCron('0 6 * * mon'), /Invalid dayOfWeek "mon"/);
+        assert.throws(() => parseCron('0 10-2 * * *'), /out of range/);
+    });
+});
+
+describe('getNextRunTime', () => {
+    it('returns the next matching minute strictly after the given time', () => {
+        assert.equal(next('0 6 * * *', '2026-10-19T05:59:30Z'), '2026-10-19T06:00:00.000Z');
+        assert.equal(next('0 6 * * *', '2026-10-19T06:00:00Z'), '2026-10-20T06:00:00.000Z');
+        assert.equal(next('*/15 * * * *', '2026-10-19T10:07:00Z'), '2026-10-19T10:15:00.000Z');
+    });
+
+    it('rolls over to the next month and year', () => {
+        assert.equal(next('@monthly', '2026-12-15T12:00:00Z'), '2027-01-01T00:00:00.000Z');
+        assert.equal(next('0 0 31 * *', '2026-11-01T00:00:00Z'), '2026-12-31T00:00:00.000Z');
+    });
+
+    it('matches either day field when both are restricted, like cron', () => {
+        // 2026-10-19 is a Monday: the 1st of November or the next Friday, whichever comes first
+        assert.equal(next('0 6 1 * 5', '2026-10-19T12:00:00Z'), '2026-10-23T06:00:00.000Z');
+    });
+
+    it('finds 29 February', () => {
+        assert.equal(next('0 0 29 2 *', '2026-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+    });
+
+    it('gives up on expressions that never match', () => {
+        assert.throws(() => getNextRunTime('0 0 31 2 *', new Date('2026-01-01T00:00:00Z')), /never matches/);
+    });
+});
+
+describe('ScanScheduler leases', () => {
+    // One scan_schedules row shared by every instance, with the lease statements applied to it
+    function leaseDb() {
+        const row = { id: 7, name: 'Nightly', site_url: 'https://example.com', locked_by: null, locked_until: null, last_status: null };
+        return {
+            row,
+            query: async (sql, params) => {
+                if (sql.includes('SET locked_by = $1, locked_until = $2')) {
+                    const [instanceId, until, , now] = params;
+                    if (row.locked_until && row.locked_until >= now) return { rows: [] };
+                    Object.assign(row, { locked_by: instanceId, locked_until: until });
+                    return { rows: [{ ...row }] };
+                }
+                if (sql.includes('last_run_at = NOW()')) {
+                    const owned = row.locked_by === params[4];
+                    Object.assign(row, { last_status: params[0] }, owned ? { locked_by: null, locked_until: null } : {});
+                    return { rows: [] };
+                }
+                throw new Error('Unexpected query: ' + sql);
+            }
+        };
+    }
+
+    it('lets one instance at a time run a schedule by hand', async () => {
+        const db = leaseDb();
+        const first = new ScanScheduler(db, { instanceId: 'a' });
+        const second = new ScanScheduler(db, { instanceId: 'b' });
+        const now = new Date('2026-10-19T12:00:00Z');
+
+        const claimed = await first.claimSchedule({ id: 7 }, now);
+        assert.equal(claimed.id, 7);
+        assert.equal(await second.claimSchedule({ id: 7 }, now), null);
+    });
+
+    it('only releases a lease it still holds', async () => {
+        const db = leaseDb();
+        const first = new ScanScheduler(db, { instanceId: 'a', leaseMinutes: 1 });
+        const second = new ScanScheduler(db, { instanceId: 'b' });
+
+        await first.claimSchedule({ id: 7 }, new Date('2026-10-19T12:00:00Z'));
+        // The first run outlives its lease and another instance takes over
+        await second.claimSchedule({ id: 7 }, new Date('2026-10-19T12:05:00Z'));
+        await first.recordRun({ id: 7 }, { status: 'completed' });
+        assert.equal(db.row.locked_by, 'b');
+        assert.equal(db.row.last_status, 'completed');
+
+        await second.recordRun({ id: 7 }, { status: 'failed' });
+        assert.equal(db.row.locked_by, null);
+    });
+});
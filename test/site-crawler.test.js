@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SiteCrawler = require('../site-crawler');
+
+describe('SiteCrawler.normalizeUrl', () => {
+    const crawler = new SiteCrawler();
+
+    it('drops fragments, default ports and trailing slashes and lower-cases the host', () => {
+        assert.equal(crawler.normalizeUrl('HTTPS://Example.COM:443/about/#team'), 'https://example.com/about');
+        assert.equal(crawler.normalizeUrl('http://example.com:80//a//b/'), 'http://example.com/a/b');
+    });
+
+    it('keeps the root path and resolves relative links against the base', () => {
+        assert.equal(crawler.normalizeUrl('https://example.com/'), 'https://example.com/');
+        assert.equal(crawler.normalizeUrl('../contact', 'https://example.com/docs/guide/'), 'https://example.com/docs/contact');
+    });
+
+    it('removes tracking parameters and sorts the rest', () => {
+        assert.equal(
+            crawler.normalizeUrl('https://example.com/list?utm_source=x&page=2&gclid=abc&filter=new'),
+            'https://example.com/list?filter=new&page=2'
+        );
+    });
+
+    it('removes ignored parameters', () => {
+        const some = new SiteCrawler({ ignoreQueryParams: ['session'] });
+        assert.equal(some.normalizeUrl('https://example.com/?session=1&q=a'), 'https://example.com/?q=a');
+
+        const all = new SiteCrawler({ ignoreQueryParams: true });
+        assert.equal(all.normalizeUrl('https://example.com/search?q=a'), 'https://example.com/search');
+    });
+
+    it('keeps trailing slashes when asked to', () => {
+        const keep = new SiteCrawler({ trailingSlash: 'keep' });
+        assert.equal(keep.normalizeUrl('https://example.com/about/'), 'https://example.com/about/');
+    });
+
+    it('returns null for URLs that cannot be crawled', () => {
+        assert.equal(crawler.normalizeUrl('mailto:team@example.com'), null);
+        assert.equal(crawler.normalizeUrl('javascript:void(0)'), null);
+        assert.equal(crawler.normalizeUrl('not a url'), null);
+    });
+});
+
+describe('SiteCrawler.globToRegExp', () => {
+    const crawler = new SiteCrawler();
+
+    it('matches * within a path segment and ** across segments', () => {
+        assert.ok(crawler.globToRegExp('/blog/*').test('/blog/post-1'));
+        assert.ok(!crawler.globToRegExp('/blog/*').test('/blog/2024/post-1'));
+        assert.ok(crawler.globToRegExp('/blog/**').test('/blog/2024/post-1'));
+    });
+
+    it('matches ? as a single character and is case-insensitive', () => {
+        assert.ok(crawler.globToRegExp('/page?').test('/PAGE2'));
+        assert.ok(!crawler.globToRegExp('/page?').test('/page10'));
+    });
+
+    it('treats regex characters literally', () => {
+        assert.ok(crawler.globToRegExp('*.html').test('index.html'));
+        assert.ok(!crawler.globToRegExp('*.html').test('indexhtml'));
+        assert.ok(crawler.globToRegExp('/search?q=(a)').test('/search?q=(a)'));
+    });
+});
+
+describe('SiteCrawler.parseRobots', () => {
+    const crawler = new SiteCrawler();
+
+    it('uses the wildcard group and collects sitemaps', () => {
+        const robots = crawler.parseRobots([
+            'User-agent: *',
+            'Disallow: /admin # private',
+            'Allow: /admin/public',
+            'Disallow:',
+            '',
+            'Sitemap: https://example.com/sitemap.xml'
+        ].join('\r\n'));
+
+        assert.deepEqual(robots.rules, [
+            { type: 'disallow', path: '/admin' },
+            { type: 'allow', path: '/admin/public' }
+        ]);
+        assert.deepEqual(robots.sitemaps, ['https://example.com/sitemap.xml']);
+    });
+
+    it('prefers the group naming our user agent, including grouped agents', () => {
+        const robots = crawler.parseRobots([
+            'User-agent: *',
+            'Disallow: /',
+            '',
+            'User-agent: Googlebot',
+            'User-agent: SentryPrime',
+            'Disallow: /private'
+        ].join('\n'));
+
+        assert.deepEqual(robots.rules, [{ type: 'disallow', path: '/private' }]);
+    });
+
+    it('returns no rules when no group applies', () => {
+        const robots = crawler.parseRobots('User-agent: Googlebot\nDisallow: /');
+        assert.deepEqual(robots, { rules: [], sitemaps: [] });
+    });
+});
@@ -0,0 +1,159 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SpaCrawler = require('../spa-crawler');
+
+const ORIGIN = 'https://app.example.com';
+
+/**
+ * A single-page app driven through a fake Puppeteer page. Page functions run in Node
+ * against global.window, which stands in for the route observer's window.__sentryprimeSpa.
+ * routes: { path: [{ href, kind }] } - kind 'server' links load a new document, 'dead'
+ * links change nothing, the rest are handled by the app's router.
+ */
+function fakeApp(routes) {
+    const app = { path: null, documentId: 0, before: null, contentChanges: 0, gotos: [] };
+
+    global.window = {
+        __sentryprimeSpa: {
+            get documentId() { return app.documentId; },
+            links: () => routes[app.path].map((link, index) => ({ index, href: ORIGIN + link.href })),
+            beginTransition: () => {
+                app.before = { path: app.path, contentChanges: app.contentChanges };
+            },
+            inspectTransition: () => ({
+                documentId: app.documentId,
+                url: ORIGIN + app.path,
+                title: 'App',
+                titleChanged: false,
+                urlChanged: app.path !== app.before.path,
+                contentChanged: app.contentChanges > app.before.contentChanges,
+                announcements: [],
+                focus: { atBody: false, stayedOnActivator: false, moved: true, element: { target: ['h1'], html: '<h1 tabindex="-1">' } },
+                activator: null
+            })
+        }
+    };
+
+    const page = {
+        app,
+        url: () => ORIGIN + app.path,
+        evaluateOnNewDocument: async () => {},
+        evaluate: async (fn, ...args) => fn(...args),
+        goto: async (url) => {
+            app.gotos.push(new URL(url).pathname);
+            app.path = new URL(url).pathname;
+            app.documentId++;
+        },
+        $$: async () => routes[app.path].map(link => ({
+            dispose: async () => {},
+            evaluate: async () => {},
+            click: async () => {
+                if (link.kind === 'dead') return;
+                app.path = link.href;
+                if (link.kind === 'server') app.documentId++;
+                else app.contentChanges++;
+            }
+        }))
+    };
+    return page;
+}
+
+function crawler(options = {}) {
+    const spa = new SpaCrawler({ useSitemap: false, respectRobots: false, politenessDelay: 0, maxPages: 10, ...options });
+    spa.waitForSettle = async () => {};
+    return spa;
+}
+
+async function crawl(page, spa = crawler()) {
+    const result = await spa.crawlInPage(page, ORIGIN + '/', async () => ({ violations: [] }));
+    return result.pages.map(visited => [new URL(visited.url).pathname, visited.transition.navigation]);
+}
+
+describe('SpaCrawler.normalizeUrl', () => {
+    it('keeps hash routes but drops other fragments', () => {
+        const spa = new SpaCrawler();
+        assert.equal(spa.normalizeUrl('https://example.com/#/products'), 'https://example.com/#/products');
+        assert.equal(spa.normalizeUrl('https://example.com/#!/cart'), 'https://example.com/#!/cart');
+        assert.equal(spa.normalizeUrl('https://example.com/about#team'), 'https://example.com/about');
+    });
+});
+
+describe('SpaCrawler route navigation', () => {
+    afterEach(() => {
+        delete global.window;
+    });
+
+    it('clicks its way to every route, going back to the route that links to it', async () => {
+        const page = fakeApp({
+            '/': [{ href: '/products' }, { href: '/about' }],
+            '/products': [{ href: '/products/1' }],
+            '/about': [{ href: '/' }],
+            '/products/1': []
+        });
+
+        assert.deepEqual(await crawl(page), [
+            ['/', 'initial'],
+            ['/products', 'click'],
+            ['/about', 'click'],
+            ['/products/1', 'click']
+        ]);
+        // The initial load, then back to the linking route for /about and /products/1
+        assert.deepEqual(page.app.gotos, ['/', '/', '/products']);
+    });
+
+    it('reports routes no click reaches as full loads, never as checked transitions', async () => {
+        const page = fakeApp({
+            '/': [{ href: '/docs', kind: 'server' }, { href: '/menu', kind: 'dead' }],
+            '/docs': [],
+            '/menu': []
+        });
+
+        const pages = await crawl(page);
+        assert.deepEqual(pages, [
+            ['/', 'initial'],
+            ['/docs', 'reload'],
+            ['/menu', 'full-load']
+        ]);
+    });
+
+    it('checks focus, announcements and title only after a click', async () => {
+        const page = fakeApp({ '/': [{ href: '/about' }], '/about': [] });
+        const spa = crawler();
+        const transitions = [];
+        await spa.crawlInPage(page, ORIGIN + '/', async (current, url, depth, transition) => {
+            transitions.push(transition);
+            return { violations: [] };
+        });
+
+        assert.deepEqual(transitions[0].summary, { navigation: 'initial' });
+        assert.equal(transitions[1].summary.navigation, 'click');
+        assert.equal(transitions[1].summary.focusMoved, true);
+        assert.deepEqual(transitions[1].incomplete.map(rule => rule.id), ['spa-route-title']);
+    });
+});
+
+describe('SpaCrawler.checkTransition', () => {
+    const spa = new SpaCrawler();
+    const check = (overrides) => ({
+        title: 'Shop',
+        titleChanged: true,
+        announcements: [],
+        focus: { atBody: true, stayedOnActivator: false, moved: false, element: null },
+        activator: { target: ['nav > a'], html: '<a href="/cart">' },
+        ...overrides
+    });
+
+    it('flags a route change nobody hears about', () => {
+        const result = spa.checkTransition(check(), { method: 'click' });
+        assert.deepEqual(result.violations.map(rule => rule.id), ['spa-route-announcement']);
+        assert.deepEqual(result.violations[0].nodes[0].target, ['nav > a']);
+        assert.match(result.incomplete[0].nodes[0].failureSummary, /fell back to the document body/);
+    });
+
+    it('accepts a live region announcement instead of moving focus', () => {
+        const result = spa.checkTransition(check({ announcements: ['Cart, 2 items'] }), { method: 'click' });
+        assert.deepEqual(result.violations, []);
+        assert.deepEqual(result.incomplete.map(rule => rule.id), ['spa-route-focus']);
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { csvCell, toCsv, buildExportRows, filterExportRows } = require('../spreadsheet-export');
+
+describe('csvCell', () => {
+    it('leaves plain values alone', () => {
+        assert.equal(csvCell('color-contrast'), 'color-contrast');
+        assert.equal(csvCell(42), '42');
+        assert.equal(csvCell(null), '');
+        assert.equal(csvCell(undefined), '');
+    });
+
+    it('quotes values with commas, quotes or line breaks', () => {
+        assert.equal(csvCell('a, b'), '"a, b"');
+        assert.equal(csvCell('<a title="x">'), '"<a title=""x"">"');
+        assert.equal(csvCell('line 1\nline 2'), '"line 1\nline 2"');
+    });
+
+    it('keeps spreadsheet apps from evaluating formulas', () => {
+        assert.equal(csvCell('=HYPERLINK("http://evil")'), '"\'=HYPERLINK(""http://evil"")"');
+        assert.equal(csvCell('+1'), "'+1");
+        assert.equal(csvCell('-1'), "'-1");
+        assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+    });
+});
+
+describe('toCsv', () => {
+    it('writes a header row and CRLF line endings after a byte order mark', () => {
+        const rows = buildExportRows([{
+            id: 'label',
+            impact: 'critical',
+            tags: ['wcag2a', 'wcag412', 'wcag131'],
+            nodes: [{ target: ['#email'], html: '<input id="email">' }]
+        }], { url: 'https://example.com/' });
+        const csv = toCsv(rows);
+
+        assert.ok(csv.startsWith('\uFEFFPage URL,Rule,Impact,'));
+        const lines = csv.slice(1).split('\r\n');
+        assert.equal(lines.length, 3);
+        assert.equal(lines[1], 'https://example.com/,label,critical,"4.1.2, 1.3.1",#email,,"<input id=""email"">",,Open');
+        assert.equal(lines[2], '');
+    });
+});
+
+describe('filterExportRows', () => {
+    const rows = [
+        { rule: 'label', impact: 'critical', pageUrl: 'https://example.com/' },
+        { rule: 'region', impact: 'moderate', pageUrl: 'https://example.com/about' }
+    ];
+
+    it('filters by rule, impact list and page', () => {
+        assert.deepEqual(filterExportRows(rows, { rule: 'label' }), [rows[0]]);
+        assert.deepEqual(filterExportRows(rows, { impact: 'critical, moderate' }), rows);
+        assert.deepEqual(filterExportRows(rows, { pageUrl: 'https://example.com/about' }), [rows[1]]);
+        assert.deepEqual(filterExportRows(rows), rows);
+    });
+});
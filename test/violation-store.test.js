@@ -0,0 +1,156 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ViolationStore = require('../violation-store');
+
+const VIOLATION_COLUMNS = ['id', 'scan_id', 'violation_id', 'description', 'impact', 'help', 'help_url', 'tags', 'selector', 'html', 'target',
+    'page_url', 'journey_step', 'failure_summary', 'fingerprint', 'source'];
+
+const violations = [
+    { id: 'image-alt', impact: 'critical', help: 'Images need alt text', tags: ['wcag2a'], nodes: [{ target: ['#hero'], html: '<img id="hero">' }] },
+    { id: 'label', impact: 'serious', pageUrl: 'https://example.com/contact', nodes: [
+        { target: [['my-form', 'input']], html: '<input>', failureSummary: 'Fix this' },
+        { target: ['#phone'], html: '<input id="phone">', impact: 'minor' }
+    ] }
+];
+
+// A violations table shared by every connection. Inserts only become visible on COMMIT,
+// and pg_advisory_xact_lock waits for the transaction holding it, like PostgreSQL.
+function mockDb() {
+    const stored = [];
+    const queries = [];
+    let lock = Promise.resolve();
+
+    async function run(sql, params, transaction) {
+        queries.push({ sql, params });
+        if (sql.includes('information_schema.columns')) {
+            return { rows: VIOLATION_COLUMNS.map(column_name => ({ column_name })) };
+        }
+        if (sql.startsWith('SELECT 1 FROM violations')) {
+            return { rows: stored.filter(row => row.scan_id === params[0]).slice(0, 1) };
+        }
+        if (sql.startsWith('INSERT INTO violations')) {
+            const columns = sql.match(/\(([^)]+)\)/)[1].split(', ');
+            for (let start = 0; start < params.length; start += columns.length) {
+                transaction.pending.push(Object.fromEntries(columns.map((column, index) => [column, params[start + index]])));
+            }
+            return { rows: [] };
+        }
+        if (sql.startsWith('SELECT * FROM violations')) {
+            return { rows: [{ id: 1, violation_id: 'label', impact: 'serious', target: ['#email'], page_url: 'https://example.com/' }] };
+        }
+        if (sql.startsWith('SELECT COUNT(*)')) {
+            return { rows: [{ total: '1' }] };
+        }
+        throw new Error('Unexpected query: ' + sql);
+    }
+
+    return {
+        stored,
+        queries,
+        query: (sql, params) => run(sql, params, null),
+        connect: async () => {
+            const transaction = { pending: [], release: null };
+            const end = () => {
+                if (transaction.release) transaction.release();
+                transaction.release = null;
+            };
+            return {
+                release: () => {},
+                query: async (sql, params) => {
+                    if (sql === 'BEGIN') return { rows: [] };
+                    if (sql === 'COMMIT') {
+                        stored.push(...transaction.pending);
+                        end();
+                        return { rows: [] };
+                    }
+                    if (sql === 'ROLLBACK') {
+                        end();
+                        return { rows: [] };
+                    }
+                    if (sql.includes('pg_advisory_xact_lock')) {
+                        const previous = lock;
+                        lock = new Promise(resolve => { transaction.release = resolve; });
+                        await previous;
+                        return { rows: [] };
+                    }
+                    return run(sql, params, transaction);
+                }
+            };
+        }
+    };
+}
+
+describe('ViolationStore.buildRows', () => {
+    it('writes one row per node, attributed to its page', () => {
+        const rows = new ViolationStore().buildRows('https://example.com/', violations);
+
+        assert.deepEqual(rows.map(row => [row.violation_id, row.impact, row.selector, row.page_url]), [
+            ['image-alt', 'critical', '#hero', 'https://example.com/'],
+            ['label', 'serious', 'my-form >>> input', 'https://example.com/contact'],
+            ['label', 'minor', '#phone', 'https://example.com/contact']
+        ]);
+        assert.equal(rows[1].failure_summary, 'Fix this');
+        assert.equal(rows[0].source, 'axe-core');
+        assert.match(rows[0].fingerprint, /^[0-9a-f]{16}$/);
+    });
+
+    it('uses the journey step URL and name', () => {
+        const [row] = new ViolationStore().buildRows('https://example.com/', [
+            { id: 'label', journeyStep: { name: 'Checkout', url: 'https://example.com/checkout' }, nodes: [{ target: ['#card'] }] }
+        ]);
+        assert.equal(row.page_url, 'https://example.com/checkout');
+        assert.equal(row.journey_step, 'Checkout');
+    });
+});
+
+describe('ViolationStore.listViolations', () => {
+    it('filters, sorts and pages in SQL', async () => {
+        const db = mockDb();
+        const page = await new ViolationStore(db).listViolations(5, {
+            rule: 'label', impact: 'critical, serious', pageUrl: 'https://example.com/', sort: 'page', order: 'desc', limit: 1000, offset: -3
+        });
+
+        const select = db.queries.find(query => query.sql.startsWith('SELECT * FROM violations'));
+        assert.match(select.sql, /WHERE scan_id = \$1 AND violation_id = \$2 AND impact = ANY\(\$3\) AND page_url = \$4 ORDER BY page_url DESC, id ASC LIMIT \$5 OFFSET \$6/);
+        assert.deepEqual(select.params, [5, 'label', ['critical', 'serious'], 'https://example.com/', 500, 0]);
+        assert.equal(page.total, 1);
+        assert.deepEqual(page.violations[0].target, ['#email']);
+        assert.equal(page.violations[0].pageUrl, 'https://example.com/');
+    });
+
+    it('falls back to impact order for unknown sort keys', async () => {
+        const db = mockDb();
+        await new ViolationStore(db).listViolations(5, { sort: 'id; DROP TABLE scans' });
+        assert.match(db.queries.find(query => query.sql.startsWith('SELECT * FROM violations')).sql, /ORDER BY CASE impact/);
+    });
+});
+
+describe('ViolationStore.backfillScan', () => {
+    before(() => mock.method(console, 'log', () => {}));
+    after(() => mock.restoreAll());
+
+    const scan = { id: 9, url: 'https://example.com/', violations_data: JSON.stringify(violations) };
+
+    it('fills in rows from the stored JSON once', async () => {
+        const db = mockDb();
+        const store = new ViolationStore(db);
+
+        assert.equal(await store.backfillScan(scan), 3);
+        assert.equal(await store.backfillScan(scan), 0);
+        assert.equal(db.stored.length, 3);
+    });
+
+    it('writes the rows once when a backfill races saveScan', async () => {
+        const db = mockDb();
+        const store = new ViolationStore(db);
+
+        const written = await Promise.all([
+            store.backfillScan(scan),
+            store.backfillScan(scan),
+            store.saveViolations(scan.id, scan.url, violations)
+        ]);
+        assert.deepEqual(written.sort(), [0, 0, 3]);
+        assert.equal(db.stored.length, 3);
+    });
+});
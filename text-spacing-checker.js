@@ -0,0 +1,415 @@
+/**
+ * Text Spacing Checker for SentryPrime
+ * Applies the WCAG 1.4.12 text-spacing overrides (line height 1.5, paragraph spacing 2em,
+ * letter spacing 0.12em, word spacing 0.16em) to a loaded page and compares where each
+ * piece of text ends up against its layout before the overrides, reporting text that gets
+ * clipped by its container or runs into other text. Findings use the axe result shape and
+ * carry before/after screenshots of the affected area in the live result only.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const { injectDomHelpers } = require('./page-helpers');
+
+const RULES = {
+    'text-spacing-clipped': {
+        impact: 'serious',
+        tags: ['cat.text-spacing', 'wcag21aa', 'wcag1412', 'text-spacing'],
+        description: 'Ensures no text is cut off when users increase line, paragraph, letter and word spacing',
+        help: 'Text must not be clipped when text spacing is increased',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/text-spacing.html'
+    },
+    'text-spacing-overlap': {
+        impact: 'serious',
+        tags: ['cat.text-spacing', 'wcag21aa', 'wcag1412', 'text-spacing'],
+        description: 'Ensures text does not run into other text when users increase line, paragraph, letter and word spacing',
+        help: 'Text must not overlap other text when text spacing is increased',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/text-spacing.html'
+    }
+};
+
+// The overrides from the WCAG text-spacing bookmarklet
+const TEXT_SPACING_CSS = `
+* {
+    line-height: 1.5 !important;
+    letter-spacing: 0.12em !important;
+    word-spacing: 0.16em !important;
+}
+p {
+    margin-bottom: 2em !important;
+}
+`;
+
+const STYLE_ID = 'sentryprime-text-spacing';
+
+/**
+ * Installed into the page before the overrides go on; keeps element references and
+ * their original text boxes so the two layouts can be compared
+ */
+function installPageHelpers(options) {
+    const SKIP_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'OPTION', 'TEXTAREA', 'IFRAME'];
+    const MAX_SHOT_WIDTH = 1600;
+    const MAX_SHOT_HEIGHT = 1200;
+    const tolerance = options.tolerancePx;
+    const elements = [];
+    const baselines = [];
+
+    function isVisible(el) {
+        const style = getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return style.display !== 'none' && style.visibility !== 'hidden' && parseFloat(style.opacity) > 0 &&
+            rect.width > 0 && rect.height > 0;
+    }
+
+    // Measure in document coordinates so scrolling between the two passes doesn't matter
+    function toDocument(rect) {
+        return rect && {
+            left: rect.left + scrollX,
+            top: rect.top + scrollY,
+            right: rect.right + scrollX,
+            bottom: rect.bottom + scrollY
+        };
+    }
+
+    // Line boxes of an element's own text, not its children's - children are checked on their own
+    function textRect(el) {
+        let box = null;
+        const lines = [];
+        el.childNodes.forEach(node => {
+            if (node.nodeType !== 3 || !node.textContent.trim()) return;
+            const range = document.createRange();
+            range.selectNodeContents(node);
+            Array.from(range.getClientRects()).forEach(rect => {
+                if (rect.width === 0 || rect.height === 0) return;
+                lines.push(toDocument(rect));
+                box = box
+                    ? { left: Math.min(box.left, rect.left), top: Math.min(box.top, rect.top), right: Math.max(box.right, rect.right), bottom: Math.max(box.bottom, rect.bottom) }
+                    : { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom };
+            });
+        });
+        return box && { ...toDocument(box), lines };
+    }
+
+    // Ancestors (and the element itself) that hide whatever spills out of them
+    function clippingBoxes(el) {
+        const boxes = [];
+        let current = el;
+        while (current && current.nodeType === 1 && current !== document.documentElement) {
+            const style = getComputedStyle(current);
+            const clipX = ['hidden', 'clip'].includes(style.overflowX);
+            const clipY = ['hidden', 'clip'].includes(style.overflowY);
+            if (clipX || clipY) {
+                const rect = toDocument(current.getBoundingClientRect());
+                const left = rect.left + current.clientLeft;
+                const top = rect.top + current.clientTop;
+                boxes.push({
+                    element: current,
+                    clipX,
+                    clipY,
+                    left,
+                    top,
+                    right: left + current.clientWidth,
+                    bottom: top + current.clientHeight
+                });
+            }
+            if (style.position === 'fixed') break;
+            current = current.parentElement;
+        }
+        return boxes;
+    }
+
+    // How far the text spills out of its clipping boxes, in px (0 when it all shows)
+    function clippedBy(text, boxes) {
+        let worst = { px: 0, container: null };
+        boxes.forEach(box => {
+            const spill = Math.max(
+                box.clipX ? box.left - text.left : 0,
+                box.clipX ? text.right - box.right : 0,
+                box.clipY ? box.top - text.top : 0,
+                box.clipY ? text.bottom - box.bottom : 0
+            );
+            if (spill > worst.px) worst = { px: spill, container: box.element };
+        });
+        return worst;
+    }
+
+    function boxesIntersect(a, b) {
+        return Math.min(a.right, b.right) - Math.max(a.left, b.left) > tolerance &&
+            Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top) > tolerance;
+    }
+
+    // Outer boxes first, then the actual lines - text wrapping around a float has a big outer box
+    function intersects(a, b) {
+        return boxesIntersect(a, b) && a.lines.some(line => b.lines.some(other => boxesIntersect(line, other)));
+    }
+
+    // Pairs of unrelated text boxes that intersect, found with a sweep down the page
+    function overlappingPairs(rects) {
+        const order = rects.map((rect, index) => ({ rect, index })).filter(entry => entry.rect)
+            .sort((a, b) => a.rect.top - b.rect.top);
+        const pairs = [];
+        for (let i = 0; i < order.length; i++) {
+            for (let j = i + 1; j < order.length && order[j].rect.top < order[i].rect.bottom; j++) {
+                const a = elements[order[i].index];
+                const b = elements[order[j].index];
+                if (a.contains(b) || b.contains(a)) continue;
+                if (intersects(order[i].rect, order[j].rect)) {
+                    pairs.push([order[i].index, order[j].index].sort((x, y) => x - y).join(':'));
+                }
+            }
+        }
+        return pairs;
+    }
+
+    const { cssPath } = window.__sentryprimeDom;
+
+    function describe(el) {
+        const rect = el.getBoundingClientRect();
+        const style = getComputedStyle(el);
+        return {
+            target: [cssPath(el)],
+            html: el.outerHTML.substring(0, 250),
+            enhancedData: {
+                selector: cssPath(el),
+                tagName: el.tagName.toLowerCase(),
+                outerHTML: el.outerHTML.substring(0, 500),
+                textContent: el.textContent?.trim().substring(0, 200) || '',
+                computedStyles: {
+                    height: style.height,
+                    maxHeight: style.maxHeight,
+                    overflow: style.overflow,
+                    whiteSpace: style.whiteSpace,
+                    lineHeight: style.lineHeight
+                },
+                boundingRect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height, top: rect.top, left: rect.left },
+                parentInfo: {
+                    tagName: el.parentElement?.tagName.toLowerCase(),
+                    className: el.parentElement?.className || '',
+                    id: el.parentElement?.id || ''
+                }
+            }
+        };
+    }
+
+    // Where each element's text sits; containerBoxes (when given) collects every clipping container's box
+    function measure(containerBoxes) {
+        return elements.map(el => {
+            const text = textRect(el);
+            const boxes = clippingBoxes(el);
+            if (containerBoxes) {
+                boxes.forEach(box => {
+                    if (!containerBoxes.has(box.element)) containerBoxes.set(box.element, box);
+                });
+            }
+            const clip = text ? clippedBy(text, boxes) : { px: 0, container: null };
+            return { text, clippedPx: clip.px, container: clip.container };
+        });
+    }
+
+    document.querySelectorAll('body *').forEach(el => {
+        if (elements.length >= options.maxElements || SKIP_TAGS.includes(el.tagName.toUpperCase()) || el.closest('svg')) return;
+        const ownText = Array.from(el.childNodes).some(node => node.nodeType === 3 && node.textContent.trim());
+        if (ownText && isVisible(el)) elements.push(el);
+    });
+
+    const baselineContainers = new Map();
+    measure(baselineContainers).forEach(entry => baselines.push(entry));
+    const baselinePairs = new Set(overlappingPairs(baselines.map(entry => entry.text)));
+
+    // Area to screenshot around a finding, in document coordinates. A container much bigger
+    // than a screenful (a clipped body, say) would drown the text, so then only the text is shown.
+    function region(rects) {
+        const present = rects.filter(Boolean);
+        if (present.length === 0) return null;
+        const pad = 8;
+        const left = Math.max(0, Math.min(...present.map(rect => rect.left)) - pad);
+        const top = Math.max(0, Math.min(...present.map(rect => rect.top)) - pad);
+        const width = Math.max(...present.map(rect => rect.right)) + pad - left;
+        const height = Math.max(...present.map(rect => rect.bottom)) + pad - top;
+        if ((width > MAX_SHOT_WIDTH || height > MAX_SHOT_HEIGHT) && present.length > 1) {
+            return region(present.slice(0, 1));
+        }
+        return { x: left, y: top, width: Math.min(width, MAX_SHOT_WIDTH), height: Math.min(height, MAX_SHOT_HEIGHT) };
+    }
+
+    function boxOf(el) {
+        return toDocument(el.getBoundingClientRect());
+    }
+
+    function baselineBox(el) {
+        return baselineContainers.get(el) || null;
+    }
+
+    window.__sentryprimeTextSpacing = {
+        // Compare the current (spaced) layout against the baseline
+        compare() {
+            const after = measure();
+            const clipped = [];
+            after.forEach((entry, index) => {
+                const before = baselines[index];
+                // Only newly clipped text counts - text the page already hides on purpose is left alone
+                if (entry.clippedPx > tolerance && entry.clippedPx > before.clippedPx + tolerance) {
+                    const container = entry.container;
+                    clipped.push({
+                        ...describe(elements[index]),
+                        index,
+                        clippedPx: Math.round(entry.clippedPx),
+                        containerSelector: container ? cssPath(container) : null,
+                        regionBefore: region([before.text, container ? baselineBox(container) : null]),
+                        regionAfter: region([entry.text, container ? boxOf(container) : null])
+                    });
+                }
+            });
+
+            const overlaps = overlappingPairs(after.map(entry => entry.text))
+                .filter(pair => !baselinePairs.has(pair))
+                .map(pair => {
+                    const [a, b] = pair.split(':').map(Number);
+                    return {
+                        ...describe(elements[a]),
+                        index: a,
+                        otherIndex: b,
+                        otherSelector: cssPath(elements[b]),
+                        otherText: elements[b].textContent.trim().substring(0, 80),
+                        regionBefore: region([baselines[a].text, baselines[b].text]),
+                        regionAfter: region([after[a].text, after[b].text])
+                    };
+                });
+
+            return { checked: elements.length, clipped: clipped.slice(0, options.maxNodes), overlaps: overlaps.slice(0, options.maxNodes) };
+        },
+
+        cleanup() {
+            delete window.__sentryprimeTextSpacing;
+        }
+    };
+
+    return elements.length;
+}
+
+class TextSpacingChecker {
+    constructor(options = {}) {
+        this.options = {
+            maxElements: options.maxElements || 1500,
+            maxNodes: options.maxNodes || 20,
+            maxScreenshots: options.maxScreenshots !== undefined ? options.maxScreenshots : 5,
+            tolerancePx: options.tolerancePx || 2
+        };
+    }
+
+    /**
+     * Build an axe-style rule result
+     */
+    buildRule(ruleId, nodes) {
+        const rule = RULES[ruleId];
+        return {
+            id: ruleId,
+            impact: rule.impact,
+            tags: rule.tags,
+            description: rule.description,
+            help: rule.help,
+            helpUrl: rule.helpUrl,
+            source: 'text-spacing',
+            nodes: nodes.map(node => ({
+                target: node.target,
+                html: node.html,
+                impact: rule.impact,
+                any: [],
+                all: [],
+                none: [],
+                failureSummary: node.failureSummary,
+                enhancedData: node.enhancedData,
+                screenshots: node.screenshots
+            }))
+        };
+    }
+
+    async capture(page, clip) {
+        if (!clip || clip.width < 1 || clip.height < 1) return null;
+        const image = await page.screenshot({ encoding: 'base64', type: 'jpeg', quality: 70, clip, captureBeyondViewport: true });
+        return `data:image/jpeg;base64,${image}`;
+    }
+
+    async setSpacing(page, enabled) {
+        await page.evaluate((css, id, on) => {
+            const existing = document.getElementById(id);
+            if (!on) {
+                if (existing) existing.remove();
+                return;
+            }
+            if (existing) return;
+            const style = document.createElement('style');
+            style.id = id;
+            style.textContent = css;
+            document.head.appendChild(style);
+        }, TEXT_SPACING_CSS, STYLE_ID, enabled);
+        // Two frames so layout has settled before anything is measured
+        await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+    }
+
+    /**
+     * Apply the text-spacing overrides and report text that is clipped or overlaps as a result.
+     * The page is put back the way it was afterwards.
+     * @param {Object} page - Puppeteer page, already loaded
+     * @returns {Promise<Object>} { violations, incomplete, stats }
+     */
+    async check(page) {
+        const violations = [];
+        let findings = { checked: 0, clipped: [], overlaps: [] };
+
+        try {
+            await injectDomHelpers(page);
+            await page.evaluate(installPageHelpers, this.options);
+            await this.setSpacing(page, true);
+            findings = await page.evaluate(() => window.__sentryprimeTextSpacing.compare());
+
+            // Screenshots of the first few findings, with the overrides on and then off
+            const shots = [...findings.clipped, ...findings.overlaps].slice(0, this.options.maxScreenshots);
+            for (const finding of shots) {
+                finding.screenshots = { after: await this.capture(page, finding.regionAfter).catch(() => null) };
+            }
+            await this.setSpacing(page, false);
+            for (const finding of shots) {
+                finding.screenshots.before = await this.capture(page, finding.regionBefore).catch(() => null);
+            }
+        } finally {
+            await this.setSpacing(page, false).catch(() => {});
+            await page.evaluate(() => window.__sentryprimeTextSpacing && window.__sentryprimeTextSpacing.cleanup()).catch(() => {});
+        }
+
+        if (findings.clipped.length > 0) {
+            violations.push(this.buildRule('text-spacing-clipped', findings.clipped.map(finding => ({
+                ...finding,
+                failureSummary: `Fix the following:\n  ${finding.clippedPx}px of text is cut off by ${finding.containerSelector || 'its container'} once text spacing is increased (fixed height or width with overflow hidden)`
+            }))));
+        }
+        if (findings.overlaps.length > 0) {
+            violations.push(this.buildRule('text-spacing-overlap', findings.overlaps.map(finding => ({
+                ...finding,
+                failureSummary: `Fix the following:\n  Text runs into ${finding.otherSelector} ("${finding.otherText}") once text spacing is increased`
+            }))));
+        }
+
+        return {
+            violations,
+            incomplete: [],
+            stats: {
+                textElements: findings.checked,
+                clipped: findings.clipped.length,
+                overlapping: findings.overlaps.length
+            }
+        };
+    }
+}
+
+/**
+ * JSON.stringify replacer that leaves out finding screenshots. Saved scans and scan jobs
+ * would otherwise store up to ten base64 JPEGs per page.
+ */
+function omitScreenshots(key, value) {
+    return key === 'screenshots' ? undefined : value;
+}
+
+module.exports = TextSpacingChecker;
+module.exports.omitScreenshots = omitScreenshots;
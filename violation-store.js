@@ -0,0 +1,243 @@
+/**
+ * Violation Store for SentryPrime
+ * Writes every node-level violation of a saved scan to the `violations` table, one row
+ * per element, linked to its scan and the page (or journey step) it was found on. Past
+ * scans can then be filtered, sorted and paged without loading the whole JSON blob.
+ *
+ * Author: Manus AI
+ * Date: October 19, 2026
+ */
+
+const { fingerprintNode } = require('./issue-deduplicator');
+const { getTableColumns } = require('./migrate_database');
+
+const IMPACT_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+
+// Sort keys accepted by listViolations, mapped to SQL
+const SORT_COLUMNS = {
+    impact: `CASE impact WHEN 'critical' THEN 0 WHEN 'serious' THEN 1 WHEN 'moderate' THEN 2 WHEN 'minor' THEN 3 ELSE 4 END`,
+    rule: 'violation_id',
+    page: 'page_url',
+    id: 'id'
+};
+
+// Added by migration 011 (Normalized Violations)
+const OPTIONAL_COLUMNS = ['page_url', 'journey_step', 'failure_summary', 'fingerprint', 'source'];
+
+const INSERT_BATCH_SIZE = 500;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Selector parts as plain strings (shadow DOM and frame paths are joined with >>>)
+ */
+function flattenTarget(target) {
+    return [].concat(target || []).map(part => (Array.isArray(part) ? part.join(' >>> ') : String(part)));
+}
+
+class ViolationStore {
+    constructor(db = null) {
+        this.db = db;
+    }
+
+    /**
+     * One row per violation node. Nodes are attributed to violation.pageUrl (crawls),
+     * violation.journeyStep.url (journeys) or the scan URL.
+     */
+    buildRows(scanUrl, violations) {
+        const rows = [];
+        (violations || []).forEach(violation => {
+            const pageUrl = violation.pageUrl || violation.journeyStep?.url || scanUrl;
+            (violation.nodes || []).forEach(node => {
+                const target = flattenTarget(node.target);
+                rows.push({
+                    violation_id: violation.id,
+                    description: violation.description || null,
+                    impact: node.impact || violation.impact || null,
+                    help: violation.help || null,
+                    help_url: violation.helpUrl || null,
+                    tags: violation.tags || [],
+                    selector: target[target.length - 1] || null,
+                    html: node.html || null,
+                    target: target,
+                    page_url: pageUrl,
+                    journey_step: violation.journeyStep?.name || null,
+                    failure_summary: node.failureSummary || null,
+                    fingerprint: node.fingerprint || fingerprintNode(violation.id, node),
+                    source: violation.source || 'axe-core'
+                });
+            });
+        });
+        return rows;
+    }
+
+    /**
+     * Store a scan's violations, once. The rows go in as one transaction under a per-scan
+     * advisory lock, so saveScan and a backfilling GET racing each other can't both write
+     * them. Failures are logged, not thrown - the scan itself is already saved.
+     * @returns {Promise<number>} Rows written
+     */
+    async saveViolations(scanId, scanUrl, violations) {
+        if (!this.db || !scanId) return 0;
+
+        const rows = this.buildRows(scanUrl, violations);
+        if (rows.length === 0) return 0;
+
+        let client;
+        try {
+            // page_url and the other migration 011 columns are left out where that migration didn't run
+            const available = await getTableColumns(this.db, 'violations');
+            const columns = ['scan_id', 'violation_id', 'description', 'impact', 'help', 'help_url', 'tags', 'selector', 'html', 'target']
+                .concat(OPTIONAL_COLUMNS.filter(column => available.has(column)));
+
+            client = await this.db.connect();
+            await client.query('BEGIN');
+            await client.query(`SELECT pg_advisory_xact_lock(hashtext('violations'), $1)`, [scanId]);
+            const existing = await client.query('SELECT 1 FROM violations WHERE scan_id = $1 LIMIT 1', [scanId]);
+            if (existing.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return 0;
+            }
+
+            for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+                const batch = rows.slice(start, start + INSERT_BATCH_SIZE);
+                const values = [];
+                const placeholders = batch.map((row, rowIndex) => {
+                    values.push(scanId, ...columns.slice(1).map(column => row[column]));
+                    return '(' + columns.map((column, columnIndex) => '$' + (rowIndex * columns.length + columnIndex + 1)).join(', ') + ')';
+                });
+                await client.query(`INSERT INTO violations (${columns.join(', ')}) VALUES ${placeholders.join(', ')}`, values);
+            }
+            await client.query('COMMIT');
+            console.log(`✅ Stored ${rows.length} violation rows for scan ${scanId}`);
+            return rows.length;
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            console.log('❌ Database error saving violation rows:', error.message);
+            return 0;
+        } finally {
+            if (client) client.release();
+        }
+    }
+
+    /**
+     * Fill in rows for a scan saved before violations were normalized, from its JSON blob.
+     * saveViolations skips scans that already have rows, so concurrent calls are safe.
+     */
+    async backfillScan(scan) {
+        const existing = await this.db.query('SELECT 1 FROM violations WHERE scan_id = $1 LIMIT 1', [scan.id]);
+        if (existing.rows.length > 0) return 0;
+
+        const violations = typeof scan.violations_data === 'string' ? JSON.parse(scan.violations_data) : (scan.violations_data || []);
+        if (violations.length === 0) return 0;
+        return this.saveViolations(scan.id, scan.url, violations);
+    }
+
+    formatViolation(row) {
+        return {
+            id: row.id,
+            ruleId: row.violation_id,
+            impact: row.impact,
+            description: row.description,
+            help: row.help,
+            helpUrl: row.help_url,
+            tags: row.tags || [],
+            selector: row.selector,
+            target: row.target || [],
+            html: row.html,
+            failureSummary: row.failure_summary,
+            pageUrl: row.page_url,
+            journeyStep: row.journey_step,
+            fingerprint: row.fingerprint,
+            source: row.source
+        };
+    }
+
+    /**
+     * Filtered, sorted page of a scan's violation rows
+     * @param {Object} query - { rule, impact (comma-separated), pageUrl, sort, order, limit, offset }
+     * @returns {Promise<Object>} { violations, total, limit, offset }
+     */
+    async listViolations(scanId, query = {}) {
+        // Without migration 011 there is no page_url to filter or sort on
+        const hasPageUrl = (await getTableColumns(this.db, 'violations')).has('page_url');
+        const conditions = ['scan_id = $1'];
+        const values = [scanId];
+
+        if (query.rule) {
+            values.push(query.rule);
+            conditions.push(`violation_id = $${values.length}`);
+        }
+        if (query.impact) {
+            values.push(String(query.impact).split(',').map(impact => impact.trim()).filter(Boolean));
+            conditions.push(`impact = ANY($${values.length})`);
+        }
+        if (query.pageUrl && hasPageUrl) {
+            values.push(query.pageUrl);
+            conditions.push(`page_url = $${values.length}`);
+        } else if (query.pageUrl) {
+            conditions.push('false');
+        }
+
+        const sortKey = query.sort === 'page' && !hasPageUrl ? 'impact' : query.sort;
+        const sortColumn = SORT_COLUMNS[sortKey] || SORT_COLUMNS.impact;
+        const order = String(query.order).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+        const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(query.offset) || 0, 0);
+        const where = conditions.join(' AND ');
+
+        const [rows, count] = await Promise.all([
+            this.db.query(
+                `SELECT * FROM violations WHERE ${where} ORDER BY ${sortColumn} ${order}, id ASC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+                [...values, limit, offset]
+            ),
+            this.db.query(`SELECT COUNT(*) AS total FROM violations WHERE ${where}`, values)
+        ]);
+
+        return {
+            violations: rows.rows.map(row => this.formatViolation(row)),
+            total: parseInt(count.rows[0].total),
+            limit,
+            offset
+        };
+    }
+
+    /**
+     * Counts per impact, rule and page for a scan, for filter menus and summaries
+     */
+    async summarizeScan(scanId) {
+        const hasPageUrl = (await getTableColumns(this.db, 'violations')).has('page_url');
+        const [impacts, rules, pages] = await Promise.all([
+            this.db.query('SELECT impact, COUNT(*) AS count FROM violations WHERE scan_id = $1 GROUP BY impact', [scanId]),
+            // A rule's impact is its most severe node's
+            this.db.query(`
+                SELECT violation_id, (ARRAY_AGG(impact ORDER BY ${SORT_COLUMNS.impact}))[1] AS impact, MIN(help) AS help, COUNT(*) AS count
+                FROM violations WHERE scan_id = $1
+                GROUP BY violation_id
+                ORDER BY count DESC, violation_id
+            `, [scanId]),
+            hasPageUrl ? this.db.query(`
+                SELECT page_url, COUNT(*) AS count
+                FROM violations WHERE scan_id = $1
+                GROUP BY page_url
+                ORDER BY count DESC, page_url
+            `, [scanId]) : { rows: [] }
+        ]);
+
+        const byImpact = {};
+        IMPACT_ORDER.forEach(impact => {
+            byImpact[impact] = 0;
+        });
+        impacts.rows.forEach(row => {
+            if (row.impact) byImpact[row.impact] = parseInt(row.count);
+        });
+
+        return {
+            totalNodes: impacts.rows.reduce((sum, row) => sum + parseInt(row.count), 0),
+            byImpact,
+            rules: rules.rows.map(row => ({ ruleId: row.violation_id, impact: row.impact, help: row.help, count: parseInt(row.count) })),
+            pages: pages.rows.map(row => ({ url: row.page_url, count: parseInt(row.count) }))
+        };
+    }
+}
+
+module.exports = ViolationStore;